@@ -0,0 +1,230 @@
+/**
+ * actigraphy.js — Sleep/Wake Scoring from Epoch Activity Counts
+ * Circadian Phase Engine
+ *
+ * Turns raw actigraphy exports — activity counts per 30 s or 60 s epoch,
+ * [{ timestampMs, count }, …] — into sleep episodes ready for update().
+ *
+ *   1. scoreEpochs()         — sleep/wake per epoch
+ *   2. detectSleepPeriods()  — consolidate sleep epochs into periods, and
+ *                              label each the main sleep or a nap
+ *   3. toUpdateInputs()      — { sleepOnset, sleepOffset, timestamp } per period
+ *
+ * Scoring works on 60 s epochs; 30 s epochs are summed in pairs first and the
+ * pair's score applies to both halves.  Counts are capped at 300 per minute
+ * (ActiGraph convention), so a burst of movement does not dominate the window.
+ *
+ *   'coleKripke' — Cole et al. (1992), coefficients as applied to ActiGraph
+ *                  counts (A = count / 100):
+ *                  D = 0.001 (106 A₋₄ + 54 A₋₃ + 58 A₋₂ + 76 A₋₁ + 230 A₀
+ *                             + 74 A₊₁ + 67 A₊₂);  sleep if D < 1
+ *   'sadeh'      — Sadeh et al. (1994):
+ *                  PS = 7.601 − 0.065 AVG − 1.08 NATS − 0.056 SD − 0.703 LG;
+ *                  sleep if PS ≥ 0, with AVG the mean over the 11 min centred
+ *                  on the epoch, NATS the number of those minutes with
+ *                  50 ≤ count < 100, SD the SD of the current and 5 previous
+ *                  minutes, LG = ln(count + 1)
+ *
+ * Epochs beyond the ends of the record count as zero activity.  Scoring cannot
+ * tell a device left on the table from sleep: trim non-wear before scoring.
+ */
+
+'use strict';
+
+const ALGORITHMS     = ['coleKripke', 'sadeh'];
+const EPOCH_SECONDS  = [30, 60];
+
+// Counts per minute above this are clipped before scoring.
+const COUNT_CAP = 300;
+
+// Cole–Kripke weights for minutes −4 … +2.
+const COLE_KRIPKE_WEIGHTS = [106, 54, 58, 76, 230, 74, 67];
+
+const DEFAULT_PERIOD_OPTIONS = {
+  // Sleep bouts separated by at most this much wake (minutes) are one period.
+  maxWakeGapMinutes: 20,
+  // Periods shorter than this (minutes) are dropped.
+  minPeriodMinutes:  20,
+  // Local clock offset from UTC (hours) for the noon-to-noon sleep day.
+  utcOffsetHours:    0,
+};
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate an epoch series and return it sorted by time.
+ * @param {Array<{ timestampMs, count }>} epochs
+ * @param {number} epochSeconds
+ * @param {string} caller — name used in error messages
+ * @returns {Array<{ timestampMs, count }>}
+ */
+function validateEpochs(epochs, epochSeconds, caller) {
+  if (!EPOCH_SECONDS.includes(epochSeconds)) {
+    throw new Error(`${caller}: epochSeconds must be one of ${EPOCH_SECONDS.join(', ')}`);
+  }
+  if (!Array.isArray(epochs) || epochs.length === 0) {
+    throw new Error(`${caller}: epochs must be a non-empty array of { timestampMs, count }`);
+  }
+  for (const e of epochs) {
+    if (e == null || !Number.isFinite(e.timestampMs) || !Number.isFinite(e.count) || e.count < 0) {
+      throw new Error(`${caller}: epochs need a finite timestampMs and a non-negative count`);
+    }
+  }
+  const sorted = [...epochs].sort((a, b) => a.timestampMs - b.timestampMs);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].timestampMs - sorted[i - 1].timestampMs !== epochSeconds * 1000) {
+      throw new Error(`${caller}: epochs must be contiguous ${epochSeconds} s intervals (gap at ${sorted[i].timestampMs})`);
+    }
+  }
+  return sorted;
+}
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+
+/**
+ * Cole–Kripke sleep flags for per-minute counts.
+ * @param {number[]} counts — capped counts per minute
+ * @returns {boolean[]}
+ */
+function coleKripke(counts) {
+  const at = (i) => (i >= 0 && i < counts.length ? counts[i] / 100 : 0);
+  return counts.map((_, i) => {
+    let d = 0;
+    for (let k = 0; k < COLE_KRIPKE_WEIGHTS.length; k++) d += COLE_KRIPKE_WEIGHTS[k] * at(i + k - 4);
+    return 0.001 * d < 1;
+  });
+}
+
+/**
+ * Sadeh sleep flags for per-minute counts.
+ * @param {number[]} counts — capped counts per minute
+ * @returns {boolean[]}
+ */
+function sadeh(counts) {
+  const at = (i) => (i >= 0 && i < counts.length ? counts[i] : 0);
+  return counts.map((c, i) => {
+    let sum = 0, nats = 0;
+    for (let k = i - 5; k <= i + 5; k++) {
+      sum += at(k);
+      if (at(k) >= 50 && at(k) < 100) nats++;
+    }
+    const prev = [0, 1, 2, 3, 4, 5].map(k => at(i - k));
+    const mean = prev.reduce((a, b) => a + b, 0) / 6;
+    const sd   = Math.sqrt(prev.reduce((a, v) => a + (v - mean) ** 2, 0) / 5);
+    const ps   = 7.601 - 0.065 * (sum / 11) - 1.08 * nats - 0.056 * sd - 0.703 * Math.log(c + 1);
+    return ps >= 0;
+  });
+}
+
+const SCORERS = { coleKripke, sadeh };
+
+/**
+ * Score each epoch as sleep or wake.
+ * @param {Array<{ timestampMs: number, count: number }>} epochs
+ * @param {{ algorithm?: 'coleKripke'|'sadeh', epochSeconds?: 30|60 }} [options]
+ *   — defaults: 'coleKripke', 60
+ * @returns {Array<{ timestampMs, count, asleep: boolean }>} — sorted by time
+ */
+function scoreEpochs(epochs, options = {}) {
+  const algorithm    = options.algorithm ?? 'coleKripke';
+  const epochSeconds = options.epochSeconds ?? 60;
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`scoreEpochs: algorithm must be one of ${ALGORITHMS.join(', ')}`);
+  }
+  const sorted = validateEpochs(epochs, epochSeconds, 'scoreEpochs');
+  const perMinute = epochSeconds === 60 ? 1 : 2;
+  const minutes = [];
+  for (let i = 0; i < sorted.length; i += perMinute) {
+    let c = 0;
+    for (let k = i; k < Math.min(i + perMinute, sorted.length); k++) c += sorted[k].count;
+    minutes.push(Math.min(COUNT_CAP, c));
+  }
+  const flags = SCORERS[algorithm](minutes);
+  return sorted.map((e, i) => ({ timestampMs: e.timestampMs, count: e.count, asleep: flags[Math.floor(i / perMinute)] }));
+}
+
+// ─── Sleep periods ───────────────────────────────────────────────────────────
+
+/**
+ * Consolidate scored epochs into sleep periods.  Sleep bouts separated by no
+ * more than maxWakeGapMinutes of wake are merged; periods shorter than
+ * minPeriodMinutes are dropped.  In each local noon-to-noon sleep day (by
+ * period midpoint) the longest period is the main sleep, the others naps.
+ *
+ * @param {Array<{ timestampMs, asleep }>} scored — from scoreEpochs()
+ * @param {{ maxWakeGapMinutes?, minPeriodMinutes?, utcOffsetHours? }} [options]
+ *   — defaults in DEFAULT_PERIOD_OPTIONS
+ * @returns {Array<{ startMs, endMs, type: 'main'|'nap', minutesAsleep, efficiency }>}
+ *   — by start time; endMs is the end of the last sleep epoch; efficiency is
+ *   the fraction of the period scored asleep
+ */
+function detectSleepPeriods(scored, options = {}) {
+  const o = { ...DEFAULT_PERIOD_OPTIONS, ...options };
+  if (!Array.isArray(scored) || scored.length < 2) return [];
+  const epochMs = scored[1].timestampMs - scored[0].timestampMs;
+
+  const periods = [];
+  let current = null;
+  for (const e of scored) {
+    if (!e.asleep) continue;
+    if (current && e.timestampMs - current.endMs <= o.maxWakeGapMinutes * 60000) {
+      current.endMs = e.timestampMs + epochMs;
+      current.asleepMs += epochMs;
+    } else {
+      current = { startMs: e.timestampMs, endMs: e.timestampMs + epochMs, asleepMs: epochMs };
+      periods.push(current);
+    }
+  }
+
+  const kept = periods.filter(p => p.endMs - p.startMs >= o.minPeriodMinutes * 60000);
+  const sleepDay = (p) => Math.floor(((p.startMs + p.endMs) / 2 + (o.utcOffsetHours - 12) * 3600000) / 86400000);
+  const longest = new Map();
+  for (const p of kept) {
+    const day = sleepDay(p);
+    if (!longest.has(day) || p.endMs - p.startMs > longest.get(day).endMs - longest.get(day).startMs) longest.set(day, p);
+  }
+  return kept.map(p => ({
+    startMs:       p.startMs,
+    endMs:         p.endMs,
+    type:          longest.get(sleepDay(p)) === p ? 'main' : 'nap',
+    minutesAsleep: p.asleepMs / 60000,
+    efficiency:    Math.round((p.asleepMs / (p.endMs - p.startMs)) * 1000) / 1000,
+  }));
+}
+
+/**
+ * update() inputs for sleep periods, each timestamped at wake-up.  Naps are
+ * left out by default: the engine reads every sleep input as a night's sleep.
+ * @param {Array<{ startMs, endMs, type }>} periods — from detectSleepPeriods()
+ * @param {{ includeNaps?: boolean }} [options]
+ * @returns {Array<{ sleepOnset, sleepOffset, timestamp }>}
+ */
+function toUpdateInputs(periods, options = {}) {
+  return periods
+    .filter(p => p.type === 'main' || options.includeNaps)
+    .map(p => ({ sleepOnset: p.startMs, sleepOffset: p.endMs, timestamp: p.endMs }));
+}
+
+/**
+ * scoreEpochs(), detectSleepPeriods() and toUpdateInputs() in one call.
+ * @param {Array<{ timestampMs, count }>} epochs
+ * @param {object} [options] — options of all three steps
+ * @returns {{ epochs, periods, updates }}
+ */
+function scoreActigraphy(epochs, options = {}) {
+  const scored  = scoreEpochs(epochs, options);
+  const periods = detectSleepPeriods(scored, options);
+  return { epochs: scored, periods, updates: toUpdateInputs(periods, options) };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  ALGORITHMS,
+  EPOCH_SECONDS,
+  DEFAULT_PERIOD_OPTIONS,
+  scoreEpochs,
+  detectSleepPeriods,
+  toUpdateInputs,
+  scoreActigraphy,
+};
@@ -0,0 +1,40 @@
+/**
+ * angles.js — Angle Helpers on the Circle S¹
+ * Circadian Phase Engine
+ *
+ * Phase wrapping and shortest-arc differences shared by the engine and its
+ * modules.  All angles are radians.
+ */
+
+'use strict';
+
+/**
+ * Wrap an angle to [0, 2π).
+ * JavaScript's % operator preserves sign for negative values; this corrects that.
+ * @param {number} phi — angle in radians (any range)
+ * @returns {number}
+ */
+function wrapPhase(phi) {
+  return ((phi % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+}
+
+/**
+ * Shortest signed arc from 0 to x on S¹, mapping x to (−π, π].
+ * The JS % operator truncates toward zero, so one if-guard per side suffices
+ * after reducing to (−2π, 2π).  Convention: +π is returned at the boundary.
+ * @param {number} x — raw angle difference (radians, any range)
+ * @returns {number}
+ */
+function shortestArc(x) {
+  let r = x % (2 * Math.PI);
+  if (r >  Math.PI) r -= 2 * Math.PI;
+  if (r < -Math.PI) r += 2 * Math.PI;
+  return r;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  wrapPhase,
+  shortestArc,
+};
@@ -0,0 +1,248 @@
+/**
+ * caffeine_pk.js — Caffeine Pharmacokinetics and Adenosine-Receptor Occupancy
+ * Circadian Phase Engine
+ *
+ * One-compartment model with first-order absorption and elimination (Bateman
+ * function), summed over doses:
+ *
+ *   C(t) = Σ_i F D_i k_a / (V (k_a − k_e)) · (e^(−k_e Δt_i) − e^(−k_a Δt_i))
+ *   k_e  = ln 2 / t½,   V = V_d · body mass,   Δt_i = t − t_i ≥ 0
+ *
+ * Caffeine is almost completely absorbed (F ≈ 1) and distributes in body
+ * water (V_d ≈ 0.6 L/kg; Blanchard & Sawers, 1983).  Elimination half-life
+ * (≈ 5 h) is shortened by smoking (Parsons & Neims, 1978) and lengthened by
+ * oral contraceptives (Abernethy & Todd, 1985) and pregnancy, most in the
+ * third trimester (Knutti et al., 1981); the factors multiply.
+ *
+ * Occupancy of the adenosine A1 and A2A receptors by a competitive antagonist
+ * at concentration C (µM), ignoring endogenous adenosine:
+ *
+ *   occupancy = C / (C + K_i)      K_i ≈ 12 µM (A1), 2.4 µM (A2A)  (Fredholm et al., 1999)
+ *
+ * The SD of the prediction combines the between-person spread of half-life
+ * (log-normal, HALF_LIFE_LOG_SD) with the uncertainty of each dose: logged in
+ * mg, or assumed at the reference dose.  All math is deterministic.
+ */
+
+'use strict';
+
+const MS_PER_HOUR = 3600000;
+
+// Caffeine molar mass (g/mol): mg/L × 1000 / 194.19 = µM.
+const CAFFEINE_MOLAR_MASS = 194.19;
+
+const DEFAULT_PARAMETERS = {
+  halfLifeHours:          5,
+  absorptionRatePerHour:  3,     // t_max ≈ 1 h
+  bioavailability:        0.99,
+  volumeLitresPerKg:      0.6,
+  bodyMassKg:             70,
+  kiMicroMolar:           { A1: 12, A2A: 2.4 },
+};
+
+// Half-life multipliers.  pregnancyTrimester indexes 0 (not pregnant) … 3.
+const HALF_LIFE_FACTORS = {
+  smoker:             0.6,
+  oralContraceptives: 1.8,
+  pregnancyTrimester: [1, 1.2, 2, 3],
+};
+
+const DEFAULT_MODIFIERS = {
+  smoker:             false,
+  oralContraceptives: false,
+  pregnancyTrimester: 0,
+};
+
+// Between-person SD of ln(t½), and the relative SD of a dose given in mg or
+// assumed at the reference dose.
+const HALF_LIFE_LOG_SD    = 0.3;
+const LOGGED_DOSE_REL_SD  = 0.15;
+const ASSUMED_DOSE_REL_SD = 0.5;
+
+// ─── Half-life ───────────────────────────────────────────────────────────────
+
+/**
+ * Check half-life modifiers.
+ * @param {object} modifiers
+ * @param {string} caller — name used in error messages
+ */
+function validateModifiers(modifiers, caller) {
+  if (typeof modifiers.smoker !== 'boolean' || typeof modifiers.oralContraceptives !== 'boolean') {
+    throw new Error(`${caller}: smoker and oralContraceptives must be booleans`);
+  }
+  if (!Number.isInteger(modifiers.pregnancyTrimester) || modifiers.pregnancyTrimester < 0 ||
+      modifiers.pregnancyTrimester > 3) {
+    throw new Error(`${caller}: pregnancyTrimester must be 0 (not pregnant), 1, 2 or 3`);
+  }
+}
+
+/**
+ * Elimination half-life after modifiers.
+ * @param {number} baseHours — population half-life
+ * @param {{ smoker?, oralContraceptives?, pregnancyTrimester? }} [modifiers]
+ * @returns {number}
+ */
+function halfLifeHours(baseHours, modifiers = {}) {
+  const m = { ...DEFAULT_MODIFIERS, ...modifiers };
+  validateModifiers(m, 'halfLifeHours');
+  return baseHours
+    * (m.smoker ? HALF_LIFE_FACTORS.smoker : 1)
+    * (m.oralContraceptives ? HALF_LIFE_FACTORS.oralContraceptives : 1)
+    * HALF_LIFE_FACTORS.pregnancyTrimester[m.pregnancyTrimester];
+}
+
+// ─── Concentration ───────────────────────────────────────────────────────────
+
+/**
+ * Plasma concentration (mg/L) of one dose, hours after intake (0 before).
+ * @param {number} doseMg
+ * @param {number} hours
+ * @param {object} p — DEFAULT_PARAMETERS shape
+ * @returns {number}
+ */
+function doseConcentration(doseMg, hours, p) {
+  if (!(hours > 0)) return 0;
+  const ka = p.absorptionRatePerHour;
+  const ke = Math.LN2 / p.halfLifeHours;
+  const V  = p.volumeLitresPerKg * p.bodyMassKg;
+  // ka = ke is the limit F D k t e^(−k t) / V.
+  if (Math.abs(ka - ke) < 1e-9) return (p.bioavailability * doseMg * ka * hours * Math.exp(-ke * hours)) / V;
+  return ((p.bioavailability * doseMg * ka) / (V * (ka - ke))) * (Math.exp(-ke * hours) - Math.exp(-ka * hours));
+}
+
+/** mg/L → µM. */
+function toMicroMolar(mgPerL) {
+  return (mgPerL * 1000) / CAFFEINE_MOLAR_MASS;
+}
+
+/**
+ * Receptor occupancy C / (C + K_i) for each receptor.
+ * @param {number} microMolar
+ * @param {{ A1: number, A2A: number }} ki — µM
+ * @returns {{ A1: number, A2A: number }}
+ */
+function occupancy(microMolar, ki) {
+  return Object.fromEntries(Object.entries(ki).map(([r, k]) => [r, microMolar / (microMolar + k)]));
+}
+
+/**
+ * Peak A1 occupancy after a single dose: the dose's strength as an
+ * adenosine antagonist.
+ * @param {number} doseMg
+ * @param {object} [parameters] — overrides of DEFAULT_PARAMETERS
+ * @returns {number}
+ */
+function peakOccupancy(doseMg, parameters = {}) {
+  const p  = resolveParameters(parameters, 'peakOccupancy');
+  const ka = p.absorptionRatePerHour;
+  const ke = Math.LN2 / p.halfLifeHours;
+  const tMax = Math.abs(ka - ke) < 1e-9 ? 1 / ka : Math.log(ka / ke) / (ka - ke);
+  return occupancy(toMicroMolar(doseConcentration(doseMg, tMax, p)), p.kiMicroMolar).A1;
+}
+
+/** Merge and check PK parameters. */
+function resolveParameters(parameters, caller) {
+  const p = {
+    ...DEFAULT_PARAMETERS,
+    ...parameters,
+    kiMicroMolar: { ...DEFAULT_PARAMETERS.kiMicroMolar, ...parameters.kiMicroMolar },
+  };
+  for (const key of ['halfLifeHours', 'absorptionRatePerHour', 'volumeLitresPerKg', 'bodyMassKg']) {
+    if (!(p[key] > 0) || !Number.isFinite(p[key])) throw new Error(`${caller}: ${key} must be a positive number`);
+  }
+  if (!(p.bioavailability > 0 && p.bioavailability <= 1)) {
+    throw new Error(`${caller}: bioavailability must be in (0, 1]`);
+  }
+  for (const [r, k] of Object.entries(p.kiMicroMolar)) {
+    if (!(k > 0)) throw new Error(`${caller}: kiMicroMolar.${r} must be positive`);
+  }
+  return p;
+}
+
+/**
+ * Caffeine level at atMs from a list of doses.
+ *
+ * @param {Array<{ timestampMs: number, doseMg: number, assumed?: boolean }>} doses
+ *   — assumed marks doses not logged in mg
+ * @param {number} atMs
+ * @param {object} [parameters] — overrides of DEFAULT_PARAMETERS; halfLifeHours
+ *   should already include modifiers (see halfLifeHours())
+ * @returns {{ concentrationMgPerL, concentrationMicroMolar, sdMicroMolar,
+ *             occupancy: { A1, A2A }, occupancySD: { A1, A2A }, halfLifeHours, doses }}
+ *   — doses counts the doses taken at or before atMs
+ */
+function caffeineLevel(doses, atMs, parameters = {}) {
+  const p = resolveParameters(parameters, 'caffeineLevel');
+  if (!Array.isArray(doses)) throw new Error('caffeineLevel: doses must be an array');
+  const ke = Math.LN2 / p.halfLifeHours;
+  let total = 0, halfLifeSens = 0, doseVar = 0, count = 0;
+  for (const d of doses) {
+    if (!Number.isFinite(d.timestampMs) || !(d.doseMg > 0)) {
+      throw new Error('caffeineLevel: doses need a finite timestampMs and a positive doseMg');
+    }
+    if (d.timestampMs > atMs) continue;
+    const hours = (atMs - d.timestampMs) / MS_PER_HOUR;
+    const c = doseConcentration(d.doseMg, hours, p);
+    total += c;
+    // ∂C/∂ln t½ ≈ C k_e Δt in the elimination phase; t½ is shared by all doses.
+    halfLifeSens += c * ke * hours;
+    doseVar += (c * (d.assumed ? ASSUMED_DOSE_REL_SD : LOGGED_DOSE_REL_SD)) ** 2;
+    count++;
+  }
+  const microMolar = toMicroMolar(total);
+  const sdMicroMolar = toMicroMolar(Math.sqrt((HALF_LIFE_LOG_SD * halfLifeSens) ** 2 + doseVar));
+  // Delta method through C / (C + K_i).
+  const occupancySD = Object.fromEntries(Object.entries(p.kiMicroMolar)
+    .map(([r, k]) => [r, (k / (microMolar + k) ** 2) * sdMicroMolar]));
+  return {
+    concentrationMgPerL:     total,
+    concentrationMicroMolar: microMolar,
+    sdMicroMolar,
+    occupancy:               occupancy(microMolar, p.kiMicroMolar),
+    occupancySD,
+    halfLifeHours:           p.halfLifeHours,
+    doses:                   count,
+  };
+}
+
+/**
+ * Caffeine level sampled every stepMinutes over [fromMs, toMs].
+ * @param {Array<{ timestampMs, doseMg, assumed? }>} doses
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @param {{ stepMinutes?: number, parameters?: object }} [options] — stepMinutes default 15
+ * @returns {Array<{ timestampMs, concentrationMgPerL, concentrationMicroMolar, occupancy }>}
+ */
+function caffeineProfile(doses, fromMs, toMs, options = {}) {
+  const stepMinutes = options.stepMinutes ?? 15;
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs > toMs || !(stepMinutes > 0)) {
+    throw new Error('caffeineProfile: need finite fromMs ≤ toMs and a positive stepMinutes');
+  }
+  const out = [];
+  for (let t = fromMs; t <= toMs; t += stepMinutes * 60000) {
+    const level = caffeineLevel(doses, t, options.parameters);
+    out.push({
+      timestampMs:             t,
+      concentrationMgPerL:     level.concentrationMgPerL,
+      concentrationMicroMolar: level.concentrationMicroMolar,
+      occupancy:               level.occupancy,
+    });
+  }
+  return out;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  CAFFEINE_MOLAR_MASS,
+  DEFAULT_PARAMETERS,
+  DEFAULT_MODIFIERS,
+  HALF_LIFE_FACTORS,
+  validateModifiers,
+  halfLifeHours,
+  doseConcentration,
+  occupancy,
+  peakOccupancy,
+  caffeineLevel,
+  caffeineProfile,
+};
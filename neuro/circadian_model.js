@@ -6,25 +6,49 @@
  * Phase propagation uses a first-order ODE approximation (van Gelder & Buijs, 2011).
  * Gain-weighted phase correction on S¹ with phase-wrapped innovation (Brown et al., 2003).
  * Confidence decay uses an exponential forgetting curve (Borbély & Achermann, 1999).
+ * Alternatively (config.filter = 'vonmises'), the phase posterior is a von Mises
+ * distribution updated by a circular Kalman filter (see von_mises.js), or
+ * (config.filter = 'particle') a weighted particle set (see particle_filter.js).
  * Light entrainment uses a first-order PRC approximation (Kronauer et al., 1999;
- * Jewett & Kronauer, 1998).
+ * Jewett & Kronauer, 1998).  Alternatively (config.dynamics = 'kronauer'), phase
+ * and amplitude are integrated from the Jewett–Kronauer limit-cycle oscillator
+ * with Process L (see kronauer_oscillator.js).  Homeostatic sleep pressure
+ * (Process S) is tracked from the sleep inputs and combined with the phase
+ * into sleep propensity (two-process model, see two_process.js).
  *
- * All math is deterministic. No randomness.
+ * All math is deterministic.  The particle filter draws from a seeded RNG
+ * whose state is part of the engine state, so its results are reproducible.
  */
 
 'use strict';
 
-// ─── Parameter configuration ──────────────────────────────────────────────────
+const kronauer       = require('./kronauer_oscillator.js');
+const prcRegistry   = require('./prc_registry.js');
+const lightExposure = require('./light_exposure.js');
+const vonMises      = require('./von_mises.js');
+const particleFilter = require('./particle_filter.js');
+const twoProcess    = require('./two_process.js');
+const caffeinePK    = require('./caffeine_pk.js');
+const compoundRegistry = require('./compound_registry.js');
+const peripheralClock = require('./peripheral_clock.js');
+const { wrapPhase, shortestArc } = require('./angles.js');
+
+// ─── Default parameter configuration ─────────────────────────────────────────
 //
 // All tunable biological parameters are consolidated here.
-// Call setConfig(overrides) to adjust without breaking the public API.
-// Call getConfig() to read current parameters.
+// Each engine starts from a copy of these defaults merged with its own
+// overrides; call engine.setConfig(overrides) to adjust an instance and
+// engine.getConfig() to read its current parameters.
 
-let _config = {
+const DEFAULT_CONFIG = {
   // τ: intrinsic free-running period (hours).
   // Empirical mean: Czeisler et al., 1999, Science 284:2177.
   tauHours: 24.2,
 
+  // Between-person SD of τ (hours); widens projection credible intervals.
+  // Duffy et al., 2011, PNAS 108:15602 (24.15 ± 0.2 h).
+  tauSDHours: 0.2,
+
   // λ: confidence decay rate (h⁻¹).
   // C(t) = C₀ · e^(−λ · Δt). λ = 0.08 → half-confidence at ≈ 8.7 h.
   lambda: 0.08,
@@ -35,13 +59,129 @@ let _config = {
     sleep:    0.9,  // Sleep onset/offset — dominant zeitgeber
     light:    0.6,  // Photic input via ipRGC / melanopsin pathway
     caffeine: 0.4,  // Adenosine antagonism; weaker phase-shifting effect
+    exercise: 0.5,  // Non-photic; applied to the exercise PRC shift of each bout
   },
 
-  // Minimum illuminance (lux) to register as a photic zeitgeber.
+  // Minimum illuminance to register as a photic zeitgeber, in melanopic EDI
+  // (lux; equal to photopic lux for daylight).  See melanopic.js.
   lightThresholdLux: 50,
 
+  // Sleep observation:
+  //   'duration' — sleepPhaseObservation(): the update is pulled toward CT21
+  //                adjusted by sleep duration; sleep timing is not used.
+  //   'clock'    — sleepClockObservation(): midsleep is taken to fall at
+  //                midsleepPhaseRadians, so the observed phase follows the
+  //                clock timing of the sleep episode.
+  sleepObservation: 'duration',
+
+  // Clock sleep observation: population phase at midsleep.  CT0.5 = the
+  // duration observation's CT21 onset plus half of a 7 h sleep.
+  midsleepPhaseRadians: Math.PI / 24,
+  // Habitual sleep duration (hours).  On work days midsleep is taken as
+  // onset + habitualSleepHours / 2, because an alarm truncates the offset; on
+  // free days, sleep longer than this (recovery sleep) is corrected the same
+  // way (Roenneberg's MSF_sc).
+  habitualSleepHours: 7,
+  // Days of the week (0 = Sunday) whose morning wake-up is unconstrained,
+  // used when an update gives no sleepDayType.
+  freeDays: [0, 6],
+  // Local clock offset from UTC (hours), used for clock hours and weekdays
+  // until anchor() ties the clock to civil time.
+  utcOffsetHours: 0,
+
+  // Two-process model (Daan, Beersma & Borbély, 1984).  Process S rises toward
+  // 1 with time constant sleepPressureRiseTauHours during wake and decays
+  // toward 0 with sleepPressureDecayTauHours during sleep.  Sleep is initiated
+  // at the upper threshold and terminated at the lower one; both follow Process
+  // C with amplitude circadianThresholdAmplitude, peaking 12 h from CBT_min.
+  sleepPressureRiseTauHours:   18.2,
+  sleepPressureDecayTauHours:  4.2,
+  sleepThresholdUpper:         0.67,
+  sleepThresholdLower:         0.17,
+  circadianThresholdAmplitude: 0.12,
+
+  // Circadian phase markers (update() inputs dlmoMs, cbtMinMs,
+  // melatoninOffsetMs): the phase each marker falls at.  DLMO ≈ CT14
+  // (Lewy et al., 1999); CBT_min ≈ CT21, as prcCbtMinPhase; melatonin
+  // offset ≈ 10 h after DLMO, CT0.
+  markerPhaseRadians: {
+    dlmo:            (7 * Math.PI) / 6,
+    cbtMin:          (7 * Math.PI) / 4,
+    melatoninOffset: 0,
+  },
+  // Marker precision: SD (circadian hours) of the marker's phase, used when
+  // an update gives no assayPrecisionH.  Covers assay timing and the
+  // between-person spread of the marker's circadian time.
+  markerPrecisionHours: {
+    dlmo:            0.5,  // half-hourly salivary sampling
+    cbtMin:          1,    // masked by sleep and activity outside constant routine
+    melatoninOffset: 0.75, // declining profile, less sharply defined than onset
+  },
+
   // Caffeine pharmacological half-life (hours).
   caffeineHalfLifeHours: 5,
+  // Caffeine pharmacokinetics (caffeine_pk.js).  An intake logged without
+  // caffeineMg is taken to be the reference dose, a standard cup of coffee;
+  // a logged dose scales the phase cue by its peak A1-receptor occupancy
+  // relative to the reference dose.  The modifiers scale the half-life.
+  caffeineReferenceDoseMg: 100,
+  bodyMassKg:              70,
+  caffeineModifiers: {
+    smoker:             false,
+    oralContraceptives: false,
+    pregnancyTrimester: 0,   // 0 = not pregnant
+  },
+  // Caffeine response:
+  //   'prc'    — a phase-dependent shift, like light (caffeinePRC()):
+  //              Δφ = −A · sin(φ − φ_null) h at the phase of intake, scaled
+  //              by dose.  A = 0.94 h for 200 mg puts the shift 3 h before
+  //              habitual bedtime (CT13) at the ≈ 40 min delay of Burke et
+  //              al. (2015); φ_null = CT10 places the largest delay at CT16
+  //              and the advance-to-delay crossover at CT22.
+  //   'anchor' — the original model, kept for compatibility: a weak phase
+  //              observation pulling toward BALANCE (3π/4), fading with the
+  //              half-life (caffeinePhaseObservation())
+  caffeineResponse:          'prc',
+  caffeinePrcAmplitudeHours: 0.94,
+  caffeinePrcDoseMg:         200,
+  caffeinePrcNullPhase:      (5 * Math.PI) / 6,
+
+  // Exogenous melatonin (update() melatoninTimestamp / melatoninMg, and
+  // simulateShift() melatonin schedules): a phase-dependent shift at the
+  // phase of intake, roughly opposite to the light PRC (Burgess et al., 2008):
+  //   Δφ = A(dose) · sin(φ − φ_null) h,   A(dose) = A_max · dose / (dose + D₅₀)
+  // φ_null = CT3 puts the largest advance at CT9, about 5 h before DLMO, and
+  // the largest delay at CT21.  A_max and D₅₀ give ≈ 1.5 h at 3 mg and
+  // ≈ 1.3 h at 0.5 mg (Burgess et al., 2010).  Intakes without melatoninMg are
+  // taken at the reference dose.
+  melatoninReferenceDoseMg: 0.5,
+  melatoninPrcMaxHours:     1.6,
+  melatoninPrcHalfDoseMg:   0.1,
+  melatoninPrcNullPhase:    Math.PI / 4,
+
+  // Meal-entrained peripheral clock (update() meals; peripheral_clock.js).
+  // A meal shifts the peripheral phase θ by A · sin(θ_meal − θ) h, so meals
+  // at θ_meal = CT10, mid-way through the usual eating window, leave it in
+  // place; between meals θ is pulled toward the central phase at rate k.
+  // Feeding moves peripheral clocks but not the SCN (Damiola et al., 2000);
+  // A and k give ≈ 1 h of delay after six days of meals 5 h late, as in human
+  // adipose PER2 (Wehrens et al., 2017).
+  mealTargetPhase:           (5 * Math.PI) / 6,
+  mealPrcAmplitudeHours:     0.15,
+  peripheralCouplingPerHour: 0.0005,
+
+  // Exercise (update() exercise bouts, and simulateShift() exercise
+  // schedules): a non-photic shift at the phase of the bout's midpoint
+  // (Youngstedt et al., 2019):
+  //   Δφ = A(load) · sin(φ − φ_null) h,   A(load) = A_max · L / (L + L₅₀)
+  // with load L = intensity × duration (intensity as a fraction of maximal
+  // effort, e.g. heart-rate reserve).  φ_null = CT22 puts the largest advance
+  // at CT4, in the morning and early afternoon, and the largest delay at
+  // CT16, in the late evening.  A_max and L₅₀ give ≈ 0.17 h for a 1 h bout at
+  // 65 %, so three daily bouts shift by ≈ 0.5 h, as measured.
+  exercisePrcMaxHours: 0.3,
+  exercisePrcHalfLoad: 30,
+  exercisePrcNullPhase: (11 * Math.PI) / 6,
 
   // Maximum phase shift magnitude from a single light pulse, expressed as
   // equivalent circadian hours (converted to radians internally).
@@ -56,43 +196,251 @@ let _config = {
   prcCbtMinPhase: (7 * Math.PI) / 4,
   // CT1 ≈ 0.524 rad: end of the advance zone (dead zone resumes).
   prcAdvanceZoneEnd: Math.PI / 6,
+
+  // PRC shape used by prcDelta(); any name registered in prc_registry.js:
+  //   'piecewise' — the three zones above (default)
+  //   'fourier'   — continuous two-harmonic fit to Khalsa et al. (2003)
+  //   'table'     — prcTable points, periodic linear interpolation
+  prcModel: 'piecewise',
+
+  // Points for prcModel = 'table': [{ phaseRadians, shiftHours }, …], shift at
+  // saturating light in circadian hours (+ = advance).
+  prcTable: null,
+
+  // Phase dynamics between inputs:
+  //   'rotation' — rigid rotation φ + ωΔt; light acts through prcDelta().
+  //   'kronauer' — Jewett–Kronauer van der Pol oscillator with Process L,
+  //                integrated numerically; light drives the oscillator directly
+  //                and amplitude is tracked alongside phase.
+  dynamics: 'rotation',
+
+  // Kronauer dynamics only: a light sample is taken as the illuminance held
+  // over the preceding lightSampleHoldHours (bounded by the previous input);
+  // the rest of the interval is integrated in darkness.
+  lightSampleHoldHours: 1,
+
+  // Duration dose response for light episodes (rotation dynamics).  Photic
+  // responsiveness r ∈ [0, 1] is depleted with this time constant (hours)
+  // during light above threshold, so the first minutes of an exposure shift
+  // phase most and long exposures saturate (Chang et al., 2012).
+  lightDurationTauHours: 0.75,
+  // Recovery time constant (hours) of r in darkness between exposures.
+  lightRecoveryTauHours: 1,
+
+  // Phase filter:
+  //   'gain'     — fixed correctionGain weights; confidence decays as e^(−λΔt)
+  //                and each input raises it by K(1 − confidence).
+  //   'vonmises' — circular Kalman filter: the posterior is von Mises,
+  //                confidence is its mean resultant length R, and the gain of
+  //                each observation follows from the prior and observation
+  //                variances below (λ and correctionGain are not used).
+  //   'particle' — weighted particles on S¹ with the same noise model, so the
+  //                posterior can be multimodal.  Rotation dynamics only.
+  filter: 'gain',
+
+  // von Mises / particle filter: phase diffusion (process noise), as the SD in
+  // circadian hours accumulated over one day without inputs; variance grows linearly.
+  phaseDiffusionHours: 0.5,
+
+  // von Mises / particle filter: observation noise SD (circadian hours) per source.
+  // Caffeine noise applies at intake and widens as its effect wears off.
+  observationNoiseHours: {
+    sleep:    1,  // sleep timing vs CBT_min: phase angle of entrainment varies ≈ 1 h
+    caffeine: 6,  // weak, indirect cue
+  },
+
+  // von Mises / particle filter: SD of a light-driven phase shift as a
+  // fraction of the shift itself (PRC amplitude uncertainty).
+  lightShiftNoiseFraction: 0.5,
+
+  // Particle filter: number of particles, RNG seed, and the effective sample
+  // size (as a fraction of particleCount) below which particles are resampled.
+  particleCount:             500,
+  particleSeed:              1,
+  particleResampleThreshold: 0.5,
+
+  // Input log retention (hours): inputs further than this behind the latest
+  // one are folded into the log's starting snapshot (see compactLog()) and
+  // can no longer be amended, retracted or recalled.  null keeps them all.
+  logRetentionHours: 90 * 24,
+};
+
+const DYNAMICS_MODES = ['rotation', 'kronauer'];
+const FILTER_MODES   = ['gain', 'vonmises', 'particle'];
+const SLEEP_OBSERVATION_MODES = ['duration', 'clock'];
+const SLEEP_DAY_TYPES = ['work', 'free'];
+const CAFFEINE_RESPONSES = ['anchor', 'prc'];
+
+// update() marker inputs and the marker each one times.
+const MARKER_INPUTS = {
+  dlmoMs:            'dlmo',
+  cbtMinMs:          'cbtMin',
+  melatoninOffsetMs: 'melatoninOffset',
 };
 
+// update() dose inputs and the intake timestamp each one needs.
+const DOSE_INPUTS = {
+  caffeineMg:  'caffeineTimestamp',
+  melatoninMg: 'melatoninTimestamp',
+};
+
+// Credible levels reported on projected samples, with the two-sided normal
+// quantile z for each (half-width = z σ).
+const CREDIBLE_LEVELS = [
+  { level: 0.5,  z: 0.6745 },
+  { level: 0.95, z: 1.96 },
+];
+
 /**
- * Return a shallow copy of the current configuration.
- * correctionGain sub-object is also cloned.
+ * Clone a configuration object, including the correctionGain sub-object.
+ * @param {object} cfg
  * @returns {object}
  */
-function getConfig() {
-  return { ..._config, correctionGain: { ..._config.correctionGain } };
+function cloneConfig(cfg) {
+  return {
+    ...cfg,
+    correctionGain: { ...cfg.correctionGain },
+    observationNoiseHours: { ...cfg.observationNoiseHours },
+    markerPhaseRadians:    { ...cfg.markerPhaseRadians },
+    markerPrecisionHours:  { ...cfg.markerPrecisionHours },
+    caffeineModifiers:     { ...cfg.caffeineModifiers },
+    prcTable:       cfg.prcTable ? cfg.prcTable.map(p => ({ ...p })) : null,
+    freeDays:       [...cfg.freeDays],
+  };
 }
 
 /**
- * Merge parameter overrides into the current configuration.
- * Only known keys are accepted; unknown keys are silently ignored to prevent
- * configuration drift from typos.
+ * Merge parameter overrides into a configuration object (mutates target).
+ * Only keys present in DEFAULT_CONFIG are accepted; unknown keys are silently
+ * ignored to prevent configuration drift from typos.  The merged result is
+ * validated before target is touched, so a rejected override changes nothing.
  *
- * @param {Partial<typeof _config>} overrides
+ * @param {object} target
+ * @param {Partial<typeof DEFAULT_CONFIG>} overrides
+ * @param {string} [caller='setConfig'] — name used in error messages
+ * @param {object} [prcs] — PRC registry config.prcModel is checked against
+ *                           (default: the built-in models)
+ * @returns {object} — target
  */
-function setConfig(overrides) {
-  const known = Object.keys(_config);
-  for (const key of known) {
+function mergeConfig(target, overrides, caller = 'setConfig', prcs = prcRegistry) {
+  const merged = { ...target };
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
     if (!(key in overrides)) continue;
-    if (key === 'correctionGain') {
-      // Deep merge the gain sub-object.
-      _config.correctionGain = { ..._config.correctionGain, ...overrides.correctionGain };
+    if (key === 'correctionGain' || key === 'observationNoiseHours' ||
+        key === 'markerPhaseRadians' || key === 'markerPrecisionHours' ||
+        key === 'caffeineModifiers') {
+      // Deep merge the per-source sub-objects.
+      merged[key] = { ...target[key], ...overrides[key] };
+    } else if (key === 'prcTable') {
+      merged.prcTable = overrides.prcTable ? overrides.prcTable.map(p => ({ ...p })) : null;
+    } else if (key === 'freeDays') {
+      merged.freeDays = Array.isArray(overrides.freeDays) ? [...overrides.freeDays] : overrides.freeDays;
     } else {
-      _config[key] = overrides[key];
+      merged[key] = overrides[key];
     }
   }
+  validateConfig(merged, caller, prcs);
+  return Object.assign(target, merged);
 }
 
-// ─── Derived constants (computed from config at call time) ─────────────────
-//
-// ω = 2π / τ. Not a top-level const so it reflects config changes.
-
-/** Angular velocity of the free-running oscillator (rad h⁻¹). */
-function getOmega() { return (2 * Math.PI) / _config.tauHours; }
+/**
+ * Check the enumerated and structured config fields. Throws on the first problem.
+ * @param {object} cfg    — complete configuration
+ * @param {string} caller — name used in error messages
+ * @param {object} [prcs] — PRC registry (default: the built-in models)
+ */
+function validateConfig(cfg, caller, prcs = prcRegistry) {
+  if (!DYNAMICS_MODES.includes(cfg.dynamics)) {
+    throw new Error(`${caller}: dynamics must be one of ${DYNAMICS_MODES.join(', ')}`);
+  }
+  if (!FILTER_MODES.includes(cfg.filter)) {
+    throw new Error(`${caller}: filter must be one of ${FILTER_MODES.join(', ')}`);
+  }
+  for (const [source, sd] of Object.entries(cfg.observationNoiseHours)) {
+    if (!(sd > 0) || !Number.isFinite(sd)) {
+      throw new Error(`${caller}: observationNoiseHours.${source} must be a positive number`);
+    }
+  }
+  for (const marker of Object.values(MARKER_INPUTS)) {
+    if (!Number.isFinite(cfg.markerPhaseRadians[marker])) {
+      throw new Error(`${caller}: markerPhaseRadians.${marker} must be a finite number`);
+    }
+    if (!(cfg.markerPrecisionHours[marker] > 0) || !Number.isFinite(cfg.markerPrecisionHours[marker])) {
+      throw new Error(`${caller}: markerPrecisionHours.${marker} must be a positive number`);
+    }
+  }
+  if (!(cfg.caffeineReferenceDoseMg > 0) || !(cfg.bodyMassKg > 0)) {
+    throw new Error(`${caller}: caffeineReferenceDoseMg and bodyMassKg must be positive`);
+  }
+  caffeinePK.validateModifiers(cfg.caffeineModifiers, caller);
+  if (!CAFFEINE_RESPONSES.includes(cfg.caffeineResponse)) {
+    throw new Error(`${caller}: caffeineResponse must be one of ${CAFFEINE_RESPONSES.join(', ')}`);
+  }
+  if (!(cfg.caffeinePrcAmplitudeHours >= 0) || !(cfg.caffeinePrcDoseMg > 0) ||
+      !Number.isFinite(cfg.caffeinePrcNullPhase)) {
+    throw new Error(`${caller}: caffeinePrcAmplitudeHours must be ≥ 0, caffeinePrcDoseMg positive and caffeinePrcNullPhase finite`);
+  }
+  if (!(cfg.melatoninReferenceDoseMg > 0) || !(cfg.melatoninPrcMaxHours >= 0) ||
+      !(cfg.melatoninPrcHalfDoseMg > 0) || !Number.isFinite(cfg.melatoninPrcNullPhase)) {
+    throw new Error(`${caller}: melatoninReferenceDoseMg and melatoninPrcHalfDoseMg must be positive, melatoninPrcMaxHours ≥ 0 and melatoninPrcNullPhase finite`);
+  }
+  if (!Number.isFinite(cfg.mealTargetPhase) || !(cfg.mealPrcAmplitudeHours >= 0) ||
+      !(cfg.peripheralCouplingPerHour >= 0)) {
+    throw new Error(`${caller}: mealTargetPhase must be finite, mealPrcAmplitudeHours and peripheralCouplingPerHour ≥ 0`);
+  }
+  if (!(cfg.exercisePrcMaxHours >= 0) || !(cfg.exercisePrcHalfLoad > 0) ||
+      !Number.isFinite(cfg.exercisePrcNullPhase)) {
+    throw new Error(`${caller}: exercisePrcMaxHours must be ≥ 0, exercisePrcHalfLoad positive and exercisePrcNullPhase finite`);
+  }
+  if (!SLEEP_OBSERVATION_MODES.includes(cfg.sleepObservation)) {
+    throw new Error(`${caller}: sleepObservation must be one of ${SLEEP_OBSERVATION_MODES.join(', ')}`);
+  }
+  if (!Number.isFinite(cfg.midsleepPhaseRadians)) {
+    throw new Error(`${caller}: midsleepPhaseRadians must be a finite number`);
+  }
+  if (!(cfg.habitualSleepHours > 0 && cfg.habitualSleepHours < 24)) {
+    throw new Error(`${caller}: habitualSleepHours must be in (0, 24)`);
+  }
+  if (!Array.isArray(cfg.freeDays) || !cfg.freeDays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    throw new Error(`${caller}: freeDays must be an array of weekday numbers 0–6`);
+  }
+  if (!(cfg.utcOffsetHours >= -12 && cfg.utcOffsetHours <= 14)) {
+    throw new Error(`${caller}: utcOffsetHours must be in [−12, 14]`);
+  }
+  if (!(cfg.sleepPressureRiseTauHours > 0) || !(cfg.sleepPressureDecayTauHours > 0)) {
+    throw new Error(`${caller}: sleepPressureRiseTauHours and sleepPressureDecayTauHours must be positive`);
+  }
+  if (!(cfg.sleepThresholdUpper > cfg.sleepThresholdLower) || !(cfg.circadianThresholdAmplitude >= 0)) {
+    throw new Error(`${caller}: sleepThresholdUpper must exceed sleepThresholdLower; circadianThresholdAmplitude must be ≥ 0`);
+  }
+  if (!(cfg.tauSDHours >= 0) || !Number.isFinite(cfg.tauSDHours)) {
+    throw new Error(`${caller}: tauSDHours must be a finite number ≥ 0`);
+  }
+  if (!(cfg.phaseDiffusionHours >= 0) || !(cfg.lightShiftNoiseFraction >= 0)) {
+    throw new Error(`${caller}: phaseDiffusionHours and lightShiftNoiseFraction must be ≥ 0`);
+  }
+  if (cfg.filter === 'particle' && cfg.dynamics !== 'rotation') {
+    throw new Error(`${caller}: filter 'particle' requires dynamics 'rotation'`);
+  }
+  if (!Number.isInteger(cfg.particleCount) || cfg.particleCount < 10 || cfg.particleCount > 100000) {
+    throw new Error(`${caller}: particleCount must be an integer in [10, 100000]`);
+  }
+  if (!Number.isInteger(cfg.particleSeed) || cfg.particleSeed < 0 || cfg.particleSeed > 0xFFFFFFFF) {
+    throw new Error(`${caller}: particleSeed must be an unsigned 32-bit integer`);
+  }
+  if (!(cfg.particleResampleThreshold >= 0 && cfg.particleResampleThreshold <= 1)) {
+    throw new Error(`${caller}: particleResampleThreshold must be in [0, 1]`);
+  }
+  if (cfg.logRetentionHours !== null && !(cfg.logRetentionHours > 0)) {
+    throw new Error(`${caller}: logRetentionHours must be positive or null`);
+  }
+  if (!prcs.listPRCs().includes(cfg.prcModel)) {
+    throw new Error(`${caller}: prcModel must be one of ${prcs.listPRCs().join(', ')}`);
+  }
+  if (cfg.prcTable != null || cfg.prcModel === 'table') {
+    prcRegistry.validatePRCTable(cfg.prcTable, caller);
+  }
+}
 
 // ─── Phase labels ──────────────────────────────────────────────────────────
 //
@@ -110,42 +458,8 @@ const PHASE_LABELS = [
   { label: 'RESET',      min: (3 * Math.PI) / 2,  max: 2 * Math.PI       },
 ];
 
-// ─── State ────────────────────────────────────────────────────────────────
-
-let _state = {
-  phaseRadians:       0,          // φ₀ — reference phase (radians)
-  confidence:         0.5,        // C₀ — initial confidence [0, 1]
-  lastUpdateMs:       Date.now(), // timestamp of last state write (ms since epoch)
-  referenceEpochMs:   null,       // wall-clock anchor (ms) — set by anchor()
-  referenceClockHour: null,       // civil clock hour tied to phaseRadians — set by anchor()
-};
-
 // ─── Core math helpers ────────────────────────────────────────────────────
 
-/**
- * Wrap an angle to [0, 2π).
- * JavaScript's % operator preserves sign for negative values; this corrects that.
- * @param {number} phi — angle in radians (any range)
- * @returns {number}
- */
-function wrapPhase(phi) {
-  return ((phi % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
-}
-
-/**
- * Shortest signed arc from 0 to x on S¹, mapping x to (−π, π].
- * The JS % operator truncates toward zero, so one if-guard per side suffices
- * after reducing to (−2π, 2π).  Convention: +π is returned at the boundary.
- * @param {number} x — raw angle difference (radians, any range)
- * @returns {number}
- */
-function shortestArc(x) {
-  let r = x % (2 * Math.PI);
-  if (r >  Math.PI) r -= 2 * Math.PI;
-  if (r < -Math.PI) r += 2 * Math.PI;
-  return r;
-}
-
 /**
  * Derive the phase label string from a radian value.
  * @param {number} phi — phase (any range; internally wrapped)
@@ -159,20 +473,6 @@ function labelFromPhase(phi) {
   return 'ACTIVATION'; // edge: 2π collapses to 0
 }
 
-/**
- * Propagate phase forward by Δt hours under free-running dynamics.
- *   φ(t) = φ₀ + ω · Δt   (mod 2π)
- * where ω = 2π/τ.
- *
- * @param {number} phi0       — phase at reference time (radians)
- * @param {number} deltaHours — elapsed time (hours, may be fractional)
- * @returns {number} — propagated phase in [0, 2π)
- */
-function propagatePhase(phi0, deltaHours) {
-  // First-order integration: without zeitgebers, phase advances at ω.
-  return wrapPhase(phi0 + getOmega() * deltaHours);
-}
-
 /**
  * Apply a gain-weighted phase correction on S¹ with phase-wrapped innovation.
  *   φ_posterior = φ_prior + K · (φ_observed − φ_prior)
@@ -193,142 +493,25 @@ function gainWeightedPhaseCorrect(phiPrior, phiObserved, K) {
 }
 
 /**
- * Compute decayed confidence.
- *   C(t) = C₀ · e^(−λ · Δt)
- *
- * @param {number} c0         — confidence at last update [0, 1]
- * @param {number} deltaHours — hours elapsed since last update
- * @returns {number} — decayed confidence [0, 1]
- */
-function decayConfidence(c0, deltaHours) {
-  return c0 * Math.exp(-_config.lambda * deltaHours);
-}
-
-// ─── Phase Response Curve (PRC) ───────────────────────────────────────────
-//
-// The PRC describes how a photic stimulus shifts the circadian phase depending
-// on *when* in the cycle the stimulus occurs (Kronauer et al., 1999; Khalsa
-// et al., 2003).
-//
-// Human type-1 PRC for bright light (simplified first-order approximation):
-//
-//   Zone 1 — DELAY (φ ∈ [CT16, CT21)):
-//     Light during early-to-mid biological night delays the rhythm.
-//     The pacemaker phase angle decreases (oscillator runs later).
-//
-//   Zone 2 — ADVANCE (φ ∈ [CT21, CT24) ∪ [CT0, CT1)):
-//     Light during late biological night / around CBT_min advances the rhythm.
-//     The pacemaker phase angle increases (oscillator runs earlier).
-//
-//   Zone 3 — DEAD ZONE (all other phases):
-//     Photic input has negligible effect on the pacemaker.
-//
-// CBT_min (core body temperature minimum) is the zero-crossing of the PRC
-// and occurs near CT21 (≈ 5.497 rad) (Czeisler & Khalsa, 2000).
-//
-// Magnitude: scales with illuminance via a saturating exponential.
-//   sat(E) = 1 − e^(−E / 2000)
-// Maximum shift: prcMaxShiftHours (default 2 h), expressed in radians as
-//   maxΔφ = prcMaxShiftHours × ω.
-
-/**
- * Compute the signed phase correction from a light pulse at circadian phase φ.
+ * Sinusoidal phase response curve: the shift from a cue at phase φ,
+ *   Δ = A · sin(φ − φ_null)
+ * in the units of A.  The caffeine, melatonin and exercise PRCs share it.
  *
- * @param {number} phi — current circadian phase (radians)
- * @param {number} lux — illuminance (lux)
- * @returns {{ deltaRad: number, direction: 'ADVANCE'|'DELAY'|'DEAD_ZONE' }}
+ * @param {number} phi — phase of the cue (radians)
+ * @param {{ amplitude: number, nullPhase: number }} curve — A, and φ_null (radians)
+ * @returns {number}
  */
-function prcDelta(phi, lux) {
-  if (lux < _config.lightThresholdLux) {
-    return { deltaRad: 0, direction: 'DEAD_ZONE' };
-  }
-
-  // Lux saturation: response approaches max asymptotically above ~2000 lux.
-  const sat = 1 - Math.exp(-lux / 2000);
-
-  // Maximum phase shift in radians.
-  const maxDeltaRad = _config.prcMaxShiftHours * getOmega();
-
-  const w = wrapPhase(phi);
-  const { prcDelayZoneStart, prcCbtMinPhase, prcAdvanceZoneEnd } = _config;
-
-  // DELAY zone: [CT16, CT21) → phase pulled backward (Δφ negative).
-  if (w >= prcDelayZoneStart && w < prcCbtMinPhase) {
-    return { deltaRad: -maxDeltaRad * sat, direction: 'DELAY' };
-  }
-
-  // ADVANCE zone: [CT21, 2π) ∪ [0, CT1) → wraps through 0.
-  // Check: w >= CT21 OR w < CT1.
-  if (w >= prcCbtMinPhase || w < prcAdvanceZoneEnd) {
-    return { deltaRad: +maxDeltaRad * sat, direction: 'ADVANCE' };
-  }
-
-  // Dead zone: all other phases.
-  return { deltaRad: 0, direction: 'DEAD_ZONE' };
+function sinusoidalPRC(phi, { amplitude, nullPhase }) {
+  return amplitude * Math.sin(phi - nullPhase);
 }
 
-// ─── Phase-dependent correction gain for light K(φ) ──────────────────────
-//
-// The correction gain for photic entrainment is a phase-dependent function
-// that approximates the sinusoidal shape of the human PRC
-// (Czeisler et al., 1989; Khalsa et al., 2003).
-//
-// Biological basis:
-//   The human PRC for bright light is approximately sinusoidal with:
-//   — a zero-crossing at the core body temperature minimum (CBT_min, ≈ 7π/4)
-//   — maximum delay sensitivity in the early subjective night
-//   — maximum advance sensitivity in the late subjective night / early morning
-//
-// Piecewise form (Option B fix — biologically defensible):
-//
-//   ADVANCE tail [0, prcAdvanceZoneEnd):
-//     K(φ) = K_base · sin(prcAdvanceZoneEnd − φ)
-//     Gain declines from sin(π/6) ≈ 0.5 at φ=0 toward 0 at the dead-zone
-//     boundary (φ = π/6). This is a pragmatic smoothing to avoid the dead
-//     ADVANCE region — it is NOT biologically anchored to CBT_min.
-//
-//   Night phase (π, 2π):
-//     K(φ) = K_base · max(0, sin(φ − π))
-//     Smooth sinusoidal envelope over the delay [4π/3, 7π/4) and the main
-//     advance [7π/4, 2π) zones. Peaks at φ = 3π/2 (RESET midpoint).
-//
-//   All other phases [prcAdvanceZoneEnd, π] → K(φ) = 0 (dead zone, daytime).
-//
-// Continuity properties:
-//   φ = π  → both sides give K = 0  (smooth, no cliff — T13 verified)
-//   φ = 0 / 2π → deliberate gain gate: night-side formula gives K=0 at 2π
-//                 while advance-tail formula gives K>0 at 0⁺.
-//                 This models the abrupt gating at CBT_max and is documented in T13.
-//
-// Bounded by construction: |sin(·)| ≤ 1, K_base ≤ 1 → K(φ) ∈ [0, 1].
-
 /**
- * Compute the phase-dependent correction gain for photic entrainment.
- *
- * Piecewise: advance tail [0, prcAdvanceZoneEnd) uses sin(prcAdvanceZoneEnd − φ);
- * night phase (π, 2π) uses max(0, sin(φ − π)).
- *
- * @param {number} phi   — current circadian phase (radians)
- * @param {number} kBase — baseline light gain from config (correctionGain.light)
- * @returns {number} — effective gain in [0, kBase]
+ * Direction of a signed phase shift (+ = advance).
+ * @param {number} delta
+ * @returns {'ADVANCE'|'DELAY'|'DEAD_ZONE'}
  */
-function lightPhaseGain(phi, kBase) {
-  const w = wrapPhase(phi);
-  const { prcAdvanceZoneEnd } = _config; // π/6
-
-  // ADVANCE tail [0, prcAdvanceZoneEnd): wrap-around ADVANCE tail — pragmatic
-  // smoothing to avoid dead ADVANCE region, not biologically anchored to CBT_min.
-  // Gain declines from ~0.5·kBase at φ=0 to 0 at the dead-zone boundary (π/6).
-  // KNOWN_LIMITATION: deliberate wrap-gate discontinuity at the 2π/0 boundary
-  // (cliff ≈ 0.30) may produce different correction magnitudes for numerically
-  // equivalent phases near 0 and 2π — documented in T13 and VALIDATION_SUMMARY.
-  if (w < prcAdvanceZoneEnd) {
-    return kBase * Math.sin(prcAdvanceZoneEnd - w);
-  }
-
-  // Night phase (π, 2π): smooth sinusoidal envelope over delay and advance zones.
-  // sin(φ − π) > 0 for φ ∈ (π, 2π); clamped to 0 for daytime/dead-zone phases.
-  return kBase * Math.max(0, Math.sin(w - Math.PI));
+function shiftDirection(delta) {
+  return delta > 0 ? 'ADVANCE' : delta < 0 ? 'DELAY' : 'DEAD_ZONE';
 }
 
 // ─── Entrainment observation helpers ─────────────────────────────────────
@@ -351,303 +534,3008 @@ function sleepPhaseObservation(onsetMs, offsetMs) {
   return wrapPhase((7 * Math.PI) / 4 + durationDeviation * (Math.PI / 8));
 }
 
-/**
- * Derive an observed phase and effective Kalman gain from caffeine intake.
- * Caffeine nudges the alertness anchor toward BALANCE (≈ 3π/4).
- * Effectiveness decays with caffeine pharmacological half-life.
- *
- * @param {number} caffeineMs — time of intake (ms since epoch)
- * @param {number} nowMs      — current evaluation time (ms since epoch)
- * @returns {{ phiObserved: number, effectiveK: number }}
- */
-function caffeinePhaseObservation(caffeineMs, nowMs) {
-  const hoursElapsed   = (nowMs - caffeineMs) / 3600000;
-  // Exponential decay with configured half-life.
-  const effectiveness  = Math.exp(-Math.LN2 * hoursElapsed / _config.caffeineHalfLifeHours);
-  const target         = (3 * Math.PI) / 4; // BALANCE midpoint
-  return { phiObserved: target, effectiveK: _config.correctionGain.caffeine * effectiveness };
-}
-
-// ─── Clock–phase coordinate mapping ──────────────────────────────────────
+// ─── State snapshot schema ────────────────────────────────────────────────
 //
-// anchor() establishes a bijection between civil clock time and circadian phase.
-// After calling anchor(), clockToPhase() and phaseToClockHour() convert between
-// the two coordinate systems using the current ω.
+// exportState() / importState() exchange a plain JSON document so that a
+// subject's reconstructed phase can be persisted and resumed after a restart.
 //
-// Biological basis: DLMO (CT14) and CBT_min (CT21) are the two population-mean
-// anchors most suitable for tying endogenous phase to clock time.  Callers
-// should pass the clinically appropriate phase for their anchor event.
-
-/**
- * Tie internal circadian phase to civil clock time.
- * Sets state.phaseRadians, state.referenceClockHour, state.referenceEpochMs,
- * and state.lastUpdateMs to timestampMs.  Confidence is not changed.
- *
- * @param {number} phaseRadians  — circadian phase to assign (radians)
- * @param {number} clockHour     — civil clock hour for that phase (0–23.9…)
- * @param {number} timestampMs   — wall-clock time of the anchor (ms since epoch)
- */
-function anchor(phaseRadians, clockHour, timestampMs) {
-  _state = {
-    ..._state,
-    phaseRadians:       wrapPhase(phaseRadians),
-    referenceClockHour: clockHour,
-    referenceEpochMs:   timestampMs,
-    lastUpdateMs:       timestampMs,
-  };
-}
+// Version history:
+//   0 — unversioned _internal.getState() shape (phase, confidence,
+//       lastUpdateMs, optional anchor fields; no config copy).
+//   1 — adds schemaVersion and a copy of the active config.
+//   2 — adds oscillator ({ x, xc, n } under Kronauer dynamics, otherwise null).
+//   3 — adds photicResponse (light-episode responsiveness r ∈ [0, 1]).
+//   4 — adds particles ({ phases, weights, rngState } under the particle
+//       filter, otherwise null).
+//   5 — adds sleepPressure (Process S) and asleepUntilMs (end of a sleep
+//       episode still in progress at lastUpdateMs, or null).
+//   6 — adds peripheralPhase (meal-entrained peripheral clock, or null
+//       before the first meal).
+//
+// Older documents are migrated forward one version at a time by
+// STATE_MIGRATIONS[n], which maps a version-n document to version n + 1.
+
+const STATE_SCHEMA_VERSION = 6;
+
+// Version of the exportLog() / importLog() document.
+//   1 — update / anchor records.
+//   2 — adds amend / retract records (targetId = seq of the amended input).
+//   3 — adds compacted (inputs were folded into genesis, see compactLog());
+//       seq numbers keep their gaps once folded records are dropped.
+const INPUT_LOG_SCHEMA_VERSION = 3;
+
+// Timeline checkpoints keep a state snapshot every CHECKPOINT_INTERVAL
+// inputs (and after the latest one); the states between are replayed on
+// demand, so the particle sets of every input are not held at once.
+const CHECKPOINT_INTERVAL = 32;
+
+// Process S before any sleep input: midway between the thresholds' means,
+// i.e. no information about time awake.
+const INITIAL_SLEEP_PRESSURE = 0.5;
+
+const STATE_MIGRATIONS = {
+  0: (doc) => ({
+    schemaVersion:      1,
+    phaseRadians:       doc.phaseRadians,
+    confidence:         doc.confidence,
+    lastUpdateMs:       doc.lastUpdateMs,
+    referenceEpochMs:   doc.referenceEpochMs   ?? null,
+    referenceClockHour: doc.referenceClockHour ?? null,
+    // v0 carried no config; the defaults were the only config in use.
+    config:             cloneConfig(DEFAULT_CONFIG),
+  }),
+  // v1 predates Kronauer dynamics; the rotation model keeps no oscillator state.
+  1: (doc) => ({ ...doc, schemaVersion: 2, oscillator: null }),
+  // v2 predates light episodes; responsiveness starts fully recovered.
+  2: (doc) => ({ ...doc, schemaVersion: 3, photicResponse: 1 }),
+  // v3 predates the particle filter; particles are seeded on first use.
+  3: (doc) => ({ ...doc, schemaVersion: 4, particles: null }),
+  // v4 predates Process S; sleep pressure starts at its initial value.
+  4: (doc) => ({ ...doc, schemaVersion: 5, sleepPressure: INITIAL_SLEEP_PRESSURE, asleepUntilMs: null }),
+  // v5 predates meal inputs; the peripheral clock is untracked until a meal.
+  5: (doc) => ({ ...doc, schemaVersion: 6, peripheralPhase: null }),
+};
 
 /**
- * Convert a civil clock hour to circadian phase, relative to the established anchor.
- * Requires anchor() to have been called.
+ * Migrate a snapshot document forward to STATE_SCHEMA_VERSION.
+ * A missing schemaVersion is treated as version 0.
  *
- * @param {number} clockHour — civil time (hours; may be negative or > 24)
- * @returns {number} — phase in [0, 2π)
+ * @param {object} doc — parsed snapshot document (not mutated)
+ * @param {string} [caller] — name used in error messages
+ * @returns {object} — document at the current schema version
  */
-function clockToPhase(clockHour) {
-  return wrapPhase(_state.phaseRadians + getOmega() * (clockHour - _state.referenceClockHour));
+function migrateSnapshot(doc, caller = 'importState') {
+  let version = doc.schemaVersion ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`${caller}: invalid schemaVersion "${doc.schemaVersion}"`);
+  }
+  if (version > STATE_SCHEMA_VERSION) {
+    throw new Error(`${caller}: schemaVersion ${version} is newer than supported (${STATE_SCHEMA_VERSION})`);
+  }
+  let out = doc;
+  while (version < STATE_SCHEMA_VERSION) {
+    out = STATE_MIGRATIONS[version](out);
+    version++;
+  }
+  return out;
 }
 
 /**
- * Convert a circadian phase to the corresponding civil clock hour.
- * Requires anchor() to have been called.
- *
- * @param {number} phi — circadian phase (radians, any range)
- * @returns {number} — civil clock hour (may be outside [0, 24); caller normalises)
+ * Validate a current-version snapshot document. Throws on the first problem.
+ * @param {object} doc
+ * @param {string} [caller] — name used in error messages
  */
-function phaseToClockHour(phi) {
-  const deltaPhi = shortestArc(wrapPhase(phi) - _state.phaseRadians);
-  return _state.referenceClockHour + deltaPhi / getOmega();
+function validateSnapshot(doc, caller = 'importState') {
+  const isFiniteOrNull = (v) => v === null || Number.isFinite(v);
+  if (!Number.isFinite(doc.phaseRadians)) {
+    throw new Error(`${caller}: phaseRadians must be a finite number`);
+  }
+  if (!Number.isFinite(doc.confidence) || doc.confidence < 0 || doc.confidence > 1) {
+    throw new Error(`${caller}: confidence must be a number in [0, 1]`);
+  }
+  if (!Number.isFinite(doc.lastUpdateMs)) {
+    throw new Error(`${caller}: lastUpdateMs must be a finite number (ms since epoch)`);
+  }
+  if (!isFiniteOrNull(doc.referenceEpochMs) || !isFiniteOrNull(doc.referenceClockHour)) {
+    throw new Error(`${caller}: anchor fields must be finite numbers or null`);
+  }
+  if (doc.config == null || typeof doc.config !== 'object') {
+    throw new Error(`${caller}: config must be an object`);
+  }
+  if (doc.config.tauHours != null && !(doc.config.tauHours > 0)) {
+    throw new Error(`${caller}: config.tauHours must be positive`);
+  }
+  if (!Number.isFinite(doc.photicResponse) || doc.photicResponse < 0 || doc.photicResponse > 1) {
+    throw new Error(`${caller}: photicResponse must be a number in [0, 1]`);
+  }
+  const osc = doc.oscillator;
+  if (osc !== null && (osc == null || typeof osc !== 'object' ||
+      ![osc.x, osc.xc, osc.n].every(Number.isFinite))) {
+    throw new Error(`${caller}: oscillator must be null or { x, xc, n } with finite values`);
+  }
+  if (doc.particles !== null) particleFilter.validateParticles(doc.particles, caller);
+  if (!Number.isFinite(doc.sleepPressure) || doc.sleepPressure < 0 || doc.sleepPressure > 1) {
+    throw new Error(`${caller}: sleepPressure must be a number in [0, 1]`);
+  }
+  if (!isFiniteOrNull(doc.asleepUntilMs)) {
+    throw new Error(`${caller}: asleepUntilMs must be a finite number or null`);
+  }
+  if (!isFiniteOrNull(doc.peripheralPhase)) {
+    throw new Error(`${caller}: peripheralPhase must be a finite number or null`);
+  }
 }
 
-// ─── Public API ───────────────────────────────────────────────────────────
+// ─── Engine factory ───────────────────────────────────────────────────────
+//
+// Every piece of mutable model state (phase, confidence, anchor, config, and
+// the PRC models and compounds registered on it) lives inside an engine
+// instance created by createEngine().  Instances share no state, so one
+// process can hold any number of independent subjects.  The
+// module-level exports below delegate to a single default instance so that
+// existing callers keep working unchanged.
 
 /**
- * Get the current circadian phase by propagating from the last known state.
- * Includes predicted phase-boundary crossing times for the next 24 h.
+ * Create an isolated circadian phase engine.
  *
- * @param {number} [timestamp=Date.now()] — evaluation time (ms since epoch)
- * @returns {{ phaseRadians, phaseLabel, confidence, predictedTransitions }}
+ * @param {{
+ *   config?: Partial<typeof DEFAULT_CONFIG>,  — overrides merged onto the defaults
+ *   state?:  object,                         — initial state fields (phaseRadians,
+ *                                              confidence, lastUpdateMs, anchor fields),
+ *                                              migrated and checked as by importState()
+ *   prcModels?: Object<string, object>,     — PRC models to register (see registerPRC())
+ *   compounds?: object[]                     — compound definitions to register
+ * }} [options]
+ * @returns {object} — engine exposing the same API as the module exports
  */
-function getCurrentPhase(timestamp = Date.now()) {
-  const deltaHours  = (timestamp - _state.lastUpdateMs) / 3600000;
-  const phaseRadians = propagatePhase(_state.phaseRadians, deltaHours);
-  const confidence   = decayConfidence(_state.confidence, deltaHours);
+function createEngine(options = {}) {
+  // PRC models and compounds: the shared built-ins plus this engine's own.
+  const _prcs      = prcRegistry.createPRCRegistry();
+  const _compounds = compoundRegistry.createCompoundRegistry();
+  for (const [name, model] of Object.entries(options.prcModels || {})) _prcs.registerPRC(name, model);
+  (options.compounds || []).forEach(_compounds.registerCompound);
+
+  let _config = mergeConfig(cloneConfig(DEFAULT_CONFIG), options.config || {}, 'setConfig', _prcs);
+
+  // ─── State ──────────────────────────────────────────────────────────────
+
+  let _state = {
+    phaseRadians:       0,          // φ₀ — reference phase (radians)
+    confidence:         0.5,        // C₀ — initial confidence [0, 1]
+    lastUpdateMs:       Date.now(), // timestamp of last state write (ms since epoch)
+    referenceEpochMs:   null,       // wall-clock anchor (ms) — set by anchor()
+    referenceClockHour: null,       // civil clock hour tied to phaseRadians — set by anchor()
+    oscillator:         null,       // { x, xc, n } at lastUpdateMs — Kronauer dynamics only
+    photicResponse:     1,          // light-episode responsiveness r at lastUpdateMs [0, 1]
+    particles:          null,       // { phases, weights, rngState } at lastUpdateMs — particle filter only
+    sleepPressure:      INITIAL_SLEEP_PRESSURE, // Process S at lastUpdateMs [0, 1]
+    asleepUntilMs:      null,       // end of a sleep episode in progress at lastUpdateMs
+    peripheralPhase:    null,       // peripheral clock θ at lastUpdateMs — null until a meal is logged
+  };
+  // Initial fields go through the snapshot migration and checks; fields they
+  // omit keep the values above.
+  if (options.state != null) {
+    if (typeof options.state !== 'object') throw new Error('createEngine: state must be an object');
+    const current = migrateSnapshot({ schemaVersion: STATE_SCHEMA_VERSION, ..._state, ...options.state }, 'createEngine');
+    validateSnapshot({ ...current, config: _config }, 'createEngine');
+    _state = snapshotState(current);
+  }
 
-  return {
-    phaseRadians,
-    phaseLabel: labelFromPhase(phaseRadians),
-    confidence: Math.round(confidence * 1000) / 1000,
-    predictedTransitions: _computeTransitions(phaseRadians, timestamp, 24),
+  // ─── Input log ──────────────────────────────────────────────────────────
+  //
+  // Append-only record of every input applied through update() and anchor(),
+  // each with its resolved timestamp and the config active at the time
+  // (records logged under the same config share one frozen copy).  _genesis
+  // is the snapshot the log starts from; replaying the log from _genesis
+  // reproduces the engine state at any past timestamp.
+
+  let _log       = [];
+  let _nextSeq   = 0;      // seq of the next record (the next inputId)
+  let _timeline  = [];
+  let _genesis   = exportState();
+  let _compacted = false;  // true once inputs have been folded into _genesis
+  let _logConfig = null;   // { key, config } — config shared by the latest records
+  let _replayed  = null;   // { index, state } — last state replayed by stateAfter()
+  // Sleep episodes of the effective history (see advanceSleepPressure()).
+  let _sleepLog = [];
+  // Inputs of the effective history applied in the step that holds them
+  // (see applyEntry()), each list kept in the order given here.
+  const TIMED_ORDER = {
+    meals:    (a, b) => a - b,                               // meal times
+    light:    (a, b) => a.startMs - b.startMs,               // light episodes
+    intakes:  (a, b) => a.timestampMs - b.timestampMs,       // phaseIntakes()
+    exercise: (a, b) => boutMidpoint(a) - boutMidpoint(b),   // exercise bouts
   };
-}
+  let _timedLog = { meals: [], light: [], intakes: [], exercise: [] };
 
-/**
- * Feed new entrainment inputs and apply gain-weighted phase correction to model state.
- * Light correction uses the Phase Response Curve (see prcDelta()).
- *
- * @param {{
- *   sleepOnset?:        number,   — ms since epoch
- *   sleepOffset?:       number,   — ms since epoch
- *   lightLux?:          number,   — lux
- *   caffeineTimestamp?: number,   — ms since epoch
- *   timestamp?:         number    — override for 'now' (ms since epoch)
- * }} inputs
- * @returns {{ phaseRadians, confidence, correctionApplied }}
- */
-function update(inputs = {}) {
-  const nowMs      = inputs.timestamp || Date.now();
-  const deltaHours = (nowMs - _state.lastUpdateMs) / 3600000;
-
-  // Step 1: propagate prior state to current time.
-  let phi  = propagatePhase(_state.phaseRadians, deltaHours);
-  let conf = decayConfidence(_state.confidence, deltaHours);
-  const correctionApplied = [];
-
-  // Step 2: sleep entrainment (highest reliability).
-  if (inputs.sleepOnset != null && inputs.sleepOffset != null) {
-    const phiObs = sleepPhaseObservation(inputs.sleepOnset, inputs.sleepOffset);
-    const K      = _config.correctionGain.sleep;
-    phi  = gainWeightedPhaseCorrect(phi, phiObs, K);
-    conf = Math.min(1.0, conf + K * (1 - conf));
-    correctionApplied.push({ source: 'sleep', K, phiObserved: phiObs });
-  }
-
-  // Step 3: photic entrainment via PRC with phase-dependent gain K(φ).
-  // Direction (advance / delay / dead zone) is determined by prcDelta().
-  // Magnitude is scaled by lightPhaseGain(φ), which follows a sinusoidal
-  // approximation of the human PRC amplitude (Czeisler et al., 1989).
-  if (inputs.lightLux != null) {
-    const { deltaRad, direction } = prcDelta(phi, inputs.lightLux);
-    if (direction !== 'DEAD_ZONE') {
-      // Phase-dependent gain: see lightPhaseGain(). Positive in ADVANCE tail [0,π/6)
-      // and night phase (π,2π); zero in dead zone [π/6,π].
-      const K = lightPhaseGain(phi, _config.correctionGain.light);
-      if (K > 0) {
-        phi  = wrapPhase(phi + K * deltaRad);
-        conf = Math.min(1.0, conf + K * (1 - conf));
-      }
-      // Always log the attempt so callers can inspect K(φ) value.
-      correctionApplied.push({ source: 'light_prc', direction, K, deltaRad });
-    }
+  // ─── Configuration API ──────────────────────────────────────────────────
+
+  /**
+   * Return a shallow copy of the current configuration.
+   * correctionGain sub-object is also cloned.
+   * @returns {object}
+   */
+  function getConfig() {
+    return cloneConfig(_config);
   }
 
-  // Step 4: caffeine phase cue.
-  if (inputs.caffeineTimestamp != null) {
-    const { phiObserved, effectiveK } = caffeinePhaseObservation(inputs.caffeineTimestamp, nowMs);
-    phi  = gainWeightedPhaseCorrect(phi, phiObserved, effectiveK);
-    conf = Math.min(1.0, conf + effectiveK * (1 - conf));
-    correctionApplied.push({ source: 'caffeine', K: effectiveK, phiObserved });
+  /**
+   * Merge parameter overrides into the current configuration.
+   * Only known keys are accepted; unknown keys are silently ignored.
+   *
+   * @param {Partial<typeof DEFAULT_CONFIG>} overrides
+   */
+  function setConfig(overrides) {
+    mergeConfig(_config, overrides, 'setConfig', _prcs);
   }
 
-  _state = { phaseRadians: phi, confidence: conf, lastUpdateMs: nowMs };
+  // ─── Registries ─────────────────────────────────────────────────────────
+  //
+  // Registrations are made on this engine only; other engines keep seeing
+  // just the built-ins and their own.  A registered name cannot be removed,
+  // and the built-in names cannot be replaced.
+
+  /**
+   * Register a PRC shape under a name usable as config.prcModel.
+   *
+   * @param {string} name
+   * @param {{
+   *   shiftHours:  (phi: number, config: object) => number,  — shift at saturating light (h, + = advance)
+   *   phaseGain?:  boolean,   — true → the engine also applies lightPhaseGain(φ)
+   *   description?: string
+   * }} model
+   */
+  function registerPRC(name, model) {
+    _prcs.registerPRC(name, model);
+  }
 
-  return {
-    phaseRadians: phi,
-    confidence:   Math.round(conf * 1000) / 1000,
-    correctionApplied,
-  };
-}
+  /** Names of the PRC models selectable on this engine. */
+  function listPRCs() {
+    return _prcs.listPRCs();
+  }
 
-/**
- * Project the circadian phase trajectory forward in time.
- * One sample per hour over the requested window.
- *
- * @param {number} hoursAhead     — projection horizon (hours)
- * @param {number} [fromMs=Date.now()] — projection origin (ms since epoch)
- * @returns {Array<{ timestamp, phaseRadians, phaseLabel, confidence }>}
- */
-function project(hoursAhead, fromMs = Date.now()) {
-  const nowDelta = (fromMs - _state.lastUpdateMs) / 3600000;
-  const phiNow   = propagatePhase(_state.phaseRadians, nowDelta);
-  const confNow  = decayConfidence(_state.confidence, nowDelta);
-
-  const results = [];
-  for (let h = 0; h <= hoursAhead; h++) {
-    results.push({
-      timestamp:    fromMs + h * 3600000,
-      phaseRadians: propagatePhase(phiNow, h),
-      phaseLabel:   labelFromPhase(propagatePhase(phiNow, h)),
-      confidence:   Math.round(decayConfidence(confNow, h) * 1000) / 1000,
+  /**
+   * Register a compound for update({ compound, doseMg, timestampMs }).
+   * @param {object} def — definition (see compound_registry.js)
+   */
+  function registerCompound(def) {
+    _compounds.registerCompound(def);
+  }
+
+  /** Names of the compounds accepted by this engine. */
+  function listCompounds() {
+    return _compounds.listCompounds();
+  }
+
+  /**
+   * Register compounds from a JSON file or a directory of them.  Nothing is
+   * registered if any definition is invalid.
+   * @param {string} source — file or directory path
+   * @returns {string[]} — names registered
+   */
+  function loadCompounds(source) {
+    return _compounds.loadCompounds(source);
+  }
+
+  /**
+   * A scratch engine at a checkpoint, with this engine's registrations so a
+   * recorded config can select a registered PRC model.
+   * @param {{ config, state }} cp
+   */
+  function scratchEngine(cp) {
+    const builtinPRCs      = prcRegistry.listPRCs();
+    const builtinCompounds = compoundRegistry.listCompounds();
+    return createEngine({
+      config:    cp.config,
+      state:     cp.state,
+      prcModels: Object.fromEntries(_prcs.listPRCs()
+        .filter(name => !builtinPRCs.includes(name))
+        .map(name => [name, _prcs.getPRC(name)])),
+      compounds: _compounds.listCompounds()
+        .filter(name => !builtinCompounds.includes(name))
+        .map(name => _compounds.getCompound(name)),
     });
   }
-  return results;
-}
 
-/**
- * Simulate a circadian shift (jet-lag, shift work, etc.).
- * Compares the baseline free-running trajectory to a shifted trajectory and
- * returns the residual phase offset at the end of the adaptation window.
- *
- * @param {{
- *   shiftHours?:  number,   — schedule shift (+advance, −delay)
- *   daysToAdapt?: number,   — evaluation window (default: 7 days)
- *   fromMs?:      number    — simulation start (ms since epoch)
- * }} params
- * @returns {{ baseline, shifted, deltaPhaseHours }}
- */
-function simulateShift(params = {}) {
-  const { shiftHours = 0, daysToAdapt = 7, fromMs = Date.now() } = params;
-  const horizon  = daysToAdapt * 24;
-
-  // Baseline: unperturbed free-running.
-  const baseline = project(horizon, fromMs);
-
-  // Shifted: phase immediately offset by shiftHours × ω.
-  const nowDelta     = (fromMs - _state.lastUpdateMs) / 3600000;
-  const shiftRadians = wrapPhase(getOmega() * shiftHours);
-  const phiShifted   = wrapPhase(propagatePhase(_state.phaseRadians, nowDelta) + shiftRadians);
-  const confNow      = decayConfidence(_state.confidence, nowDelta);
-
-  const shifted = [];
-  for (let h = 0; h <= horizon; h++) {
-    const phi  = propagatePhase(phiShifted, h);
-    const conf = decayConfidence(confNow, h);
-    shifted.push({
-      timestamp:    fromMs + h * 3600000,
+  // ─── Derived constants (computed from config at call time) ─────────────────
+  //
+  // ω = 2π / τ. Not a top-level const so it reflects config changes.
+
+  /** Angular velocity of the free-running oscillator (rad h⁻¹). */
+  function getOmega() { return (2 * Math.PI) / _config.tauHours; }
+
+  /**
+   * Propagate phase forward by Δt hours under free-running dynamics.
+   *   φ(t) = φ₀ + ω · Δt   (mod 2π)
+   * where ω = 2π/τ.
+   *
+   * @param {number} phi0       — phase at reference time (radians)
+   * @param {number} deltaHours — elapsed time (hours, may be fractional)
+   * @returns {number} — propagated phase in [0, 2π)
+   */
+  function propagatePhase(phi0, deltaHours) {
+    // First-order integration: without zeitgebers, phase advances at ω.
+    return wrapPhase(phi0 + getOmega() * deltaHours);
+  }
+
+  /**
+   * Compute decayed confidence.
+   *   C(t) = C₀ · e^(−λ · Δt)
+   * Under the von Mises and particle filters the decay is phase diffusion instead:
+   *   R(t) = R₀ · e^(−q · Δt / 2),  q = (phaseDiffusionHours · ω)² / 24
+   *
+   * @param {number} c0         — confidence at last update [0, 1]
+   * @param {number} deltaHours — hours elapsed since last update
+   * @returns {number} — decayed confidence [0, 1]
+   */
+  function decayConfidence(c0, deltaHours) {
+    if (_config.filter !== 'gain') return addPhaseVariance(c0, phaseDiffusionRate() * deltaHours);
+    return c0 * Math.exp(-_config.lambda * deltaHours);
+  }
+
+  // ─── Phase filter (config.filter = 'vonmises') ───────────────────────────
+  //
+  // The posterior is VM(φ, κ) with confidence = R = A(κ).  Propagation adds
+  // diffusion variance; sleep and caffeine are observations fused exactly
+  // (product of von Mises densities), so their gain follows from κ_prior and
+  // κ_obs; light is a control input whose shift is applied in full and whose
+  // uncertainty widens the posterior.  See von_mises.js.
+
+  function isVonMises() { return _config.filter === 'vonmises'; }
+
+  /** Process noise q (rad² h⁻¹). */
+  function phaseDiffusionRate() {
+    return (_config.phaseDiffusionHours * getOmega()) ** 2 / 24;
+  }
+
+  /**
+   * Widen a posterior by an independent phase variance: R · e^(−σ²/2).
+   * @param {number} conf     — R [0, 1]
+   * @param {number} variance — added variance (rad²)
+   * @returns {number}
+   */
+  function addPhaseVariance(conf, variance) {
+    return conf * Math.exp(-variance / 2);
+  }
+
+  /**
+   * Observation concentration for a source (observationNoiseHours → κ).
+   * @param {'sleep'|'caffeine'} source
+   * @returns {number}
+   */
+  function observationKappa(source) {
+    return vonMises.kappaFromSD(_config.observationNoiseHours[source] * getOmega());
+  }
+
+  /**
+   * von Mises observation update.
+   * @param {number} phi      — prior mean (radians)
+   * @param {number} conf     — prior R
+   * @param {number} phiObs   — observed phase (radians)
+   * @param {number} kappaObs — observation concentration
+   * @returns {{ phi, conf, K }} — posterior mean and R; K is the effective gain
+   *   (fraction of the innovation applied), for reporting
+   */
+  function vonMisesCorrect(phi, conf, phiObs, kappaObs) {
+    const post       = vonMises.fuse(phi, vonMises.kappaFromR(conf), phiObs, kappaObs);
+    const innovation = shortestArc(phiObs - phi);
+    return {
+      phi:  wrapPhase(post.mu),
+      conf: vonMises.meanResultantLength(post.kappa),
+      K:    innovation !== 0 ? shortestArc(post.mu - phi) / innovation : 0,
+    };
+  }
+
+  /** Variance (rad²) of a light-driven shift Δφ under the von Mises filter. */
+  function lightShiftVariance(deltaRad) {
+    return (_config.lightShiftNoiseFraction * deltaRad) ** 2;
+  }
+
+  /**
+   * Base gain on the light PRC: correctionGain.light, or 1 under the von Mises
+   * and particle filters, where the shift is applied in full and its
+   * reliability enters as variance.
+   */
+  function lightGainBase() {
+    return _config.filter === 'gain' ? _config.correctionGain.light : 1;
+  }
+
+  // ─── Particle filter (config.filter = 'particle') ─────────────────────────
+  //
+  // The posterior is the particle set in _state.particles, with phaseRadians
+  // and confidence holding its weighted circular mean and mean resultant
+  // length.  Each update moves every particle through the dynamics with
+  // diffusion noise and a noisy, phase-dependent light shift, then reweights
+  // by the von Mises likelihood of each observation and resamples when the
+  // effective sample size falls below particleResampleThreshold.  Reads
+  // (getCurrentPhase, project) leave the particles in place and apply the
+  // drift and diffusion analytically.
+
+  function isParticle() { return _config.filter === 'particle'; }
+
+  /**
+   * Particle set at lastUpdateMs.  Seeded from VM(phaseRadians, κ(confidence))
+   * when absent (fresh engine, filter just switched, direct phase write) or
+   * when particleCount has changed.
+   */
+  function currentParticles() {
+    const p = _state.particles;
+    if (p && p.phases.length === _config.particleCount) return p;
+    return particleFilter.initialise(_state.phaseRadians, vonMises.kappaFromR(_state.confidence),
+      _config.particleCount, _config.particleSeed);
+  }
+
+  /**
+   * Move particles over Δt hours: move(φ) (free-running rotation by default)
+   * plus diffusion noise with variance q·Δt.
+   * @param {object} p
+   * @param {number} deltaHours
+   * @param {(phi: number, rng: object) => number} [move]
+   * @returns {object} — new particle set
+   */
+  function propagateParticles(p, deltaHours, move = (phi) => phi + getOmega() * deltaHours) {
+    const sd = Math.sqrt(phaseDiffusionRate() * Math.max(0, deltaHours));
+    return particleFilter.mapPhases(p, (phi, rng) => move(phi, rng) + sd * rng.normal());
+  }
+
+  /**
+   * Posterior summary Δt hours after the particles' time, optionally rotated
+   * by shiftRad.  The particles are not moved: drift is applied to the
+   * summary and diffusion analytically (R scaled as in decayConfidence();
+   * mode kernels widened by q·Δt).
+   * @returns {{ phaseRadians, confidence, modes: Array<{ phaseRadians, weight }> }}
+   */
+  function particleEstimate(p, deltaHours, shiftRad = 0) {
+    const { mean, R } = particleFilter.circularMoments(p);
+    const rot      = getOmega() * deltaHours + shiftRad;
+    const variance = phaseDiffusionRate() * Math.max(0, deltaHours);
+    return {
+      phaseRadians: wrapPhase(mean + rot),
+      confidence:   decayConfidence(R, deltaHours),
+      modes:        particleFilter.findModes(p, variance).map(m => ({
+        phaseRadians: wrapPhase(m.phaseRadians + rot),
+        weight:       Math.round(m.weight * 1000) / 1000,
+      })),
+    };
+  }
+
+  /**
+   * Phase uncertainty in circadian hours: the circular SD implied by
+   * confidence read as R (capped at half a cycle).  Exact under the von Mises
+   * filter; a heuristic reading of confidence under the gain filter.
+   * @param {number} conf
+   * @returns {number} — hours, 2 decimals
+   */
+  function phaseUncertaintyHours(conf) {
+    return Math.round((vonMises.circularSD(conf) / getOmega()) * 100) / 100;
+  }
+
+  /**
+   * Credible arcs around a projected phase.  The filter's uncertainty at the
+   * sample (circular SD from conf) is combined with the error from not knowing
+   * the individual τ, which grows linearly with the hours since the last input:
+   *
+   *   σ² = σ_filter² + (σ_ω · Δt)²,   σ_ω = 2π σ_τ / τ²
+   *
+   * Each arc is ±z σ (wrapped-normal approximation), capped at the whole cycle.
+   * @param {number} phi          — phase at the sample (radians)
+   * @param {number} conf         — filter confidence at the sample (unrounded)
+   * @param {number} elapsedHours — hours since lastUpdateMs
+   * @returns {Array<{ level, halfWidthHours, lowerRadians, upperRadians }>}
+   */
+  function credibleIntervals(phi, conf, elapsedHours) {
+    const sigmaOmega = (2 * Math.PI * _config.tauSDHours) / _config.tauHours ** 2;
+    const sigma = Math.hypot(vonMises.circularSD(conf), sigmaOmega * Math.max(0, elapsedHours));
+    return CREDIBLE_LEVELS.map(({ level, z }) => {
+      const half = Math.min(Math.PI, z * sigma);
+      return {
+        level,
+        halfWidthHours: Math.round((half / getOmega()) * 100) / 100,
+        lowerRadians:   wrapPhase(phi - half),
+        upperRadians:   wrapPhase(phi + half),
+      };
+    });
+  }
+
+  // ─── Two-process model (Process S) ──────────────────────────────────────
+  //
+  // _state.sleepPressure holds S at lastUpdateMs.  Time between inputs counts
+  // as wake except for reported sleep episodes; a sleep episode that has not
+  // ended at the update time continues until asleepUntilMs.  Every episode in
+  // the effective history counts (_sleepLog), not only the one in the input
+  // being applied, so an input logged during the night does not turn the
+  // rest of it into wake; ingest() replays from the onset of a new episode.
+
+  function sleepPressureParams() {
+    return {
+      riseTauHours:  _config.sleepPressureRiseTauHours,
+      decayTauHours: _config.sleepPressureDecayTauHours,
+    };
+  }
+
+  /** Sleep episode of update() inputs, or null. */
+  function sleepEpisode(inputs) {
+    return inputs.sleepOnset != null && inputs.sleepOffset != null
+      ? { startMs: inputs.sleepOnset, endMs: inputs.sleepOffset }
+      : null;
+  }
+
+  /**
+   * Known sleep episodes that reach past lastUpdateMs: the pending one and
+   * those in the effective history.
+   */
+  function knownSleep() {
+    const sleep = _sleepLog.filter(iv => iv.endMs > _state.lastUpdateMs);
+    if (_state.asleepUntilMs != null) sleep.push({ startMs: _state.lastUpdateMs, endMs: _state.asleepUntilMs });
+    return sleep;
+  }
+
+  /**
+   * Process S at nowMs after an update: integrated from lastUpdateMs over the
+   * known sleep episodes and the one in inputs.
+   * @param {object} inputs — update() inputs
+   * @param {number} nowMs
+   * @returns {{ sleepPressure: number, asleepUntilMs: number|null }}
+   */
+  function advanceSleepPressure(inputs, nowMs) {
+    const sleep = knownSleep();
+    const episode = sleepEpisode(inputs);
+    if (episode) sleep.push(episode);
+    const S0 = _state.sleepPressure ?? INITIAL_SLEEP_PRESSURE;
+    const pending = sleep.filter(iv => iv.startMs <= nowMs && iv.endMs > nowMs).map(iv => iv.endMs);
+    return {
+      sleepPressure: twoProcess.integrate(S0, _state.lastUpdateMs, nowMs, sleep, sleepPressureParams()),
+      asleepUntilMs: pending.length > 0 ? Math.max(...pending) : null,
+    };
+  }
+
+  /**
+   * Where twoProcessAt() integrates Process S from: S at lastUpdateMs, and the
+   * known sleep episodes.  A trajectory passes one cursor to every sample, so
+   * each sample integrates on from the one before it.
+   * @returns {{ ms: number, S: number, sleep: Array<{ startMs, endMs }> }}
+   */
+  function twoProcessCursor() {
+    return { ms: _state.lastUpdateMs, S: _state.sleepPressure ?? INITIAL_SLEEP_PRESSURE, sleep: knownSleep() };
+  }
+
+  /**
+   * Two-process summary at a timestamp, given the phase there.  S is not
+   * propagated backwards: before lastUpdateMs it reads as at lastUpdateMs.
+   * @param {number} timestampMs
+   * @param {number} phi — circadian phase at timestampMs
+   * @param {object} [cursor] — from twoProcessCursor(), advanced to timestampMs;
+   *   calls sharing one must come in time order
+   * @returns {{ S, C, upperThreshold, lowerThreshold, sleepPropensity, awake }}
+   */
+  function twoProcessAt(timestampMs, phi, cursor = twoProcessCursor()) {
+    const toMs  = Math.max(timestampMs, _state.lastUpdateMs);
+    const sleep = cursor.sleep;
+    const S = twoProcess.integrate(cursor.S, cursor.ms, toMs, sleep, sleepPressureParams());
+    cursor.ms = toMs;
+    cursor.S  = S;
+    const awake = !sleep.some(iv => iv.startMs <= toMs && toMs < iv.endMs);
+    return twoProcess.summary(S, phi, awake, {
+      upperThreshold:     _config.sleepThresholdUpper,
+      lowerThreshold:     _config.sleepThresholdLower,
+      circadianAmplitude: _config.circadianThresholdAmplitude,
+      cbtMinPhase:        _config.prcCbtMinPhase,
+    });
+  }
+
+  // ─── Peripheral clock (meals) ───────────────────────────────────────────
+  //
+  // _state.peripheralPhase holds the meal-entrained peripheral phase θ at
+  // lastUpdateMs (peripheral_clock.js).  It is null until the first meal, so
+  // subjects who never log meals carry no peripheral estimate.  θ starts on
+  // the central phase and moves only with meals and coupling: light, markers
+  // and anchors correct φ alone.  A meal is applied in the propagation step
+  // that contains it, whichever input reported it (applyEntry()), so a meal
+  // logged late replays the history from the meal time.
+
+  function peripheralParams() {
+    return {
+      mealTargetPhase:           _config.mealTargetPhase,
+      mealPrcAmplitudeHours:     _config.mealPrcAmplitudeHours,
+      peripheralCouplingPerHour: _config.peripheralCouplingPerHour,
+    };
+  }
+
+  /** Meal times (ms) of update() inputs. */
+  function mealTimes(inputs) {
+    return (inputs.meals || []).map(m => m.timestampMs);
+  }
+
+  /**
+   * Peripheral phase at nowMs after an update: advanced from lastUpdateMs
+   * across the meals of the step against the predicted central phase.
+   * @param {number[]} meals — meal times (ms) in (lastUpdateMs, nowMs]
+   * @param {number} nowMs
+   * @returns {{ peripheralPhase: number|null }}
+   */
+  function advancePeripheral(meals, nowMs) {
+    if (_state.peripheralPhase == null && meals.length === 0) return { peripheralPhase: null };
+    const centralAt = ms => propagateState((ms - _state.lastUpdateMs) / 3600000).phaseRadians;
+    const { theta } = peripheralClock.advance(_state.peripheralPhase ?? _state.phaseRadians,
+      _state.lastUpdateMs, nowMs, meals, centralAt, peripheralParams(), getOmega());
+    return { peripheralPhase: theta };
+  }
+
+  /**
+   * Peripheral clock summary at a timestamp, given the central phase there;
+   * null before the first meal.  Like Process S, θ is not propagated
+   * backwards.
+   * @param {number} timestampMs
+   * @param {number} phi — central phase at timestampMs
+   * @returns {{ phaseRadians, internalPhaseAngleHours }|null}
+   */
+  function peripheralAt(timestampMs, phi) {
+    if (_state.peripheralPhase == null) return null;
+    const toMs = Math.max(timestampMs, _state.lastUpdateMs);
+    const centralAt = ms => propagateState((ms - _state.lastUpdateMs) / 3600000).phaseRadians;
+    const { theta } = peripheralClock.advance(_state.peripheralPhase, _state.lastUpdateMs, toMs, [],
+      centralAt, peripheralParams(), getOmega());
+    return peripheralClock.summary(theta, phi, getOmega());
+  }
+
+  // ─── Limit-cycle dynamics (config.dynamics = 'kronauer') ─────────────────
+  //
+  // The oscillator state { x, xc, n } at lastUpdateMs is kept in
+  // _state.oscillator, with _state.phaseRadians holding its phase.  When no
+  // oscillator state exists yet (fresh engine, mode just switched, direct phase
+  // write) it is placed on the dark limit cycle at _state.phaseRadians.
+
+  function isKronauer() { return _config.dynamics === 'kronauer'; }
+
+  /** Oscillator state at lastUpdateMs. */
+  function currentOscillator() {
+    return _state.oscillator
+      || kronauer.stateFromPhase(_state.phaseRadians, kronauer.limitCycleAmplitude(_config.tauHours));
+  }
+
+  /**
+   * Integrate the oscillator over Δt hours of constant illuminance.
+   * @param {{ x, xc, n }} osc
+   * @param {number} deltaHours
+   * @param {number} [lux=0]
+   * @returns {{ x, xc, n }}
+   */
+  function propagateOscillator(osc, deltaHours, lux = 0) {
+    return kronauer.integrate(osc, deltaHours, lux, _config.tauHours);
+  }
+
+  /**
+   * Free-running state Δt hours after lastUpdateMs under the active dynamics.
+   * @param {number} deltaHours
+   * @returns {{ phaseRadians: number, oscillator: object|null }}
+   */
+  function propagateState(deltaHours) {
+    if (!isKronauer()) {
+      return { phaseRadians: propagatePhase(_state.phaseRadians, deltaHours), oscillator: null };
+    }
+    const oscillator = propagateOscillator(currentOscillator(), deltaHours);
+    return { phaseRadians: kronauer.phaseOf(oscillator), oscillator };
+  }
+
+  /**
+   * Build an hourly trajectory sample; amplitude is included under Kronauer dynamics.
+   * @param {number} ts   — sample time (ms since epoch)
+   * @param {number} phi  — phase (radians)
+   * @param {number} conf — confidence [0, 1]
+   * @param {object|null} osc — oscillator state at ts
+   * @param {number} elapsedHours — hours since lastUpdateMs (see credibleIntervals())
+   * @param {object} sleep — twoProcessCursor() shared by the trajectory's samples
+   * @param {Array|null} [modes] — posterior modes (particle filter), reported
+   *   with the phase uncertainty
+   */
+  function trajectorySample(ts, phi, conf, osc, elapsedHours, sleep, modes = null) {
+    return {
+      timestamp:    ts,
       phaseRadians: phi,
       phaseLabel:   labelFromPhase(phi),
       confidence:   Math.round(conf * 1000) / 1000,
-    });
+      credibleIntervals: credibleIntervals(phi, conf, elapsedHours),
+      twoProcess:   twoProcessAt(ts, phi, sleep),
+      ...(osc && { amplitude: kronauer.amplitudeOf(osc) }),
+      ...(modes && { phaseUncertaintyHours: phaseUncertaintyHours(conf), modes }),
+    };
   }
 
-  // Residual delta at end of window (shortest arc, converted to hours).
-  let finalDeltaRad = baseline[baseline.length - 1].phaseRadians
-                    - shifted[shifted.length - 1].phaseRadians;
-  if (finalDeltaRad >  Math.PI) finalDeltaRad -= 2 * Math.PI;
-  if (finalDeltaRad < -Math.PI) finalDeltaRad += 2 * Math.PI;
+  // ─── Phase Response Curve (PRC) ───────────────────────────────────────────
+  //
+  // The PRC describes how a photic stimulus shifts the circadian phase depending
+  // on *when* in the cycle the stimulus occurs (Kronauer et al., 1999; Khalsa
+  // et al., 2003).
+  //
+  // Human type-1 PRC for bright light (simplified first-order approximation):
+  //
+  //   Zone 1 — DELAY (φ ∈ [CT16, CT21)):
+  //     Light during early-to-mid biological night delays the rhythm.
+  //     The pacemaker phase angle decreases (oscillator runs later).
+  //
+  //   Zone 2 — ADVANCE (φ ∈ [CT21, CT24) ∪ [CT0, CT1)):
+  //     Light during late biological night / around CBT_min advances the rhythm.
+  //     The pacemaker phase angle increases (oscillator runs earlier).
+  //
+  //   Zone 3 — DEAD ZONE (all other phases):
+  //     Photic input has negligible effect on the pacemaker.
+  //
+  // CBT_min (core body temperature minimum) is the zero-crossing of the PRC
+  // and occurs near CT21 (≈ 5.497 rad) (Czeisler & Khalsa, 2000).
+  //
+  // Magnitude: scales with illuminance via a saturating exponential.
+  //   sat(E) = 1 − e^(−E / 2000)
+  // Maximum shift: prcMaxShiftHours (default 2 h), expressed in radians as
+  //   maxΔφ = prcMaxShiftHours × ω.
+  //
+  // The zones above are the default 'piecewise' shape.  config.prcModel selects
+  // any shape registered in prc_registry.js; 'fourier' and 'table' are
+  // continuous in φ, with direction following the sign of the shift.
+
+  /**
+   * Illuminance saturation: response approaches max asymptotically above ~2000 lux.
+   *   sat(E) = 1 − e^(−E / 2000),  E = melanopic EDI (lux)
+   * @param {number} edi — melanopic EDI (lux)
+   * @returns {number} — [0, 1)
+   */
+  function photicSaturation(edi) {
+    return 1 - Math.exp(-edi / 2000);
+  }
 
-  return {
-    baseline,
-    shifted,
-    deltaPhaseHours: Math.round((finalDeltaRad / getOmega()) * 100) / 100,
-  };
-}
+  /**
+   * Compute the signed phase correction from a light pulse at circadian phase φ.
+   * Illuminance is melanopic EDI; for daylight (and plain photopic lux inputs,
+   * which are taken as daylight) it equals photopic lux.
+   *
+   * @param {number} phi — current circadian phase (radians)
+   * @param {number} edi — melanopic EDI (lux)
+   * @returns {{ deltaRad: number, direction: 'ADVANCE'|'DELAY'|'DEAD_ZONE' }}
+   */
+  function prcDelta(phi, edi) {
+    if (edi < _config.lightThresholdLux) {
+      return { deltaRad: 0, direction: 'DEAD_ZONE' };
+    }
 
-// ─── Internal helpers ─────────────────────────────────────────────────────
+    const sat = photicSaturation(edi);
 
-/**
- * Compute the next phase-boundary crossings within a look-ahead window.
- * @param {number} phi      — current phase (radians)
- * @param {number} nowMs    — current time (ms since epoch)
- * @param {number} horizonH — look-ahead window (hours)
- * @returns {Array<{ timestamp, phaseLabel, phaseRadians }>}
- */
-function _computeTransitions(phi, nowMs, horizonH) {
-  const transitions = [];
-  for (const seg of PHASE_LABELS) {
-    let deltaRad = seg.min - phi;
-    if (deltaRad < 0) deltaRad += 2 * Math.PI;
-    const hoursToNext = deltaRad / getOmega();
-    if (hoursToNext <= horizonH) {
-      transitions.push({
-        timestamp:    nowMs + hoursToNext * 3600000,
-        phaseLabel:   seg.label,
-        phaseRadians: seg.min,
-      });
+    // Shift at saturating light (circadian hours) → radians.
+    const shiftHours = _prcs.getPRC(_config.prcModel).shiftHours(phi, _config);
+    const deltaRad   = shiftHours * getOmega() * sat;
+
+    if (deltaRad > 0) return { deltaRad, direction: 'ADVANCE' };
+    if (deltaRad < 0) return { deltaRad, direction: 'DELAY' };
+    return { deltaRad: 0, direction: 'DEAD_ZONE' };
+  }
+
+  // ─── Light exposure episodes ──────────────────────────────────────────────
+  //
+  // Episodes ({ startMs, endMs, lux }, or a lux time series converted by
+  // light_exposure.js; illuminance as melanopic EDI) are integrated across the interval since the last
+  // state write.  Under rotation dynamics the PRC acts as a rate:
+  //
+  //   dφ/dt = ω + K(φ) · s(φ) · ω · sat(E) · r / τ_d
+  //   dr/dt = −r / τ_d                (light ≥ lightThresholdLux)
+  //   dr/dt = (1 − r) / τ_r           (darkness)
+  //
+  // so a single episode of duration d starting from r = 1 shifts phase by
+  // ≈ K · s(φ) · ω · sat(E) · (1 − e^(−d/τ_d)) — saturating in both lux and
+  // duration — and consecutive logger samples add up to the same shift as
+  // one continuous episode.  Under Kronauer dynamics the episodes drive the
+  // oscillator through Process L, which has its own photoreceptor depletion.
+
+  // Integration sub-step for lit segments (hours).
+  const LIGHT_STEP_HOURS = 0.1;
+
+  /**
+   * Integrate rotation dynamics with light episodes over [fromMs, toMs].
+   * Episode parts outside the window are ignored.
+   *
+   * @param {number} phi0    — phase at fromMs (radians)
+   * @param {number} r0      — photic responsiveness at fromMs [0, 1]
+   * @param {number} fromMs
+   * @param {number} toMs
+   * @param {Array<{ startMs, endMs, edi }>} episodes — sorted, non-overlapping
+   * @returns {{ phi, photicResponse, deltaRad, doseWeight, gainWeight, litHours }}
+   *   deltaRad   — total light-driven shift relative to free-running
+   *   doseWeight — Σ sat(E) · Δ(1 − r): 1 ≈ one saturating full-dose exposure
+   *   gainWeight — the same, weighted by the correction gain K(φ)
+   */
+  function integrateLightRotation(phi0, r0, fromMs, toMs, episodes) {
+    const { lightDurationTauHours: tauD, lightRecoveryTauHours: tauR } = _config;
+    const omega = getOmega();
+    const prc   = _prcs.getPRC(_config.prcModel);
+    const kBase = lightGainBase();
+
+    let phi = phi0;
+    let r   = r0;
+    let t   = fromMs;
+    let deltaRad = 0, doseWeight = 0, gainWeight = 0, litHours = 0;
+
+    const darkUntil = (untilMs) => {
+      const h = (untilMs - t) / 3600000;
+      if (h <= 0) return;
+      phi += omega * h;
+      r    = 1 - (1 - r) * Math.exp(-h / tauR);
+      t    = untilMs;
+    };
+
+    for (const ep of episodes) {
+      const start = Math.max(ep.startMs, fromMs);
+      const end   = Math.min(ep.endMs, toMs);
+      if (end <= start) continue;
+      darkUntil(start);
+      if (ep.edi < _config.lightThresholdLux) { darkUntil(end); continue; }
+
+      const sat   = photicSaturation(ep.edi);
+      const hours = (end - start) / 3600000;
+      const steps = Math.ceil(hours / LIGHT_STEP_HOURS);
+      const h     = hours / steps;
+      const decay = Math.exp(-h / tauD);
+      for (let k = 0; k < steps; k++) {
+        // PRC and gain evaluated at the sub-step midpoint.
+        const phiMid = phi + omega * h / 2;
+        const dose   = sat * r * (1 - decay);
+        const K      = prc.phaseGain ? lightPhaseGain(phiMid, kBase) : kBase;
+        const shift  = K * prc.shiftHours(phiMid, _config) * omega * dose;
+        phi        += omega * h + shift;
+        r          *= decay;
+        deltaRad   += shift;
+        doseWeight += dose;
+        gainWeight += K * dose;
+      }
+      litHours += hours;
+      t = end;
     }
+    darkUntil(toMs);
+
+    return { phi: wrapPhase(phi), photicResponse: r, deltaRad, doseWeight, gainWeight, litHours };
   }
-  transitions.sort((a, b) => a.timestamp - b.timestamp);
-  return transitions;
-}
 
-// ─── Exports ──────────────────────────────────────────────────────────────
+  /**
+   * Photic responsiveness after Δt hours of darkness since lastUpdateMs.
+   * @param {number} deltaHours
+   * @returns {number}
+   */
+  function recoveredPhoticResponse(deltaHours) {
+    const r0 = _state.photicResponse ?? 1;
+    return 1 - (1 - r0) * Math.exp(-deltaHours / _config.lightRecoveryTauHours);
+  }
 
-module.exports = {
-  // Public API (stable interface — do not break).
-  getCurrentPhase,
-  update,
-  project,
-  simulateShift,
-  // Clock–phase coordinate mapping.
-  anchor,
-  clockToPhase,
-  phaseToClockHour,
-  // Configuration API.
-  getConfig,
-  setConfig,
-  // Expose PRC for external analysis / validation.
-  computePRC: prcDelta,
-  // Internal access for unit tests and validation module only.
-  _internal: {
-    propagatePhase,
-    gainWeightedPhaseCorrect,
-    decayConfidence,
-    wrapPhase,
-    shortestArc,
-    labelFromPhase,
-    prcDelta,
-    lightPhaseGain,
-    sleepPhaseObservation,
-    caffeinePhaseObservation,
-    anchor,
-    clockToPhase,
+  /**
+   * Integrate the Kronauer oscillator with light episodes over [fromMs, toMs].
+   * @param {{ x, xc, n }} osc0 — oscillator state at fromMs
+   * @returns {{ osc, dark, litHours }} — end state, and the end state in darkness
+   */
+  function integrateLightKronauer(osc0, fromMs, toMs, episodes) {
+    let osc = osc0;
+    let t   = fromMs;
+    let litHours = 0;
+    for (const ep of episodes) {
+      const start = Math.max(ep.startMs, fromMs);
+      const end   = Math.min(ep.endMs, toMs);
+      if (end <= start) continue;
+      osc = propagateOscillator(osc, (start - t) / 3600000);
+      osc = propagateOscillator(osc, (end - start) / 3600000, ep.edi);
+      litHours += (end - start) / 3600000;
+      t = end;
+    }
+    osc = propagateOscillator(osc, (toMs - t) / 3600000);
+    return { osc, dark: propagateOscillator(osc0, (toMs - fromMs) / 3600000), litHours };
+  }
+
+  // ─── Phase-dependent correction gain for light K(φ) ──────────────────────
+  //
+  // The correction gain for photic entrainment is a phase-dependent function
+  // that approximates the sinusoidal shape of the human PRC
+  // (Czeisler et al., 1989; Khalsa et al., 2003).
+  //
+  // Biological basis:
+  //   The human PRC for bright light is approximately sinusoidal with:
+  //   — a zero-crossing at the core body temperature minimum (CBT_min, ≈ 7π/4)
+  //   — maximum delay sensitivity in the early subjective night
+  //   — maximum advance sensitivity in the late subjective night / early morning
+  //
+  // Piecewise form (Option B fix — biologically defensible):
+  //
+  //   ADVANCE tail [0, prcAdvanceZoneEnd):
+  //     K(φ) = K_base · sin(prcAdvanceZoneEnd − φ)
+  //     Gain declines from sin(π/6) ≈ 0.5 at φ=0 toward 0 at the dead-zone
+  //     boundary (φ = π/6). This is a pragmatic smoothing to avoid the dead
+  //     ADVANCE region — it is NOT biologically anchored to CBT_min.
+  //
+  //   Night phase (π, 2π):
+  //     K(φ) = K_base · max(0, sin(φ − π))
+  //     Smooth sinusoidal envelope over the delay [4π/3, 7π/4) and the main
+  //     advance [7π/4, 2π) zones. Peaks at φ = 3π/2 (RESET midpoint).
+  //
+  //   All other phases [prcAdvanceZoneEnd, π] → K(φ) = 0 (dead zone, daytime).
+  //
+  // Continuity properties:
+  //   φ = π  → both sides give K = 0  (smooth, no cliff — T13 verified)
+  //   φ = 0 / 2π → deliberate gain gate: night-side formula gives K=0 at 2π
+  //                 while advance-tail formula gives K>0 at 0⁺.
+  //                 This models the abrupt gating at CBT_max and is documented in T13.
+  //
+  // Bounded by construction: |sin(·)| ≤ 1, K_base ≤ 1 → K(φ) ∈ [0, 1].
+
+  /**
+   * Compute the phase-dependent correction gain for photic entrainment.
+   *
+   * Piecewise: advance tail [0, prcAdvanceZoneEnd) uses sin(prcAdvanceZoneEnd − φ);
+   * night phase (π, 2π) uses max(0, sin(φ − π)).
+   *
+   * @param {number} phi   — current circadian phase (radians)
+   * @param {number} kBase — baseline light gain from config (correctionGain.light)
+   * @returns {number} — effective gain in [0, kBase]
+   */
+  function lightPhaseGain(phi, kBase) {
+    const w = wrapPhase(phi);
+    const { prcAdvanceZoneEnd } = _config; // π/6
+
+    // ADVANCE tail [0, prcAdvanceZoneEnd): wrap-around ADVANCE tail — pragmatic
+    // smoothing to avoid dead ADVANCE region, not biologically anchored to CBT_min.
+    // Gain declines from ~0.5·kBase at φ=0 to 0 at the dead-zone boundary (π/6).
+    // KNOWN_LIMITATION: deliberate wrap-gate discontinuity at the 2π/0 boundary
+    // (cliff ≈ 0.30) may produce different correction magnitudes for numerically
+    // equivalent phases near 0 and 2π — documented in T13 and VALIDATION_SUMMARY.
+    // Only the 'piecewise' PRC uses this gain; continuous PRC models avoid the cliff.
+    if (w < prcAdvanceZoneEnd) {
+      return kBase * Math.sin(prcAdvanceZoneEnd - w);
+    }
+
+    // Night phase (π, 2π): smooth sinusoidal envelope over delay and advance zones.
+    // sin(φ − π) > 0 for φ ∈ (π, 2π); clamped to 0 for daytime/dead-zone phases.
+    return kBase * Math.max(0, Math.sin(w - Math.PI));
+  }
+
+  // ─── Entrainment observation helpers (config-dependent) ─────────────────
+
+  /**
+   * Caffeine PK parameters for this person: the configured half-life after
+   * modifiers, and body mass.
+   * @returns {{ halfLifeHours: number, bodyMassKg: number }}
+   */
+  function caffeineParameters() {
+    return {
+      halfLifeHours: caffeinePK.halfLifeHours(_config.caffeineHalfLifeHours, _config.caffeineModifiers),
+      bodyMassKg:    _config.bodyMassKg,
+    };
+  }
+
+  /**
+   * Derive an observed phase and effective Kalman gain from caffeine intake
+   * (caffeineResponse 'anchor').  Caffeine nudges the alertness anchor toward
+   * BALANCE (≈ 3π/4).
+   * Effectiveness decays with caffeine pharmacological half-life (after
+   * caffeineModifiers) and, for a logged dose, scales with its peak A1
+   * occupancy relative to caffeineReferenceDoseMg.
+   *
+   * @param {number} caffeineMs — time of intake (ms since epoch)
+   * @param {number} nowMs      — current evaluation time (ms since epoch)
+   * @param {number} [doseMg]   — caffeine dose (mg); reference dose if omitted
+   * @returns {{ phiObserved: number, effectiveK: number, effectiveness: number }}
+   */
+  function caffeinePhaseObservation(caffeineMs, nowMs, doseMg) {
+    const hoursElapsed   = (nowMs - caffeineMs) / 3600000;
+    const params         = caffeineParameters();
+    const doseFactor     = doseMg == null ? 1
+      : caffeinePK.peakOccupancy(doseMg, params) / caffeinePK.peakOccupancy(_config.caffeineReferenceDoseMg, params);
+    // Exponential decay with the person's half-life.
+    const effectiveness  = doseFactor * Math.exp(-Math.LN2 * hoursElapsed / params.halfLifeHours);
+    const target         = (3 * Math.PI) / 4; // BALANCE midpoint
+    return {
+      phiObserved: target,
+      effectiveK:  _config.correctionGain.caffeine * effectiveness,
+      effectiveness,
+    };
+  }
+
+  /**
+   * Caffeine phase response curve (caffeineResponse 'prc', the default): the
+   * shift from a dose taken at phase φ,
+   *
+   *   Δφ = −A · D · sin(φ − φ_null) · ω
+   *
+   * with A = caffeinePrcAmplitudeHours and D the dose's peak A1 occupancy
+   * relative to caffeinePrcDoseMg.  Negative (delay) over the biological
+   * evening and early night, positive (advance) in the late night and morning.
+   *
+   * @param {number} phi      — phase at intake (radians)
+   * @param {number} [doseMg] — caffeine dose (mg); caffeineReferenceDoseMg if omitted
+   * @returns {{ deltaRad: number, direction: 'ADVANCE'|'DELAY'|'DEAD_ZONE', doseMg: number }}
+   */
+  function caffeinePRC(phi, doseMg) {
+    const dose       = doseMg ?? _config.caffeineReferenceDoseMg;
+    const params     = caffeineParameters();
+    const doseFactor = caffeinePK.peakOccupancy(dose, params) / caffeinePK.peakOccupancy(_config.caffeinePrcDoseMg, params);
+    const deltaRad   = sinusoidalPRC(phi, {
+      amplitude: -_config.caffeinePrcAmplitudeHours * doseFactor,
+      nullPhase: _config.caffeinePrcNullPhase,
+    }) * getOmega();
+    return { deltaRad, direction: shiftDirection(deltaRad), doseMg: dose };
+  }
+
+  /**
+   * Exogenous melatonin phase response curve: the shift from a dose taken at
+   * phase φ,
+   *
+   *   Δφ = A_max · dose / (dose + D₅₀) · sin(φ − φ_null) · ω
+   *
+   * Positive (advance) in the afternoon and evening before DLMO, negative
+   * (delay) over the late night and morning.
+   *
+   * @param {number} phi      — phase at intake (radians)
+   * @param {number} [doseMg] — melatonin dose (mg); melatoninReferenceDoseMg if omitted
+   * @returns {{ deltaRad: number, direction: 'ADVANCE'|'DELAY'|'DEAD_ZONE', doseMg: number }}
+   */
+  function melatoninPRC(phi, doseMg) {
+    const dose      = doseMg ?? _config.melatoninReferenceDoseMg;
+    const amplitude = (_config.melatoninPrcMaxHours * dose) / (dose + _config.melatoninPrcHalfDoseMg);
+    const deltaRad  = sinusoidalPRC(phi, { amplitude, nullPhase: _config.melatoninPrcNullPhase }) * getOmega();
+    return { deltaRad, direction: shiftDirection(deltaRad), doseMg: dose };
+  }
+
+  /**
+   * Exercise phase response curve: the shift from a bout whose midpoint falls
+   * at phase φ,
+   *
+   *   Δφ = A_max · L / (L + L₅₀) · sin(φ − φ_null) · ω,   L = intensity · durationMin
+   *
+   * Positive (advance) in the morning and afternoon, negative (delay) in the
+   * evening and early night.  The shift is before correctionGain.exercise.
+   *
+   * @param {number} phi — phase at the bout's midpoint (radians)
+   * @param {{ durationMin: number, intensity: number }} bout
+   * @returns {{ deltaRad: number, direction: 'ADVANCE'|'DELAY'|'DEAD_ZONE', load: number }}
+   */
+  function exercisePRC(phi, bout) {
+    const load      = bout.intensity * bout.durationMin;
+    const amplitude = (_config.exercisePrcMaxHours * load) / (load + _config.exercisePrcHalfLoad);
+    const deltaRad  = sinusoidalPRC(phi, { amplitude, nullPhase: _config.exercisePrcNullPhase }) * getOmega();
+    return { deltaRad, direction: shiftDirection(deltaRad), load };
+  }
+
+  /**
+   * Gain on the exercise PRC: correctionGain.exercise, or 1 under the von
+   * Mises and particle filters, as for light (see lightGainBase()).
+   */
+  function exerciseGain() {
+    return _config.filter === 'gain' ? _config.correctionGain.exercise : 1;
+  }
+
+  /** Midpoint of an exercise bout (ms since epoch). */
+  function boutMidpoint(bout) {
+    return bout.startMs + (bout.durationMin * 60000) / 2;
+  }
+
+  /**
+   * Check a list of exercise bouts. Throws on the first problem.
+   * @param {Array} bouts
+   * @param {number} latestEndMs — no bout may end after it (Infinity: no limit)
+   * @param {string} caller      — name used in error messages
+   */
+  function validateExerciseBouts(bouts, latestEndMs, caller) {
+    if (!Array.isArray(bouts)) {
+      throw new Error(`${caller}: exercise must be an array of { startMs, durationMin, intensity }`);
+    }
+    for (const b of bouts) {
+      if (b == null || !Number.isFinite(b.startMs) || !(b.durationMin > 0) || !Number.isFinite(b.durationMin) ||
+          !(b.intensity > 0 && b.intensity <= 1)) {
+        throw new Error(`${caller}: exercise bouts need a finite startMs, a positive durationMin and an intensity in (0, 1]`);
+      }
+      if (b.startMs + b.durationMin * 60000 > latestEndMs) {
+        throw new Error(`${caller}: exercise bouts must end at or before the update timestamp (${latestEndMs})`);
+      }
+    }
+  }
+
+  /**
+   * Check the dose fields of update() inputs. Throws on the first problem.
+   * @param {object} inputs
+   * @param {number} nowMs  — update timestamp; no intake may follow it
+   * @param {string} caller — name used in error messages
+   */
+  function validateDoseInputs(inputs, nowMs, caller) {
+    for (const [doseKey, timeKey] of Object.entries(DOSE_INPUTS)) {
+      if (inputs[timeKey] != null && (!Number.isFinite(inputs[timeKey]) || inputs[timeKey] > nowMs)) {
+        throw new Error(`${caller}: ${timeKey} must be a finite timestamp at or before the update timestamp (${nowMs})`);
+      }
+      if (inputs[doseKey] == null) continue;
+      if (!(inputs[doseKey] > 0) || !Number.isFinite(inputs[doseKey])) {
+        throw new Error(`${caller}: ${doseKey} must be a positive number`);
+      }
+      if (inputs[timeKey] == null) {
+        throw new Error(`${caller}: ${doseKey} needs a ${timeKey}`);
+      }
+    }
+    if (inputs.compound == null) {
+      if (inputs.doseMg != null || inputs.timestampMs != null) {
+        throw new Error(`${caller}: doseMg and timestampMs need a compound`);
+      }
+      return;
+    }
+    if (!_compounds.listCompounds().includes(inputs.compound)) {
+      throw new Error(`${caller}: unknown compound "${inputs.compound}" (registered: ${_compounds.listCompounds().join(', ')})`);
+    }
+    if (!(inputs.doseMg > 0) || !Number.isFinite(inputs.doseMg)) {
+      throw new Error(`${caller}: compound doseMg must be a positive number`);
+    }
+    if (!Number.isFinite(inputs.timestampMs) || inputs.timestampMs > nowMs) {
+      throw new Error(`${caller}: compound timestampMs must be a finite timestamp at or before the update timestamp (${nowMs})`);
+    }
+  }
+
+  /**
+   * Intakes with a phase effect in update() inputs, in the order step 4
+   * applies them: caffeine, melatonin, then a compound dose whose definition
+   * has a phaseResponse.  Doses default to the reference doses of cfg.
+   * @param {object} inputs
+   * @param {object} [cfg=_config] — config the inputs were logged under
+   * @returns {Array<{ response: 'caffeine'|'melatonin'|object, timestampMs: number,
+   *                   doseMg: number, compound?: string }>}
+   */
+  function phaseIntakes(inputs, cfg = _config) {
+    const intakes = [];
+    if (inputs.caffeineTimestamp != null) {
+      intakes.push({ response: 'caffeine', timestampMs: inputs.caffeineTimestamp,
+                     doseMg: inputs.caffeineMg ?? cfg.caffeineReferenceDoseMg });
+    }
+    if (inputs.melatoninTimestamp != null) {
+      intakes.push({ response: 'melatonin', timestampMs: inputs.melatoninTimestamp,
+                     doseMg: inputs.melatoninMg ?? cfg.melatoninReferenceDoseMg });
+    }
+    if (inputs.compound != null) {
+      const def = _compounds.getCompound(inputs.compound);
+      if (def.phaseResponse != null) {
+        intakes.push({ response: def.phaseResponse, timestampMs: inputs.timestampMs,
+                       doseMg: inputs.doseMg, compound: def.name });
+      }
+    }
+    return intakes;
+  }
+
+  /**
+   * Phase shift of an intake taken at phase φ, through its response: the
+   * caffeine or melatonin PRC, or the compound's own curve.
+   * @param {{ response, doseMg }} intake — from phaseIntakes()
+   * @param {number} phi — phase at intake (radians)
+   * @returns {{ deltaRad: number, direction: 'ADVANCE'|'DELAY'|'DEAD_ZONE', doseMg: number }}
+   */
+  function intakePRC(intake, phi) {
+    if (intake.response === 'caffeine')  return caffeinePRC(phi, intake.doseMg);
+    if (intake.response === 'melatonin') return melatoninPRC(phi, intake.doseMg);
+    const deltaRad = compoundRegistry.phaseShiftHours({ phaseResponse: intake.response }, phi, intake.doseMg) * getOmega();
+    return { deltaRad, direction: shiftDirection(deltaRad), doseMg: intake.doseMg };
+  }
+
+  /** correctionApplied fields naming an intake's shift. */
+  function intakeSource(intake) {
+    return {
+      source: typeof intake.response === 'string' ? `${intake.response}_prc` : 'compound_prc',
+      ...(intake.compound && { compound: intake.compound }),
+    };
+  }
+
+  /**
+   * Local clock at a timestamp.  Once anchor() has tied a clock hour to a
+   * timestamp, the UTC offset is taken from the anchor (whole-day ambiguity
+   * resolved into [−12, 14) h); before that, from config.utcOffsetHours.
+   * @param {number} timestampMs
+   * @returns {{ clockHour: number, weekday: number }} — hour [0, 24), weekday 0 = Sunday
+   */
+  function localClock(timestampMs) {
+    let offsetHours = _config.utcOffsetHours;
+    if (_state.referenceEpochMs != null && _state.referenceClockHour != null) {
+      const utcHour = (((_state.referenceEpochMs % 86400000) + 86400000) % 86400000) / 3600000;
+      offsetHours = ((((_state.referenceClockHour - utcHour) % 24) + 24) % 24);
+      if (offsetHours >= 14) offsetHours -= 24;
+    }
+    const localMs = timestampMs + offsetHours * 3600000;
+    return {
+      clockHour: (((localMs % 86400000) + 86400000) % 86400000) / 3600000,
+      weekday:   new Date(localMs).getUTCDay(),
+    };
+  }
+
+  /**
+   * Clock-aware sleep observation (config.sleepObservation = 'clock').
+   * Midsleep is assumed to fall at midsleepPhaseRadians (phase angle of
+   * entrainment), so the phase observed at the update time is
+   *
+   *   φ_obs = ψ_mid + ω · (t_now − t_mid)
+   *
+   * A sleep from 04:00 therefore observes a phase ≈ 6 h earlier than the same
+   * sleep from 22:00.  Absolute timestamps make midnight rollover implicit.
+   * t_mid is the plain midpoint on free days, capped at onset +
+   * habitualSleepHours / 2 (MSF_sc: recovery sleep does not move it); on work
+   * days the alarm-driven offset is ignored and t_mid = onset +
+   * habitualSleepHours / 2.  The day type comes from inputs.sleepDayType,
+   * else from config.freeDays and the local weekday of the wake-up.
+   *
+   * @param {number} onsetMs   — sleep onset (ms since epoch)
+   * @param {number} offsetMs  — sleep offset / wake time (ms since epoch)
+   * @param {number} nowMs     — update time (ms since epoch)
+   * @param {'work'|'free'} [dayType]
+   * @returns {{ phiObserved, dayType, midsleepMs, onsetClockHour, midsleepClockHour, offsetClockHour }}
+   */
+  function sleepClockObservation(onsetMs, offsetMs, nowMs, dayType) {
+    const wake = localClock(offsetMs);
+    const type = dayType ?? (_config.freeDays.includes(wake.weekday) ? 'free' : 'work');
+    const halfHours = type === 'work'
+      ? _config.habitualSleepHours / 2
+      : Math.min(offsetMs - onsetMs, _config.habitualSleepHours * 3600000) / 7200000;
+    const midsleepMs = onsetMs + halfHours * 3600000;
+    const round2 = (h) => Math.round(h * 100) / 100;
+    return {
+      phiObserved: wrapPhase(_config.midsleepPhaseRadians + getOmega() * (nowMs - midsleepMs) / 3600000),
+      dayType:     type,
+      midsleepMs,
+      onsetClockHour:    round2(localClock(onsetMs).clockHour),
+      midsleepClockHour: round2(localClock(midsleepMs).clockHour),
+      offsetClockHour:   round2(wake.clockHour),
+    };
+  }
+
+  /**
+   * Sleep observation under the configured mode.
+   * @param {object} inputs — update() inputs with sleepOnset and sleepOffset
+   * @param {number} nowMs
+   * @returns {{ phiObserved: number, details: object|null }} — details: the
+   *   clock fields of sleepClockObservation(), null in 'duration' mode
+   */
+  function sleepObservation(inputs, nowMs) {
+    if (_config.sleepObservation === 'duration') {
+      return { phiObserved: sleepPhaseObservation(inputs.sleepOnset, inputs.sleepOffset), details: null };
+    }
+    const { phiObserved, ...details } =
+      sleepClockObservation(inputs.sleepOnset, inputs.sleepOffset, nowMs, inputs.sleepDayType);
+    return { phiObserved, details };
+  }
+
+  /**
+   * Check the sleep fields of update() inputs. Throws on the first problem.
+   * @param {object} inputs
+   * @param {string} caller — name used in error messages
+   */
+  function validateSleepInputs(inputs, caller) {
+    if (inputs.sleepDayType != null && !SLEEP_DAY_TYPES.includes(inputs.sleepDayType)) {
+      throw new Error(`${caller}: sleepDayType must be one of ${SLEEP_DAY_TYPES.join(', ')}`);
+    }
+    if (inputs.sleepOnset != null && inputs.sleepOffset != null && !(inputs.sleepOffset > inputs.sleepOnset)) {
+      throw new Error(`${caller}: sleepOffset must be after sleepOnset`);
+    }
+  }
+
+  /**
+   * Check the meals of update() inputs. Throws on the first problem.
+   * @param {object} inputs
+   * @param {number} nowMs  — update timestamp; no meal may follow it
+   * @param {string} caller — name used in error messages
+   */
+  function validateMealInputs(inputs, nowMs, caller) {
+    if (inputs.meals == null) return;
+    if (!Array.isArray(inputs.meals) ||
+        !inputs.meals.every(m => m != null && Number.isFinite(m.timestampMs) && m.timestampMs <= nowMs)) {
+      throw new Error(`${caller}: meals must be an array of { timestampMs } at or before the update timestamp (${nowMs})`);
+    }
+  }
+
+  /**
+   * Circadian marker observations in update() inputs.  A marker measured at
+   * t_m falls at a known phase ψ_m (config.markerPhaseRadians), so the phase
+   * observed at the update time is
+   *
+   *   φ_obs = ψ_m + ω · (t_now − t_m)
+   *
+   * with SD σ = assayPrecisionH (or config.markerPrecisionHours) in circadian
+   * hours.
+   *
+   * @param {object} inputs — update() inputs
+   * @param {number} nowMs
+   * @returns {Array<{ source, phiObserved, sigmaRad, details: { markerMs, precisionHours } }>}
+   *   — in MARKER_INPUTS order
+   */
+  function markerObservations(inputs, nowMs) {
+    const observations = [];
+    for (const [key, marker] of Object.entries(MARKER_INPUTS)) {
+      if (inputs[key] == null) continue;
+      const precisionHours = inputs.assayPrecisionH ?? _config.markerPrecisionHours[marker];
+      observations.push({
+        source:      marker,
+        phiObserved: wrapPhase(_config.markerPhaseRadians[marker] + getOmega() * (nowMs - inputs[key]) / 3600000),
+        sigmaRad:    precisionHours * getOmega(),
+        details:     { markerMs: inputs[key], precisionHours },
+      });
+    }
+    return observations;
+  }
+
+  /**
+   * Gain-filter weight of a marker: the Kalman gain σ²_prior / (σ²_prior + σ²),
+   * with the prior SD read from confidence as in phaseUncertaintyHours().  A
+   * precise assay against a stale estimate pins the phase almost entirely.
+   * @param {number} conf     — prior confidence
+   * @param {number} sigmaRad — marker SD (radians)
+   * @returns {number} — K ∈ (0, 1)
+   */
+  function markerGain(conf, sigmaRad) {
+    const priorVar = vonMises.circularSD(conf) ** 2;
+    return priorVar / (priorVar + sigmaRad ** 2);
+  }
+
+  /**
+   * Check the marker fields of update() inputs. Throws on the first problem.
+   * @param {object} inputs
+   * @param {number} nowMs  — update timestamp; no marker may follow it
+   * @param {string} caller — name used in error messages
+   */
+  function validateMarkerInputs(inputs, nowMs, caller) {
+    const keys = Object.keys(MARKER_INPUTS).filter(key => inputs[key] != null);
+    for (const key of keys) {
+      if (!Number.isFinite(inputs[key]) || inputs[key] > nowMs) {
+        throw new Error(`${caller}: ${key} must be a finite timestamp at or before the update timestamp (${nowMs})`);
+      }
+    }
+    if (inputs.assayPrecisionH != null) {
+      if (!(inputs.assayPrecisionH > 0) || !Number.isFinite(inputs.assayPrecisionH)) {
+        throw new Error(`${caller}: assayPrecisionH must be a positive number`);
+      }
+      if (keys.length === 0) {
+        throw new Error(`${caller}: assayPrecisionH needs a marker (${Object.keys(MARKER_INPUTS).join(', ')})`);
+      }
+    }
+  }
+
+  // ─── Clock–phase coordinate mapping ──────────────────────────────────────
+  //
+  // anchor() establishes a bijection between civil clock time and circadian phase.
+  // After calling anchor(), clockToPhase() and phaseToClockHour() convert between
+  // the two coordinate systems using the current ω.
+  //
+  // Biological basis: DLMO (CT14) and CBT_min (CT21) are the two population-mean
+  // anchors most suitable for tying endogenous phase to clock time.  Callers
+  // should pass the clinically appropriate phase for their anchor event.
+
+  /**
+   * Tie internal circadian phase to civil clock time.
+   * Sets state.phaseRadians, state.referenceClockHour, state.referenceEpochMs,
+   * and state.lastUpdateMs to timestampMs.  Confidence is not changed.
+   *
+   * @param {number} phaseRadians  — circadian phase to assign (radians)
+   * @param {number} clockHour     — civil clock hour for that phase (0–23.9…)
+   * @param {number} timestampMs   — wall-clock time of the anchor (ms since epoch)
+   */
+  function anchor(phaseRadians, clockHour, timestampMs) {
+    assertTimestamp(timestampMs, 'anchor');
+    const checkpoint = ingest({
+      kind:   'anchor',
+      timestampMs,
+      inputs: { phaseRadians, clockHour },
+      config: loggedConfig(_config),
+    }, 'anchor');
+    compactLog();
+    return { inputId: checkpoint.seq, replayed: checkpoint.replayed };
+  }
+
+  /**
+   * State write behind anchor(); used directly by log replay.
+   * meals are the meal times (ms) of the step ending at the anchor.
+   */
+  function applyAnchor(phaseRadians, clockHour, timestampMs, meals = []) {
+    // Under Kronauer dynamics the oscillator is rotated onto the anchored
+    // phase, so amplitude and photoreceptor state carry over.
+    let oscillator = null;
+    if (isKronauer()) {
+      const { oscillator: osc } = propagateState((timestampMs - _state.lastUpdateMs) / 3600000);
+      oscillator = kronauer.rotate(osc, shortestArc(phaseRadians - kronauer.phaseOf(osc)));
+    }
+    // Under the particle filter the particle set is propagated and rotated so
+    // its mean sits on the anchored phase.
+    let particles = null;
+    if (isParticle()) {
+      const p = propagateParticles(currentParticles(), (timestampMs - _state.lastUpdateMs) / 3600000);
+      const rot = shortestArc(phaseRadians - particleFilter.circularMoments(p).mean);
+      particles = particleFilter.mapPhases(p, phi => phi + rot);
+    }
+    _state = {
+      ..._state,
+      ...advanceSleepPressure({}, timestampMs),
+      ...advancePeripheral(meals, timestampMs),
+      oscillator,
+      particles,
+      photicResponse:     recoveredPhoticResponse((timestampMs - _state.lastUpdateMs) / 3600000),
+      phaseRadians:       wrapPhase(phaseRadians),
+      referenceClockHour: clockHour,
+      referenceEpochMs:   timestampMs,
+      lastUpdateMs:       timestampMs,
+    };
+  }
+
+  /**
+   * Convert a civil clock hour to circadian phase, relative to the established anchor.
+   * Requires anchor() to have been called.
+   *
+   * @param {number} clockHour — civil time (hours; may be negative or > 24)
+   * @returns {number} — phase in [0, 2π)
+   */
+  function clockToPhase(clockHour) {
+    return wrapPhase(_state.phaseRadians + getOmega() * (clockHour - _state.referenceClockHour));
+  }
+
+  /**
+   * Convert a circadian phase to the corresponding civil clock hour.
+   * Requires anchor() to have been called.
+   *
+   * @param {number} phi — circadian phase (radians, any range)
+   * @returns {number} — civil clock hour (may be outside [0, 24); caller normalises)
+   */
+  function phaseToClockHour(phi) {
+    const deltaPhi = shortestArc(wrapPhase(phi) - _state.phaseRadians);
+    return _state.referenceClockHour + deltaPhi / getOmega();
+  }
+
+  // ─── Public API ───────────────────────────────────────────────────────────
+
+  /**
+   * Get the current circadian phase by propagating from the last known state.
+   * Includes predicted phase-boundary crossing times for the next 24 h.
+   *
+   * @param {number} [timestamp=Date.now()] — evaluation time (ms since epoch)
+   * Under Kronauer dynamics the result also carries the oscillator amplitude.
+   * phaseUncertaintyHours is the circular SD of the phase estimate (see
+   * phaseUncertaintyHours()).  Under the particle filter phaseRadians is the
+   * posterior circular mean and modes lists the posterior modes
+   * ({ phaseRadians, weight }, heaviest first).  twoProcess combines sleep
+   * pressure with the phase (see twoProcessAt()).  Once a meal has been
+   * logged, peripheral gives the peripheral clock phase and the internal
+   * phase angle to the central clock (see peripheralAt()).
+   * @returns {{ phaseRadians, phaseLabel, confidence, phaseUncertaintyHours,
+   *             predictedTransitions, twoProcess, amplitude?, modes?, peripheral? }}
+   */
+  function getCurrentPhase(timestamp = Date.now()) {
+    const deltaHours  = (timestamp - _state.lastUpdateMs) / 3600000;
+    const pf = isParticle() ? particleEstimate(currentParticles(), deltaHours) : null;
+    const { phaseRadians, oscillator } = pf
+      ? { phaseRadians: pf.phaseRadians, oscillator: null }
+      : propagateState(deltaHours);
+    const confidence   = pf ? pf.confidence : decayConfidence(_state.confidence, deltaHours);
+    const peripheral   = peripheralAt(timestamp, phaseRadians);
+
+    return {
+      phaseRadians,
+      phaseLabel: labelFromPhase(phaseRadians),
+      confidence: Math.round(confidence * 1000) / 1000,
+      phaseUncertaintyHours: phaseUncertaintyHours(confidence),
+      predictedTransitions: _computeTransitions(phaseRadians, timestamp, 24),
+      twoProcess: twoProcessAt(timestamp, phaseRadians),
+      ...(oscillator && { amplitude: kronauer.amplitudeOf(oscillator) }),
+      ...(pf && { modes: pf.modes }),
+      ...(peripheral && { peripheral }),
+    };
+  }
+
+  /**
+   * Feed new entrainment inputs and apply gain-weighted phase correction to model state.
+   * Light correction uses the Phase Response Curve (see prcDelta()).
+   *
+   * @param {{
+   *   sleepOnset?:        number,   — ms since epoch
+   *   sleepOffset?:       number,   — ms since epoch
+   *   sleepDayType?:      'work'|'free',   — clock sleep observation; default from config.freeDays
+   *   lightLux?:          number,   — photopic lux (instantaneous sample; daylight unless lightCCT)
+   *   lightCCT?:          number,   — correlated colour temperature of the lightLux source (K)
+   *   melanopicEDI?:      number,   — instantaneous sample as melanopic EDI (lux)
+   *   lightSpectrum?:     { wavelengthsNm, irradiance },   — instantaneous sample as an SPD (W m⁻² nm⁻¹)
+   *   lightEpisodes?:     Array<{ startMs, endMs, lux }>,  — light exposure since the last input
+   *   lightSeries?:       Array<{ timestampMs, lux }>,     — light-logger samples (held to the next)
+   *   caffeineTimestamp?: number,   — ms since epoch
+   *   caffeineMg?:        number,   — caffeine dose (mg); default config.caffeineReferenceDoseMg
+   *   melatoninTimestamp?: number,  — exogenous melatonin intake (ms since epoch)
+   *   melatoninMg?:       number,   — melatonin dose (mg); default config.melatoninReferenceDoseMg
+   *   compound?:          string,   — a compound_registry.js compound taken …
+   *   doseMg?:            number,   — … at this dose (mg; required with compound) …
+   *   timestampMs?:       number,   — … at this time (ms since epoch; required with compound)
+   *   meals?:             Array<{ timestampMs }>,   — meals eaten since the last update
+   *   exercise?:          Array<{ startMs, durationMin, intensity }>,   — exercise bouts
+   *                       (intensity ∈ (0, 1], fraction of maximal effort), ending by the update
+   *   dlmoMs?:            number,   — dim-light melatonin onset (ms since epoch)
+   *   cbtMinMs?:          number,   — core body temperature minimum (ms since epoch)
+   *   melatoninOffsetMs?: number,   — melatonin offset (ms since epoch)
+   *   assayPrecisionH?:   number,   — SD of the markers (hours); default config.markerPrecisionHours
+   *   timestamp?:         number    — override for 'now' (ms since epoch)
+   * }} inputs
+   *   Episodes and series entries may give { lux, cct }, { melanopicEDI } or
+   *   { spectrum } in place of lux.  A light sample and lightEpisodes /
+   *   lightSeries are alternatives; episodes must end at or before the update
+   *   timestamp and may not overlap light reported by another input.  All light is converted to melanopic EDI (CIE S 026).
+   *   Markers map to known phases (see markerObservations()) and are fused
+   *   last, weighted by their precision.  Meals entrain the peripheral clock
+   *   only; getCurrentPhase() reports it.  Each exercise bout is shifted by
+   *   exercisePRC() and logged as its own exercise_prc entry.
+   * @returns {{ phaseRadians, confidence, correctionApplied, amplitude?, modes?, inputId, replayed }}
+   *   — the correction at this input's timestamp; amplitude under Kronauer
+   *   dynamics, posterior modes under the particle filter
+   */
+  function update(inputs = {}) {
+    const nowMs = inputs.timestamp || Date.now();
+    assertTimestamp(nowMs, 'update');
+    validateSleepInputs(inputs, 'update');
+    validateMarkerInputs(inputs, nowMs, 'update');
+    validateDoseInputs(inputs, nowMs, 'update');
+    validateMealInputs(inputs, nowMs, 'update');
+    if (inputs.exercise != null) validateExerciseBouts(inputs.exercise, nowMs, 'update');
+    validateLightOverlap(inputs, nowMs, null, 'update');
+    lightExposure.sampleEDI(inputs, 'update');
+    const checkpoint = ingest({
+      kind:   'update',
+      timestampMs: nowMs,
+      inputs: { ...inputs, timestamp: nowMs },
+      config: loggedConfig(_config),
+    }, 'update');
+    compactLog();
+    return updateEnvelope(checkpoint, checkpoint.seq);
+  }
+
+  /**
+   * Correction step behind update(); used directly by log replay.
+   * @param {object} inputs — see update()
+   * @param {number} nowMs  — resolved evaluation time (ms since epoch)
+   * @param {{ meals, episodes, intakes, exercise }} step — timed inputs of the
+   *   step ending at nowMs, from every input that reported them (stepInputs())
+   * @returns {{ phaseRadians, confidence, correctionApplied, amplitude? }}
+   */
+  function applyUpdate(inputs, nowMs, step) {
+    if (isParticle()) return applyUpdateParticles(inputs, nowMs, step);
+    const deltaHours = (nowMs - _state.lastUpdateMs) / 3600000;
+    const correctionApplied = [];
+
+    // Step 1: propagate prior state to current time.  Light episodes are
+    // integrated along the way.  Under Kronauer dynamics a light sample drives
+    // the oscillator over its hold window (Process L) instead of being applied
+    // as a PRC correction in Step 3.
+    const episodes = step.episodes;
+    const lightEDI = lightExposure.sampleEDI(inputs, 'update');
+    const r0       = _state.photicResponse ?? 1;
+    let phi;
+    let osc = null;
+    let photicResponse = recoveredPhoticResponse(deltaHours);
+    let lightConfGain  = 0;  // gain filter: confidence raised by light episodes
+    let lightVariance  = 0;  // von Mises filter: variance of light-driven shifts
+    if (episodes.length > 0 && isKronauer()) {
+      // A light sample in the same step (episodes reported by other inputs)
+      // is held from the end of the last episode.
+      const holdStartMs = Math.max(nowMs - _config.lightSampleHoldHours * 3600000,
+        episodes[episodes.length - 1].endMs);
+      const lit = lightEDI != null && holdStartMs < nowMs
+        ? [...episodes, { startMs: holdStartMs, endMs: nowMs, edi: lightEDI }]
+        : episodes;
+      const run = integrateLightKronauer(currentOscillator(), _state.lastUpdateMs, nowMs, lit);
+      osc = run.osc;
+      phi = kronauer.phaseOf(osc);
+      const deltaRad = shortestArc(phi - kronauer.phaseOf(run.dark));
+      lightVariance  = lightShiftVariance(deltaRad);
+      correctionApplied.push({
+        source:    'light_process_l',
+        episodes:  lit.length,
+        litHours:  run.litHours,
+        deltaRad,
+        amplitude: kronauer.amplitudeOf(osc),
+      });
+    } else if (episodes.length > 0) {
+      const run = integrateLightRotation(_state.phaseRadians, r0, _state.lastUpdateMs, nowMs, episodes);
+      phi            = run.phi;
+      photicResponse = run.photicResponse;
+      lightConfGain  = Math.min(1, run.gainWeight);
+      lightVariance  = lightShiftVariance(run.deltaRad);
+      correctionApplied.push({
+        source:     'light_episodes',
+        episodes:   episodes.length,
+        litHours:   run.litHours,
+        doseWeight: run.doseWeight,
+        deltaRad:   run.deltaRad,
+      });
+    } else if (isKronauer()) {
+      const holdHours = lightEDI != null
+        ? Math.max(0, Math.min(deltaHours, _config.lightSampleHoldHours))
+        : 0;
+      osc = propagateOscillator(currentOscillator(), deltaHours - holdHours);
+      if (holdHours > 0) {
+        const dark = propagateOscillator(osc, holdHours);
+        osc = propagateOscillator(osc, holdHours, lightEDI);
+        // Phase change relative to the same window in darkness.
+        const deltaRad = shortestArc(kronauer.phaseOf(osc) - kronauer.phaseOf(dark));
+        lightVariance  = lightShiftVariance(deltaRad);
+        correctionApplied.push({
+          source:       'light_process_l',
+          melanopicEDI: lightEDI,
+          holdHours,
+          deltaRad,
+          amplitude: kronauer.amplitudeOf(osc),
+        });
+      }
+      phi = kronauer.phaseOf(osc);
+    } else {
+      phi = propagatePhase(_state.phaseRadians, deltaHours);
+    }
+    let conf = decayConfidence(_state.confidence, deltaHours);
+    // Gain filter: light episodes raise confidence like one light sample,
+    // scaled by dose.  von Mises filter: the uncertain shift widens the posterior.
+    conf = isVonMises()
+      ? addPhaseVariance(conf, lightVariance)
+      : Math.min(1.0, conf + lightConfGain * (1 - conf));
+
+    // Phase corrections from observations rotate the oscillator (if any) by
+    // the same arc, preserving its amplitude.
+    const correctPhase = (phiNew) => {
+      if (osc) osc = kronauer.rotate(osc, shortestArc(phiNew - phi));
+      phi = phiNew;
+    };
+
+    // Observation of phase phiObs: gain-weighted with fixed gain K, or a von
+    // Mises update with concentration kappaObs (K then reports the effective gain).
+    // details are extra fields for the correctionApplied entry.
+    const observe = (source, phiObs, K, kappaObs, details = null) => {
+      if (isVonMises()) {
+        const post = vonMisesCorrect(phi, conf, phiObs, kappaObs);
+        correctPhase(post.phi);
+        conf = post.conf;
+        correctionApplied.push({ source, K: post.K, phiObserved: phiObs, ...details });
+        return;
+      }
+      correctPhase(gainWeightedPhaseCorrect(phi, phiObs, K));
+      conf = Math.min(1.0, conf + K * (1 - conf));
+      correctionApplied.push({ source, K, phiObserved: phiObs, ...details });
+    };
+
+    // Step 2: sleep entrainment (highest reliability).
+    if (inputs.sleepOnset != null && inputs.sleepOffset != null) {
+      const { phiObserved, details } = sleepObservation(inputs, nowMs);
+      observe('sleep', phiObserved, _config.correctionGain.sleep, observationKappa('sleep'), details);
+    }
+
+    // Step 3: photic entrainment via PRC with phase-dependent gain K(φ).
+    // Direction (advance / delay / dead zone) is determined by prcDelta().
+    // Magnitude is scaled by lightPhaseGain(φ), which follows a sinusoidal
+    // approximation of the human PRC amplitude (Czeisler et al., 1989).
+    // Rotation dynamics only — Kronauer dynamics integrated light in Step 1.
+    if (lightEDI != null && !osc) {
+      const { deltaRad, direction } = prcDelta(phi, lightEDI);
+      if (direction !== 'DEAD_ZONE') {
+        // Phase-dependent gain: see lightPhaseGain(). Positive in ADVANCE tail [0,π/6)
+        // and night phase (π,2π); zero in dead zone [π/6,π].  Continuous PRC
+        // shapes carry their own phase dependence and use the constant base gain.
+        const K = _prcs.getPRC(_config.prcModel).phaseGain
+          ? lightPhaseGain(phi, lightGainBase())
+          : lightGainBase();
+        if (K > 0) {
+          phi  = wrapPhase(phi + K * deltaRad);
+          conf = isVonMises()
+            ? addPhaseVariance(conf, lightShiftVariance(K * deltaRad))
+            : Math.min(1.0, conf + K * (1 - conf));
+        }
+        // Always log the attempt so callers can inspect K(φ) value.
+        correctionApplied.push({ source: 'light_prc', direction, K, deltaRad });
+      }
+    }
+
+    // Step 4: intakes of the step (phaseIntakes()).  Caffeine is a phase
+    // cue, or a PRC shift at the phase of intake; melatonin and compounds with
+    // a curve are always a PRC shift.  A shift is an intervention, not an
+    // observation: it leaves the gain filter's confidence alone and widens the
+    // von Mises posterior.
+    for (const intake of step.intakes) {
+      if (intake.response === 'caffeine' && _config.caffeineResponse !== 'prc') {
+        const { phiObserved, effectiveK, effectiveness } =
+          caffeinePhaseObservation(intake.timestampMs, nowMs, intake.doseMg);
+        observe('caffeine', phiObserved, effectiveK, observationKappa('caffeine') * effectiveness);
+        continue;
+      }
+      const hoursSince = Math.max(0, (nowMs - intake.timestampMs) / 3600000);
+      const phiIntake  = wrapPhase(phi - getOmega() * hoursSince);
+      const { deltaRad, direction, doseMg } = intakePRC(intake, phiIntake);
+      correctPhase(wrapPhase(phi + deltaRad));
+      if (isVonMises()) conf = addPhaseVariance(conf, lightShiftVariance(deltaRad));
+      correctionApplied.push({ ...intakeSource(intake), direction, deltaRad, phiIntake, doseMg });
+    }
+
+    // Step 5: exercise bouts whose midpoint falls in the step, each an
+    // exercise PRC shift at the phase of its midpoint weighted by
+    // correctionGain.exercise.  Like an intake, a bout leaves the gain
+    // filter's confidence alone.
+    for (const bout of step.exercise) {
+      const hoursSince = Math.max(0, (nowMs - boutMidpoint(bout)) / 3600000);
+      const phiBout    = wrapPhase(phi - getOmega() * hoursSince);
+      const { deltaRad, direction, load } = exercisePRC(phiBout, bout);
+      const K = exerciseGain();
+      correctPhase(wrapPhase(phi + K * deltaRad));
+      if (isVonMises()) conf = addPhaseVariance(conf, lightShiftVariance(K * deltaRad));
+      correctionApplied.push({ source: 'exercise_prc', direction, K, deltaRad, phiBout,
+                               startMs: bout.startMs, durationMin: bout.durationMin, intensity: bout.intensity, load });
+    }
+
+    // Step 6: circadian phase markers, weighted by assay precision.
+    for (const m of markerObservations(inputs, nowMs)) {
+      observe(m.source, m.phiObserved, markerGain(conf, m.sigmaRad), vonMises.kappaFromSD(m.sigmaRad), m.details);
+    }
+
+    // Anchor fields are carried over; only the filter state is rewritten.
+    _state = {
+      ..._state,
+      ...advanceSleepPressure(inputs, nowMs),
+      ...advancePeripheral(step.meals, nowMs),
+      phaseRadians: phi, confidence: conf, lastUpdateMs: nowMs, oscillator: osc, photicResponse,
+      particles: null,
+    };
+
+    return {
+      phaseRadians: phi,
+      confidence:   Math.round(conf * 1000) / 1000,
+      correctionApplied,
+      ...(osc && { amplitude: kronauer.amplitudeOf(osc) }),
+    };
+  }
+
+  /**
+   * applyUpdate() under the particle filter: the same steps, applied to every
+   * particle.  Observations reweight the particles instead of pulling a point
+   * estimate; K in correctionApplied is the resulting shift of the posterior
+   * mean as a fraction of the innovation.
+   * @param {object} inputs — see update()
+   * @param {number} nowMs
+   * @param {{ meals, episodes, intakes, exercise }} step — see applyUpdate()
+   * @returns {{ phaseRadians, confidence, correctionApplied, modes }}
+   */
+  function applyUpdateParticles(inputs, nowMs, step) {
+    const deltaHours = (nowMs - _state.lastUpdateMs) / 3600000;
+    const correctionApplied = [];
+    const episodes = step.episodes;
+    const lightEDI = lightExposure.sampleEDI(inputs, 'update');
+    const noise    = _config.lightShiftNoiseFraction;
+    const prc      = _prcs.getPRC(_config.prcModel);
+    const meanOf   = (p) => particleFilter.circularMoments(p).mean;
+    // Weighted mean of a per-particle quantity.
+    const weighted = (p, values) => values.reduce((acc, v, i) => acc + p.weights[i] * v, 0);
+
+    // Step 1: propagate, integrating light episodes per particle.
+    let p = currentParticles();
+    let photicResponse = recoveredPhoticResponse(deltaHours);
+    if (episodes.length > 0) {
+      const r0 = _state.photicResponse ?? 1;
+      const shifts = [];
+      let run = null;
+      p = propagateParticles(p, deltaHours, (phi, rng) => {
+        run = integrateLightRotation(phi, r0, _state.lastUpdateMs, nowMs, episodes);
+        const shift = run.deltaRad * (1 + noise * rng.normal());
+        shifts.push(shift);
+        return run.phi + shift - run.deltaRad;
+      });
+      photicResponse = run.photicResponse;
+      correctionApplied.push({
+        source:     'light_episodes',
+        episodes:   episodes.length,
+        litHours:   run.litHours,
+        doseWeight: run.doseWeight,
+        deltaRad:   weighted(p, shifts),
+      });
+    } else {
+      p = propagateParticles(p, deltaHours);
+    }
+
+    // Observation of phase phiObs with concentration kappaObs; details are
+    // extra fields for the correctionApplied entry.
+    const observe = (source, phiObs, kappaObs, details = null) => {
+      const before = meanOf(p);
+      p = particleFilter.reweight(p, phiObs, kappaObs);
+      const ess       = particleFilter.effectiveSampleSize(p.weights);
+      const resampled = ess < _config.particleResampleThreshold * p.phases.length;
+      if (resampled) p = particleFilter.resample(p);
+      const innovation = shortestArc(phiObs - before);
+      correctionApplied.push({
+        source,
+        K:           innovation !== 0 ? shortestArc(meanOf(p) - before) / innovation : 0,
+        phiObserved: phiObs,
+        effectiveSampleSize: Math.round(ess),
+        resampled,
+        ...details,
+      });
+    };
+
+    // Step 2: sleep entrainment.
+    if (inputs.sleepOnset != null && inputs.sleepOffset != null) {
+      const { phiObserved, details } = sleepObservation(inputs, nowMs);
+      observe('sleep', phiObserved, observationKappa('sleep'), details);
+    }
+
+    // Step 3: photic entrainment — each particle shifts by the PRC at its own
+    // phase, so phases on either side of a PRC crossover move apart.
+    if (lightEDI != null) {
+      const shifts = [];
+      p = particleFilter.mapPhases(p, (phi, rng) => {
+        const { deltaRad } = prcDelta(phi, lightEDI);
+        const K     = prc.phaseGain ? lightPhaseGain(phi, 1) : 1;
+        const shift = K * deltaRad * (1 + noise * rng.normal());
+        shifts.push(shift);
+        return phi + shift;
+      });
+      const deltaRad = weighted(p, shifts);
+      if (shifts.some(x => x !== 0)) {
+        correctionApplied.push({ source: 'light_prc', direction: shiftDirection(deltaRad), deltaRad });
+      }
+    }
+
+    // Step 4: intakes of the step — a caffeine phase cue, or a PRC shift of
+    // each particle at its own phase of intake.
+    for (const intake of step.intakes) {
+      if (intake.response === 'caffeine' && _config.caffeineResponse !== 'prc') {
+        const { phiObserved, effectiveness } =
+          caffeinePhaseObservation(intake.timestampMs, nowMs, intake.doseMg);
+        observe('caffeine', phiObserved, observationKappa('caffeine') * effectiveness);
+        continue;
+      }
+      const hoursSince = Math.max(0, (nowMs - intake.timestampMs) / 3600000);
+      const shifts = [];
+      p = particleFilter.mapPhases(p, (phi, rng) => {
+        const shift = intakePRC(intake, phi - getOmega() * hoursSince).deltaRad * (1 + noise * rng.normal());
+        shifts.push(shift);
+        return phi + shift;
+      });
+      const deltaRad = weighted(p, shifts);
+      correctionApplied.push({ ...intakeSource(intake), direction: shiftDirection(deltaRad), deltaRad,
+                               doseMg: intake.doseMg });
+    }
+
+    // Step 5: exercise bouts of the step — each particle shifts by the
+    // exercise PRC at its own phase at the bout's midpoint.
+    for (const bout of step.exercise) {
+      const hoursSince = Math.max(0, (nowMs - boutMidpoint(bout)) / 3600000);
+      const shifts = [];
+      p = particleFilter.mapPhases(p, (phi, rng) => {
+        const shift = exercisePRC(phi - getOmega() * hoursSince, bout).deltaRad * (1 + noise * rng.normal());
+        shifts.push(shift);
+        return phi + shift;
+      });
+      const deltaRad = weighted(p, shifts);
+      correctionApplied.push({ source: 'exercise_prc', direction: shiftDirection(deltaRad), K: exerciseGain(),
+                               deltaRad,
+                               startMs: bout.startMs, durationMin: bout.durationMin, intensity: bout.intensity,
+                               load: bout.intensity * bout.durationMin });
+    }
+
+    // Step 6: circadian phase markers.
+    for (const m of markerObservations(inputs, nowMs)) {
+      observe(m.source, m.phiObserved, vonMises.kappaFromSD(m.sigmaRad), m.details);
+    }
+
+    const { mean, R } = particleFilter.circularMoments(p);
+    _state = {
+      ..._state,
+      ...advanceSleepPressure(inputs, nowMs),
+      ...advancePeripheral(step.meals, nowMs),
+      phaseRadians: mean, confidence: R, lastUpdateMs: nowMs, oscillator: null, photicResponse,
+      particles: p,
+    };
+    return {
+      phaseRadians: mean,
+      confidence:   Math.round(R * 1000) / 1000,
+      correctionApplied,
+      modes:        particleEstimate(p, 0).modes,
+    };
+  }
+
+  /**
+   * Project the circadian phase trajectory forward in time.
+   * One sample per hour over the requested window.
+   *
+   * @param {number} hoursAhead     — projection horizon (hours)
+   * @param {number} [fromMs=Date.now()] — projection origin (ms since epoch)
+   * Each sample carries 50 % and 95 % credible arcs for the phase (see
+   * credibleIntervals()), which widen with the time since the last input, and
+   * the two-process summary, with S rising through continued wake.
+   * Under Kronauer dynamics each sample also carries the oscillator amplitude;
+   * under the particle filter, the phase uncertainty and posterior modes.
+   * @returns {Array<{ timestamp, phaseRadians, phaseLabel, confidence,
+   *                   credibleIntervals, twoProcess, amplitude?, phaseUncertaintyHours?, modes? }>}
+   */
+  function project(hoursAhead, fromMs = Date.now()) {
+    const nowDelta = (fromMs - _state.lastUpdateMs) / 3600000;
+    const now      = propagateState(nowDelta);
+    const confNow  = decayConfidence(_state.confidence, nowDelta);
+    const pf = isParticle() ? { particles: currentParticles(), shiftRad: 0 } : null;
+    return trajectoryFrom(now.phaseRadians, now.oscillator, confNow, fromMs, hoursAhead, nowDelta, pf);
+  }
+
+  /**
+   * Hourly free-running trajectory from a given starting point.
+   * @param {number} phi0        — phase at fromMs (radians)
+   * @param {object|null} osc0   — oscillator state at fromMs (Kronauer) or null
+   * @param {number} conf0       — confidence at fromMs
+   * @param {number} fromMs      — trajectory origin (ms since epoch)
+   * @param {number} hours       — horizon (hours)
+   * @param {number} elapsed0    — hours from lastUpdateMs to fromMs
+   * @param {{ particles, shiftRad }|null} [pf] — particle filter: the particle
+   *   set at lastUpdateMs and a rotation to apply
+   * @param {Array<{ timestampMs, shift: (phi) => number }>} [kicks] — phase
+   *   shifts in time order, each a function of the phase at its time; the
+   *   shift applied is recorded on the kick as appliedRad
+   * @returns {Array<object>} — trajectorySample() entries
+   */
+  function trajectoryFrom(phi0, osc0, conf0, fromMs, hours, elapsed0, pf = null, kicks = []) {
+    const results = [];
+    let osc   = osc0;
+    let oscMs = fromMs;
+    let kickRad = 0;   // summed kicks (rotation dynamics and particles)
+    let k = 0;
+    const sleep = twoProcessCursor();
+    for (let h = 0; h <= hours; h++) {
+      const ts = fromMs + h * 3600000;
+      // Kicks up to this sample shift the phase they find at their own time.
+      for (; k < kicks.length && kicks[k].timestampMs <= ts; k++) {
+        const kick = kicks[k];
+        const hk   = (kick.timestampMs - fromMs) / 3600000;
+        if (pf) {
+          kick.appliedRad = kick.shift(particleEstimate(pf.particles, elapsed0 + hk, pf.shiftRad + kickRad).phaseRadians);
+          kickRad += kick.appliedRad;
+        } else if (osc) {
+          osc   = propagateOscillator(osc, (kick.timestampMs - oscMs) / 3600000);
+          oscMs = kick.timestampMs;
+          kick.appliedRad = kick.shift(kronauer.phaseOf(osc));
+          osc   = kronauer.rotate(osc, kick.appliedRad);
+        } else {
+          kick.appliedRad = kick.shift(wrapPhase(propagatePhase(phi0, hk) + kickRad));
+          kickRad += kick.appliedRad;
+        }
+      }
+      if (pf) {
+        const est = particleEstimate(pf.particles, elapsed0 + h, pf.shiftRad + kickRad);
+        results.push(trajectorySample(ts, est.phaseRadians, est.confidence, null, elapsed0 + h, sleep, est.modes));
+        continue;
+      }
+      if (osc && ts > oscMs) {
+        osc   = propagateOscillator(osc, (ts - oscMs) / 3600000);
+        oscMs = ts;
+      }
+      const phi = osc ? kronauer.phaseOf(osc) : wrapPhase(propagatePhase(phi0, h) + kickRad);
+      results.push(trajectorySample(ts, phi, decayConfidence(conf0, h), osc, elapsed0 + h, sleep));
+    }
+    return results;
+  }
+
+  /**
+   * Phase kicks from a simulateShift() melatonin schedule: one per dose inside
+   * [fromMs, fromMs + hours], in time order.
+   * @param {Array<{ timestampMs: number, doseMg?: number }>} schedule
+   * @param {number} fromMs — simulation start (ms since epoch)
+   * @param {number} hours  — simulation horizon (hours)
+   * @returns {Array<{ timestampMs, doseMg, shift: (phi) => number }>}
+   */
+  function melatoninKicks(schedule, fromMs, hours) {
+    if (!Array.isArray(schedule)) {
+      throw new Error('simulateShift: melatonin must be an array of { timestampMs, doseMg? }');
+    }
+    for (const d of schedule) {
+      if (d == null || !Number.isFinite(d.timestampMs) ||
+          (d.doseMg != null && (!(d.doseMg > 0) || !Number.isFinite(d.doseMg)))) {
+        throw new Error('simulateShift: melatonin doses need a finite timestampMs and a positive doseMg');
+      }
+    }
+    return schedule
+      .filter(d => d.timestampMs >= fromMs && d.timestampMs <= fromMs + hours * 3600000)
+      .sort((a, b) => a.timestampMs - b.timestampMs)
+      .map(d => ({
+        timestampMs: d.timestampMs,
+        doseMg:      d.doseMg ?? _config.melatoninReferenceDoseMg,
+        shift:       (phi) => melatoninPRC(phi, d.doseMg).deltaRad,
+      }));
+  }
+
+  /**
+   * Phase kicks from a simulateShift() exercise schedule: one per bout whose
+   * midpoint falls inside [fromMs, fromMs + hours], in time order.
+   * @param {Array<{ startMs, durationMin, intensity }>} schedule
+   * @param {number} fromMs — simulation start (ms since epoch)
+   * @param {number} hours  — simulation horizon (hours)
+   * @returns {Array<{ timestampMs, bout, shift: (phi) => number }>} — timestampMs is the midpoint
+   */
+  function exerciseKicks(schedule, fromMs, hours) {
+    validateExerciseBouts(schedule, Infinity, 'simulateShift');
+    return schedule
+      .filter(b => boutMidpoint(b) >= fromMs && boutMidpoint(b) <= fromMs + hours * 3600000)
+      .sort((a, b) => a.startMs - b.startMs)
+      .map(b => ({
+        timestampMs: boutMidpoint(b),
+        bout:        b,
+        shift:       (phi) => exerciseGain() * exercisePRC(phi, b).deltaRad,
+      }));
+  }
+
+  /**
+   * Simulate a circadian shift (jet-lag, shift work, etc.).
+   * Compares the baseline free-running trajectory to a shifted trajectory and
+   * returns the residual phase offset at the end of the adaptation window.
+   * Both trajectories are project() samples, credible intervals included.
+   *
+   * A melatonin schedule is applied to the shifted trajectory only: each dose
+   * shifts the phase by melatoninPRC() at the phase it is taken (under the
+   * particle filter, at the posterior mean).  An exercise schedule is applied
+   * the same way, each bout at its midpoint through exercisePRC() and
+   * correctionGain.exercise.
+   *
+   * @param {{
+   *   shiftHours?:  number,   — schedule shift (+advance, −delay)
+   *   daysToAdapt?: number,   — evaluation window (default: 7 days)
+   *   fromMs?:      number,   — simulation start (ms since epoch)
+   *   melatonin?:   Array<{ timestampMs: number, doseMg?: number }>   — doses to simulate;
+   *                           doses outside the window are ignored
+   *   exercise?:    Array<{ startMs, durationMin, intensity }>   — training bouts to simulate;
+   *                           bouts whose midpoint is outside the window are ignored
+   * }} params
+   * @returns {{ baseline, shifted, deltaPhaseHours, melatoninApplied, exerciseApplied }}
+   *   — melatoninApplied lists each simulated dose { timestampMs, doseMg,
+   *   direction, deltaHours }; exerciseApplied each bout { startMs,
+   *   durationMin, intensity, direction, deltaHours }
+   */
+  function simulateShift(params = {}) {
+    const { shiftHours = 0, daysToAdapt = 7, fromMs = Date.now(), melatonin = [], exercise = [] } = params;
+    const horizon  = daysToAdapt * 24;
+    const doses    = melatoninKicks(melatonin, fromMs, horizon);
+    const bouts    = exerciseKicks(exercise, fromMs, horizon);
+    const kicks    = [...doses, ...bouts].sort((a, b) => a.timestampMs - b.timestampMs);
+
+    // Baseline: unperturbed free-running.
+    const baseline = project(horizon, fromMs);
+
+    // Shifted: phase immediately offset by shiftHours × ω (under Kronauer
+    // dynamics the oscillator is rotated, keeping its amplitude).
+    const nowDelta     = (fromMs - _state.lastUpdateMs) / 3600000;
+    const shiftRadians = wrapPhase(getOmega() * shiftHours);
+    const now          = propagateState(nowDelta);
+    const phiShifted   = wrapPhase(now.phaseRadians + shiftRadians);
+    const oscShifted   = now.oscillator && kronauer.rotate(now.oscillator, shiftRadians);
+    const confNow      = decayConfidence(_state.confidence, nowDelta);
+
+    const pf = isParticle() ? { particles: currentParticles(), shiftRad: shiftRadians } : null;
+    const shifted = trajectoryFrom(phiShifted, oscShifted, confNow, fromMs, horizon, nowDelta, pf, kicks);
+
+    // Residual delta at end of window (shortest arc, converted to hours).
+    let finalDeltaRad = baseline[baseline.length - 1].phaseRadians
+                      - shifted[shifted.length - 1].phaseRadians;
+    if (finalDeltaRad >  Math.PI) finalDeltaRad -= 2 * Math.PI;
+    if (finalDeltaRad < -Math.PI) finalDeltaRad += 2 * Math.PI;
+
+    return {
+      baseline,
+      shifted,
+      deltaPhaseHours: Math.round((finalDeltaRad / getOmega()) * 100) / 100,
+      melatoninApplied: doses.map(({ timestampMs, doseMg, appliedRad }) => ({
+        timestampMs,
+        doseMg,
+        direction:  shiftDirection(appliedRad),
+        deltaHours: Math.round((appliedRad / getOmega()) * 100) / 100,
+      })),
+      exerciseApplied: bouts.map(({ bout, appliedRad }) => ({
+        startMs:     bout.startMs,
+        durationMin: bout.durationMin,
+        intensity:   bout.intensity,
+        direction:   shiftDirection(appliedRad),
+        deltaHours:  Math.round((appliedRad / getOmega()) * 100) / 100,
+      })),
+    };
+  }
+
+  // ─── Internal helpers ─────────────────────────────────────────────────────
+
+  /**
+   * Compute the next phase-boundary crossings within a look-ahead window.
+   * @param {number} phi      — current phase (radians)
+   * @param {number} nowMs    — current time (ms since epoch)
+   * @param {number} horizonH — look-ahead window (hours)
+   * @returns {Array<{ timestamp, phaseLabel, phaseRadians }>}
+   */
+  function _computeTransitions(phi, nowMs, horizonH) {
+    const transitions = [];
+    for (const seg of PHASE_LABELS) {
+      let deltaRad = seg.min - phi;
+      if (deltaRad < 0) deltaRad += 2 * Math.PI;
+      const hoursToNext = deltaRad / getOmega();
+      if (hoursToNext <= horizonH) {
+        transitions.push({
+          timestamp:    nowMs + hoursToNext * 3600000,
+          phaseLabel:   seg.label,
+          phaseRadians: seg.min,
+        });
+      }
+    }
+    transitions.sort((a, b) => a.timestamp - b.timestamp);
+    return transitions;
+  }
+
+  // ─── State snapshot ─────────────────────────────────────────────────────
+
+  /** Deep copy of a particle set (or null). */
+  function copyParticles(p) {
+    return p ? { phases: [...p.phases], weights: [...p.weights], rngState: p.rngState } : null;
+  }
+
+  /**
+   * Engine state from a migrated, validated snapshot document (copied).
+   * @param {object} current — document at the current schema version
+   * @returns {object}
+   */
+  function snapshotState(current) {
+    const phi = current.phaseRadians;
+    return {
+      // Leave in-range phases untouched so export → import is bit-exact.
+      phaseRadians:       phi >= 0 && phi < 2 * Math.PI ? phi : wrapPhase(phi),
+      confidence:         current.confidence,
+      lastUpdateMs:       current.lastUpdateMs,
+      referenceEpochMs:   current.referenceEpochMs,
+      referenceClockHour: current.referenceClockHour,
+      oscillator:         current.oscillator ? { ...current.oscillator } : null,
+      photicResponse:     current.photicResponse,
+      particles:          copyParticles(current.particles),
+      sleepPressure:      current.sleepPressure,
+      asleepUntilMs:      current.asleepUntilMs,
+      peripheralPhase:    current.peripheralPhase,
+    };
+  }
+
+  /**
+   * Export the engine state as a versioned, JSON-serialisable document.
+   * Round-trips exactly through importState().
+   *
+   * @returns {{
+   *   schemaVersion, phaseRadians, confidence, lastUpdateMs,
+   *   referenceEpochMs, referenceClockHour, oscillator, photicResponse, particles,
+   *   sleepPressure, asleepUntilMs, peripheralPhase, config
+   * }}
+   */
+  function exportState() {
+    return {
+      schemaVersion:      STATE_SCHEMA_VERSION,
+      phaseRadians:       _state.phaseRadians,
+      confidence:         _state.confidence,
+      lastUpdateMs:       _state.lastUpdateMs,
+      referenceEpochMs:   _state.referenceEpochMs   ?? null,
+      referenceClockHour: _state.referenceClockHour ?? null,
+      oscillator:         _state.oscillator ? { ..._state.oscillator } : null,
+      photicResponse:     _state.photicResponse,
+      particles:          copyParticles(_state.particles),
+      sleepPressure:      _state.sleepPressure,
+      asleepUntilMs:      _state.asleepUntilMs,
+      peripheralPhase:    _state.peripheralPhase ?? null,
+      config:             getConfig(),
+    };
+  }
+
+  /**
+   * Replace the engine state and config with a snapshot from exportState().
+   * Older schema versions are migrated forward; the document is validated
+   * before anything is written, so a rejected snapshot leaves the engine as-is.
+   *
+   * @param {object|string} snapshot — document or its JSON string
+   * @returns {object} — the migrated document that was applied
+   */
+  function importState(snapshot) {
+    const doc = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (doc == null || typeof doc !== 'object') {
+      throw new Error('importState: snapshot must be an object or JSON string');
+    }
+    const current = migrateSnapshot(doc);
+    validateSnapshot(current);
+
+    // Config is restored onto the defaults so keys added after the snapshot
+    // was written take their default values.
+    _config = mergeConfig(cloneConfig(DEFAULT_CONFIG), current.config, 'importState', _prcs);
+    _state  = snapshotState(current);
+    // An imported snapshot starts a new history.
+    rebaseLog();
+    return current;
+  }
+
+  // ─── Input log and replay ───────────────────────────────────────────────
+  //
+  // The log holds four record kinds:
+  //   update / anchor — an input, identified by its seq (the inputId)
+  //   amend           — replaces the inputs (and optionally timestamp) of targetId
+  //   retract         — withdraws targetId
+  // Records are never modified; compactLog() drops those folded into _genesis
+  // once they fall out of the retention window.  The effective history is derived
+  // from the log and kept in _timeline (replay order, one entry per surviving
+  // input, with the state just after it).  An input that arrives out of order,
+  // or an amendment / retraction, rebuilds _timeline from the earliest affected
+  // timestamp, so the final state is independent of arrival order.
+  //
+  // Replay order is by timestamp; equal timestamps fall back to arrival order.
+
+  /** Replay-order comparator for effective entries. */
+  function byReplayOrder(a, b) {
+    return (a.timestampMs - b.timestampMs) || (a.seq - b.seq);
+  }
+
+  /** Internal state shape of the log's starting snapshot. */
+  function genesisPoint() {
+    return {
+      timestampMs: _genesis.lastUpdateMs,
+      config:      _genesis.config,
+      state: {
+        phaseRadians:       _genesis.phaseRadians,
+        confidence:         _genesis.confidence,
+        lastUpdateMs:       _genesis.lastUpdateMs,
+        referenceEpochMs:   _genesis.referenceEpochMs,
+        referenceClockHour: _genesis.referenceClockHour,
+        oscillator:         _genesis.oscillator,
+        photicResponse:     _genesis.photicResponse,
+        particles:          _genesis.particles,
+        sleepPressure:      _genesis.sleepPressure,
+        asleepUntilMs:      _genesis.asleepUntilMs,
+        peripheralPhase:    _genesis.peripheralPhase,
+      },
+    };
+  }
+
+  /**
+   * Move the log's starting snapshot back to timestampMs, for an input that
+   * reaches back before the history.  The central and peripheral phases are
+   * run back at the free-running rate of the snapshot's config; the
+   * oscillator and particle set are dropped and re-seeded from the phase.
+   * The caller replays the whole history from the new start.
+   * @param {number} timestampMs
+   */
+  function backdateGenesis(timestampMs) {
+    const back = ((2 * Math.PI) / _genesis.config.tauHours) * (_genesis.lastUpdateMs - timestampMs) / 3600000;
+    _genesis = {
+      ..._genesis,
+      phaseRadians:    wrapPhase(_genesis.phaseRadians - back),
+      lastUpdateMs:    timestampMs,
+      oscillator:      null,
+      particles:       null,
+      peripheralPhase: _genesis.peripheralPhase == null ? null : wrapPhase(_genesis.peripheralPhase - back),
+    };
+    _timeline = [];
+    _replayed = null;
+  }
+
+  /** Discard the log and start a new history from the current state. */
+  function rebaseLog() {
+    _log       = [];
+    _nextSeq   = 0;
+    _timeline  = [];
+    _compacted = false;
+    _sleepLog  = [];
+    _timedLog  = { meals: [], light: [], intakes: [], exercise: [] };
+    _logConfig = null;
+    _replayed  = null;
+    _genesis   = exportState();
+  }
+
+  /**
+   * Config to record with a log record: the copy held by the previous record
+   * if the config is unchanged, otherwise a new frozen copy.
+   * @param {object} cfg
+   * @returns {object}
+   */
+  function loggedConfig(cfg) {
+    const key = JSON.stringify(cfg);
+    if (_logConfig == null || _logConfig.key !== key) {
+      _logConfig = { key, config: Object.freeze(cloneConfig(cfg)) };
+    }
+    return _logConfig.config;
+  }
+
+  /**
+   * Fold the log into the surviving inputs (amendments applied, retractions
+   * removed), sorted in replay order.
+   * @returns {Array<{ seq, kind, timestampMs, inputs, config }>}
+   */
+  function effectiveEntries() {
+    const bySeq = new Map();
+    for (const rec of _log) {
+      if (rec.kind === 'update' || rec.kind === 'anchor') {
+        bySeq.set(rec.seq, rec);
+      } else if (rec.kind === 'amend' && bySeq.has(rec.targetId)) {
+        bySeq.set(rec.targetId, { ...bySeq.get(rec.targetId), timestampMs: rec.timestampMs, inputs: rec.inputs });
+      } else if (rec.kind === 'retract') {
+        bySeq.delete(rec.targetId);
+      }
+    }
+    return [...bySeq.values()].sort(byReplayOrder);
+  }
+
+  /**
+   * Look up a surviving input by id. Throws if unknown or retracted.
+   * @param {number} inputId
+   * @param {string} caller — name used in the error message
+   */
+  function findEffective(inputId, caller) {
+    const entry = effectiveEntries().find(e => e.seq === inputId);
+    if (!entry) throw new Error(`${caller}: no active input with id ${inputId}`);
+    return entry;
+  }
+
+  /** Reject a timestamp that is not a finite number of ms since epoch. */
+  function assertTimestamp(timestampMs, caller) {
+    if (!Number.isFinite(timestampMs)) {
+      throw new Error(`${caller}: timestamp must be a finite number (ms since epoch)`);
+    }
+  }
+
+  /**
+   * Reject imported records before the start of the log: an exported log
+   * starts at or before its earliest input.
+   */
+  function assertWithinLog(timestampMs, caller) {
+    assertTimestamp(timestampMs, caller);
+    if (timestampMs < _genesis.lastUpdateMs) {
+      throw new Error(`${caller}: timestamp ${timestampMs} precedes the start of the input log (${_genesis.lastUpdateMs})`);
+    }
+  }
+
+  /**
+   * Re-apply an input under the config recorded with it.
+   * Nothing is appended to the log; the caller restores the active config.
+   *
+   * Meals, light episodes, intakes and exercise bouts are taken from the
+   * whole history for the step (previousMs, timestampMs] rather than from
+   * this input (stepInputs()), so each is applied once, in the step that
+   * contains it, whatever the order the inputs arrived in.
+   *
+   * @param {object} entry      — update or anchor record
+   * @param {number} previousMs — timestamp of the previous effective entry
+   *   (−Infinity for the first)
+   * @returns {object|undefined} — applyUpdate() result for update entries
+   */
+  function applyEntry(entry, previousMs) {
+    _config = mergeConfig(cloneConfig(DEFAULT_CONFIG), entry.config, 'setConfig', _prcs);
+    const step = stepInputs(previousMs, entry.timestampMs);
+    if (entry.kind === 'anchor') {
+      const { phaseRadians, clockHour } = entry.inputs;
+      applyAnchor(phaseRadians, clockHour, entry.timestampMs, step.meals);
+      return undefined;
+    }
+    return applyUpdate(entry.inputs, entry.timestampMs, step);
+  }
+
+  /**
+   * Logged meals, light, intakes and exercise bouts (by midpoint) in the step
+   * (previousMs, timestampMs], light episodes clipped to it.
+   * @param {number} previousMs
+   * @param {number} timestampMs
+   * @returns {{ meals: number[], episodes: Array<{ startMs, endMs, edi }>, intakes: object[],
+   *             exercise: object[] }}
+   */
+  function stepInputs(previousMs, timestampMs) {
+    const inStep = ms => ms > previousMs && ms <= timestampMs;
+    return {
+      meals:    _timedLog.meals.filter(inStep),
+      intakes:  _timedLog.intakes.filter(i => inStep(i.timestampMs)),
+      exercise: _timedLog.exercise.filter(b => inStep(boutMidpoint(b))),
+      episodes: _timedLog.light
+        .filter(ep => ep.endMs > previousMs && ep.startMs < timestampMs)
+        .map(ep => ({ startMs: Math.max(ep.startMs, previousMs), endMs: Math.min(ep.endMs, timestampMs), edi: ep.edi })),
+    };
+  }
+
+  /**
+   * Apply one effective entry on top of the current state and append the
+   * resulting checkpoint to _timeline.  The active config is preserved.
+   * The previous checkpoint keeps its state only on a CHECKPOINT_INTERVAL
+   * boundary.
+   */
+  function applyToTimeline(entry) {
+    const activeConfig = _config;
+    const result = applyEntry(entry, _timeline.length ? _timeline[_timeline.length - 1].timestampMs : -Infinity);
+    _config = activeConfig;
+    if (_timeline.length % CHECKPOINT_INTERVAL !== 0) delete _timeline[_timeline.length - 1].state;
+    _timeline.push({
+      seq:         entry.seq,
+      timestampMs: entry.timestampMs,
+      config:      entry.config,
+      state:       { ..._state },
+      result,
+    });
+  }
+
+  /**
+   * Re-run the history from fromMs onward.  Checkpoints strictly before
+   * fromMs are kept up to the last one holding a state; the state is restored
+   * to it (or to the log's starting snapshot) and every later effective entry
+   * is re-applied.
+   * @param {number} fromMs — earliest timestamp affected by the change
+   */
+  function rebuildFrom(fromMs) {
+    const entries = effectiveEntries();
+    let k = 0;
+    while (k < _timeline.length && _timeline[k].timestampMs < fromMs) k++;
+    while (k > 0 && !_timeline[k - 1].state) k--;
+    _timeline.length = k;
+    _replayed = null;
+    _state = { ...(k > 0 ? _timeline[k - 1].state : genesisPoint().state) };
+    for (const entry of entries.slice(k)) applyToTimeline(entry);
+  }
+
+  /**
+   * State just after timeline checkpoint i (−1: the log's starting snapshot),
+   * replayed from the last earlier checkpoint holding one if it was not kept
+   * (or from the previous replay, when recall() walks forward through them).
+   * The engine's state and config are left unchanged.
+   * @param {number} i
+   * @returns {object}
+   */
+  function stateAfter(i) {
+    if (i < 0) return genesisPoint().state;
+    if (_timeline[i].state) return _timeline[i].state;
+    if (_replayed && _replayed.index === i) return _replayed.state;
+    let j = i - 1;
+    while (j >= 0 && !_timeline[j].state && !(_replayed && _replayed.index === j)) j--;
+    const entries      = effectiveEntries();
+    const activeState  = _state;
+    const activeConfig = _config;
+    _state = { ...(j < 0 ? genesisPoint().state : _timeline[j].state || _replayed.state) };
+    for (let n = j + 1; n <= i; n++) applyEntry(entries[n], n > 0 ? entries[n - 1].timestampMs : -Infinity);
+    _replayed = { index: i, state: _state };
+    _state  = activeState;
+    _config = activeConfig;
+    return _replayed.state;
+  }
+
+  /**
+   * Meal times, light episodes, intakes and exercise bouts of an update
+   * entry, which are applied in the steps that hold them rather than at the
+   * entry's timestamp.
+   * @param {{ seq, timestampMs, inputs, config? }} entry
+   * @returns {{ meals: number[], light: Array<{ seq, startMs, endMs, edi }>, intakes: object[],
+   *             exercise: object[] }}
+   */
+  function timedInputs(entry) {
+    return {
+      meals:    mealTimes(entry.inputs),
+      light:    lightExposure.collectEpisodes(entry.inputs, entry.timestampMs, 'update')
+        .map(ep => ({ seq: entry.seq, ...ep })),
+      intakes:  phaseIntakes(entry.inputs, entry.config),
+      exercise: entry.inputs.exercise || [],
+    };
+  }
+
+  /**
+   * Earliest time an entry's inputs affect the state: its timestamp, the
+   * onset of a sleep episode it reports (Process S is integrated across the
+   * episode), its earliest meal or intake, or the start of its earliest light
+   * episode or exercise bout.
+   * @param {string} kind
+   * @param {number} timestampMs
+   * @param {object} [inputs]
+   * @returns {number}
+   */
+  function affectedFromMs(kind, timestampMs, inputs) {
+    if (kind !== 'update' || !inputs) return timestampMs;
+    const episode = sleepEpisode(inputs);
+    const { meals, light, intakes, exercise } = timedInputs({ timestampMs, inputs });
+    return Math.min(timestampMs, ...(episode ? [episode.startMs] : []), ...meals,
+      ...light.map(ep => ep.startMs), ...intakes.map(i => i.timestampMs), ...exercise.map(b => b.startMs));
+  }
+
+  /** Rebuild _sleepLog and _timedLog from the effective history. */
+  function collectTimedInputs() {
+    const updates = effectiveEntries().filter(e => e.kind === 'update');
+    const timed   = updates.map(timedInputs);
+    _sleepLog = updates.map(e => sleepEpisode(e.inputs)).filter(Boolean);
+    _timedLog = Object.fromEntries(Object.entries(TIMED_ORDER)
+      .map(([key, order]) => [key, timed.flatMap(t => t[key]).sort(order)]));
+  }
+
+  /**
+   * Reject light that overlaps light reported by another input: the same
+   * hours would be integrated twice.
+   * @param {object} inputs
+   * @param {number} nowMs
+   * @param {number|null} inputId — input being amended (its own light is replaced)
+   * @param {string} caller — name used in error messages
+   */
+  function validateLightOverlap(inputs, nowMs, inputId, caller) {
+    for (const ep of lightExposure.collectEpisodes(inputs, nowMs, caller)) {
+      const other = _timedLog.light.find(o => o.seq !== inputId && o.startMs < ep.endMs && ep.startMs < o.endMs);
+      if (other) {
+        throw new Error(`${caller}: light exposure from ${ep.startMs} overlaps light reported by input ${other.seq}`);
+      }
+    }
+  }
+
+  /**
+   * Append a record to the log and bring the state up to date.  In-order
+   * inputs are applied directly; anything else rebuilds the affected history,
+   * moving the log's start back first if the input reaches before it.
+   * Once the log has been compacted, a record reaching back before its start
+   * is rejected: the inputs it would be replayed among are gone.
+   * @param {object} rec — log record (seq is assigned here unless given)
+   * @param {string} caller — name used in error messages
+   * @returns {object|undefined} — timeline checkpoint of the affected input
+   */
+  function ingest(rec, caller) {
+    if (_compacted) {
+      const fromMs = rec.kind === 'update' || rec.kind === 'anchor'
+        ? affectedFromMs(rec.kind, rec.timestampMs, rec.inputs)
+        : Math.min(affectedFromMs(findRecord(rec.targetId).kind, rec.previousTimestampMs, rec.previousInputs),
+                   affectedFromMs(findRecord(rec.targetId).kind, rec.timestampMs, rec.inputs));
+      if (fromMs <= _genesis.lastUpdateMs) {
+        throw new Error(`${caller}: input reaches back to ${fromMs}, before the retained input log (${_genesis.lastUpdateMs})`);
+      }
+    }
+    rec.seq  = rec.seq ?? _nextSeq;
+    _nextSeq = rec.seq + 1;
+    _log.push(rec);
+
+    if (rec.kind === 'update' || rec.kind === 'anchor') {
+      const lastMs = _timeline.length
+        ? _timeline[_timeline.length - 1].timestampMs
+        : _genesis.lastUpdateMs;
+      const episode = rec.kind === 'update' ? sleepEpisode(rec.inputs) : null;
+      const timed   = rec.kind === 'update' ? timedInputs(rec) : null;
+      if (episode) _sleepLog.push(episode);
+      for (const [key, order] of Object.entries(TIMED_ORDER)) {
+        if (timed && timed[key].length > 0) _timedLog[key] = [..._timedLog[key], ...timed[key]].sort(order);
+      }
+      const fromMs = affectedFromMs(rec.kind, rec.timestampMs, rec.inputs);
+      // A meal or intake at lastMs belongs to the step ending there.
+      const atLast = _timeline.length > 0 && timed != null &&
+        (timed.meals.includes(lastMs) || timed.intakes.some(i => i.timestampMs === lastMs));
+      if (rec.timestampMs >= lastMs && fromMs >= lastMs && !atLast) {
+        applyToTimeline(rec);
+        return { ..._timeline[_timeline.length - 1], replayed: false };
+      }
+      if (fromMs < _genesis.lastUpdateMs) backdateGenesis(fromMs);
+      rebuildFrom(fromMs);
+      return { ..._timeline.find(c => c.seq === rec.seq), replayed: true };
+    }
+
+    // amend / retract: rebuild from the earliest time the old or new inputs
+    // affect.
+    const kind = findRecord(rec.targetId).kind;
+    collectTimedInputs();
+    const fromMs = Math.min(
+      affectedFromMs(kind, rec.previousTimestampMs, rec.previousInputs),
+      affectedFromMs(kind, rec.timestampMs, rec.inputs));
+    if (fromMs < _genesis.lastUpdateMs) backdateGenesis(fromMs);
+    rebuildFrom(fromMs);
+    delete rec.previousTimestampMs;
+    delete rec.previousInputs;
+    return rec.kind === 'amend'
+      ? { ..._timeline.find(c => c.seq === rec.targetId), replayed: true }
+      : undefined;
+  }
+
+  /** The update or anchor record with a given seq. */
+  function findRecord(seq) {
+    return _log.find(r => r.seq === seq && (r.kind === 'update' || r.kind === 'anchor'));
+  }
+
+  /**
+   * Fold inputs more than logRetentionHours behind the latest one into the
+   * log's starting snapshot, so the log and timeline stay bounded.  The start
+   * moves to the latest checkpoint holding a state that no later input
+   * reaches back to (through its sleep, meals, light, intakes or bouts) and
+   * that no folded sleep episode runs past.  The folded inputs are dropped
+   * with their amendments, as are retracted inputs and their retractions.
+   * Replaying from the new start gives the same states.
+   */
+  function compactLog() {
+    const retention = _config.logRetentionHours;
+    if (retention == null || _timeline.length <= CHECKPOINT_INTERVAL) return;
+    const cutoffMs = _timeline[_timeline.length - 1].timestampMs - retention * 3600000;
+    const entries  = effectiveEntries();
+    const sleepEnd = [];   // latest sleep offset among entries 0..i
+    entries.forEach((e, i) => {
+      const episode = e.kind === 'update' ? sleepEpisode(e.inputs) : null;
+      sleepEnd.push(Math.max(i > 0 ? sleepEnd[i - 1] : -Infinity, episode ? episode.endMs : -Infinity));
+    });
+    let laterFromMs = Infinity;
+    let fold = -1;
+    for (let k = entries.length - 2; k >= 0; k--) {
+      const e = entries[k + 1];
+      laterFromMs = Math.min(laterFromMs, affectedFromMs(e.kind, e.timestampMs, e.inputs));
+      const ts = _timeline[k].timestampMs;
+      if ((k + 1) % CHECKPOINT_INTERVAL === 0 && ts < cutoffMs && laterFromMs > ts && sleepEnd[k] <= ts) {
+        fold = k;
+        break;
+      }
+    }
+    if (fold < 0) return;
+    const cp   = _timeline[fold];
+    const kept = new Set(entries.slice(fold + 1).map(e => e.seq));
+    _genesis   = { schemaVersion: STATE_SCHEMA_VERSION, ...snapshotState(cp.state), config: cloneConfig(cp.config) };
+    _log       = _log.filter(r => kept.has(r.kind === 'update' || r.kind === 'anchor' ? r.seq : r.targetId));
+    _timeline  = _timeline.slice(fold + 1);
+    _replayed  = null;
+    _compacted = true;
+    collectTimedInputs();
+  }
+
+  /** Shape a timeline checkpoint into the update() return envelope. */
+  function updateEnvelope(checkpoint, inputId) {
+    const { phaseRadians, confidence, correctionApplied, amplitude, modes } = checkpoint.result;
+    return {
+      phaseRadians, confidence, correctionApplied,
+      ...(amplitude != null && { amplitude }),
+      ...(modes != null && { modes }),
+      inputId, replayed: checkpoint.replayed,
+    };
+  }
+
+  /**
+   * Replace the inputs of an earlier update() or anchor() call and re-run the
+   * history from the earlier of its old and new timestamps.  The amendment is
+   * appended to the log; the input keeps the config recorded when it arrived.
+   *
+   * @param {number} inputId — id returned by update() / anchor()
+   * @param {object} inputs  — replacement inputs, same shape as the original
+   *   call (update(): update() inputs; anchor(): { phaseRadians, clockHour }).
+   *   inputs.timestamp moves the input; omitted → original timestamp.
+   * @returns {object|undefined} — update() envelope for amended update inputs
+   */
+  function amendInput(inputId, inputs = {}) {
+    const target = findEffective(inputId, 'amendInput');
+    const timestampMs = inputs.timestamp != null ? inputs.timestamp : target.timestampMs;
+    assertTimestamp(timestampMs, 'amendInput');
+    if (target.kind === 'update') {
+      validateSleepInputs(inputs, 'amendInput');
+      validateMarkerInputs(inputs, timestampMs, 'amendInput');
+      validateDoseInputs(inputs, timestampMs, 'amendInput');
+      validateMealInputs(inputs, timestampMs, 'amendInput');
+      if (inputs.exercise != null) validateExerciseBouts(inputs.exercise, timestampMs, 'amendInput');
+      validateLightOverlap(inputs, timestampMs, inputId, 'amendInput');
+      lightExposure.sampleEDI(inputs, 'amendInput');
+    }
+    const checkpoint = ingest({
+      kind:                'amend',
+      targetId:            inputId,
+      timestampMs,
+      inputs:              target.kind === 'update' ? { ...inputs, timestamp: timestampMs } : { ...inputs },
+      previousTimestampMs: target.timestampMs,
+      previousInputs:      target.inputs,
+    }, 'amendInput');
+    compactLog();
+    return target.kind === 'update' ? updateEnvelope(checkpoint, inputId) : undefined;
+  }
+
+  /**
+   * Withdraw an earlier update() or anchor() input and re-run the history
+   * from its timestamp.  The retraction is appended to the log.
+   *
+   * @param {number} inputId — id returned by update() / anchor()
+   * @returns {{ inputId: number, retracted: true }}
+   */
+  function retractInput(inputId) {
+    const target = findEffective(inputId, 'retractInput');
+    ingest({
+      kind:                'retract',
+      targetId:            inputId,
+      timestampMs:         target.timestampMs,
+      previousTimestampMs: target.timestampMs,
+      previousInputs:      target.inputs,
+    }, 'retractInput');
+    compactLog();
+    return { inputId, retracted: true };
+  }
+
+  /**
+   * Index of the latest checkpoint at or before atMs (−1: none, i.e. the
+   * log's starting snapshot).
+   * @param {number} atMs
+   */
+  function checkpointIndex(atMs) {
+    let lo = 0;
+    let hi = _timeline.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (_timeline[mid].timestampMs <= atMs) lo = mid + 1; else hi = mid;
+    }
+    return lo - 1;
+  }
+
+  /**
+   * Config and state of the latest checkpoint at or before atMs (or of the
+   * log's starting snapshot).
+   * @param {number} atMs
+   * @returns {{ config, state }}
+   */
+  function checkpointAt(atMs) {
+    const i = checkpointIndex(atMs);
+    return { config: i >= 0 ? _timeline[i].config : _genesis.config, state: stateAfter(i) };
+  }
+
+  /**
+   * Reconstruct the state at a past (or present) timestamp from the effective
+   * history: every surviving input with timestampMs ≤ atMs, in replay order,
+   * starting from the log's snapshot.  Does not modify this engine.
+   *
+   * @param {number} atMs — evaluation time (ms since epoch)
+   * @returns {{ phaseRadians, phaseLabel, confidence, predictedTransitions }}
+   */
+  function replayAt(atMs) {
+    const cp = checkpointAt(atMs);
+    return scratchEngine(cp).getCurrentPhase(atMs);
+  }
+
+  /**
+   * Reconstruct the historical trajectory over [fromMs, toMs] from the log.
+   * One sample every stepHours; each sample reflects only inputs logged at or
+   * before its timestamp.  Does not modify this engine.
+   *
+   * @param {number} fromMs          — window start (ms since epoch)
+   * @param {number} toMs            — window end (ms since epoch)
+   * @param {number} [stepHours=1]   — sample spacing (hours)
+   * @returns {Array<{ timestamp, phaseRadians, phaseLabel, confidence }>}
+   */
+  function recall(fromMs, toMs, stepHours = 1) {
+    if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs > toMs) {
+      throw new Error('recall: fromMs and toMs must be finite with fromMs ≤ toMs');
+    }
+    if (!(stepHours > 0)) {
+      throw new Error('recall: stepHours must be positive');
+    }
+    const results = [];
+    let cp      = null;
+    let scratch = null;
+    const steps = Math.floor((toMs - fromMs) / (stepHours * 3600000));
+    for (let k = 0; k <= steps; k++) {
+      const ts = fromMs + k * stepHours * 3600000;
+      const next = checkpointIndex(ts);
+      if (next !== cp) {
+        cp      = next;
+        scratch = scratchEngine(checkpointAt(ts));
+      }
+      const pt = scratch.getCurrentPhase(ts);
+      results.push({
+        timestamp:    ts,
+        phaseRadians: pt.phaseRadians,
+        phaseLabel:   pt.phaseLabel,
+        confidence:   pt.confidence,
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Drug levels at atMs from every intake in the effective history, under
+   * the active config.  Does not modify this engine.
+   *
+   * caffeine is caffeine_pk.js caffeineLevel() over caffeineTimestamp
+   * intakes and compound: 'caffeine' doses; intakes logged without caffeineMg
+   * are taken at caffeineReferenceDoseMg.  compounds holds one
+   * compound_registry.js compoundLevel() per compound taken at or before
+   * atMs, keyed by name; caffeine's entry is built from the caffeine level,
+   * with A1 occupancy as its effect.
+   *
+   * @param {number} atMs — evaluation time (ms since epoch)
+   * @returns {{ caffeine: { concentrationMgPerL, concentrationMicroMolar, sdMicroMolar,
+   *             occupancy, occupancySD, halfLifeHours, doses },
+   *             compounds: Object<string, { compound, concentrationMgPerL,
+   *             concentrationMicroMolar, sdMgPerL, effect, effectSD, alertness,
+   *             sleepPressure, doses }> }}
+   */
+  function pharmacokinetics(atMs) {
+    if (!Number.isFinite(atMs)) {
+      throw new Error('pharmacokinetics: atMs must be a finite timestamp (ms since epoch)');
+    }
+    const updates = effectiveEntries().filter(e => e.kind === 'update');
+    const doses = updates
+      .filter(e => e.inputs.caffeineTimestamp != null)
+      .map(e => ({
+        timestampMs: e.inputs.caffeineTimestamp,
+        doseMg:      e.inputs.caffeineMg ?? _config.caffeineReferenceDoseMg,
+        assumed:     e.inputs.caffeineMg == null,
+      }));
+    const byCompound = new Map();
+    for (const e of updates) {
+      if (e.inputs.compound == null) continue;
+      const dose = { timestampMs: e.inputs.timestampMs, doseMg: e.inputs.doseMg };
+      if (e.inputs.compound === 'caffeine') doses.push(dose);
+      else byCompound.set(e.inputs.compound, [...(byCompound.get(e.inputs.compound) ?? []), dose]);
+    }
+    const caffeine  = caffeinePK.caffeineLevel(doses, atMs, caffeineParameters());
+    const compounds = {};
+    if (caffeine.doses > 0) {
+      const def = _compounds.getCompound('caffeine');
+      compounds.caffeine = {
+        compound:                'caffeine',
+        concentrationMgPerL:     caffeine.concentrationMgPerL,
+        concentrationMicroMolar: caffeine.concentrationMicroMolar,
+        sdMgPerL:                (caffeine.sdMicroMolar * caffeinePK.CAFFEINE_MOLAR_MASS) / 1000,
+        effect:                  caffeine.occupancy.A1,
+        effectSD:                caffeine.occupancySD.A1,
+        alertness:               def.alertness * caffeine.occupancy.A1,
+        sleepPressure:           def.sleepPressure * caffeine.occupancy.A1,
+        doses:                   caffeine.doses,
+      };
+    }
+    for (const [name, list] of byCompound) {
+      const level = compoundRegistry.compoundLevel(_compounds.getCompound(name), list, atMs, { bodyMassKg: _config.bodyMassKg });
+      if (level.doses > 0) compounds[name] = level;
+    }
+    return { caffeine, compounds };
+  }
+
+  /**
+   * Return a copy of the log records (oldest first, in arrival order),
+   * including amend and retract records.
+   * @returns {Array<{ seq, kind, timestampMs, inputs?, config?, targetId? }>}
+   */
+  function getInputLog() {
+    return _log.map(e => ({
+      ...e,
+      ...(e.inputs && { inputs: { ...e.inputs } }),
+      ...(e.config && { config: cloneConfig(e.config) }),
+    }));
+  }
+
+  /**
+   * Export the full history as a JSON-serialisable document: the starting
+   * snapshot, every log record, and the currently active config.
+   * @returns {{ schemaVersion, genesis, compacted, entries, config }}
+   */
+  function exportLog() {
+    return {
+      schemaVersion: INPUT_LOG_SCHEMA_VERSION,
+      genesis:       { ..._genesis, config: cloneConfig(_genesis.config) },
+      compacted:     _compacted,
+      entries:       getInputLog(),
+      config:        getConfig(),
+    };
+  }
+
+  /**
+   * Restore a history from exportLog(): import the starting snapshot, then
+   * re-ingest every record in arrival order.  Rebuilds both the state and the log.
+   *
+   * @param {object|string} doc — document or its JSON string
+   */
+  function importLog(doc) {
+    const log = typeof doc === 'string' ? JSON.parse(doc) : doc;
+    if (log == null || typeof log !== 'object' || !Array.isArray(log.entries)) {
+      throw new Error('importLog: document must contain an entries array');
+    }
+    // v1 documents only hold update/anchor records and v2 documents are never
+    // compacted; v3 reads both unchanged.
+    if (!Number.isInteger(log.schemaVersion) || log.schemaVersion < 1 ||
+        log.schemaVersion > INPUT_LOG_SCHEMA_VERSION) {
+      throw new Error(`importLog: unsupported schemaVersion "${log.schemaVersion}"`);
+    }
+    importState(log.genesis);
+    _compacted = log.compacted === true;
+    for (const rec of [...log.entries].sort((a, b) => a.seq - b.seq)) {
+      switch (rec.kind) {
+        case 'update':
+        case 'anchor':
+          assertWithinLog(rec.timestampMs, 'importLog');
+          ingest({ seq: rec.seq, kind: rec.kind, timestampMs: rec.timestampMs, inputs: { ...rec.inputs },
+                   config: loggedConfig(rec.config) }, 'importLog');
+          break;
+        case 'amend':
+        case 'retract': {
+          const target = findEffective(rec.targetId, 'importLog');
+          ingest({ seq: rec.seq, kind: rec.kind, targetId: rec.targetId, timestampMs: rec.timestampMs,
+                   ...(rec.inputs && { inputs: { ...rec.inputs } }),
+                   previousTimestampMs: target.timestampMs, previousInputs: target.inputs }, 'importLog');
+          break;
+        }
+        default:
+          throw new Error(`importLog: unknown entry kind "${rec.kind}"`);
+      }
+    }
+    _config = mergeConfig(cloneConfig(DEFAULT_CONFIG), log.config || _genesis.config, 'setConfig', _prcs);
+    compactLog();
+  }
+
+  return {
+    getCurrentPhase,
+    update,
+    project,
+    simulateShift,
+    anchor,
+    clockToPhase,
     phaseToClockHour,
-    // Getters so tests remain accurate even after setConfig() calls.
-    get OMEGA()        { return getOmega(); },
-    get LAMBDA()       { return _config.lambda; },
-    get CORRECTION_GAIN()  { return { ..._config.correctionGain }; },
-    getState:  ()  => ({ ..._state }),
-    setState:  (s) => { _state = { ..._state, ...s }; },
-  },
+    getConfig,
+    setConfig,
+    exportState,
+    importState,
+    amendInput,
+    retractInput,
+    replayAt,
+    recall,
+    pharmacokinetics,
+    getInputLog,
+    exportLog,
+    importLog,
+    registerPRC,
+    listPRCs,
+    registerCompound,
+    listCompounds,
+    loadCompounds,
+    computePRC: prcDelta,
+    _internal: {
+      propagatePhase,
+      gainWeightedPhaseCorrect,
+      decayConfidence,
+      wrapPhase,
+      shortestArc,
+      labelFromPhase,
+      prcDelta,
+      lightPhaseGain,
+      sleepPhaseObservation,
+      sleepClockObservation,
+      localClock,
+      caffeinePhaseObservation,
+      caffeinePRC,
+      melatoninPRC,
+      exercisePRC,
+      phaseIntakes,
+      anchor,
+      clockToPhase,
+      phaseToClockHour,
+      // Getters so tests remain accurate even after setConfig() calls.
+      get OMEGA()        { return getOmega(); },
+      get LAMBDA()       { return _config.lambda; },
+      get CORRECTION_GAIN()  { return { ..._config.correctionGain }; },
+      getState:  ()  => ({ ..._state }),
+      // Direct state writes bypass the log, so they start a new history.
+      // A phase written without an oscillator state or particle set re-seeds them.
+      setState:  (s) => {
+        _state = { ..._state, ...('phaseRadians' in s && { oscillator: null, particles: null }), ...s };
+        rebaseLog();
+      },
+      applyEntry,
+      // Log and timeline footprint: checkpoints holding a state, distinct configs.
+      storage: () => ({
+        checkpoints: _timeline.filter(c => c.state).length,
+        configs:     new Set(_log.map(r => r.config).filter(Boolean)).size,
+      }),
+    },
+  };
+}
+
+// ─── Default instance ─────────────────────────────────────────────────────
+
+const _default = createEngine();
+
+// ─── Exports ──────────────────────────────────────────────────────────────
+
+module.exports = {
+  // Public API (stable interface — do not break).
+  // These operate on the shared default instance.
+  getCurrentPhase: _default.getCurrentPhase,
+  update:          _default.update,
+  project:         _default.project,
+  simulateShift:   _default.simulateShift,
+  // Clock–phase coordinate mapping.
+  anchor:           _default.anchor,
+  clockToPhase:     _default.clockToPhase,
+  phaseToClockHour: _default.phaseToClockHour,
+  // Configuration API.
+  getConfig: _default.getConfig,
+  setConfig: _default.setConfig,
+  // Versioned state snapshot (persist / resume).
+  exportState: _default.exportState,
+  importState: _default.importState,
+  STATE_SCHEMA_VERSION,
+  // Input log and historical replay.
+  amendInput:   _default.amendInput,
+  retractInput: _default.retractInput,
+  replayAt:    _default.replayAt,
+  recall:      _default.recall,
+  // Drug levels from the logged intakes.
+  pharmacokinetics: _default.pharmacokinetics,
+  getInputLog: _default.getInputLog,
+  exportLog:   _default.exportLog,
+  importLog:   _default.importLog,
+  // Expose PRC for external analysis / validation.
+  computePRC: _default.computePRC,
+  // PRC shapes selectable via config.prcModel.
+  registerPRC: _default.registerPRC,
+  listPRCs:    _default.listPRCs,
+  // Compounds accepted by update({ compound, doseMg, timestampMs }).
+  registerCompound: _default.registerCompound,
+  listCompounds:    _default.listCompounds,
+  loadCompounds:    _default.loadCompounds,
+  // Isolated instances (one per subject).
+  createEngine,
+  // Internal access for unit tests and validation module only.
+  _internal: _default._internal,
 };
@@ -2,7 +2,7 @@
  * circadian_model.test.js — Unit tests for the Circadian Phase Reconstruction Engine
  * Circadian Phase Engine
  *
- * 14 tests covering:
+ * Tests covering:
  *   T1  — Phase propagation (free-running dynamics)
  *   T2  — Bayesian entrainment correction (sleep input)
  *   T3  — Confidence decay (exponential forgetting)
@@ -17,6 +17,34 @@
  *   T12 — Light pulse in ADVANCE tail φ=0.05 rad: fix verification (pre/post)
  *   T13 — Gain continuity at φ=π; deliberate gate at 2π/0 documented
  *   T14 — Micro boundary φ=1e-9: post-correction in [0,2π), no sign flip, finite
+ *   T17 — createEngine(): isolated instances, default-instance wrapper intact
+ *   T18 — exportState()/importState(): exact round-trip, v0 migration, validation
+ *   T19 — Input log: replayAt()/recall() rebuild past state; exportLog()/importLog()
+ *   T20 — Out-of-order inputs: arrival-order independence, amendInput()/retractInput()
+ *   T21 — Kronauer dynamics: limit-cycle period, light PRC sign, amplitude, snapshot
+ *   T22 — PRC registry: continuous Fourier / table PRCs, no 2π/0 cliff, validation
+ *   T23 — Light episodes / lux series: duration dose response, saturation, continuity
+ *   T24 — Melanopic EDI: CCT / spectrum / EDI light input, warm vs cool at equal lux
+ *   T25 — von Mises filter: variance-derived gains, diffusion, uncertainty in hours
+ *   T26 — Particle filter: seeded determinism, multimodal posterior, snapshot v4
+ *   T27 — Projection credible intervals widen with elapsed time and τ uncertainty
+ *   T28 — Clock sleep observation: midsleep timing, rollover, work vs free days
+ *   T29 — Two-process model: Process S across wake and sleep, propensity, snapshot v5
+ *   T30 — Circadian markers: DLMO / CBT_min / melatonin offset fused by assay precision
+ *   T31 — DLMO estimation: fixed threshold, 2 SD baseline, hockey-stick, bootstrap CI
+ *   T32 — Temperature phase: cosinor CBT_min from core / wrist series, sleep demasking
+ *   T33 — Actigraphy: Cole–Kripke / Sadeh scoring, main sleep and naps, update() inputs
+ *   T34 — Cosinor toolkit: multi-component fit, CIs, zero-amplitude test, IS / IV / L5 / M10 / RA
+ *   T35 — Periodograms: Lomb–Scargle, χ² and Rayleigh recover τ from free-running logs; entrained logs give no τ
+ *   T36 — Caffeine PK: dose superposition, half-life modifiers, receptor occupancy, dose-scaled cue, S_pharma
+ *   T37 — Caffeine PRC: evening delay ≈ 40 min (Burke 2015), morning advance, dose scaling, all filters
+ *   T38 — Melatonin PRC: afternoon advance, morning delay, saturating dose, simulateShift schedules
+ *   T39 — Compound registry: built-ins, zero-order alcohol, JSON loading, compound doses, S_pharma per compound
+ *   T40 — Peripheral clock: meal entrainment, internal phase angle, central shifts, snapshot v6
+ *   T41 — Exercise PRC: bout timing and load, per-bout correctionApplied, correctionGain.exercise, simulateShift
+ *   T42 — Routes: rejected inputs answer 400, server failures 500 (runs where express is installed)
+ *
+ * (T15 and T16 are the MMASH and SANDD DLMO validations — see *_validation.js.)
  *
  * Run with: node circadian_model.test.js
  * (No external test framework required — plain assert.)
@@ -619,6 +647,1698 @@ test('T14 — φ=1e-9 micro boundary: ADVANCE correction stays in [0,2π), no si
   assert.ok(phi < 2 * Math.PI,    `Post-correction phase must be < 2π, got ${phi}`);
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// ENGINE INSTANCES (T17+)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// T17: createEngine() instances are isolated from each other and from the default.
+test('T17 — createEngine(): instances isolated; default-instance exports unaffected', () => {
+  resetState(1.0, 0.7, T0);
+  const defaultBefore = _internal.getState();
+
+  const a = model.createEngine({ state: { phaseRadians: 0, confidence: 1.0, lastUpdateMs: T0 } });
+  const b = model.createEngine({
+    config: { tauHours: 25.0 },
+    state:  { phaseRadians: 0, confidence: 1.0, lastUpdateMs: T0 },
+  });
+
+  // Config overrides are per-instance; the default keeps τ = 24.2.
+  assert.strictEqual(a.getConfig().tauHours, 24.2, 'instance a uses default τ');
+  assert.strictEqual(b.getConfig().tauHours, 25.0, 'instance b uses overridden τ');
+  assert.strictEqual(model.getConfig().tauHours, 24.2, 'default instance τ untouched');
+
+  // Same elapsed time, different ω → different phase.
+  approx(a.getCurrentPhase(T0 + 6 * ONE_HOUR).phaseRadians, (2 * Math.PI / 24.2) * 6, 1e-10, 'a propagates at 2π/24.2');
+  approx(b.getCurrentPhase(T0 + 6 * ONE_HOUR).phaseRadians, (2 * Math.PI / 25.0) * 6, 1e-10, 'b propagates at 2π/25');
+
+  // Updating one instance leaves the other and the default untouched.
+  a.update({ sleepOnset: T0 + 16 * ONE_HOUR, sleepOffset: T0 + 23 * ONE_HOUR, timestamp: T0 + 23 * ONE_HOUR });
+  assert.strictEqual(a._internal.getState().lastUpdateMs, T0 + 23 * ONE_HOUR, 'a state advanced');
+  assert.strictEqual(b._internal.getState().lastUpdateMs, T0, 'b state untouched');
+  assert.deepStrictEqual(_internal.getState(), defaultBefore, 'default state untouched');
+
+  // Anchors are per-instance too.
+  b.anchor((7 * Math.PI) / 4, 23, T0);
+  assert.ok(a._internal.getState().referenceClockHour == null, 'a has no anchor');
+  approx(b.clockToPhase(23), (7 * Math.PI) / 4, 1e-10, 'b anchor maps 23:00 → CT21');
+
+  // Mutating a returned config must not leak into the instance.
+  const cfg = a.getConfig();
+  cfg.correctionGain.sleep = 0;
+  assert.strictEqual(a.getConfig().correctionGain.sleep, 0.9, 'getConfig returns a copy');
+
+  // Initial state is checked and migrated as by importState().
+  assert.throws(() => model.createEngine({ state: { confidence: 1.5 } }), /^Error: createEngine: confidence/);
+  assert.throws(() => model.createEngine({ state: { lastUpdateMs: 'now' } }), /createEngine: lastUpdateMs/);
+  assert.throws(() => model.createEngine({ state: { oscillator: { x: 1 } } }), /createEngine: oscillator/);
+  assert.throws(() => model.createEngine({ state: { schemaVersion: 99 } }), /createEngine: .*newer/);
+  assert.throws(() => model.createEngine({ state: 'T0' }), /createEngine: state/);
+  const v0 = model.createEngine({
+    config: { tauHours: 25.0 },
+    state:  { schemaVersion: 0, phaseRadians: 7, confidence: 1, lastUpdateMs: T0 },
+  });
+  assert.strictEqual(v0._internal.getState().oscillator, null, 'v0 state migrated');
+  approx(v0._internal.getState().phaseRadians, 7 - 2 * Math.PI, 1e-12, 'initial phase wrapped');
+  assert.strictEqual(v0.getConfig().tauHours, 25.0, 'config comes from options.config');
+});
+
+// T18: Versioned snapshot round-trips exactly and migrates unversioned documents.
+test('T18 — exportState()/importState(): exact round-trip, v0 migration, validation', () => {
+  const src = model.createEngine({
+    config: { tauHours: 24.5, correctionGain: { sleep: 0.8 } },
+    state:  { phaseRadians: 0, confidence: 0.5, lastUpdateMs: T0 },
+  });
+  src.update({ sleepOnset: T0 + 16 * ONE_HOUR, sleepOffset: T0 + 23 * ONE_HOUR, timestamp: T0 + 23 * ONE_HOUR });
+  src.update({ lightLux: 3000, timestamp: T0 + 24 * ONE_HOUR });
+  src.anchor((7 * Math.PI) / 4, 23, T0 + 25 * ONE_HOUR);
+
+  // Round-trip through a JSON string into a fresh instance.
+  const doc = src.exportState();
+  assert.strictEqual(doc.schemaVersion, model.STATE_SCHEMA_VERSION, 'current schema version');
+  assert.strictEqual(doc.config.tauHours, 24.5, 'active config carried');
+  const dst = model.createEngine();
+  dst.importState(JSON.stringify(doc));
+  assert.deepStrictEqual(dst.exportState(), doc, 'snapshot round-trips exactly');
+
+  // Resumed engine evolves identically to the original.
+  const tEval = T0 + 40 * ONE_HOUR;
+  assert.deepStrictEqual(dst.getCurrentPhase(tEval), src.getCurrentPhase(tEval), 'identical evolution after restore');
+  // inputId is per-log (the restored engine starts a fresh log), so compare the correction only.
+  const { inputId: _dstId, ...dstUpd } = dst.update({ lightLux: 800, timestamp: tEval });
+  const { inputId: _srcId, ...srcUpd } = src.update({ lightLux: 800, timestamp: tEval });
+  assert.deepStrictEqual(dstUpd, srcUpd, 'identical update after restore');
+
+  // Anchor survives update().
+  assert.strictEqual(src.exportState().referenceClockHour, 23, 'update() keeps anchor fields');
+
+  // v0 document (raw getState() shape, no version, no config) migrates forward.
+  const v0 = { phaseRadians: 1.25, confidence: 0.6, lastUpdateMs: T0 };
+  const migrated = dst.importState(v0);
+  assert.strictEqual(migrated.schemaVersion, model.STATE_SCHEMA_VERSION, 'v0 migrated to current');
+  assert.strictEqual(dst.getConfig().tauHours, 24.2, 'v0 migration uses default config');
+  assert.strictEqual(dst.exportState().referenceClockHour, null, 'v0 anchor fields default to null');
+  approx(dst.getCurrentPhase(T0).phaseRadians, 1.25, 1e-12, 'v0 phase applied');
+
+  // Invalid documents are rejected without touching state.
+  const before = dst.exportState();
+  assert.throws(() => dst.importState({ ...before, confidence: 1.5 }), /confidence/);
+  assert.throws(() => dst.importState({ ...before, phaseRadians: NaN }), /phaseRadians/);
+  assert.throws(() => dst.importState({ ...before, schemaVersion: model.STATE_SCHEMA_VERSION + 1 }), /newer/);
+  assert.throws(() => dst.importState('null'), /snapshot/);
+  assert.deepStrictEqual(dst.exportState(), before, 'rejected import leaves state unchanged');
+});
+
+// T19: Input log replay reproduces historical state exactly.
+test('T19 — Input log: replayAt()/recall() rebuild past state; exportLog()/importLog()', () => {
+  const e = model.createEngine({ state: { phaseRadians: 0, confidence: 0.5, lastUpdateMs: T0 } });
+
+  e.update({ sleepOnset: T0 + 16 * ONE_HOUR, sleepOffset: T0 + 23 * ONE_HOUR, timestamp: T0 + 23 * ONE_HOUR });
+  const atSleep = e.getCurrentPhase(T0 + 30 * ONE_HOUR);
+  // Config change mid-history: later replay must use the config active at each input.
+  e.setConfig({ correctionGain: { light: 0.3 } });
+  e.update({ lightLux: 4000, timestamp: T0 + 45 * ONE_HOUR });
+  e.anchor((7 * Math.PI) / 4, 23, T0 + 47 * ONE_HOUR);
+  e.update({ caffeineTimestamp: T0 + 50 * ONE_HOUR, timestamp: T0 + 51 * ONE_HOUR });
+
+  const log = e.getInputLog();
+  assert.deepStrictEqual(log.map(x => x.kind), ['update', 'update', 'anchor', 'update'], 'every input logged');
+  assert.strictEqual(log[0].config.correctionGain.light, 0.6, 'entry carries config active at the time');
+  assert.strictEqual(log[1].config.correctionGain.light, 0.3, 'later entry carries changed config');
+
+  // Replay at a past time ignores inputs logged after it.
+  assert.deepStrictEqual(e.replayAt(T0 + 30 * ONE_HOUR), atSleep, 'replayAt(past) = state as it was then');
+  // Replay at the present reproduces the live state.
+  const tNow = T0 + 60 * ONE_HOUR;
+  assert.deepStrictEqual(e.replayAt(tNow), e.getCurrentPhase(tNow), 'replayAt(now) = live state');
+
+  // recall() samples only see inputs at or before their own timestamp.
+  const hist = e.recall(T0, tNow);
+  assert.strictEqual(hist.length, 61, 'hourly samples inclusive of both ends');
+  approx(hist[10].phaseRadians, _internal.wrapPhase(_internal.OMEGA * 10), 1e-12, 'pre-input sample is free-run');
+  assert.strictEqual(hist[30].phaseRadians, atSleep.phaseRadians, 'sample after sleep input matches');
+  assert.strictEqual(hist[60].phaseRadians, e.getCurrentPhase(tNow).phaseRadians, 'final sample = live');
+  assert.throws(() => e.recall(tNow, T0), /fromMs/);
+
+  // Log round-trip rebuilds identical state, log and config.
+  const restored = model.createEngine();
+  restored.importLog(JSON.stringify(e.exportLog()));
+  assert.deepStrictEqual(restored.exportState(), e.exportState(), 'state rebuilt from log');
+  assert.deepStrictEqual(restored.getInputLog(), e.getInputLog(), 'log rebuilt');
+  assert.deepStrictEqual(restored.recall(T0, tNow), hist, 'history rebuilt');
+});
+
+// T20: Late, amended and retracted inputs resolve to the same history as in-order input.
+test('T20 — Out-of-order inputs: arrival-order independence, amendInput()/retractInput()', () => {
+  const start  = { state: { phaseRadians: 0, confidence: 0.5, lastUpdateMs: T0 } };
+  const sleep  = { sleepOnset: T0 + 16 * ONE_HOUR, sleepOffset: T0 + 23 * ONE_HOUR, timestamp: T0 + 23 * ONE_HOUR };
+  const light  = { lightLux: 3000, timestamp: T0 + 30 * ONE_HOUR };
+  const coffee = { caffeineTimestamp: T0 + 33 * ONE_HOUR, timestamp: T0 + 34 * ONE_HOUR };
+  const tNow   = T0 + 48 * ONE_HOUR;
+
+  const inOrder = model.createEngine(start);
+  [sleep, light, coffee].forEach(x => inOrder.update(x));
+
+  // Same inputs, arriving newest first.
+  const shuffled = model.createEngine(start);
+  shuffled.update(coffee);
+  shuffled.update(sleep);
+  const late = shuffled.update(light);
+  assert.strictEqual(late.replayed, true, 'backdated input triggers replay');
+  assert.deepStrictEqual(shuffled.exportState(), inOrder.exportState(), 'final state independent of arrival order');
+  assert.deepStrictEqual(shuffled.recall(T0, tNow), inOrder.recall(T0, tNow), 'history independent of arrival order');
+
+  // A late input is corrected at its own timestamp and decays like any other:
+  // confidence now is no higher than if it had arrived on time.
+  approx(shuffled.getCurrentPhase(tNow).confidence, inOrder.getCurrentPhase(tNow).confidence, 1e-12,
+    'late input does not inflate present confidence');
+
+  // Retracting an input = never having received it.
+  const withoutLight = model.createEngine(start);
+  [sleep, coffee].forEach(x => withoutLight.update(x));
+  const retracting = model.createEngine(start);
+  const ids = [sleep, light, coffee].map(x => retracting.update(x).inputId);
+  retracting.retractInput(ids[1]);
+  assert.deepStrictEqual(retracting.exportState(), withoutLight.exportState(), 'retract = input never given');
+  assert.deepStrictEqual(retracting.getInputLog().map(x => x.kind), ['update', 'update', 'update', 'retract'],
+    'retraction appended; original record kept');
+  assert.throws(() => retracting.retractInput(ids[1]), /no active input/);
+
+  // Amending an input (including moving it in time) = receiving the amended input.
+  const dimmer = { lightLux: 200, timestamp: T0 + 26 * ONE_HOUR };
+  const amendedRef = model.createEngine(start);
+  [sleep, dimmer, coffee].forEach(x => amendedRef.update(x));
+  const amending = model.createEngine(start);
+  const aIds = [sleep, light, coffee].map(x => amending.update(x).inputId);
+  const amended = amending.amendInput(aIds[1], dimmer);
+  assert.strictEqual(amended.inputId, aIds[1], 'amendment keeps the input id');
+  assert.deepStrictEqual(amending.exportState(), amendedRef.exportState(), 'amend = amended input given');
+
+  // Log round-trip preserves amendments and retractions.
+  const restored = model.createEngine();
+  restored.importLog(JSON.stringify(retracting.exportLog()));
+  assert.deepStrictEqual(restored.exportState(), retracting.exportState(), 'retraction survives log round-trip');
+
+  // An input before the start of the log moves the start back to it, with
+  // the starting phase run back at ω; a fresh engine takes a backdated first
+  // update.
+  const fresh     = model.createEngine();
+  const createdMs = fresh._internal.getState().lastUpdateMs;
+  assert.strictEqual(fresh.update({ timestamp: createdMs - 48 * ONE_HOUR }).inputId, 0, 'backdated first update');
+  approx(Math.sin(fresh.getCurrentPhase(createdMs).phaseRadians), 0, 1e-9, 'phase at creation unchanged');
+  const early = { lightLux: 800, timestamp: T0 - ONE_HOUR };
+  const backdated = model.createEngine(start);
+  [sleep, light, coffee, early].forEach(x => backdated.update(x));
+  const earlier = model.createEngine({ state: { ...start.state, lastUpdateMs: T0 - ONE_HOUR,
+    phaseRadians: 2 * Math.PI - (2 * Math.PI) / 24.2 } });
+  [early, sleep, light, coffee].forEach(x => earlier.update(x));
+  assert.deepStrictEqual(backdated.exportState(), earlier.exportState(), 'backdated input = history started before it');
+
+  // Long histories: records under one config share it, and only every 32nd
+  // checkpoint (and the latest) keeps a state; the rest are replayed on demand.
+  const pf    = { config: { filter: 'particle', particleCount: 200 }, state: start.state };
+  const hours = Array.from({ length: 100 }, (_, i) => i + 1);
+  const input = (h) => ({ lightLux: h % 24 < 12 ? 2000 : 5, timestamp: T0 + h * ONE_HOUR });
+  const long  = model.createEngine(pf);
+  const seen  = hours.map(h => { long.update(input(h)); return long.getCurrentPhase(T0 + h * ONE_HOUR); });
+  assert.deepStrictEqual(long._internal.storage(), { checkpoints: 4, configs: 1 });
+  hours.forEach((h, i) => assert.deepStrictEqual(long.replayAt(T0 + h * ONE_HOUR), seen[i], `replayAt ${h} h`));
+  assert.deepStrictEqual(long.recall(T0, T0 + 100 * ONE_HOUR).map(x => x.phaseRadians),
+                         [0, ...hours].map(h => long.replayAt(T0 + h * ONE_HOUR).phaseRadians), 'recall = replayAt');
+  const backfilled = model.createEngine(pf);
+  hours.filter(h => h !== 50).forEach(h => backfilled.update(input(h)));
+  backfilled.update(input(50));
+  assert.deepStrictEqual(backfilled.exportState(), long.exportState(), 'replay from a sparse checkpoint');
+  long.setConfig({ particleResampleThreshold: 0.4 });
+  long.update(input(101));
+  assert.strictEqual(long._internal.storage().configs, 2, 'a config change stores one new copy');
+
+  // A retention window folds older inputs into the start of the log: the log
+  // stays bounded, states and projections are unchanged, and the folded
+  // history can no longer be amended or reached back to.
+  const night = (h) => ({ ...input(h),
+    ...(h % 24 === 8 && { sleepOnset: T0 + (h - 8) * ONE_HOUR, sleepOffset: T0 + h * ONE_HOUR }) });
+  const keepAll = model.createEngine({ config: { logRetentionHours: null }, state: start.state });
+  const window  = model.createEngine({ config: { logRetentionHours: 24 }, state: start.state });
+  Array.from({ length: 200 }, (_, i) => i + 1).forEach(h => { keepAll.update(night(h)); window.update(night(h)); });
+  assert.strictEqual(keepAll.getInputLog().length, 200, 'null keeps every record');
+  assert.ok(window.getInputLog().length < 100, 'folded records dropped');
+  assert.ok(window.exportLog().genesis.lastUpdateMs > T0 + 100 * ONE_HOUR, 'log start moved forward');
+  assert.deepStrictEqual(window._internal.getState(), keepAll._internal.getState(), 'folding keeps the state');
+  assert.deepStrictEqual(window.replayAt(T0 + 190 * ONE_HOUR), keepAll.replayAt(T0 + 190 * ONE_HOUR), 'retained history');
+  const projected = window.project(48, T0 + 200 * ONE_HOUR);
+  assert.deepStrictEqual(projected, keepAll.project(48, T0 + 200 * ONE_HOUR), 'projection unchanged');
+  [0, 7, 20, 48].forEach(h => assert.deepStrictEqual(projected[h].twoProcess,
+    window.getCurrentPhase(T0 + (200 + h) * ONE_HOUR).twoProcess, `S integrated on from the previous sample (${h} h)`));
+  assert.throws(() => window.amendInput(0, { lightLux: 10 }), /amendInput: no active input with id 0/);
+  assert.throws(() => window.update({ lightLux: 100, timestamp: T0 + 2 * ONE_HOUR }), /update: .*before the retained input log/);
+  const lateCup = { caffeineTimestamp: T0 + 195 * ONE_HOUR, timestamp: T0 + 196 * ONE_HOUR };
+  window.update(lateCup);
+  keepAll.update(lateCup);
+  assert.deepStrictEqual(window._internal.getState(), keepAll._internal.getState(), 'late input within the window');
+  const reloaded = model.createEngine();
+  reloaded.importLog(JSON.stringify(window.exportLog()));
+  assert.deepStrictEqual(reloaded.getInputLog(), window.getInputLog(), 'compacted log round-trips with its ids');
+  assert.deepStrictEqual(reloaded.exportState(), window.exportState(), 'state rebuilt from the compacted log');
+  assert.throws(() => reloaded.update({ lightLux: 100, timestamp: T0 + 2 * ONE_HOUR }), /before the retained input log/);
+  assert.throws(() => model.createEngine({ config: { logRetentionHours: 0 } }), /logRetentionHours/);
+});
+
+// T21: Kronauer limit-cycle dynamics as an alternative propagator.
+test('T21 — Kronauer dynamics: limit-cycle period, light PRC sign, amplitude, snapshot', () => {
+  const kEngine = (phi) => model.createEngine({
+    config: { dynamics: 'kronauer' },
+    state:  { phaseRadians: phi, confidence: 0.5, lastUpdateMs: T0 },
+  });
+  const shiftHours = (a, b, t) =>
+    _internal.shortestArc(a.getCurrentPhase(t).phaseRadians - b.getCurrentPhase(t).phaseRadians) * 24.2 / (2 * Math.PI);
+
+  // Free run: one period ≈ τ, amplitude ≈ 1, amplitude reported.
+  const free = kEngine(0).getCurrentPhase(T0 + 24.2 * ONE_HOUR);
+  approx(_internal.shortestArc(free.phaseRadians), 0, 0.02, 'dark oscillator period ≈ τ');
+  approx(free.amplitude, 1, 0.05, 'limit-cycle amplitude ≈ 1');
+  assert.strictEqual('amplitude' in model.createEngine().getCurrentPhase(T0), false, 'rotation mode unchanged');
+
+  // Bright light before CBT_min delays, after CBT_min advances (Process L drive, not prcDelta()).
+  for (const [phi, sign] of [[4.6, -1], [6.0, +1]]) {
+    const lit = kEngine(phi);
+    const dark = kEngine(phi);
+    const r = lit.update({ lightLux: 10000, timestamp: T0 + ONE_HOUR });
+    assert.strictEqual(r.correctionApplied[0].source, 'light_process_l');
+    assert.ok(Math.sign(shiftHours(lit, dark, T0 + 48 * ONE_HOUR)) === sign, `light at φ=${phi} shifts with sign ${sign}`);
+    assert.ok(r.amplitude < 1, 'light pulse perturbs amplitude');
+  }
+
+  // Sleep correction rotates the oscillator without changing its amplitude.
+  const s = kEngine(1);
+  const before = s.getCurrentPhase(T0 + 23 * ONE_HOUR).amplitude;
+  const r = s.update({ sleepOnset: T0 + 16 * ONE_HOUR, sleepOffset: T0 + 23 * ONE_HOUR, timestamp: T0 + 23 * ONE_HOUR });
+  approx(r.amplitude, before, 1e-9, 'sleep correction preserves amplitude');
+
+  // project() / simulateShift() run on the oscillator.
+  assert.ok(s.project(24, T0 + 24 * ONE_HOUR).every(p => Number.isFinite(p.amplitude)), 'projection carries amplitude');
+  approx(kEngine(1).simulateShift({ shiftHours: 3, daysToAdapt: 3, fromMs: T0 }).deltaPhaseHours, -3, 0.1,
+    'free-running shift persists');
+
+  // Oscillator state survives export/import; v1 snapshots migrate with no oscillator.
+  const doc = s.exportState();
+  assert.ok(doc.oscillator && Number.isFinite(doc.oscillator.x), 'oscillator exported');
+  const restored = model.createEngine();
+  restored.importState(JSON.stringify(doc));
+  assert.deepStrictEqual(restored.getCurrentPhase(T0 + 40 * ONE_HOUR), s.getCurrentPhase(T0 + 40 * ONE_HOUR));
+  const { oscillator: _osc, ...v1 } = { ...doc, schemaVersion: 1 };
+  assert.strictEqual(restored.importState(v1).oscillator, null, 'v1 migrates with oscillator = null');
+
+  assert.throws(() => model.createEngine().setConfig({ dynamics: 'spline' }), /dynamics/);
+});
+
+// T22: PRC registry — continuous PRC shapes selectable through config.
+test('T22 — PRC registry: continuous Fourier / table PRCs, no 2π/0 cliff, validation', () => {
+  const e = model.createEngine({ config: { prcModel: 'fourier' } });
+  const cbt = e.getConfig().prcCbtMinPhase;
+  const hour = Math.PI / 12;
+
+  // Continuous around the whole circle, including the 2π/0 wrap.
+  let maxJump = 0;
+  let prev = e.computePRC(0, 10000).deltaRad;
+  for (let i = 1; i <= 6284; i++) {
+    const d = e.computePRC(i * 1e-3, 10000).deltaRad;
+    maxJump = Math.max(maxJump, Math.abs(d - prev));
+    prev = d;
+  }
+  assert.ok(maxJump < 1e-3, `Fourier PRC step-to-step jump ${maxJump} < 1e-3 rad`);
+  approx(e.computePRC(2 * Math.PI - 1e-9, 10000).deltaRad, e.computePRC(0, 10000).deltaRad, 1e-8, 'no 2π/0 cliff');
+
+  // Khalsa shape: delays before CBT_min, advances after.
+  assert.strictEqual(e.computePRC(cbt - 3 * hour, 10000).direction, 'DELAY');
+  assert.strictEqual(e.computePRC(cbt + 3 * hour, 10000).direction, 'ADVANCE');
+
+  // update() uses the constant base gain: equivalent phases either side of 0 shift alike.
+  const near = (phi) => {
+    const x = model.createEngine({ config: { prcModel: 'fourier' }, state: { phaseRadians: phi, lastUpdateMs: T0 } });
+    return _internal.shortestArc(x.update({ lightLux: 5000, timestamp: T0 }).phaseRadians - phi);
+  };
+  approx(near(2 * Math.PI - 1e-9), near(1e-9), 1e-6, 'update correction continuous across 2π/0');
+
+  // Table PRC: periodic linear interpolation, including the wrap segment.
+  const table = [
+    { phaseRadians: 1, shiftHours: 0 },
+    { phaseRadians: 3, shiftHours: -2 },
+    { phaseRadians: 5, shiftHours: 1 },
+  ];
+  const t = model.createEngine({ config: { prcModel: 'table', prcTable: table } });
+  const omega = t._internal.OMEGA;
+  const sat = 1 - Math.exp(-10000 / 2000);
+  approx(t.computePRC(2, 10000).deltaRad, -1 * omega * sat, 1e-12, 'midpoint interpolated');
+  const wrapMid = (5 + (1 + 2 * Math.PI)) / 2 - 2 * Math.PI;
+  approx(t.computePRC(wrapMid, 10000).deltaRad, 0.5 * omega * sat, 1e-12, 'wrap segment interpolated');
+  table[0].shiftHours = 9;
+  assert.strictEqual(t.getConfig().prcTable[0].shiftHours, 0, 'table copied on set');
+
+  // Invalid config is rejected without changing the engine.
+  assert.throws(() => t.setConfig({ prcModel: 'nope' }), /prcModel/);
+  assert.throws(() => model.createEngine().setConfig({ prcModel: 'table' }), /prcTable/);
+  assert.throws(() => t.setConfig({ prcTable: [{ phaseRadians: 1, shiftHours: 0 }] }), /prcTable/);
+  assert.strictEqual(t.getConfig().prcModel, 'table', 'rejected override left config intact');
+
+  // Custom shapes can be registered and selected, on the engine they were
+  // registered on only.  The built-ins cannot be replaced.
+  const advance = { shiftHours: () => 1 };
+  const c = model.createEngine({ prcModels: { t22_constant_advance: advance }, config: { prcModel: 't22_constant_advance' } });
+  approx(c.computePRC(2, 10000).deltaRad, omega * sat, 1e-12, 'registered PRC used');
+  c.update({ timestamp: c._internal.getState().lastUpdateMs + ONE_HOUR });
+  assert.ok(Number.isFinite(c.replayAt(c._internal.getState().lastUpdateMs).phaseRadians), 'replay sees the registration');
+  const d = model.createEngine();
+  d.registerPRC('t22_other', advance);
+  assert.ok(d.listPRCs().includes('t22_other') && !c.listPRCs().includes('t22_other'), 'per-engine registration');
+  assert.ok(!model.listPRCs().includes('t22_constant_advance'), 'default engine untouched');
+  assert.throws(() => d.setConfig({ prcModel: 't22_constant_advance' }), /prcModel/);
+  assert.throws(() => d.registerPRC('fourier', advance), /built-in/);
+  assert.throws(() => model.registerPRC('piecewise', advance), /built-in/);
+});
+
+// T23: Duration-aware light exposure.
+test('T23 — Light episodes / lux series: duration dose response, saturation, continuity', () => {
+  const phi0 = 4.6; // delay zone (piecewise PRC)
+  const MIN  = 60000;
+  const shiftOf = (inputs, config = {}) => {
+    const lit  = model.createEngine({ config, state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+    const dark = model.createEngine({ config, state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+    const t = T0 + 2 * ONE_HOUR;
+    lit.update({ ...inputs, timestamp: t });
+    return _internal.shortestArc(lit.getCurrentPhase(t).phaseRadians - dark.getCurrentPhase(t).phaseRadians);
+  };
+  const episode = (mins, lux) => ({ lightEpisodes: [{ startMs: T0, endMs: T0 + mins * MIN, lux }] });
+
+  // Longer exposure shifts more, but less than proportionally.
+  const oneMin = shiftOf(episode(1, 1000));
+  const hour   = shiftOf(episode(60, 1000));
+  assert.ok(oneMin < 0 && hour < oneMin, 'delay grows with duration');
+  assert.ok(Math.abs(hour) < 60 * Math.abs(oneMin), 'duration response saturates');
+
+  // Lux saturation: 10× the illuminance gives less than 10× the shift.
+  const bright = shiftOf(episode(60, 10000));
+  assert.ok(Math.abs(bright) > Math.abs(hour) && Math.abs(bright) < 10 * Math.abs(hour), 'lux response saturates');
+
+  // Below threshold: no light effect.
+  approx(shiftOf(episode(60, 20)), 0, 1e-12, 'sub-threshold episode ignored');
+
+  // A minute-by-minute lux series equals one continuous episode.
+  const series = [];
+  for (let m = 0; m < 60; m++) series.push({ timestampMs: T0 + m * MIN, lux: 1000 });
+  // (Equal dose exactly; the PRC is sampled at different sub-step midpoints.)
+  approx(shiftOf({ lightSeries: series }), hour, 1e-4, 'series ≡ continuous episode');
+
+  // A series whose last sample is at the update timestamp is valid: the final
+  // hold is cut at the update instead of running past it.
+  const upToNow = model.createEngine({ state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+  const res = upToNow.update({ lightSeries: [...series, { timestampMs: T0 + 60 * MIN, lux: 1000 }], timestamp: T0 + 60 * MIN });
+  assert.strictEqual(res.correctionApplied[0].episodes, 60, 'last sample covers nothing');
+  approx(res.correctionApplied[0].litHours, 1, 1e-9, 'lit for the hour');
+  const clipped = require('./light_exposure.js').seriesToEpisodes(series, 'test', T0 + 59.5 * MIN);
+  assert.strictEqual(clipped[clipped.length - 1].endMs, T0 + 59.5 * MIN, 'final hold clipped');
+  assert.throws(() => upToNow.update({ lightSeries: series, timestamp: T0 + 58 * MIN }), /ends after/);
+
+  // Splitting an exposure across two updates carries the depletion over.
+  const split = model.createEngine({ state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+  split.update({ lightEpisodes: [{ startMs: T0, endMs: T0 + 30 * MIN, lux: 1000 }], timestamp: T0 + 30 * MIN });
+  split.update({ lightEpisodes: [{ startMs: T0 + 30 * MIN, endMs: T0 + 60 * MIN, lux: 1000 }], timestamp: T0 + 2 * ONE_HOUR });
+  const whole = model.createEngine({ state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+  whole.update({ ...episode(60, 1000), timestamp: T0 + 2 * ONE_HOUR });
+  approx(split.getCurrentPhase(T0 + 3 * ONE_HOUR).phaseRadians, whole.getCurrentPhase(T0 + 3 * ONE_HOUR).phaseRadians,
+    1e-4, 'split exposure ≡ single exposure');
+  assert.ok(whole.exportState().photicResponse < 1, 'responsiveness depleted after exposure');
+
+  // An exposure reported after a later input is applied over its own span,
+  // the part before that input in the step ending there: the same as
+  // reporting it split between the two inputs.
+  const lit = (fromMin, toMin) => ({ startMs: T0 + fromMin * MIN, endMs: T0 + toMin * MIN, lux: 1000 });
+  const meal = { meals: [{ timestampMs: T0 + 30 * MIN }], timestamp: T0 + 30 * MIN };
+  for (const config of [{}, { dynamics: 'kronauer' }, { filter: 'particle', particleCount: 200 }]) {
+    const make = () => model.createEngine({ config, state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+    const late = make();
+    late.update(meal);
+    assert.strictEqual(late.update({ lightEpisodes: [lit(0, 60)], timestamp: T0 + 2 * ONE_HOUR }).replayed, true);
+    const reported = make();
+    reported.update({ ...meal, lightEpisodes: [lit(0, 30)] });
+    reported.update({ lightEpisodes: [lit(30, 60)], timestamp: T0 + 2 * ONE_HOUR });
+    assert.deepStrictEqual(late.exportState(), reported.exportState(), `late exposure (${JSON.stringify(config)})`);
+  }
+  assert.throws(() => split.update({ lightEpisodes: [lit(50, 70)], timestamp: T0 + 3 * ONE_HOUR }),
+    /overlaps light reported by input 1/);
+
+  // Kronauer dynamics drive the oscillator with the episode.
+  const k = shiftOf(episode(60, 10000), { dynamics: 'kronauer' });
+  assert.ok(k < 0, 'Kronauer: evening episode delays');
+
+  // Invalid light input is rejected before it is logged.
+  const e = model.createEngine({ state: { lastUpdateMs: T0 } });
+  assert.throws(() => e.update({ lightEpisodes: [{ startMs: T0, endMs: T0 + 2 * ONE_HOUR, lux: 100 }],
+    timestamp: T0 + ONE_HOUR }), /ends after/);
+  assert.throws(() => e.update({ lightEpisodes: [
+    { startMs: T0, endMs: T0 + 30 * MIN, lux: 100 }, { startMs: T0 + 20 * MIN, endMs: T0 + 40 * MIN, lux: 100 },
+  ], timestamp: T0 + ONE_HOUR }), /overlap/);
+  assert.throws(() => e.update({ ...episode(10, 100), lightLux: 100, timestamp: T0 + ONE_HOUR }), /either/);
+  assert.strictEqual(e.getInputLog().length, 0, 'rejected inputs not logged');
+});
+
+// T24: Melanopic EDI light input (CIE S 026).
+test('T24 — Melanopic EDI: CCT / spectrum / EDI light input, warm vs cool at equal lux', () => {
+  const melanopic = require('./melanopic.js');
+  const phi0 = 4.6; // delay zone (piecewise PRC)
+  const run = (inputs) => {
+    const e = model.createEngine({ state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+    return e.update({ ...inputs, timestamp: T0 + ONE_HOUR });
+  };
+  const strip = ({ inputId, ...r }) => r;
+
+  // Conversions: D65-like 6500 K light has mel-DER ≈ 1; warm light is far less melanopic.
+  approx(melanopic.melanopicDERFromCCT(6500), 1, 0.03, 'mel-DER(6500 K) ≈ 1');
+  assert.ok(melanopic.melanopicDERFromCCT(2700) < 0.6, 'mel-DER(2700 K) well below 1');
+
+  // A blue-weighted spectrum is more melanopic per lux than a red-weighted one.
+  const band = (peakNm) => {
+    const wavelengthsNm = melanopic.WAVELENGTHS_NM;
+    return { wavelengthsNm, irradiance: wavelengthsNm.map(nm => Math.exp(-(((nm - peakNm) / 20) ** 2)) * 0.01) };
+  };
+  const blue = melanopic.spectrumToEDI(band(480));
+  const red  = melanopic.spectrumToEDI(band(620));
+  assert.ok(blue.melanopicEDI / blue.lux > 1 && red.melanopicEDI / red.lux < 0.2, 'spectral weighting');
+
+  // Plain lux is daylight: identical to the same melanopic EDI.
+  assert.deepStrictEqual(strip(run({ lightLux: 1000 })), strip(run({ melanopicEDI: 1000 })), 'lux ≡ EDI for daylight');
+  // A spectrum drives the engine through its EDI.
+  const spec = band(480);
+  assert.deepStrictEqual(strip(run({ lightSpectrum: spec })),
+    strip(run({ melanopicEDI: melanopic.spectrumToEDI(spec).melanopicEDI })), 'spectrum ≡ its EDI');
+
+  // Warm vs cool at the same photopic lux: cool light delays more.
+  const shift = (r) => Math.abs(r.correctionApplied.find(c => c.source === 'light_prc').deltaRad);
+  const warm = shift(run({ lightLux: 1000, lightCCT: 2700 }));
+  const cool = shift(run({ lightLux: 1000, lightCCT: 6500 }));
+  assert.ok(cool > warm * 1.5, `cool (${cool}) shifts more than warm (${warm})`);
+
+  // The threshold applies to melanopic EDI: 80 lux of warm light is below 50 lux EDI.
+  const dim = run({ lightLux: 80, lightCCT: 2700 }).correctionApplied.find(c => c.source === 'light_prc');
+  assert.strictEqual(dim, undefined, 'warm 80 lux below EDI threshold');
+  assert.strictEqual(run({ lightLux: 80 }).correctionApplied.find(c => c.source === 'light_prc').direction, 'DELAY');
+
+  // Episodes and series accept the same light forms.
+  const epShift = (light) => {
+    const e = model.createEngine({ state: { phaseRadians: phi0, confidence: 0.5, lastUpdateMs: T0 } });
+    e.update({ lightEpisodes: [{ startMs: T0, endMs: T0 + ONE_HOUR / 2, ...light }], timestamp: T0 + ONE_HOUR });
+    return e.getCurrentPhase(T0 + ONE_HOUR).phaseRadians;
+  };
+  assert.strictEqual(epShift({ lux: 1000 }), epShift({ melanopicEDI: 1000 }), 'episode lux ≡ EDI');
+  assert.notStrictEqual(epShift({ lux: 1000, cct: 2700 }), epShift({ lux: 1000, cct: 6500 }), 'episode CCT matters');
+
+  // Invalid light input is rejected before it is logged.
+  const e = model.createEngine({ state: { lastUpdateMs: T0 } });
+  assert.throws(() => e.update({ lightLux: 500, lightCCT: 100, timestamp: T0 + ONE_HOUR }), /cct/);
+  assert.throws(() => e.update({ melanopicEDI: -1, timestamp: T0 + ONE_HOUR }), /melanopicEDI/);
+  assert.throws(() => e.update({ lightSpectrum: { wavelengthsNm: [500], irradiance: [1] }, timestamp: T0 + ONE_HOUR }),
+    /spectrum/);
+  assert.throws(() => e.update({ melanopicEDI: 100, lightSeries: [{ timestampMs: T0, lux: 1 }, { timestampMs: T0 + 1, lux: 1 }],
+    timestamp: T0 + ONE_HOUR }), /either/);
+  assert.strictEqual(e.getInputLog().length, 0, 'rejected inputs not logged');
+});
+
+// T25: Circular Kalman (von Mises) filter.
+test('T25 — von Mises filter: variance-derived gains, diffusion, uncertainty in hours', () => {
+  const vm = require('./von_mises.js');
+
+  // A(κ) = I₁/I₀ at known values, and its inverse.
+  approx(vm.meanResultantLength(1), 0.446390, 1e-6, 'A(1)');
+  approx(vm.meanResultantLength(5), 0.893383, 1e-6, 'A(5)');
+  approx(vm.kappaFromR(vm.meanResultantLength(20)), 20, 1e-9, 'A⁻¹(A(20))');
+  // Equal concentrations at ±a fuse to the midpoint with κ' = 2κ cos a.
+  const f = vm.fuse(0.3, 4, -0.3, 4);
+  approx(f.mu, 0, 1e-12, 'fused mean');
+  approx(f.kappa, 8 * Math.cos(0.3), 1e-12, 'fused κ');
+
+  const make = (config = {}, confidence = 0.5) => model.createEngine({
+    config: { filter: 'vonmises', ...config },
+    state:  { phaseRadians: 0, confidence, lastUpdateMs: T0 },
+  });
+  const sleepAt = (e, day) => {
+    const on = T0 + day * 24 * ONE_HOUR + 17 * ONE_HOUR;
+    return e.update({ sleepOnset: on, sleepOffset: on + 7 * ONE_HOUR, timestamp: on + 7 * ONE_HOUR });
+  };
+
+  // Gains follow the variances: the first observation against a vague prior
+  // is trusted most; later ones less as the posterior concentrates.
+  const e = make();
+  const gains = [0, 1, 2].map(d => sleepAt(e, d).correctionApplied[0].K);
+  assert.ok(gains[0] > 0.9 && gains[1] < gains[0] && gains[2] < gains[1], `gains decline: ${gains}`);
+  const tWake = T0 + 2 * 24 * ONE_HOUR + 24 * ONE_HOUR;
+  assert.ok(e.getCurrentPhase(tWake).phaseUncertaintyHours < 1, 'uncertainty shrinks below 1 h');
+
+  // The first gain matches the exact von Mises posterior.
+  const kPrior = vm.kappaFromR(0.5);
+  const kObs   = vm.kappaFromSD(1 * _internal.OMEGA);
+  const first  = make();
+  const r1     = sleepAt(first, 0);
+  const phiPrior = _internal.propagatePhase(0, 24);
+  const post   = vm.fuse(phiPrior, vm.kappaFromR(first._internal.decayConfidence(0.5, 24)),
+    r1.correctionApplied[0].phiObserved, kObs);
+  approx(r1.phaseRadians, _internal.wrapPhase(post.mu), 1e-9, 'posterior mean');
+  approx(first._internal.getState().confidence, vm.meanResultantLength(post.kappa), 1e-12, 'posterior R');
+  assert.ok(kPrior < kObs, 'vague prior');
+
+  // Noisier observations get less weight.
+  const noisy = sleepAt(make({ observationNoiseHours: { sleep: 3 } }), 0).correctionApplied[0].K;
+  assert.ok(noisy < gains[0], 'larger observation noise → smaller gain');
+
+  // Propagation: R decays by phase diffusion, not λ; uncertainty grows with time.
+  const q = (0.5 * _internal.OMEGA) ** 2 / 24;
+  const idle = make({}, 0.9);
+  approx(idle.getCurrentPhase(T0 + 48 * ONE_HOUR).confidence, Math.round(0.9 * Math.exp(-q * 24) * 1000) / 1000,
+    1e-12, 'diffusion decay');
+  assert.ok(idle.getCurrentPhase(T0 + 48 * ONE_HOUR).phaseUncertaintyHours >
+            idle.getCurrentPhase(T0).phaseUncertaintyHours, 'uncertainty grows without inputs');
+
+  // Light is a control input: it moves the phase but widens the posterior,
+  // unlike the gain filter, which always raises confidence.
+  const lightAt = (filter) => {
+    const eng = model.createEngine({ config: { filter }, state: { phaseRadians: 4.6, confidence: 0.8, lastUpdateMs: T0 } });
+    const before = eng.getCurrentPhase(T0 + ONE_HOUR).confidence;
+    return eng.update({ lightLux: 10000, timestamp: T0 + ONE_HOUR }).confidence - before;
+  };
+  assert.ok(lightAt('vonmises') < 0 && lightAt('gain') > 0, 'light lowers R under von Mises, raises gain confidence');
+
+  // The caffeine phase cue ('anchor') is weak: much smaller gain than sleep.
+  const caf = make({ caffeineResponse: 'anchor' }).update({ caffeineTimestamp: T0 + ONE_HOUR, timestamp: T0 + ONE_HOUR });
+  assert.ok(caf.correctionApplied[0].K < gains[0] / 2, 'caffeine gain well below sleep');
+
+  // Uncertainty is reported under the gain filter too, reading confidence as R.
+  const g = model.createEngine({ state: { phaseRadians: 0, confidence: 0.6, lastUpdateMs: T0 } });
+  approx(g.getCurrentPhase(T0).phaseUncertaintyHours,
+    Math.round(Math.sqrt(-2 * Math.log(0.6)) / _internal.OMEGA * 100) / 100, 1e-12, 'gain-filter uncertainty');
+  assert.strictEqual(make({}, 0).getCurrentPhase(T0).phaseUncertaintyHours,
+    Math.round(Math.PI / _internal.OMEGA * 100) / 100, 'capped at half a cycle');
+
+  // Config validation and snapshot round-trip.
+  assert.throws(() => make({ filter: 'kalman' }), /filter must be one of/);
+  assert.throws(() => make({ observationNoiseHours: { sleep: 0 } }), /observationNoiseHours\.sleep/);
+  const doc = e.exportState();
+  const copy = model.createEngine();
+  copy.importState(JSON.parse(JSON.stringify(doc)));
+  assert.deepStrictEqual(copy.getCurrentPhase(tWake), e.getCurrentPhase(tWake), 'snapshot round-trip');
+});
+
+// T26: Particle filter.
+test('T26 — Particle filter: seeded determinism, multimodal posterior, snapshot v4', () => {
+  const pf = require('./particle_filter.js');
+  const make = (config = {}, phaseRadians = 5.0, confidence = 0.8) => model.createEngine({
+    config: { filter: 'particle', ...config },
+    state:  { phaseRadians, confidence, lastUpdateMs: T0 },
+  });
+  const bright = (e) => e.update({ lightLux: 10000, timestamp: T0 + ONE_HOUR });
+
+  // The same seed and inputs give the same posterior; another seed does not.
+  assert.deepStrictEqual(bright(make()), bright(make()), 'deterministic for a fixed seed');
+  assert.notDeepStrictEqual(bright(make({ particleSeed: 7 })).phaseRadians, bright(make()).phaseRadians,
+    'seed changes the draw');
+
+  // Bright light spanning the PRC crossover pushes the delay and advance
+  // sides apart: two modes, while the von Mises filter reports one mean.
+  const r = bright(make());
+  assert.ok(r.modes.length >= 2 && r.modes[1].weight > 0.2, `bimodal: ${JSON.stringify(r.modes)}`);
+  const arc = Math.abs(_internal.shortestArc(r.modes[0].phaseRadians - r.modes[1].phaseRadians));
+  assert.ok(arc > 1, `modes well separated (${arc.toFixed(2)} rad)`);
+  const vm = model.createEngine({ config: { filter: 'vonmises' }, state: { phaseRadians: 5.0, confidence: 0.8, lastUpdateMs: T0 } });
+  assert.strictEqual(bright(vm).modes, undefined, 'von Mises reports no modes');
+  // A concentrated prior without light stays unimodal.
+  assert.strictEqual(make({}, 2, 0.9).getCurrentPhase(T0 + ONE_HOUR).modes.length, 1, 'unimodal prior');
+
+  // Sleep observations reweight, resample, and concentrate the posterior.
+  const e = make({}, 2, 0.5);
+  const sleeps = [0, 1, 2].map((d) => {
+    const on = T0 + d * 24 * ONE_HOUR + 17 * ONE_HOUR;
+    return e.update({ sleepOnset: on, sleepOffset: on + 7 * ONE_HOUR, timestamp: on + 7 * ONE_HOUR });
+  });
+  const obs = sleeps[0].correctionApplied[0];
+  assert.ok(obs.source === 'sleep' && obs.resampled && obs.effectiveSampleSize < 250, 'first sleep resamples');
+  approx(sleeps[2].phaseRadians, obs.phiObserved, 0.3, 'posterior mean near the sleep observation');
+  const st = e._internal.getState();
+  approx(st.phaseRadians, pf.circularMoments(st.particles).mean, 1e-12, 'state mean = particle mean');
+  assert.strictEqual(st.particles.phases.length, 500);
+
+  // getCurrentPhase and project report the posterior mean, spread and modes.
+  const tNext = T0 + 4 * 24 * ONE_HOUR;
+  const now  = e.getCurrentPhase(tNext);
+  const traj = e.project(6, tNext);
+  approx(traj[0].phaseRadians, now.phaseRadians, 1e-12, 'project starts at current phase');
+  assert.ok(traj[0].modes.length >= 1 && traj[0].phaseUncertaintyHours === now.phaseUncertaintyHours,
+    'project samples carry modes and uncertainty');
+  assert.ok(traj[6].phaseUncertaintyHours >= traj[0].phaseUncertaintyHours, 'uncertainty grows along the projection');
+
+  // Snapshot round-trip keeps the particles and RNG state; v3 snapshots
+  // migrate with particles re-seeded on first use.
+  const doc = JSON.parse(JSON.stringify(e.exportState()));
+  assert.strictEqual(doc.schemaVersion, model.STATE_SCHEMA_VERSION);
+  const copy = model.createEngine();
+  copy.importState(doc);
+  const next = { lightLux: 2000, timestamp: tNext };
+  const { inputId: _a, ...cont } = copy.update(next);
+  const { inputId: _b, ...orig } = e.update(next);
+  assert.deepStrictEqual(cont, orig, 'same continuation after import');
+  const v3 = { ...doc, schemaVersion: 3 };
+  delete v3.particles;
+  const old = model.createEngine();
+  old.importState(v3);
+  assert.strictEqual(old._internal.getState().particles, null, 'v3 migrates to particles: null');
+  assert.throws(() => copy.importState({ ...doc, particles: { phases: [1], weights: [], rngState: 1 } }),
+    /particles must have/);
+
+  // Config validation.
+  assert.throws(() => make({ dynamics: 'kronauer' }), /requires dynamics 'rotation'/);
+  assert.throws(() => make({ particleCount: 5 }), /particleCount/);
+  assert.throws(() => make({ particleSeed: -1 }), /particleSeed/);
+  assert.throws(() => make({ particleResampleThreshold: 2 }), /particleResampleThreshold/);
+});
+
+// T27: Credible intervals on projected trajectories.
+test('T27 — Projection credible intervals widen with elapsed time and τ uncertainty', () => {
+  const make = (config = {}) => model.createEngine({
+    config: { filter: 'vonmises', ...config },
+    state:  { phaseRadians: 1, confidence: 0.95, lastUpdateMs: T0 },
+  });
+  const halfWidths = (sample) => sample.credibleIntervals.map(c => c.halfWidthHours);
+
+  // Both levels are reported; the 95 % arc is wider and centred on the phase.
+  const traj = make().project(168, T0);
+  const [c50, c95] = traj[0].credibleIntervals;
+  assert.deepStrictEqual([c50.level, c95.level], [0.5, 0.95]);
+  assert.ok(c95.halfWidthHours > c50.halfWidthHours, '95 % wider than 50 %');
+  approx(_internal.shortestArc(c95.upperRadians - traj[0].phaseRadians),
+    -_internal.shortestArc(c95.lowerRadians - traj[0].phaseRadians), 1e-9, 'symmetric arc');
+
+  // At the last input only the filter's uncertainty counts: z σ with σ from R.
+  const sigma0 = Math.sqrt(-2 * Math.log(0.95));
+  approx(c95.halfWidthHours, Math.round(1.96 * sigma0 / _internal.OMEGA * 100) / 100, 1e-12, 'σ from R at Δt = 0');
+
+  // Arcs widen with the horizon, and faster with a larger τ spread.
+  const w = [0, 24, 72, 168].map(h => halfWidths(traj[h])[1]);
+  assert.ok(w[0] < w[1] && w[1] < w[2] && w[2] < w[3], `95 % arcs widen: ${w}`);
+  const wide = make({ tauSDHours: 0.5 }).project(168, T0);
+  assert.ok(halfWidths(wide[168])[1] > w[3], 'larger τ SD → wider arc');
+  // With no τ spread and no diffusion, the arc stays at the filter's width.
+  const fixed = make({ tauSDHours: 0, phaseDiffusionHours: 0 }).project(168, T0);
+  assert.deepStrictEqual(halfWidths(fixed[168]), halfWidths(fixed[0]), 'no growth without τ SD or diffusion');
+  // τ error is counted from the last input, not the projection origin.
+  const later = make().project(0, T0 + 72 * ONE_HOUR);
+  assert.deepStrictEqual(halfWidths(later[0]), halfWidths(traj[72]), 'elapsed time since last input');
+
+  // An uninformative estimate covers the whole cycle.
+  const lost = model.createEngine({ state: { phaseRadians: 1, confidence: 0, lastUpdateMs: T0 } }).project(1, T0);
+  approx(lost[0].credibleIntervals[1].halfWidthHours, Math.round(_internal.OMEGA ** -1 * Math.PI * 100) / 100,
+    1e-12, 'capped at τ/2');
+
+  // simulateShift carries the intervals on both trajectories.
+  const shift = make().simulateShift({ shiftHours: 3, daysToAdapt: 2, fromMs: T0 });
+  assert.deepStrictEqual(halfWidths(shift.shifted[48]), halfWidths(shift.baseline[48]), 'same widths after a shift');
+  assert.ok(shift.shifted[0].credibleIntervals[0].lowerRadians !== shift.baseline[0].credibleIntervals[0].lowerRadians,
+    'shifted arcs follow the shifted phase');
+
+  assert.throws(() => make({ tauSDHours: -1 }), /tauSDHours/);
+});
+
+// T28: Clock-aware sleep observation.
+test('T28 — Clock sleep observation: midsleep timing, rollover, work vs free days', () => {
+  const MON = Date.UTC(2024, 0, 15); // Monday 00:00 UTC
+  const make = (config = {}) => model.createEngine({
+    config: { sleepObservation: 'clock', ...config },
+    state:  { phaseRadians: 0, confidence: 0.3, lastUpdateMs: MON },
+  });
+  const omega = _internal.OMEGA;
+  const at = (day, hour) => MON + (day * 24 + hour) * ONE_HOUR;
+
+  // At midsleep the observed phase is the population midsleep phase; later
+  // update times see it advanced by ω Δt.
+  const e = make();
+  const obs = (onset, offset, now, dayType) => e._internal.sleepClockObservation(onset, offset, now, dayType);
+  const free = obs(at(5, 23), at(6, 6), at(6, 2.5), 'free');
+  approx(free.phiObserved, Math.PI / 24, 1e-12, 'φ_obs = ψ_mid at midsleep');
+  assert.strictEqual(free.midsleepClockHour, 2.5);
+
+  // Same duration, later clock timing → earlier observed phase at a fixed
+  // update time, across midnight; duration mode cannot tell them apart.
+  const now = at(6, 14);
+  const early = obs(at(5, 22), at(6, 5), now, 'free').phiObserved;
+  const late  = obs(at(6, 4),  at(6, 11), now, 'free').phiObserved;
+  approx(_internal.shortestArc(early - late), 6 * omega, 1e-9, '6 h later sleep → 6 h earlier phase');
+  approx(_internal.sleepPhaseObservation(at(5, 22), at(6, 5)),
+    _internal.sleepPhaseObservation(at(6, 4), at(6, 11)), 1e-12, 'duration mode ignores timing');
+
+  // Work days ignore the alarm-driven offset; free days correct recovery sleep.
+  const shortNight = (type) => obs(at(0, 23), at(1, 4), now, type).midsleepMs;
+  assert.strictEqual(shortNight('work'), at(0, 23) + 3.5 * ONE_HOUR, 'work: onset + habitual / 2');
+  assert.strictEqual(shortNight('free'), at(0, 23) + 2.5 * ONE_HOUR, 'free: actual midpoint');
+  assert.strictEqual(obs(at(5, 23), at(6, 9), now, 'free').midsleepMs, at(5, 23) + 3.5 * ONE_HOUR,
+    'free-day recovery sleep capped at habitual / 2');
+
+  // Day type from freeDays and the local weekday of the wake-up.
+  assert.strictEqual(obs(at(5, 23), at(6, 6), now).dayType, 'free', 'Sunday morning is free');
+  assert.strictEqual(obs(at(6, 23), at(7, 6), now).dayType, 'work', 'Monday morning is a work day');
+  assert.strictEqual(make({ utcOffsetHours: -8 })._internal.sleepClockObservation(at(0, 0), at(0, 7), now)
+    .dayType, 'free', 'UTC−8: Monday 07:00 UTC wake-up is Sunday local');
+  // After anchor() the local clock comes from the anchor (here UTC+2).
+  const anchored = make();
+  anchored.anchor(0, 9, at(7, 7));
+  assert.strictEqual(anchored._internal.localClock(at(7, 22)).clockHour, 0, '22:00 UTC = 00:00 local');
+  assert.strictEqual(anchored._internal.localClock(at(7, 22)).weekday, 2, 'local Tuesday');
+
+  // A week of sleep reported at the same time every day: later sleep moves the
+  // reconstructed phase under the clock observation only.
+  const week = (mode, onsetHour) => {
+    const eng = model.createEngine({ config: { sleepObservation: mode }, state: { phaseRadians: 0, confidence: 0.3, lastUpdateMs: MON } });
+    for (let d = 0; d < 7; d++) {
+      eng.update({ sleepOnset: at(d, onsetHour), sleepOffset: at(d, onsetHour + 7), timestamp: at(d, 38) });
+    }
+    return eng.getCurrentPhase(at(9, 0)).phaseRadians;
+  };
+  approx(week('duration', 22), week('duration', 28), 1e-9, 'duration: no effect');
+  approx(_internal.shortestArc(week('clock', 22) - week('clock', 28)), 6 * omega, 0.05, 'clock: ≈ 6 h shift');
+  const r = make().update({ sleepOnset: at(0, 23), sleepOffset: at(1, 6), sleepDayType: 'work', timestamp: at(1, 6) });
+  assert.deepStrictEqual([r.correctionApplied[0].dayType, r.correctionApplied[0].onsetClockHour], ['work', 23]);
+
+  assert.throws(() => make().update({ sleepOnset: at(1, 6), sleepOffset: at(0, 23), timestamp: at(1, 6) }),
+    /sleepOffset must be after sleepOnset/);
+  assert.throws(() => make().update({ sleepOnset: at(0, 23), sleepOffset: at(1, 6), sleepDayType: 'holiday',
+    timestamp: at(1, 6) }), /sleepDayType/);
+  assert.throws(() => make({ sleepObservation: 'midsleep' }), /sleepObservation must be one of/);
+  assert.throws(() => make({ freeDays: [7] }), /freeDays/);
+});
+
+// T29: Two-process model (Process S × Process C).
+test('T29 — Two-process model: Process S across wake and sleep, propensity, snapshot v5', () => {
+  const tp = require('./two_process.js');
+  const params = { riseTauHours: 18.2, decayTauHours: 4.2 };
+
+  // Closed forms: exponential rise toward 1 in wake, decay toward 0 in sleep.
+  approx(tp.evolve(0.2, 16, false, params), 1 - 0.8 * Math.exp(-16 / 18.2), 1e-12, 'wake rise');
+  approx(tp.evolve(0.7, 8, true, params), 0.7 * Math.exp(-8 / 4.2), 1e-12, 'sleep decay');
+  const H = ONE_HOUR;
+  approx(tp.integrate(0.2, 0, 24 * H, [{ startMs: 16 * H, endMs: 30 * H }], params),
+    tp.evolve(tp.evolve(0.2, 16, false, params), 8, true, params), 1e-12, 'interval clipped to window');
+
+  // A week of 23:00–07:00 sleep reported at wake-up: S is low in the morning,
+  // rises through the day, and propensity crosses 1 in the late evening.
+  const e = model.createEngine({ state: { phaseRadians: 0, confidence: 0.3, lastUpdateMs: T0 } });
+  for (let d = 0; d < 7; d++) {
+    const on = T0 + (d * 24 + 17) * H;
+    e.update({ sleepOnset: on, sleepOffset: on + 8 * H, timestamp: on + 8 * H });
+  }
+  const wake = T0 + 7 * 24 * H;
+  const at = (h) => e.getCurrentPhase(wake + h * H).twoProcess;
+  assert.ok(at(0).S < 0.15 && at(0).awake, `S after sleep: ${at(0).S}`);
+  assert.ok(at(8).S > at(4).S && at(16).S > at(8).S, 'S rises during wake');
+  assert.ok(at(4).sleepPropensity < 0.5, 'low propensity in the morning');
+  assert.ok(at(20).sleepPropensity > 1, 'propensity past the sleep threshold after 20 h awake');
+  assert.ok(at(12).upperThreshold > at(0).upperThreshold, 'circadian thresholds higher in the day');
+  // Extended wake keeps raising S; project() reports the same values.
+  const traj = e.project(40, wake);
+  assert.deepStrictEqual(traj[20].twoProcess, at(20), 'project matches getCurrentPhase');
+  assert.ok(traj[40].twoProcess.S > traj[20].twoProcess.S, 'S keeps rising without sleep');
+
+  // An update at sleep onset leaves the episode pending: S falls until the
+  // reported offset, and the person reads as asleep meanwhile.
+  const onset = T0 + (7 * 24 + 16) * H;
+  e.update({ sleepOnset: onset, sleepOffset: onset + 8 * H, timestamp: onset });
+  assert.strictEqual(e.getCurrentPhase(onset + 4 * H).twoProcess.awake, false, 'asleep during the episode');
+  assert.ok(e.getCurrentPhase(onset + 8 * H).twoProcess.S < e.getCurrentPhase(onset).twoProcess.S,
+    'S decays during the pending sleep');
+  assert.strictEqual(e.getCurrentPhase(onset + 9 * H).twoProcess.awake, true);
+
+  // An input logged during the night, or a sleep report that syncs after a
+  // later input, does not turn the rest of the episode into wake.
+  const night = (inputsFirst) => {
+    const n = model.createEngine({ state: { phaseRadians: 0, confidence: 0.3, lastUpdateMs: T0 } });
+    const on = T0 + 17 * H;
+    const sleep = { sleepOnset: on, sleepOffset: on + 8 * H, timestamp: on + 8 * H };
+    if (inputsFirst) n.update({ lightLux: 5, timestamp: on + 7 * H });
+    if (inputsFirst) n.update({ lightLux: 5, timestamp: on + 9 * H });
+    const r = n.update(sleep);
+    if (!inputsFirst) n.update({ lightLux: 5, timestamp: on + 7 * H });
+    return { n, r, at: n.getCurrentPhase(on + 9 * H).twoProcess, mid: n.replayAt(on + 7.5 * H).twoProcess };
+  };
+  const clean = night(false), late = night(true);
+  assert.strictEqual(late.r.replayed, true, 'late sleep report replays from its onset');
+  assert.deepStrictEqual(late.at, clean.at, 'same S whatever the arrival order');
+  assert.ok(late.at.S < 0.2, `S after the night: ${late.at.S}`);
+  assert.strictEqual(late.mid.awake, false, 'asleep at the night-time input');
+  assert.ok(late.mid.S < 0.2);
+  const retracted = night(true);
+  retracted.n.retractInput(retracted.r.inputId);
+  assert.ok(retracted.n.getCurrentPhase(T0 + 26 * H).twoProcess.S > 0.5, 'retracted sleep counts as wake');
+
+  // msf.js exposes the summary on S_endo.
+  const msf = require('./msf.js');
+  const endo = msf.S_endo(Date.now());
+  assert.deepStrictEqual(endo.sleepPressure, endo.value.twoProcess, 'S_endo.sleepPressure');
+
+  // Snapshot round-trip and v4 → v5 migration.
+  const doc = JSON.parse(JSON.stringify(e.exportState()));
+  assert.strictEqual(doc.asleepUntilMs, onset + 8 * H);
+  const copy = model.createEngine();
+  copy.importState(doc);
+  assert.deepStrictEqual(copy.getCurrentPhase(onset + 12 * H).twoProcess, e.getCurrentPhase(onset + 12 * H).twoProcess);
+  const v4 = { ...doc, schemaVersion: 4 };
+  delete v4.sleepPressure;
+  delete v4.asleepUntilMs;
+  copy.importState(v4);
+  assert.strictEqual(copy._internal.getState().sleepPressure, 0.5, 'v4 migrates to the initial S');
+  assert.throws(() => copy.importState({ ...doc, sleepPressure: 2 }), /sleepPressure/);
+  assert.throws(() => model.createEngine({ config: { sleepThresholdUpper: 0.1 } }), /sleepThresholdUpper/);
+});
+
+// T30: Circadian phase markers (DLMO, CBT_min, melatonin offset).
+test('T30 — Circadian markers: DLMO / CBT_min / melatonin offset fused by assay precision', () => {
+  const omega = (2 * Math.PI) / 24.2;
+  const dlmo  = T0 + 20 * ONE_HOUR;
+  const now   = dlmo + 3 * ONE_HOUR;
+  const expected = _internal.wrapPhase((7 * Math.PI) / 6 + 3 * omega);
+  // Estimate 4 h off and fairly confident.
+  const make = (config = {}) => model.createEngine({
+    config,
+    state: { phaseRadians: _internal.wrapPhase(expected + 4 * omega), confidence: 0.8, lastUpdateMs: now },
+  });
+
+  // DLMO is CT14: the observed phase is CT14 advanced by the time since it.
+  const r = make().update({ dlmoMs: dlmo, timestamp: now });
+  const entry = r.correctionApplied[0];
+  assert.strictEqual(entry.source, 'dlmo');
+  approx(entry.phiObserved, expected, 1e-12, 'φ_obs = CT14 + ω Δt');
+  assert.deepStrictEqual([entry.markerMs, entry.precisionHours], [dlmo, 0.5]);
+
+  // The gain follows assay precision; a precise assay pins the phase.
+  const K = (h) => make().update({ dlmoMs: dlmo, assayPrecisionH: h, timestamp: now }).correctionApplied[0].K;
+  assert.ok(K(0.25) > 0.9 && K(1) > K(3) && K(3) < 0.5, `K(0.25 h) = ${K(0.25)}, K(3 h) = ${K(3)}`);
+  const pinned = make().update({ dlmoMs: dlmo, assayPrecisionH: 0.25, timestamp: now });
+  assert.ok(Math.abs(_internal.shortestArc(pinned.phaseRadians - expected)) < 0.5 * omega, 'within 30 min');
+
+  // The three markers agree when they come from the same rhythm.
+  const markerPhase = (inputs) => make().update({ ...inputs, timestamp: now }).correctionApplied[0].phiObserved;
+  approx(markerPhase({ cbtMinMs: dlmo + 7 * ONE_HOUR * 24.2 / 24 - ONE_HOUR * 24.2 }), expected, 1e-9, 'CBT_min is CT21');
+  approx(markerPhase({ melatoninOffsetMs: dlmo + 10 * ONE_HOUR * 24.2 / 24 - ONE_HOUR * 24.2 }),
+    expected, 1e-9, 'melatonin offset is CT0');
+
+  // von Mises and particle filters fuse with κ from the same precision.
+  for (const filter of ['vonmises', 'particle']) {
+    const e = make({ filter, particleCount: 2000 });
+    const out = e.update({ dlmoMs: dlmo, assayPrecisionH: 0.25, timestamp: now });
+    assert.ok(Math.abs(_internal.shortestArc(out.phaseRadians - expected)) < 0.5 * omega, `${filter}: pinned`);
+    assert.ok(e.getCurrentPhase(now).phaseUncertaintyHours < 0.3, `${filter}: uncertainty below the assay SD`);
+  }
+
+  // Markers replay from the log like any other input.
+  const e = make();
+  const { inputId } = e.update({ dlmoMs: dlmo, timestamp: now });
+  const amended = e.amendInput(inputId, { dlmoMs: dlmo - ONE_HOUR });
+  approx(amended.correctionApplied[0].phiObserved, _internal.wrapPhase(expected + omega), 1e-12, 'amended marker');
+
+  assert.throws(() => make().update({ dlmoMs: now + 1, timestamp: now }), /dlmoMs must be a finite timestamp/);
+  assert.throws(() => make().update({ lightLux: 500, assayPrecisionH: 0.5, timestamp: now }), /assayPrecisionH needs a marker/);
+  assert.throws(() => make().update({ dlmoMs: dlmo, assayPrecisionH: 0, timestamp: now }), /assayPrecisionH must be a positive/);
+  assert.throws(() => make({ markerPrecisionHours: { dlmo: -1 } }), /markerPrecisionHours\.dlmo/);
+});
+
+// T31: DLMO estimation from salivary melatonin samples.
+test('T31 — DLMO estimation: fixed threshold, 2 SD baseline, hockey-stick, bootstrap CI', () => {
+  const dlmo = require('./dlmo_estimation.js');
+  // Half-hourly samples 18:00–23:00; baseline ≈ 1 pg/mL, rising 5 pg/mL per
+  // hour from 20:00.
+  const base  = T0 + 12 * ONE_HOUR;  // 18:00
+  const rise  = base + 2 * ONE_HOUR; // 20:00
+  const noise = [-0.2, 0.2, 0, 0.1, 0];
+  const samples = [];
+  for (let i = 0; i <= 10; i++) {
+    const t = base + i * ONE_HOUR / 2;
+    samples.push({ timestampMs: t, pgPerMl: t <= rise ? 1 + noise[i] : 1 + 5 * (t - rise) / ONE_HOUR });
+  }
+  const all = dlmo.estimateAll(samples);
+  assert.strictEqual(all.threshold3.dlmoMs, rise + 0.4 * ONE_HOUR, '3 pg/mL crossed at 20:24');
+  assert.strictEqual(all.threshold4.dlmoMs, rise + 0.6 * ONE_HOUR, '4 pg/mL crossed at 20:36');
+  // Baseline: first three samples, mean 1, SD 0.2 → level 1.4 pg/mL.
+  approx(all.baselineSD.thresholdPgMl, 1.4, 1e-12, 'mean + 2 SD');
+  approx(all.baselineSD.dlmoMs, rise + 0.08 * ONE_HOUR, 1, 'baseline crossing');
+  assert.ok(Math.abs(all.hockeyStick.dlmoMs - rise) <= 5 * 60000, 'hinge at the rise');
+
+  // Each estimate carries a bootstrap interval around it; deterministic per seed.
+  for (const [name, est] of Object.entries(all)) {
+    const ci = est.confidenceInterval;
+    assert.ok(ci.lowerMs <= est.dlmoMs + 60000 && est.dlmoMs - 60000 <= ci.upperMs, `${name}: CI brackets the estimate`);
+    assert.ok(ci.upperMs > ci.lowerMs && ci.sdHours < 1, `${name}: finite, non-degenerate CI`);
+  }
+  assert.deepStrictEqual(dlmo.estimateAll(samples), all, 'seeded bootstrap is reproducible');
+  const noisy = dlmo.estimateDLMO(samples, { assayCV: 0.3, assayFloorPgMl: 1 }).confidenceInterval;
+  assert.ok(noisy.sdHours > all.threshold3.confidenceInterval.sdHours, 'noisier assay → wider CI');
+
+  // No onset in the window: a flat profile, or one already high at the start.
+  const flat = samples.map(s => ({ ...s, pgPerMl: 1 }));
+  assert.strictEqual(dlmo.estimateDLMO(flat), null);
+  assert.strictEqual(dlmo.estimateDLMO(samples.slice(6)), null, 'already above 3 pg/mL');
+
+  // An estimate feeds the engine as a DLMO marker.
+  const input = dlmo.toMarkerInput(all.threshold3);
+  assert.strictEqual(input.dlmoMs, all.threshold3.dlmoMs);
+  assert.ok(input.assayPrecisionH >= 0.1);
+  // Both estimators share marker_input.js: a zero SD is floored, no SD leaves
+  // the engine's default precision.
+  const { MIN_MARKER_PRECISION_H } = require('./marker_input.js');
+  assert.deepStrictEqual(dlmo.toMarkerInput({ dlmoMs: T0, confidenceInterval: { sdHours: 0 } }),
+                         { dlmoMs: T0, assayPrecisionH: MIN_MARKER_PRECISION_H });
+  assert.deepStrictEqual(dlmo.toMarkerInput({ dlmoMs: T0, confidenceInterval: null }), { dlmoMs: T0 });
+  assert.deepStrictEqual(require('./temperature_phase.js').toMarkerInput({ cbtMinMs: T0, sdHours: 0 }),
+                         { cbtMinMs: T0, assayPrecisionH: MIN_MARKER_PRECISION_H });
+  assert.throws(() => dlmo.toMarkerInput({ dlmoMs: NaN }), /finite dlmoMs/);
+  const e = model.createEngine({ state: { phaseRadians: 0, confidence: 0.2, lastUpdateMs: T0 } });
+  const out = e.update({ ...input, timestamp: base + 5 * ONE_HOUR });
+  assert.strictEqual(out.correctionApplied[0].source, 'dlmo');
+
+  assert.throws(() => dlmo.estimateDLMO(samples.slice(0, 2)), /at least 3/);
+  assert.throws(() => dlmo.estimateDLMO([...samples, samples[0]]), /duplicate/);
+  assert.throws(() => dlmo.estimateDLMO(samples, { method: 'visual' }), /method must be one of/);
+});
+
+// T32: CBT_min from core and wrist temperature series.
+test('T32 — Temperature phase: cosinor CBT_min from core / wrist series, sleep demasking', () => {
+  const temp = require('./temperature_phase.js');
+  const rng  = require('./particle_filter.js').createRng(7);
+  const day  = 24 * ONE_HOUR;
+  const midnight = T0 - 6 * ONE_HOUR;                 // 2024-01-15 00:00 UTC
+  const minAt    = (d) => midnight + d * day + 5 * ONE_HOUR; // CBT_min 05:00
+  // Three nights of 23:00–07:00 sleep.
+  const sleep = [0, 1, 2].map(d => ({ startMs: midnight + d * day - ONE_HOUR, endMs: midnight + d * day + 7 * ONE_HOUR }));
+  const asleep = (t) => sleep.some(iv => t >= iv.startMs && t < iv.endMs);
+  const series = (kind) => {
+    const out = [];
+    for (let t = midnight; t < midnight + 3 * day; t += ONE_HOUR / 6) {
+      const x = (2 * Math.PI * (t - minAt(0))) / day;
+      const celsius = kind === 'core'
+        ? 37 - 0.4 * Math.cos(x) - (asleep(t) ? 0.3 : 0)
+        : 33 + 1.0 * Math.cos(x) + (asleep(t) ? 0.8 : 0);
+      out.push({ timestampMs: t, celsius: celsius + 0.05 * rng.normal() });
+    }
+    return out;
+  };
+  const errH = (est) => (est.cbtMinMs - minAt(2)) / ONE_HOUR;
+
+  // Core: sleep masking pulls the raw trough toward midsleep (03:00);
+  // regressing out the sleep indicator recovers 05:00.
+  const core = series('core');
+  const raw  = temp.estimateCbtMin(core);
+  const reg  = temp.estimateCbtMin(core, { sleep });
+  const exc  = temp.estimateCbtMin(core, { sleep, demask: 'exclude' });
+  assert.ok(errH(raw) < -0.3, `masked trough early: ${errH(raw)} h`);
+  assert.ok(Math.abs(errH(reg)) < 0.15, `regress: ${errH(reg)} h`);
+  assert.ok(Math.abs(errH(exc)) < 0.3, `exclude: ${errH(exc)} h`);
+  approx(reg.sleepEffectC, -0.3, 0.03, 'sleep effect on core temperature');
+  approx(reg.amplitudeC, 0.4, 0.03, 'amplitude');
+  assert.ok(reg.sdHours > 0 && reg.sdHours < 0.2, `SE ${reg.sdHours} h`);
+  assert.ok(reg.confidenceInterval.lowerMs < minAt(2) && minAt(2) < reg.confidenceInterval.upperMs, 'CI covers truth');
+  assert.ok(reg.cbtMinMs <= core[core.length - 1].timestampMs, 'latest minimum within the series');
+
+  // Wrist: antiphase rhythm, peak at CBT_min; off-wrist readings dropped; the
+  // proxy SD widens the interval.
+  const wrist = series('wrist');
+  wrist.push(...[1, 2, 3].map(h => ({ timestampMs: midnight + 2 * day + (12 + h) * ONE_HOUR + 60000, celsius: 21 })));
+  const w = temp.estimateCbtMin(wrist, { kind: 'wrist', sleep });
+  assert.ok(Math.abs(errH(w)) < 0.15, `wrist: ${errH(w)} h`);
+  assert.strictEqual(w.samplesUsed, wrist.length - 3, 'off-wrist samples dropped');
+  assert.ok(w.sdHours >= 1, 'wrist proxy uncertainty');
+
+  // The estimate enters the engine as a CBT_min marker (CT21).
+  const input = temp.toMarkerInput(reg);
+  const e = model.createEngine({ state: { phaseRadians: 0, confidence: 0.1, lastUpdateMs: T0 } });
+  const out = e.update({ ...input, timestamp: midnight + 3 * day });
+  assert.strictEqual(out.correctionApplied[0].source, 'cbtMin');
+  approx(out.correctionApplied[0].precisionHours, Math.max(0.1, reg.sdHours), 1e-12);
+
+  assert.strictEqual(temp.estimateCbtMin(core.slice(0, 4)), null, 'too few samples');
+  assert.throws(() => temp.estimateCbtMin(core, { kind: 'oral' }), /kind must be one of/);
+  assert.throws(() => temp.estimateCbtMin(core, { sleep: [{ startMs: 2, endMs: 1 }] }), /sleep intervals/);
+});
+
+// T33: Actigraphy scoring into sleep episodes.
+test('T33 — Actigraphy: Cole–Kripke / Sadeh scoring, main sleep and naps, update() inputs', () => {
+  const acti = require('./actigraphy.js');
+  const rng  = require('./particle_filter.js').createRng(3);
+  const midnight = T0 - 6 * ONE_HOUR;  // 2024-01-15 00:00 UTC
+  const hourOf = (t) => ((t - midnight) / ONE_HOUR) % 24;
+  // Two days from noon: active days, 23:00–07:00 nights with a 6-min
+  // awakening at 03:00, and a 45-min nap at 14:00 on the second day.
+  const start = midnight + 12 * ONE_HOUR;
+  const minuteCounts = [];
+  for (let t = start; t < start + 48 * ONE_HOUR; t += 60000) {
+    const h = hourOf(t);
+    const night = h >= 23 || h < 7;
+    const wakeBout = h >= 3 && h < 3.1;
+    const nap = t >= midnight + 38 * ONE_HOUR && t < midnight + 38.75 * ONE_HOUR;
+    const count = (night && !wakeBout) || nap ? Math.floor(10 * rng.next()) : 200 + Math.floor(300 * rng.next());
+    minuteCounts.push({ timestampMs: t, count });
+  }
+  const near = (a, b, min, msg) => assert.ok(Math.abs(a - b) <= min * 60000, `${msg}: off by ${(a - b) / 60000} min`);
+
+  for (const algorithm of acti.ALGORITHMS) {
+    const { periods, updates } = acti.scoreActigraphy(minuteCounts, { algorithm });
+    const mains = periods.filter(p => p.type === 'main');
+    const naps  = periods.filter(p => p.type === 'nap');
+    assert.strictEqual(mains.length, 2, `${algorithm}: two main sleeps`);
+    assert.strictEqual(naps.length, 1, `${algorithm}: one nap`);
+    near(mains[0].startMs, midnight + 23 * ONE_HOUR, 5, `${algorithm} onset`);
+    near(mains[0].endMs, midnight + 31 * ONE_HOUR, 5, `${algorithm} offset`);
+    near(naps[0].startMs, midnight + 38 * ONE_HOUR, 5, `${algorithm} nap`);
+    assert.ok(mains[0].efficiency < 1 && mains[0].efficiency > 0.95, 'awakening merged, counted as wake');
+    assert.deepStrictEqual(updates, mains.map(p => ({ sleepOnset: p.startMs, sleepOffset: p.endMs, timestamp: p.endMs })),
+      'updates: main sleeps only');
+    assert.strictEqual(acti.toUpdateInputs(periods, { includeNaps: true }).length, 3);
+  }
+
+  // 30 s epochs (each minute split in two) give the same periods.
+  const halves = minuteCounts.flatMap(e => [
+    { timestampMs: e.timestampMs, count: Math.floor(e.count / 2) },
+    { timestampMs: e.timestampMs + 30000, count: Math.ceil(e.count / 2) },
+  ]);
+  const p60 = acti.scoreActigraphy(minuteCounts).periods;
+  const p30 = acti.scoreActigraphy(halves, { epochSeconds: 30 }).periods;
+  assert.deepStrictEqual(p30.map(p => [p.startMs, p.endMs]), p60.map(p => [p.startMs, p.endMs]));
+
+  // The episodes drive the engine directly.
+  const e = model.createEngine({ config: { sleepObservation: 'clock' }, state: { phaseRadians: 0, confidence: 0.1, lastUpdateMs: start } });
+  for (const u of acti.scoreActigraphy(minuteCounts).updates) e.update(u);
+  assert.ok(e.getCurrentPhase(midnight + 40 * ONE_HOUR).confidence > 0.5);
+
+  assert.throws(() => acti.scoreEpochs(minuteCounts, { epochSeconds: 15 }), /epochSeconds/);
+  assert.throws(() => acti.scoreEpochs(minuteCounts, { algorithm: 'oakley' }), /algorithm/);
+  assert.throws(() => acti.scoreEpochs([minuteCounts[0], minuteCounts[2]]), /contiguous/);
+});
+
+// T34: Cosinor and nonparametric rhythm analysis.
+test('T34 — Cosinor toolkit: multi-component fit, CIs, zero-amplitude test, IS / IV / L5 / M10 / RA', () => {
+  const cos = require('./cosinor.js');
+  const rng = require('./particle_filter.js').createRng(11);
+  const midnight = T0 - 6 * ONE_HOUR;
+  const day = 24 * ONE_HOUR;
+  const peak = midnight + 15 * ONE_HOUR; // 15:00
+  // Uneven sampling over four days; 24 h rhythm (A = 3) plus a 12 h harmonic (A = 1).
+  const times = Array.from({ length: 300 }, () => midnight + 4 * day * rng.next()).sort((a, b) => a - b);
+  const wave = (t) => 10 + 3 * Math.cos((2 * Math.PI * (t - peak)) / day) + Math.cos((4 * Math.PI * (t - peak)) / day);
+  const samples = times.map(t => ({ timestampMs: t, value: wave(t) + 0.5 * rng.normal() }));
+
+  const single = cos.fitCosinor(samples);
+  const [c24] = single.components;
+  approx(single.mesor, 10, 0.15, 'MESOR');
+  approx(c24.amplitude, 3, 0.15, 'amplitude');
+  approx(c24.acrophaseClockHour, 15, 0.25, 'acrophase 15:00');
+  assert.ok(c24.amplitudeCI[0] < c24.amplitude && c24.amplitude < c24.amplitudeCI[1]);
+  assert.ok(c24.acrophaseCIMs[0] < c24.acrophaseMs && c24.acrophaseMs < c24.acrophaseCIMs[1]);
+  assert.ok(c24.acrophaseMs <= times[times.length - 1], 'latest acrophase within the data');
+  assert.ok(single.zeroAmplitude.p < 1e-10, 'rhythm detected');
+
+  // Two components recover the harmonic and tighten the fit.
+  const multi = cos.fitCosinor(samples, { periodsHours: [24, 12] });
+  approx(multi.components[1].amplitude, 1, 0.15, '12 h amplitude');
+  assert.ok(multi.residualSD < single.residualSD && multi.rSquared > single.rSquared);
+  approx(multi.peakClockHour, 15, 0.25, 'peak of the full curve');
+
+  // Noise alone: no rhythm.
+  const noise = times.map(t => ({ timestampMs: t, value: 10 + rng.normal() }));
+  assert.ok(cos.fitCosinor(noise).zeroAmplitude.p > 0.01, 'no rhythm in noise');
+  // Distributions match standard tables.
+  approx(cos.tQuantile(0.95, 10), 2.2281, 1e-4, 't(0.975, 10)');
+  approx(cos.fSurvival(4.1028, 2, 10), 0.05, 1e-4, 'F(0.95; 2, 10)');
+
+  // Acrophase → circadian phase via the engine's clock mapping.
+  const e = model.createEngine({ state: { phaseRadians: 0, confidence: 0.5, lastUpdateMs: midnight } });
+  e.anchor(Math.PI, 15, midnight + 15 * ONE_HOUR);
+  approx(_internal.shortestArc(cos.acrophaseToPhase(c24, e) - Math.PI), 0, 0.1, 'acrophase at the anchored phase');
+
+  // Nonparametric: a week of a perfectly regular rest–activity square wave.
+  const hourly = [];
+  for (let h = 0; h < 7 * 24; h++) {
+    const hod = h % 24;
+    hourly.push({ timestampMs: midnight + h * ONE_HOUR, value: hod >= 8 && hod < 22 ? 100 : 10 });
+  }
+  const np = cos.nonparametric(hourly);
+  approx(np.interdailyStability, 1, 1e-12, 'IS = 1 for identical days');
+  assert.ok(np.intradailyVariability < 0.5, `IV ${np.intradailyVariability}`);
+  assert.deepStrictEqual([np.L5.value, np.M10.value, np.M10.onsetClockHour], [10, 100, 8]);
+  approx(np.relativeAmplitude, 90 / 110, 1e-12, 'RA');
+  assert.strictEqual(np.days, 7);
+  const npNoise = cos.nonparametric(hourly.map(s => ({ ...s, value: 50 + 10 * rng.normal() })));
+  assert.ok(npNoise.interdailyStability < 0.3 && npNoise.intradailyVariability > 1.5, 'noise: low IS, high IV');
+
+  assert.throws(() => cos.nonparametric(hourly.slice(0, 12)), /every clock hour/);
+  assert.throws(() => cos.fitCosinor(samples, { periodsHours: [] }), /periodsHours/);
+});
+
+// T35: Period estimation from long-term logs.
+test('T35 — Periodograms: Lomb–Scargle, χ² and Rayleigh recover τ from free-running logs; entrained logs give no τ', () => {
+  const pg  = require('./periodogram.js');
+  const rng = require('./particle_filter.js').createRng(7);
+  // A month of sleep free-running at 24.8 h, onsets jittered by 30 min.
+  const episodes = (periodHours) => Array.from({ length: 30 }, (_, d) => {
+    const onset = T0 + d * periodHours * ONE_HOUR + 0.5 * ONE_HOUR * rng.normal();
+    return { sleepOnset: onset, sleepOffset: onset + 8 * ONE_HOUR };
+  });
+  const freeRunning = episodes(24.8);
+  const onsets = pg.rayleigh(freeRunning.map(e => e.sleepOnset));
+  approx(onsets.peak.periodHours, 24.8, 0.05, 'Rayleigh on sleep onsets');
+  const indicator = pg.sleepIndicator(freeRunning);
+  approx(pg.lombScargle(indicator).peak.periodHours, 24.8, 0.05, 'Lomb–Scargle on sleep/wake');
+  approx(pg.chiSquare(indicator).peak.periodHours, 24.8, 0.1, 'χ² on sleep/wake');
+  const summary = pg.summarisePeak(onsets);
+  assert.ok(summary.significant && summary.nonEntrained, 'non-24 h pattern flagged');
+  approx(pg.tauSeed(onsets), 24.8, 0.05, 'τ seeded from behaviour');
+
+  // Entrained sleep: a significant 24 h rhythm, which says nothing about τ.
+  const entrained = pg.rayleigh(episodes(24).map(e => e.sleepOnset));
+  approx(entrained.peak.periodHours, 24, 0.05, 'entrained period');
+  assert.ok(pg.summarisePeak(entrained).significant && !pg.summarisePeak(entrained).nonEntrained);
+  assert.strictEqual(pg.tauSeed(entrained), null);
+
+  // Unevenly sampled temperature with a 24.5 h rhythm.
+  const temperature = Array.from({ length: 600 }, (_, i) => {
+    const t = T0 + (1.2 * i + rng.next()) * ONE_HOUR;
+    return { timestampMs: t, value: 37 + 0.4 * Math.cos((2 * Math.PI * (t - T0)) / (24.5 * ONE_HOUR)) + 0.1 * rng.normal() };
+  });
+  approx(pg.lombScargle(temperature).peak.periodHours, 24.5, 0.05, 'Lomb–Scargle on temperature');
+  approx(pg.chiSquare(temperature).peak.periodHours, 24.5, 0.1, 'χ² on temperature');
+
+  // Noise alone: no significant period.
+  const noise = temperature.map(s => ({ timestampMs: s.timestampMs, value: rng.normal() }));
+  assert.ok(pg.lombScargle(noise).peak.p > 0.05 && pg.chiSquare(noise).peak.p > 0.05, 'no period in noise');
+  assert.strictEqual(pg.tauSeed(pg.lombScargle(noise)), null);
+
+  assert.throws(() => pg.chiSquare(temperature.slice(0, 20)), /two of the longest periods/);
+  assert.throws(() => pg.lombScargle(temperature, { minPeriodHours: 28, maxPeriodHours: 20 }), /minPeriodHours/);
+});
+
+// T36: Caffeine pharmacokinetics and S_pharma.
+test('T36 — Caffeine PK: dose superposition, half-life modifiers, receptor occupancy, dose-scaled cue, S_pharma', () => {
+  const pk  = require('./caffeine_pk.js');
+  const msf = require('./msf.js');
+  const dose = (h, mg) => ({ timestampMs: T0 + h * ONE_HOUR, doseMg: mg });
+
+  // One 100 mg dose: peak near 1 h, then halving every 5 h.
+  const profile = pk.caffeineProfile([dose(0, 100)], T0, T0 + 4 * ONE_HOUR, { stepMinutes: 5 });
+  const peak = profile.reduce((a, b) => (b.concentrationMgPerL > a.concentrationMgPerL ? b : a));
+  approx((peak.timestampMs - T0) / ONE_HOUR, 1.08, 0.05, 't_max ≈ 1 h');
+  approx(peak.concentrationMgPerL, 100 * 0.99 / 42, 0.5, 'peak ≈ F D / V');
+  const at = (doses, h, p) => pk.caffeineLevel(doses, T0 + h * ONE_HOUR, p).concentrationMgPerL;
+  approx(at([dose(0, 100)], 15) / at([dose(0, 100)], 10), 0.5, 0.01, 'elimination half-life');
+  approx(at([dose(0, 100), dose(4, 50)], 6), at([dose(0, 100)], 6) + at([dose(4, 50)], 6), 1e-12, 'doses superpose');
+  assert.strictEqual(pk.caffeineLevel([dose(4, 50)], T0 + ONE_HOUR).doses, 0, 'future doses ignored');
+
+  // Half-life modifiers multiply.
+  approx(pk.halfLifeHours(5, { smoker: true }), 3, 1e-12, 'smoking shortens');
+  approx(pk.halfLifeHours(5, { oralContraceptives: true, pregnancyTrimester: 3 }), 27, 1e-12, 'OC × third trimester');
+  assert.throws(() => pk.halfLifeHours(5, { pregnancyTrimester: 4 }), /pregnancyTrimester/);
+
+  // Occupancy saturates with dose; A2A (lower K_i) is occupied first.
+  const level = pk.caffeineLevel([dose(0, 200)], T0 + ONE_HOUR);
+  assert.ok(level.occupancy.A2A > level.occupancy.A1 && level.occupancy.A1 > 0.5);
+  assert.ok(pk.peakOccupancy(400) / pk.peakOccupancy(200) < 2, 'occupancy saturates');
+
+  // Engine: the phase cue scales with dose; the default is unchanged.
+  const e = model.createEngine({ state: { phaseRadians: 1, confidence: 0.5, lastUpdateMs: T0 } });
+  const cue = e._internal.caffeinePhaseObservation;
+  approx(cue(T0, T0).effectiveness, 1, 1e-12, 'no dose: unchanged');
+  approx(cue(T0, T0, 100).effectiveness, 1, 1e-12, 'reference dose');
+  assert.ok(cue(T0, T0, 200).effectiveness > 1 && cue(T0, T0, 50).effectiveness < 1);
+  e.update({ caffeineTimestamp: T0 + ONE_HOUR, caffeineMg: 200, timestamp: T0 + ONE_HOUR });
+  e.update({ caffeineTimestamp: T0 + 5 * ONE_HOUR, timestamp: T0 + 5 * ONE_HOUR });
+  const { caffeine } = e.pharmacokinetics(T0 + 6 * ONE_HOUR);
+  assert.strictEqual(caffeine.doses, 2);
+  approx(caffeine.concentrationMgPerL, at([dose(1, 200), dose(5, 100)], 6), 1e-12, 'logged and reference doses');
+  e.setConfig({ caffeineModifiers: { smoker: true } });
+  approx(e.pharmacokinetics(T0 + 6 * ONE_HOUR).caffeine.halfLifeHours, 3, 1e-12, 'modifiers from config');
+  assert.strictEqual(e.getConfig().caffeineModifiers.pregnancyTrimester, 0, 'modifiers deep-merged');
+  assert.throws(() => e.setConfig({ bodyMassKg: 0 }), /bodyMassKg/);
+  assert.throws(() => e.update({ caffeineMg: 100, timestamp: T0 + 7 * ONE_HOUR }), /caffeineTimestamp/);
+
+  // S_pharma: confidence falls as the prediction ages; none without intake.
+  const now = Date.now();
+  assert.strictEqual(msf.S_pharma(now).status, 'NO_INTAKE');
+  const { inputId } = model.update({ caffeineTimestamp: now - ONE_HOUR, caffeineMg: 100, timestamp: now });
+  const soon  = msf.S_pharma(now);
+  const later = msf.S_pharma(now + 12 * ONE_HOUR);
+  assert.strictEqual(soon.status, 'OK');
+  assert.ok(soon.value.caffeine.concentrationMgPerL > 1);
+  assert.ok(soon.confidence > later.confidence && later.confidence > 0);
+  model.retractInput(inputId);
+  assert.strictEqual(msf.S_pharma(now).status, 'NO_INTAKE');
+});
+
+// T37: Phase-dependent caffeine PRC.
+test('T37 — Caffeine PRC: evening delay ≈ 40 min (Burke 2015), morning advance, dose scaling, all filters', () => {
+  const CT = (h) => (2 * Math.PI * h) / 24;
+  const make = (phi, config = {}) => model.createEngine({
+    config: { caffeineResponse: 'prc', ...config },
+    state:  { phaseRadians: phi, confidence: 0.9, lastUpdateMs: T0 },
+  });
+  const shiftHours = (engine, phi) => {
+    const still = make(phi).getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
+    return _internal.shortestArc(engine.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians - still) / _internal.OMEGA;
+  };
+
+  // 200 mg at CT13, 3 h before habitual bedtime: ≈ 40 min delay, logged.
+  const evening = make(CT(13));
+  const upd = evening.update({ caffeineTimestamp: T0, caffeineMg: 200, timestamp: T0 });
+  const [entry] = upd.correctionApplied;
+  assert.strictEqual(entry.source, 'caffeine_prc');
+  assert.strictEqual(entry.direction, 'DELAY');
+  assert.strictEqual(entry.doseMg, 200);
+  approx(shiftHours(evening, CT(13)), -40 / 60, 0.02, 'Burke et al. delay');
+  assert.strictEqual(upd.confidence, 0.9, 'an intervention, not an observation');
+
+  // Phase dependence: morning advances, CT10 / CT22 are crossovers.
+  const prc = make(0)._internal.caffeinePRC;
+  assert.strictEqual(prc(CT(4), 200).direction, 'ADVANCE');
+  approx(prc(CT(10), 200).deltaRad, 0, 1e-12, 'CT10 crossover');
+  approx(prc(CT(22), 200).deltaRad, 0, 1e-12, 'CT22 crossover');
+  assert.ok(prc(CT(16), 200).deltaRad < prc(CT(13), 200).deltaRad, 'largest delay at CT16');
+  // Dose: saturating; no dose is the 100 mg reference.
+  const d100 = prc(CT(13), 100).deltaRad, d200 = prc(CT(13), 200).deltaRad, d400 = prc(CT(13), 400).deltaRad;
+  assert.ok(Math.abs(d100) < Math.abs(d200) && Math.abs(d400) < 2 * Math.abs(d200));
+  assert.strictEqual(prc(CT(13)).deltaRad, d100);
+
+  // Intake logged an hour late: the shift uses the phase at intake.
+  const late = make(CT(12));
+  const lateEntry = late.update({ caffeineTimestamp: T0 + ONE_HOUR, caffeineMg: 200, timestamp: T0 + 2 * ONE_HOUR })
+    .correctionApplied[0];
+  approx(lateEntry.phiIntake, _internal.wrapPhase(CT(12) + _internal.OMEGA), 1e-9, 'phase at intake');
+
+  // An intake reported after a later input is applied at its own time, in the
+  // step that holds it: the same as reporting it with the first input after it.
+  const coffee = { caffeineTimestamp: T0 + ONE_HOUR, caffeineMg: 200 };
+  const lightAt = (h) => ({ lightLux: 3000, timestamp: T0 + h * ONE_HOUR });
+  for (const caffeineResponse of ['prc', 'anchor']) {
+    const onTime = make(CT(13), { caffeineResponse });
+    onTime.update({ ...lightAt(2), ...coffee });
+    onTime.update(lightAt(4));
+    const reportedLate = make(CT(13), { caffeineResponse });
+    reportedLate.update(lightAt(2));
+    assert.strictEqual(reportedLate.update({ ...lightAt(4), ...coffee }).replayed, true, 'late intake replays');
+    assert.deepStrictEqual(reportedLate.exportState(), onTime.exportState(), `late intake (${caffeineResponse})`);
+  }
+
+  // von Mises: widens the posterior.  Particles: the mean shifts the same way.
+  const vm = make(CT(13), { filter: 'vonmises' });
+  assert.ok(vm.update({ caffeineTimestamp: T0, caffeineMg: 200, timestamp: T0 }).confidence < 0.9);
+  const pf = model.createEngine({ config: { caffeineResponse: 'prc', filter: 'particle' },
+                                  state:  { phaseRadians: CT(13), confidence: 0.9, lastUpdateMs: T0 } });
+  const pfEntry = pf.update({ caffeineTimestamp: T0, caffeineMg: 200, timestamp: T0 }).correctionApplied[0];
+  assert.strictEqual(pfEntry.direction, 'DELAY');
+  approx(pfEntry.deltaRad, d200, 0.05, 'particle mean shift');
+
+  // The PRC is the default response; the BALANCE pull is kept as 'anchor'.
+  const byDefault = model.createEngine({ state: { phaseRadians: CT(13), confidence: 0.9, lastUpdateMs: T0 } });
+  assert.strictEqual(byDefault.update({ caffeineTimestamp: T0, timestamp: T0 }).correctionApplied[0].source, 'caffeine_prc');
+  const anchor = make(CT(13), { caffeineResponse: 'anchor' });
+  assert.strictEqual(anchor.update({ caffeineTimestamp: T0, timestamp: T0 }).correctionApplied[0].source, 'caffeine');
+  const scenario = require('./circadian_validation.js').scenario_evening_caffeine_prc_delay();
+  approx(scenario.deltaHours, -40 / 60, 0.02, 'validation scenario');
+  assert.throws(() => model.createEngine({ config: { caffeineResponse: 'pull' } }), /caffeineResponse/);
+});
+
+// T38: Exogenous melatonin PRC.
+test('T38 — Melatonin PRC: afternoon advance, morning delay, saturating dose, simulateShift schedules', () => {
+  const CT = (h) => (2 * Math.PI * h) / 24;
+  const make = (phi, config = {}) => model.createEngine({
+    config,
+    state: { phaseRadians: phi, confidence: 0.9, lastUpdateMs: T0 },
+  });
+  const prc = make(0)._internal.melatoninPRC;
+
+  // Roughly opposite to light: advances before DLMO, delays in the morning.
+  assert.strictEqual(prc(CT(9), 3).direction, 'ADVANCE');
+  assert.strictEqual(prc(CT(22), 3).direction, 'DELAY');
+  approx(prc(CT(3), 3).deltaRad, 0, 1e-12, 'CT3 crossover');
+  approx(prc(CT(15), 3).deltaRad, 0, 1e-12, 'CT15 crossover');
+  // Saturating dose: 3 mg ≈ 1.5 h, 0.5 mg ≈ 1.3 h (Burgess et al.); 0.5 mg by default.
+  approx(prc(CT(9), 3).deltaRad / _internal.OMEGA, 1.55, 0.05, '3 mg peak advance');
+  approx(prc(CT(9), 0.5).deltaRad / _internal.OMEGA, 1.33, 0.05, '0.5 mg peak advance');
+  assert.strictEqual(prc(CT(9)).deltaRad, prc(CT(9), 0.5).deltaRad);
+
+  // update(): shift at the phase of intake, logged; confidence kept.
+  const pm = make(CT(8));
+  const upd = pm.update({ melatoninTimestamp: T0 + ONE_HOUR, melatoninMg: 3, timestamp: T0 + 2 * ONE_HOUR });
+  const [entry] = upd.correctionApplied;
+  assert.strictEqual(entry.source, 'melatonin_prc');
+  assert.strictEqual(entry.direction, 'ADVANCE');
+  assert.strictEqual(entry.doseMg, 3);
+  approx(entry.phiIntake, _internal.wrapPhase(CT(8) + _internal.OMEGA), 1e-9, 'phase at intake');
+  const still = make(CT(8)).getCurrentPhase(T0 + 2 * ONE_HOUR);
+  approx(upd.confidence, still.confidence, 1e-9, 'an intervention, not an observation');
+  approx(_internal.shortestArc(upd.phaseRadians - still.phaseRadians), entry.deltaRad, 1e-9, 'applied shift');
+
+  // A dose reported after a later input is applied at its own time, in the
+  // step that holds it, under every filter.
+  const dose    = { melatoninTimestamp: T0 + ONE_HOUR, melatoninMg: 3 };
+  const lightAt = (h) => ({ lightLux: 3000, timestamp: T0 + h * ONE_HOUR });
+  for (const filter of ['gain', 'vonmises', 'particle']) {
+    const onTime = make(CT(20), { filter });
+    onTime.update({ ...lightAt(2), ...dose });
+    onTime.update(lightAt(4));
+    const reportedLate = make(CT(20), { filter });
+    reportedLate.update(lightAt(2));
+    assert.strictEqual(reportedLate.update({ ...lightAt(4), ...dose }).replayed, true, 'late dose replays');
+    assert.deepStrictEqual(reportedLate.exportState(), onTime.exportState(), `late dose (${filter})`);
+  }
+
+  // von Mises widens the posterior; particles shift the same way.
+  const vm = make(CT(22), { filter: 'vonmises' });
+  assert.ok(vm.update({ melatoninTimestamp: T0, melatoninMg: 3, timestamp: T0 }).confidence < 0.9);
+  const pfEntry = make(CT(22), { filter: 'particle' })
+    .update({ melatoninTimestamp: T0, melatoninMg: 3, timestamp: T0 }).correctionApplied[0];
+  assert.strictEqual(pfEntry.direction, 'DELAY');
+  approx(pfEntry.deltaRad, prc(CT(22), 3).deltaRad, 0.05, 'particle mean shift');
+
+  // simulateShift(): a clock 8 h behind the new schedule, with 3 mg each
+  // afternoon of body time (CT9, 8 h after the CT1 start), catches up ≈ 4 h.
+  for (const config of [{}, { dynamics: 'kronauer' }, { filter: 'particle' }]) {
+    const engine = make(CT(9), config);
+    const doses  = [0, 1, 2].map(d => ({ timestampMs: T0 + (8 + d * 24) * ONE_HOUR, doseMg: 3 }));
+    const plain  = engine.simulateShift({ shiftHours: -8, daysToAdapt: 3, fromMs: T0 });
+    const dosed  = engine.simulateShift({ shiftHours: -8, daysToAdapt: 3, fromMs: T0, melatonin: doses });
+    const label  = JSON.stringify(config);
+    assert.strictEqual(plain.melatoninApplied.length, 0);
+    assert.deepStrictEqual(dosed.melatoninApplied.map(d => d.direction), ['ADVANCE', 'ADVANCE', 'ADVANCE'], label);
+    approx(plain.deltaPhaseHours - dosed.deltaPhaseHours,
+           dosed.melatoninApplied.reduce((a, d) => a + d.deltaHours, 0), 0.3, `advances add up (${label})`);
+    assert.ok(dosed.deltaPhaseHours < plain.deltaPhaseHours - 4, label);
+    assert.deepStrictEqual(dosed.baseline, plain.baseline, 'baseline is untouched');
+  }
+  const outside = make(CT(9)).simulateShift({ daysToAdapt: 1, fromMs: T0,
+                                              melatonin: [{ timestampMs: T0 + 48 * ONE_HOUR }] });
+  assert.strictEqual(outside.melatoninApplied.length, 0, 'doses outside the window are ignored');
+
+  // Validation.
+  assert.throws(() => make(0).update({ melatoninMg: 3, timestamp: T0 }), /melatoninTimestamp/);
+  assert.throws(() => make(0).update({ melatoninTimestamp: T0, melatoninMg: -1, timestamp: T0 }), /melatoninMg/);
+  assert.throws(() => make(0).simulateShift({ fromMs: T0, melatonin: [{ doseMg: 3 }] }), /timestampMs/);
+  // Intakes after the update timestamp are rejected, for every intake kind,
+  // before anything is logged.
+  const future = make(0);
+  const ahead = T0 + ONE_HOUR;
+  assert.throws(() => future.update({ melatoninTimestamp: ahead, timestamp: T0 }), /melatoninTimestamp.*at or before/);
+  assert.throws(() => future.update({ caffeineTimestamp: ahead, caffeineMg: 100, timestamp: T0 }), /caffeineTimestamp.*at or before/);
+  assert.throws(() => future.update({ compound: 'zolpidem', doseMg: 10, timestampMs: ahead, timestamp: T0 }), /timestampMs.*at or before/);
+  const id = future.update({ caffeineTimestamp: T0, timestamp: T0 }).inputId;
+  assert.throws(() => future.amendInput(id, { caffeineTimestamp: ahead }), /at or before/);
+  assert.strictEqual(future.getInputLog().length, 1, 'rejected intakes are not logged');
+  assert.throws(() => model.createEngine({ config: { melatoninPrcHalfDoseMg: 0 } }), /melatoninPrcHalfDoseMg/);
+});
+
+// T39: Compound registry.
+test('T39 — Compound registry: built-ins, zero-order alcohol, JSON loading, compound doses, S_pharma per compound', () => {
+  const fs       = require('fs');
+  const os       = require('os');
+  const path     = require('path');
+  const registry = require('./compound_registry.js');
+  const caffeinePK = require('./caffeine_pk.js');
+  const msf      = require('./msf.js');
+  const make = () => model.createEngine({ state: { phaseRadians: 1, confidence: 0.5, lastUpdateMs: T0 } });
+
+  for (const name of ['caffeine', 'melatonin', 'alcohol', 'modafinil', 'propranolol', 'zolpidem']) {
+    assert.ok(model.listCompounds().includes(name), name);
+  }
+
+  // First-order: the Bateman curve.  Zero-order (alcohol): a straight-line
+  // fall of 150 mg/L per hour once absorbed, then nothing left.
+  const zolpidem = registry.compoundLevel('zolpidem', [{ timestampMs: T0, doseMg: 10 }], T0 + 3 * ONE_HOUR);
+  const { pk } = registry.getCompound('zolpidem');
+  approx(zolpidem.concentrationMgPerL, caffeinePK.doseConcentration(10, 3, { ...pk, bodyMassKg: 70 }), 1e-12, 'Bateman');
+  approx(zolpidem.effect, zolpidem.concentrationMgPerL / (zolpidem.concentrationMgPerL + 0.1), 1e-12, 'Emax');
+  const drinks = [{ timestampMs: T0, doseMg: 4 * 14000 }];
+  const bac = (h) => registry.compoundLevel('alcohol', drinks, T0 + h * ONE_HOUR).concentrationMgPerL;
+  approx(bac(3) - bac(4), 150, 1, 'zero-order elimination');
+  assert.strictEqual(bac(12), 0);
+  assert.ok(registry.compoundLevel('alcohol', drinks, T0 + 3 * ONE_HOUR).alertness < 0);
+
+  // update({ compound, doseMg, timestampMs }): compound: 'caffeine' is the
+  // caffeine input; others are tracked per compound.
+  const a = make(), b = make();
+  a.update({ caffeineTimestamp: T0, caffeineMg: 150, timestamp: T0 + ONE_HOUR });
+  b.update({ compound: 'caffeine', doseMg: 150, timestampMs: T0, timestamp: T0 + ONE_HOUR });
+  approx(b.getCurrentPhase(T0 + ONE_HOUR).phaseRadians, a.getCurrentPhase(T0 + ONE_HOUR).phaseRadians, 1e-12, 'same cue');
+  approx(b.pharmacokinetics(T0 + 2 * ONE_HOUR).caffeine.concentrationMgPerL,
+         a.pharmacokinetics(T0 + 2 * ONE_HOUR).caffeine.concentrationMgPerL, 1e-12, 'same level');
+  b.update({ compound: 'zolpidem', doseMg: 10, timestampMs: T0 + 2 * ONE_HOUR, timestamp: T0 + 2 * ONE_HOUR });
+  const { compounds } = b.pharmacokinetics(T0 + 3 * ONE_HOUR);
+  assert.deepStrictEqual(Object.keys(compounds).sort(), ['caffeine', 'zolpidem']);
+  approx(compounds.zolpidem.concentrationMgPerL,
+         registry.compoundLevel('zolpidem', [{ timestampMs: T0 + 2 * ONE_HOUR, doseMg: 10 }], T0 + 3 * ONE_HOUR).concentrationMgPerL,
+         1e-12, 'engine level');
+  approx(compounds.caffeine.effect, b.pharmacokinetics(T0 + 3 * ONE_HOUR).caffeine.occupancy.A1, 1e-12, 'caffeine effect = A1');
+  const mel = make().update({ compound: 'melatonin', doseMg: 3, timestampMs: T0, timestamp: T0 }).correctionApplied[0];
+  assert.strictEqual(mel.source, 'melatonin_prc');
+  assert.strictEqual(mel.compound, 'melatonin');
+
+  // JSON: a compound with its own phase curve, under the gain and particle filters.
+  const dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'compounds-'));
+  const file = path.join(dir, 't39.json');
+  fs.writeFileSync(file, JSON.stringify([{
+    name: 't39_chronobiotic', molarMassGPerMol: 300, ec50MgPerL: 0.1, alertness: -0.5,
+    pk: { halfLifeHours: 2, absorptionRatePerHour: 2, bioavailability: 0.5, volumeLitresPerKg: 1 },
+    phaseResponse: { amplitudeHours: 1, halfDoseMg: 1, nullPhaseRadians: 0 },
+  }]));
+  const loaded = make();
+  assert.deepStrictEqual(loaded.loadCompounds(dir), ['t39_chronobiotic']);
+  assert.ok(loaded.listCompounds().includes('t39_chronobiotic'));
+  assert.ok(!model.listCompounds().includes('t39_chronobiotic'), 'registered on its engine only');
+  assert.throws(() => make().update({ compound: 't39_chronobiotic', doseMg: 1, timestampMs: T0, timestamp: T0 }), /unknown compound/);
+  const CT6 = Math.PI / 2;
+  const [chronobiotic] = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const filter of ['gain', 'particle']) {
+    const e = model.createEngine({ config: { filter }, compounds: [chronobiotic],
+                                   state: { phaseRadians: CT6, confidence: 0.9, lastUpdateMs: T0 } });
+    const entry = e.update({ compound: 't39_chronobiotic', doseMg: 1, timestampMs: T0, timestamp: T0 }).correctionApplied[0];
+    assert.strictEqual(entry.source, 'compound_prc');
+    assert.strictEqual(entry.compound, 't39_chronobiotic');
+    approx(entry.deltaRad, 0.5 * _internal.OMEGA, filter === 'gain' ? 1e-12 : 0.02, `peak advance (${filter})`);
+  }
+  fs.writeFileSync(path.join(dir, 'u39.json'), JSON.stringify({ name: 'u39_bad', molarMassGPerMol: 1, ec50MgPerL: 1, pk: {} }));
+  assert.throws(() => loaded.loadCompounds(dir), /u39_bad.*pk\.halfLifeHours/);
+  assert.ok(!loaded.listCompounds().includes('u39_bad'), 'nothing registered from a bad load');
+  fs.rmSync(dir, { recursive: true });
+
+  // S_pharma lists each compound; its effects add up.
+  const now = Date.now();
+  const ids = [
+    model.update({ compound: 'alcohol', doseMg: 28000, timestampMs: now - ONE_HOUR, timestamp: now }).inputId,
+    model.update({ compound: 'modafinil', doseMg: 200, timestampMs: now - ONE_HOUR, timestamp: now }).inputId,
+  ];
+  const pharma = msf.S_pharma(now);
+  assert.strictEqual(pharma.status, 'OK');
+  assert.deepStrictEqual(Object.keys(pharma.value.compounds).sort(), ['alcohol', 'modafinil']);
+  assert.ok(pharma.value.compounds.alcohol.concentrationMgPerL > 0);
+  approx(pharma.value.alertness,
+         pharma.value.compounds.alcohol.alertness + pharma.value.compounds.modafinil.alertness, 1e-12, 'summed');
+  assert.ok(pharma.confidence > 0 && pharma.confidence < 1);
+  ids.forEach(id => model.retractInput(id));
+  assert.strictEqual(msf.S_pharma(now).status, 'NO_INTAKE');
+
+  // Validation.
+  assert.throws(() => make().update({ compound: 'ethanol', doseMg: 1, timestampMs: T0, timestamp: T0 }), /unknown compound/);
+  assert.throws(() => make().update({ compound: 'alcohol', timestampMs: T0, timestamp: T0 }), /doseMg/);
+  assert.throws(() => make().update({ doseMg: 10, timestampMs: T0, timestamp: T0 }), /need a compound/);
+  assert.throws(() => model.registerCompound({ name: 'x', molarMassGPerMol: 1, ec50MgPerL: 1, alertness: 2,
+    pk: { halfLifeHours: 1, absorptionRatePerHour: 1, bioavailability: 1, volumeLitresPerKg: 1 } }), /alertness/);
+  // The built-ins are shared, so they are frozen and cannot be replaced.
+  assert.throws(() => make().registerCompound({ ...registry.getCompound('zolpidem'), ec50MgPerL: 1 }), /built-in/);
+  assert.ok(Object.isFrozen(registry.getCompound('zolpidem')) && Object.isFrozen(registry.getCompound('zolpidem').pk));
+});
+
+// T40: Meal timing and the peripheral clock.
+test('T40 — Peripheral clock: meal entrainment, internal phase angle, central shifts, snapshot v6', () => {
+  const msf  = require('./msf.js');
+  const make = (config = {}) => model.createEngine({ config, state: { phaseRadians: 0, confidence: 0.9, lastUpdateMs: T0 } });
+  // Three meals a day for six days, lateHours after 05:00 / 10:00 / 16:00.
+  const feed = (e, lateHours) => {
+    for (let d = 0; d < 6; d++) {
+      for (const h of [5, 10, 16]) {
+        const meal = T0 + (d * 24 + h + lateHours) * ONE_HOUR;
+        e.update({ meals: [{ timestampMs: meal }], timestamp: meal + ONE_HOUR / 2 });
+      }
+    }
+    return e;
+  };
+
+  // No meals: no peripheral estimate.
+  assert.strictEqual(make().getCurrentPhase(T0 + ONE_HOUR).peripheral, undefined);
+
+  // Meals 5 h late delay the peripheral clock by about an hour against the
+  // usual times (Wehrens et al., 2017); the central phase does not move.
+  const end = T0 + 6 * 24 * ONE_HOUR;
+  const usual = feed(make(), 0).getCurrentPhase(end);
+  const late  = feed(make(), 5).getCurrentPhase(end);
+  approx(late.phaseRadians, usual.phaseRadians, 1e-12, 'central phase unchanged');
+  const delay = late.peripheral.internalPhaseAngleHours - usual.peripheral.internalPhaseAngleHours;
+  assert.ok(delay < -0.8 && delay > -1.3, `peripheral delay ${delay} h`);
+  approx(late.peripheral.internalPhaseAngleHours,
+         _internal.shortestArc(late.peripheral.phaseRadians - late.phaseRadians) / _internal.OMEGA, 0.01, 'ψ = θ − φ');
+
+  // A meal at the target phase leaves θ on φ; the same under Kronauer dynamics
+  // and the particle filter.
+  for (const config of [{}, { dynamics: 'kronauer' }, { filter: 'particle' }]) {
+    const e = model.createEngine({ config, state: { phaseRadians: (5 * Math.PI) / 6, confidence: 0.9, lastUpdateMs: T0 } });
+    e.update({ meals: [{ timestampMs: T0 }], timestamp: T0 });
+    approx(e.getCurrentPhase(T0).peripheral.internalPhaseAngleHours, 0, config.filter ? 0.05 : 0.02, JSON.stringify(config));
+  }
+
+  // An anchor moves the central clock only; coupling then pulls θ back slowly.
+  const a = make();
+  a.update({ meals: [{ timestampMs: T0 }], timestamp: T0 });
+  a.anchor((4 * Math.PI) / 12.1, 12, T0 + ONE_HOUR);
+  const psi = a.getCurrentPhase(T0 + ONE_HOUR).peripheral.internalPhaseAngleHours;
+  assert.ok(psi < -2.5, `peripheral left behind (${psi} h)`);
+  assert.ok(a.getCurrentPhase(T0 + 241 * ONE_HOUR).peripheral.internalPhaseAngleHours > psi, 'coupling');
+  assert.deepStrictEqual(msf.S_endo(T0 + ONE_HOUR).peripheral, null, 'default engine logs no meals');
+
+  // Snapshot round-trip and v5 → v6 migration.
+  const doc  = JSON.parse(JSON.stringify(a.exportState()));
+  const copy = model.createEngine();
+  copy.importState(doc);
+  assert.deepStrictEqual(copy.getCurrentPhase(T0 + 5 * ONE_HOUR).peripheral, a.getCurrentPhase(T0 + 5 * ONE_HOUR).peripheral);
+  const v5 = { ...doc, schemaVersion: 5 };
+  delete v5.peripheralPhase;
+  copy.importState(v5);
+  assert.strictEqual(copy._internal.getState().peripheralPhase, null, 'v5 migrates to an untracked clock');
+  assert.throws(() => copy.importState({ ...doc, peripheralPhase: 'noon' }), /peripheralPhase/);
+
+  // A meal reported late is applied at its own time, in the step that holds
+  // it: the same as reporting it with the first input after it.
+  const meal   = (h) => ({ meals: [{ timestampMs: T0 + h * ONE_HOUR }] });
+  const lights = [10, 12].map(h => ({ lightLux: 500, timestamp: T0 + h * ONE_HOUR }));
+  for (const h of [8, 10]) {
+    const onTime = make();
+    onTime.update({ ...lights[0], ...meal(h) });
+    onTime.update(lights[1]);
+    const late = make();
+    late.update(lights[0]);
+    assert.strictEqual(late.update({ ...lights[1], ...meal(h) }).replayed, true, `meal at ${h} h replays`);
+    assert.deepStrictEqual(late.exportState(), onTime.exportState(), `meal at ${h} h reported late`);
+    const retracted = make();
+    retracted.update(lights[0]);
+    retracted.retractInput(retracted.update({ ...lights[1], ...meal(h) }).inputId);
+    assert.strictEqual(retracted._internal.getState().peripheralPhase, null, 'retracted meal');
+  }
+
+  // Validation.
+  assert.throws(() => make().update({ meals: [{ timestampMs: T0 + ONE_HOUR }], timestamp: T0 }), /meals/);
+  // A meal before the start of the log moves the start back to the meal.
+  const beforeLog = make();
+  beforeLog.update({ ...meal(-1), timestamp: T0 + ONE_HOUR });
+  assert.strictEqual(beforeLog.exportLog().genesis.lastUpdateMs, T0 - ONE_HOUR, 'log starts at the meal');
+  assert.notStrictEqual(beforeLog._internal.getState().peripheralPhase, null, 'meal before the log is applied');
+  assert.throws(() => make().update({ meals: { timestampMs: T0 }, timestamp: T0 }), /meals/);
+  assert.throws(() => make({ peripheralCouplingPerHour: -1 }), /peripheralCouplingPerHour/);
+});
+
+// T41: Exercise as a non-photic zeitgeber.
+test('T41 — Exercise PRC: bout timing and load, per-bout correctionApplied, correctionGain.exercise, simulateShift', () => {
+  const CT   = (h) => (h * Math.PI) / 12;
+  const make = (config = {}, ct = 4) =>
+    model.createEngine({ config, state: { phaseRadians: CT(ct), confidence: 0.9, lastUpdateMs: T0 } });
+  const bout = (startMs, durationMin = 60, intensity = 0.65) => ({ startMs, durationMin, intensity });
+  const hours = (rad) => rad / _internal.OMEGA;
+
+  // Morning and afternoon bouts advance, evening bouts delay (Youngstedt et
+  // al., 2019); the response saturates with load = intensity × duration.
+  assert.strictEqual(_internal.exercisePRC(CT(4), bout(T0)).direction, 'ADVANCE');
+  assert.strictEqual(_internal.exercisePRC(CT(16), bout(T0)).direction, 'DELAY');
+  approx(hours(_internal.exercisePRC(CT(4), bout(T0)).deltaRad), 0.3 * 39 / 69, 1e-9, 'peak advance, 1 h at 65 %');
+  const hard = hours(_internal.exercisePRC(CT(4), bout(T0, 120, 0.9)).deltaRad);
+  assert.ok(hard > 0.2 && hard < 0.3, `harder, longer bout: ${hard} h`);
+
+  // Each bout is its own correctionApplied entry, evaluated at its midpoint
+  // and weighted by correctionGain.exercise; confidence is not raised.
+  const now = T0 + 4 * ONE_HOUR;
+  const e   = make();
+  const res = e.update({ exercise: [bout(T0), bout(T0 + 2 * ONE_HOUR, 30, 0.8)], timestamp: now });
+  const entries = res.correctionApplied.filter(c => c.source === 'exercise_prc');
+  assert.strictEqual(entries.length, 2);
+  approx(entries[0].phiBout, CT(4) + 0.5 * _internal.OMEGA, 1e-9, 'midpoint phase');
+  assert.strictEqual(entries[1].load, 24);
+  assert.ok(entries.every(c => c.K === 0.5 && c.direction === 'ADVANCE'));
+  const idle = make().getCurrentPhase(now);
+  approx(_internal.shortestArc(res.phaseRadians - idle.phaseRadians),
+         0.5 * (entries[0].deltaRad + entries[1].deltaRad), 1e-9, 'K · Δφ per bout');
+  assert.strictEqual(res.confidence, idle.confidence);
+
+  // correctionGain is deep-merged, so the exercise gain can be set alone.
+  const full = make({ correctionGain: { exercise: 1 } });
+  assert.strictEqual(full.getConfig().correctionGain.light, 0.6);
+  const shift = _internal.shortestArc(full.update({ exercise: [bout(T0)], timestamp: now }).phaseRadians - idle.phaseRadians);
+  approx(shift, entries[0].deltaRad, 1e-9, 'gain 1');
+
+  // A bout reported after a later input is applied in the step that holds
+  // its midpoint: the same as reporting it with the first input after it.
+  const lightAt = (h) => ({ lightLux: 3000, timestamp: T0 + h * ONE_HOUR });
+  for (const filter of ['gain', 'vonmises', 'particle']) {
+    const onTime = make({ filter }, 20);
+    onTime.update({ ...lightAt(2), exercise: [bout(T0)] });
+    onTime.update(lightAt(4));
+    const reportedLate = make({ filter }, 20);
+    reportedLate.update(lightAt(2));
+    assert.strictEqual(reportedLate.update({ ...lightAt(4), exercise: [bout(T0)] }).replayed, true, 'late bout replays');
+    assert.deepStrictEqual(reportedLate.exportState(), onTime.exportState(), `late bout (${filter})`);
+  }
+
+  // The von Mises and particle filters apply the full shift.
+  for (const filter of ['vonmises', 'particle']) {
+    const entry = make({ filter }).update({ exercise: [bout(T0)], timestamp: now }).correctionApplied[0];
+    assert.strictEqual(entry.source, 'exercise_prc');
+    assert.strictEqual(entry.K, 1);
+    approx(entry.deltaRad, entries[0].deltaRad, filter === 'particle' ? 0.02 : 1e-12, filter);
+  }
+
+  // Training timing as a re-entrainment tool: after a 6 h delay of schedule
+  // (shifted phase CT18 at T0), training at the shifted CT4 advances the
+  // shifted trajectory and training at CT16 delays it.
+  const plan = (hourOfDay) => [0, 1, 2].map(d => bout(T0 + (d * 24 + hourOfDay) * ONE_HOUR));
+  const sim = (hourOfDay) => make({}, 0).simulateShift({ fromMs: T0, shiftHours: -6, daysToAdapt: 3, exercise: plan(hourOfDay) });
+  const morning = sim(9.5), evening = sim(21.5);
+  assert.ok(morning.exerciseApplied.every(b => b.direction === 'ADVANCE'), 'morning bouts advance');
+  assert.ok(evening.exerciseApplied.every(b => b.direction === 'DELAY'), 'evening bouts delay');
+  assert.ok(morning.deltaPhaseHours < evening.deltaPhaseHours);
+  assert.deepStrictEqual(morning.melatoninApplied, []);
+
+  // Validation.
+  assert.throws(() => make().update({ exercise: [bout(T0, 60, 1.5)], timestamp: now }), /intensity/);
+  assert.throws(() => make().update({ exercise: [bout(now - 10 * 60000)], timestamp: now }), /end at or before/);
+  assert.throws(() => make().update({ exercise: bout(T0), timestamp: now }), /array/);
+  assert.throws(() => make().simulateShift({ fromMs: T0, exercise: [{ startMs: T0 }] }), /durationMin/);
+  assert.throws(() => make({ exercisePrcHalfLoad: 0 }), /exercisePrcHalfLoad/);
+});
+
+// T42: HTTP status of route errors.
+test('T42 — Routes: input rejected by the model → 400, server failure → 500', () => {
+  try { require.resolve('express'); } catch (_) { console.log('       (express not installed — skipped)'); return; }
+  let router;
+  require('./neuro_routes.cjs')({ use: (prefix, r) => { router = r; } });
+  const post = (path, body) => {
+    const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(b) { this.body = b; return this; } };
+    router.stack.find(l => l.route && l.route.path === path).route.stack[0].handle({ body }, res, () => {});
+    return res;
+  };
+
+  // Inputs that pass the route's own checks but that the model rejects.
+  assert.strictEqual(post('/update', { meals: 'noon' }).statusCode, 400, 'invalid meals');
+  assert.strictEqual(post('/amend', { inputId: 1e6, inputs: { lightLux: 100 } }).statusCode, 400, 'unknown input');
+  const retract = post('/retract', { inputId: 1e6 });
+  assert.strictEqual(retract.statusCode, 400);
+  assert.match(retract.body.error, /no active input/);
+  assert.strictEqual(post('/simulate', { params: { exercise: [{ startMs: T0 }] } }).statusCode, 400, 'invalid bout');
+
+  // A request the handler cannot process (no parsed body) is a server failure.
+  assert.strictEqual(post('/state', undefined).statusCode, 500);
+  assert.strictEqual(post('/update', undefined).statusCode, 500);
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
 if (failed > 0) process.exit(1);
@@ -2,15 +2,16 @@
  * circadian_validation.js — Deterministic Validation Scenarios
  * Circadian Phase Engine
  *
- * Provides five canonical test scenarios for validating and academically
+ * Provides six canonical test scenarios for validating and academically
  * characterising the circadian_model.js Phase Reconstruction Engine.
  *
  * Each scenario:
- *   1. Saves the current model state.
- *   2. Resets the model to a known initial condition.
- *   3. Runs the scenario deterministically (no Date.now() calls).
- *   4. Collects the output envelope.
- *   5. Restores the original model state.
+ *   1. Creates an isolated engine instance at a known initial condition.
+ *   2. Runs the scenario deterministically (no Date.now() calls).
+ *   3. Collects the output envelope.
+ *
+ * Scenarios never touch the shared default instance exported by
+ * circadian_model.js, so running them has no side effects on callers.
  *
  * All timestamps are pinned to a fixed epoch (T0) for reproducibility.
  * Output is deterministic across runs.
@@ -22,8 +23,7 @@
 
 'use strict';
 
-const model     = require('./circadian_model.js');
-const { _internal } = model;
+const { createEngine, listPRCs, _internal } = require('./circadian_model.js');
 
 // ─── Fixed epoch ─────────────────────────────────────────────────────────────
 //
@@ -38,34 +38,30 @@ const ONE_HOUR = 3600000;
 
 // ─── State isolation helpers ──────────────────────────────────────────────────
 
-/** Save current model state and config, return a restore function. */
-function saveAndReset(phaseRadians, confidence, lastUpdateMs) {
-  const savedState  = _internal.getState();
-  const savedConfig = model.getConfig();
-
-  _internal.setState({ phaseRadians, confidence, lastUpdateMs });
-
-  return function restore() {
-    _internal.setState(savedState);
-    model.setConfig(savedConfig);
-  };
+/**
+ * Create a fresh engine at the given initial condition.
+ * @param {object} [config={}] — config overrides (default: model defaults)
+ */
+function freshEngine(phaseRadians, confidence, lastUpdateMs, config = {}) {
+  return createEngine({ config, state: { phaseRadians, confidence, lastUpdateMs } });
 }
 
 // ─── Output helpers ───────────────────────────────────────────────────────────
 
 /**
  * Build a confidence trajectory: hourly samples over the given window.
- * Does not mutate model state (reads via getCurrentPhase with explicit timestamps).
+ * Does not mutate engine state (reads via getCurrentPhase with explicit timestamps).
  *
+ * @param {object} engine     — engine instance from createEngine()
  * @param {number} originMs   — trajectory start (ms since epoch)
  * @param {number} horizonH   — number of hours to sample
  * @returns {Array<{ hour, phaseRadians, phaseLabel, confidence }>}
  */
-function buildTrajectory(originMs, horizonH) {
+function buildTrajectory(engine, originMs, horizonH) {
   const traj = [];
   for (let h = 0; h <= horizonH; h++) {
     const ts = originMs + h * ONE_HOUR;
-    const pt = model.getCurrentPhase(ts);
+    const pt = engine.getCurrentPhase(ts);
     traj.push({
       hour:         h,
       phaseRadians: pt.phaseRadians,
@@ -82,10 +78,10 @@ function buildTrajectory(originMs, horizonH) {
  *
  * @param {number} phiPerturbed  — final phase under intervention (radians)
  * @param {number} phiBaseline   — final phase without intervention (radians)
+ * @param {number} omega         — angular velocity of the scenario engine (rad h⁻¹)
  * @returns {number} — signed delta in hours (+advance, −delay)
  */
-function phaseDeltaHours(phiPerturbed, phiBaseline) {
-  const omega = _internal.OMEGA;
+function phaseDeltaHours(phiPerturbed, phiBaseline, omega) {
   let diff = phiPerturbed - phiBaseline;
   if (diff >  Math.PI) diff -= 2 * Math.PI;
   if (diff < -Math.PI) diff += 2 * Math.PI;
@@ -107,21 +103,19 @@ function phaseDeltaHours(phiPerturbed, phiBaseline) {
  *   - deltaHours ≈ 0 (no deviation from pure propagation)
  */
 function scenario_baseline_oscillation() {
-  const restore = saveAndReset(0, 1.0, T0);
+  const engine = freshEngine(0, 1.0, T0);
 
-  const baselinePhase = model.getCurrentPhase(T0).phaseRadians; // φ = 0
+  const baselinePhase = engine.getCurrentPhase(T0).phaseRadians; // φ = 0
 
   // Sample hourly trajectory over 168 h without applying any inputs.
-  const confidenceTrajectory = buildTrajectory(T0, 168);
+  const confidenceTrajectory = buildTrajectory(engine, T0, 168);
 
   // Final phase: pure free-run propagation.
-  const finalPhase = model.getCurrentPhase(T0 + 168 * ONE_HOUR).phaseRadians;
+  const finalPhase = engine.getCurrentPhase(T0 + 168 * ONE_HOUR).phaseRadians;
 
   // Expected: wrapPhase(0 + OMEGA * 168). Delta from baseline should be 0.
-  const expectedFinalPhase = _internal.propagatePhase(0, 168);
-  const dH = phaseDeltaHours(finalPhase, expectedFinalPhase);
-
-  restore();
+  const expectedFinalPhase = engine._internal.propagatePhase(0, 168);
+  const dH = phaseDeltaHours(finalPhase, expectedFinalPhase, engine._internal.OMEGA);
 
   return {
     scenarioName:          'baseline_stable_oscillation_7d',
@@ -131,7 +125,7 @@ function scenario_baseline_oscillation() {
     deltaHours:            Math.round(dH * 1000) / 1000,
     confidenceTrajectory,  // 169 hourly samples
     notes: [
-      `ω = ${_internal.OMEGA.toFixed(6)} rad h⁻¹ (τ = 24.2 h)`,
+      `ω = ${engine._internal.OMEGA.toFixed(6)} rad h⁻¹ (τ = 24.2 h)`,
       `Periods elapsed: ${(168 / 24.2).toFixed(3)}`,
       `Expected final φ: ${expectedFinalPhase.toFixed(6)} rad`,
       `Confidence at t=168h: ${confidenceTrajectory[168].confidence}`,
@@ -155,38 +149,33 @@ function scenario_baseline_oscillation() {
  *   - finalPhase lags behind baselinePhase → deltaHours < 0.
  */
 function scenario_sleep_delay_shift() {
-  const omega = _internal.OMEGA;
-
   // ── Baseline run (no sleep shift) ──
-  const restoreBase = saveAndReset(0, 1.0, T0);
+  const base = freshEngine(0, 1.0, T0);
 
   // Normal sleep: onset T0+16h, offset T0+23h.
-  model.update({
+  base.update({
     sleepOnset:  T0 + 16 * ONE_HOUR,
     sleepOffset: T0 + 23 * ONE_HOUR,
     timestamp:   T0 + 23 * ONE_HOUR,
   });
-  const baselinePhase     = model.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
-  const baselineConf      = model.getCurrentPhase(T0 + 24 * ONE_HOUR).confidence;
-  restoreBase();
+  const baselinePhase     = base.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
+  const baselineConf      = base.getCurrentPhase(T0 + 24 * ONE_HOUR).confidence;
 
   // ── Perturbed run (sleep delayed by +2h) ──
-  const restoreShift = saveAndReset(0, 1.0, T0);
+  const engine = freshEngine(0, 1.0, T0);
 
   // Delayed sleep: onset T0+18h, offset T0+25h.
-  model.update({
+  engine.update({
     sleepOnset:  T0 + 18 * ONE_HOUR,
     sleepOffset: T0 + 25 * ONE_HOUR,
     timestamp:   T0 + 25 * ONE_HOUR,
   });
 
-  const finalState  = model.getCurrentPhase(T0 + 26 * ONE_HOUR);
+  const finalState  = engine.getCurrentPhase(T0 + 26 * ONE_HOUR);
   const finalPhase  = finalState.phaseRadians;
-  const confidenceTrajectory = buildTrajectory(T0, 26);
-
-  restoreShift();
+  const confidenceTrajectory = buildTrajectory(engine, T0, 26);
 
-  const dH = phaseDeltaHours(finalPhase, baselinePhase);
+  const dH = phaseDeltaHours(finalPhase, baselinePhase, engine._internal.OMEGA);
 
   return {
     scenarioName:          'sleep_delay_shift_2h',
@@ -197,7 +186,7 @@ function scenario_sleep_delay_shift() {
     confidenceTrajectory,
     notes: [
       'Positive deltaHours = phase advance; negative = phase delay.',
-      `K_sleep = ${_internal.CORRECTION_GAIN.sleep} (correction gain for sleep anchor)`,
+      `K_sleep = ${engine._internal.CORRECTION_GAIN.sleep} (correction gain for sleep anchor)`,
       `Baseline final confidence: ${baselineConf}`,
     ],
   };
@@ -218,29 +207,28 @@ function scenario_sleep_delay_shift() {
  *   - PRC direction = ADVANCE.
  *   - finalPhase > baselinePhase (positive deltaHours).
  *   - deltaRad ≈ K_light × maxΔφ × sat(5000 lux).
+ *
+ * @param {object} [config={}] — engine config overrides (e.g. { prcModel })
  */
-function scenario_light_pulse_advance() {
+function scenario_light_pulse_advance(config = {}) {
   const phiAdvance = _internal.wrapPhase((7 * Math.PI) / 4 + 0.01);
   // Start just inside the advance zone (past CBT_min).
 
   // ── Baseline: no light, advance zone entry ──
-  const restoreBase = saveAndReset(phiAdvance, 0.9, T0);
-  const baselinePhase = model.getCurrentPhase(T0 + ONE_HOUR).phaseRadians;
-  restoreBase();
+  const base = freshEngine(phiAdvance, 0.9, T0, config);
+  const baselinePhase = base.getCurrentPhase(T0 + ONE_HOUR).phaseRadians;
 
   // ── Perturbed: 5000 lux applied at T0 ──
-  const restoreLight = saveAndReset(phiAdvance, 0.9, T0);
+  const engine = freshEngine(phiAdvance, 0.9, T0, config);
 
-  const updateResult = model.update({ lightLux: 5000, timestamp: T0 });
-  const finalPhase   = model.getCurrentPhase(T0 + ONE_HOUR).phaseRadians;
-  const confidenceTrajectory = buildTrajectory(T0, 24);
+  const updateResult = engine.update({ lightLux: 5000, timestamp: T0 });
+  const finalPhase   = engine.getCurrentPhase(T0 + ONE_HOUR).phaseRadians;
+  const confidenceTrajectory = buildTrajectory(engine, T0, 24);
 
   // Verify PRC direction for audit.
-  const prc = model.computePRC(phiAdvance, 5000);
-
-  restoreLight();
+  const prc = engine.computePRC(phiAdvance, 5000);
 
-  const dH = phaseDeltaHours(finalPhase, baselinePhase);
+  const dH = phaseDeltaHours(finalPhase, baselinePhase, engine._internal.OMEGA);
 
   return {
     scenarioName:          'light_pulse_phase_advance',
@@ -264,7 +252,8 @@ function scenario_light_pulse_advance() {
 }
 
 /**
- * SCENARIO 4 — Late-night caffeine: phase delay effect via PRC + caffeine cue.
+ * SCENARIO 4 — Late-night caffeine under the BALANCE-anchor pull
+ * (caffeineResponse 'anchor', kept for compatibility).
  *
  * Purpose: Verify that caffeine administered in the biological evening
  * produces a measurable phase delay consistent with the caffeine phase
@@ -282,23 +271,21 @@ function scenario_light_pulse_advance() {
  *     or negligible depending on half-life at evaluation time.
  */
 function scenario_late_caffeine_delay() {
+  const config   = { caffeineResponse: 'anchor' };
   const phiBrake = Math.PI; // BRAKE start (CT12 equivalent)
 
   // ── Baseline ──
-  const restoreBase = saveAndReset(phiBrake, 0.9, T0);
-  const baselinePhase = model.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
-  restoreBase();
+  const base = freshEngine(phiBrake, 0.9, T0, config);
+  const baselinePhase = base.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
 
   // ── Perturbed: caffeine at T0 ──
-  const restoreCaff = saveAndReset(phiBrake, 0.9, T0);
-
-  const updateResult = model.update({ caffeineTimestamp: T0, timestamp: T0 });
-  const finalPhase   = model.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
-  const confidenceTrajectory = buildTrajectory(T0, 24);
+  const engine = freshEngine(phiBrake, 0.9, T0, config);
 
-  restoreCaff();
+  const updateResult = engine.update({ caffeineTimestamp: T0, timestamp: T0 });
+  const finalPhase   = engine.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
+  const confidenceTrajectory = buildTrajectory(engine, T0, 24);
 
-  const dH = phaseDeltaHours(finalPhase, baselinePhase);
+  const dH = phaseDeltaHours(finalPhase, baselinePhase, engine._internal.OMEGA);
 
   return {
     scenarioName:          'late_caffeine_phase_delay',
@@ -316,6 +303,65 @@ function scenario_late_caffeine_delay() {
   };
 }
 
+/**
+ * SCENARIO 4b — Evening caffeine under the caffeine PRC (the default
+ * caffeineResponse, 'prc').
+ *
+ * Purpose: Reproduce the delay of Burke et al. (2015): a double espresso
+ * (≈ 200 mg) 3 h before habitual bedtime delayed the melatonin rhythm by
+ * about 40 min.
+ *
+ * Protocol:
+ *   - Initial state: φ = 13π/12 (CT13 — DLMO ≈ CT14, bedtime ≈ CT16).
+ *   - 200 mg caffeine at T0; the same engine without caffeine as baseline.
+ *   - Compare phases 24 h later; audit the curve at CT4 (morning).
+ *
+ * Expected outcome:
+ *   - direction = DELAY; deltaHours ≈ −0.67 (−40 min).
+ *   - The same dose in the morning advances instead; 100 mg shifts less.
+ */
+function scenario_evening_caffeine_prc_delay() {
+  const phiCT13 = (13 * Math.PI) / 12;
+
+  // ── Baseline ──
+  const base = freshEngine(phiCT13, 0.9, T0);
+  const baselinePhase = base.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
+
+  // ── Perturbed: 200 mg at T0 ──
+  const engine = freshEngine(phiCT13, 0.9, T0);
+
+  const updateResult = engine.update({ caffeineTimestamp: T0, caffeineMg: 200, timestamp: T0 });
+  const finalPhase   = engine.getCurrentPhase(T0 + 24 * ONE_HOUR).phaseRadians;
+  const confidenceTrajectory = buildTrajectory(engine, T0, 24);
+
+  const dH = phaseDeltaHours(finalPhase, baselinePhase, engine._internal.OMEGA);
+  const [entry] = updateResult.correctionApplied;
+  const omega   = engine._internal.OMEGA;
+  const morning = engine._internal.caffeinePRC((4 * Math.PI) / 12, 200);
+  const single  = engine._internal.caffeinePRC(phiCT13, 100);
+
+  return {
+    scenarioName:          'evening_caffeine_prc_delay',
+    description:           'Caffeine PRC: 200 mg at CT13 (3 h before habitual bedtime); expect ≈ 40 min delay (Burke et al., 2015).',
+    baselinePhase,
+    finalPhase,
+    deltaHours:            Math.round(dH * 1000) / 1000,
+    confidenceTrajectory,
+    prcAudit: {
+      inputPhaseRad:  phiCT13,
+      doseMg:         200,
+      direction:      entry.direction,
+      deltaRad:       Math.round(entry.deltaRad * 1e6) / 1e6,
+    },
+    correctionApplied: updateResult.correctionApplied,
+    notes: [
+      'Burke et al. (2015): 200 mg 3 h before bedtime → ≈ −40 min DLMO shift.',
+      `Same dose at CT4: ${morning.direction} ${(morning.deltaRad / omega).toFixed(2)} h`,
+      `100 mg at CT13: ${single.direction} ${(single.deltaRad / omega).toFixed(2)} h`,
+    ],
+  };
+}
+
 /**
  * SCENARIO 5 — No-input confidence decay over 48 hours.
  *
@@ -328,24 +374,22 @@ function scenario_late_caffeine_delay() {
  *   - deltaHours = 0 (phase unchanged by absence of inputs).
  */
 function scenario_confidence_decay_48h() {
-  const restore = saveAndReset(0, 1.0, T0);
+  const engine = freshEngine(0, 1.0, T0);
 
-  const baselinePhase = model.getCurrentPhase(T0).phaseRadians; // φ = 0
+  const baselinePhase = engine.getCurrentPhase(T0).phaseRadians; // φ = 0
 
   // Sample hourly — no update() calls.
-  const confidenceTrajectory = buildTrajectory(T0, 48);
+  const confidenceTrajectory = buildTrajectory(engine, T0, 48);
 
-  const t48 = model.getCurrentPhase(T0 + 48 * ONE_HOUR);
+  const t48 = engine.getCurrentPhase(T0 + 48 * ONE_HOUR);
 
   // Expected confidence from decay formula.
-  const lambdaVal = _internal.LAMBDA;
+  const lambdaVal = engine._internal.LAMBDA;
   const expectedConf = Math.exp(-lambdaVal * 48);
   // Expected phase: pure propagation.
-  const expectedPhase = _internal.propagatePhase(0, 48);
-
-  restore();
+  const expectedPhase = engine._internal.propagatePhase(0, 48);
 
-  const dH = phaseDeltaHours(t48.phaseRadians, expectedPhase);
+  const dH = phaseDeltaHours(t48.phaseRadians, expectedPhase, engine._internal.OMEGA);
 
   return {
     scenarioName:          'no_input_confidence_decay_48h',
@@ -370,10 +414,10 @@ function scenario_confidence_decay_48h() {
 // ─── Runner ───────────────────────────────────────────────────────────────────
 
 /**
- * Execute all five validation scenarios sequentially.
- * Model state is fully restored to its pre-call value after each scenario.
+ * Execute all six validation scenarios sequentially.
+ * Each scenario runs on its own engine instance; no shared state is touched.
  *
- * @returns {object[]} — array of 5 scenario result objects
+ * @returns {object[]} — array of 6 scenario result objects
  */
 function runAllScenarios() {
   return [
@@ -381,10 +425,96 @@ function runAllScenarios() {
     scenario_sleep_delay_shift(),
     scenario_light_pulse_advance(),
     scenario_late_caffeine_delay(),
+    scenario_evening_caffeine_prc_delay(),
     scenario_confidence_decay_48h(),
   ];
 }
 
+// ─── Dynamics comparison ──────────────────────────────────────────────────────
+
+/**
+ * Light-pulse phase response under both dynamics modes, side by side.
+ *
+ * Protocol (per starting phase, every 2 circadian hours):
+ *   - Two engines per mode at φ₀: one receives a 10 000 lux sample at T0+1h,
+ *     the other none.
+ *   - Phase shift = perturbed − unperturbed at T0+48h, in circadian hours.
+ *
+ * Rotation mode applies the sample as a one-off PRC correction; Kronauer mode
+ * drives the limit-cycle oscillator with the sample held over the preceding
+ * hour, so its response also reflects amplitude changes and Process L
+ * saturation.
+ *
+ * @returns {Array<{ phi0, ctHours, rotationShiftHours, kronauerShiftHours, kronauerAmplitude }>}
+ */
+function compareDynamics() {
+  const rows = [];
+  for (let ct = 0; ct < 24; ct += 2) {
+    const phi0 = (2 * Math.PI * ct) / 24;
+    const row  = { phi0, ctHours: ct };
+    for (const dynamics of ['rotation', 'kronauer']) {
+      const lit  = freshEngine(phi0, 0.5, T0, { dynamics });
+      const dark = freshEngine(phi0, 0.5, T0, { dynamics });
+      const upd  = lit.update({ lightLux: 10000, timestamp: T0 + ONE_HOUR });
+      const tEnd = T0 + 48 * ONE_HOUR;
+      const dH   = phaseDeltaHours(
+        lit.getCurrentPhase(tEnd).phaseRadians,
+        dark.getCurrentPhase(tEnd).phaseRadians,
+        lit._internal.OMEGA);
+      row[`${dynamics}ShiftHours`] = Math.round(dH * 100) / 100;
+      if (dynamics === 'kronauer') row.kronauerAmplitude = Math.round(upd.amplitude * 1000) / 1000;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ─── PRC model comparison ─────────────────────────────────────────────────────
+
+// Example table for the 'table' PRC: a coarse 8-point sampling of the Fourier
+// curve, so the comparison also shows the effect of linear interpolation.
+const EXAMPLE_PRC_TABLE = (() => {
+  const fourier = createEngine({ config: { prcModel: 'fourier' } });
+  const omega   = fourier._internal.OMEGA;
+  const sat     = 1 - Math.exp(-5000 / 2000);
+  const table   = [];
+  for (let i = 0; i < 8; i++) {
+    const phaseRadians = (2 * Math.PI * i) / 8;
+    table.push({ phaseRadians, shiftHours: fourier.computePRC(phaseRadians, 5000).deltaRad / (omega * sat) });
+  }
+  return table;
+})();
+
+/**
+ * Run every registered PRC model side by side: the light-pulse scenario and
+ * the PRC curve (shift per 5000 lux sample, hours) every 2 circadian hours.
+ *
+ * @returns {{
+ *   models: string[],
+ *   scenario: Object<string, number>,                       — deltaHours per model
+ *   curve: Array<{ phi, ctHours, [model]: number }>          — shift (h) per model
+ * }}
+ */
+function comparePRCModels() {
+  const models   = listPRCs().filter(m => ['piecewise', 'fourier', 'table'].includes(m));
+  const configOf = (m) => ({ prcModel: m, ...(m === 'table' && { prcTable: EXAMPLE_PRC_TABLE }) });
+
+  const scenario = {};
+  for (const m of models) scenario[m] = scenario_light_pulse_advance(configOf(m)).deltaHours;
+
+  const curve = [];
+  for (let ct = 0; ct < 24; ct += 2) {
+    const phi = (2 * Math.PI * ct) / 24;
+    const row = { phi, ctHours: ct };
+    for (const m of models) {
+      const engine = freshEngine(phi, 0.5, T0, configOf(m));
+      row[m] = Math.round((engine.computePRC(phi, 5000).deltaRad / engine._internal.OMEGA) * 100) / 100;
+    }
+    curve.push(row);
+  }
+  return { models, scenario, curve };
+}
+
 // ─── CLI runner ───────────────────────────────────────────────────────────────
 
 if (require.main === module) {
@@ -416,6 +546,37 @@ if (require.main === module) {
   }
   console.log('\n' + '─'.repeat(60));
   console.log(`\n${results.length} scenarios complete.\n`);
+
+  console.log('─'.repeat(60));
+  console.log('Dynamics comparison — 10 000 lux sample at T0+1h, shift at T0+48h (h)');
+  console.log('  CT₀   rotation   kronauer   amplitude');
+  for (const r of compareDynamics()) {
+    console.log(`  ${String(r.ctHours).padStart(2)}   ${r.rotationShiftHours.toFixed(2).padStart(8)}   ` +
+                `${r.kronauerShiftHours.toFixed(2).padStart(8)}   ${r.kronauerAmplitude.toFixed(3).padStart(9)}`);
+  }
+  console.log('');
+
+  const prc = comparePRCModels();
+  console.log('─'.repeat(60));
+  console.log('PRC model comparison — shift per 5000 lux sample (h)');
+  console.log('  CT   ' + prc.models.map(m => m.padStart(10)).join(' '));
+  for (const r of prc.curve) {
+    console.log(`  ${String(r.ctHours).padStart(2)}   ` + prc.models.map(m => r[m].toFixed(2).padStart(10)).join(' '));
+  }
+  console.log('  light_pulse_phase_advance ΔHours: ' +
+              prc.models.map(m => `${m} ${prc.scenario[m]}`).join(', '));
+  console.log('');
+
+  console.log('─'.repeat(60));
+  console.log('Filter comparison — nightly 7 h sleep, then 48 h without input');
+  console.log('  day      gain K   conf  ±h      vonmises K   conf  ±h');
+  const fmtK = (k) => (k == null ? '—' : k.toFixed(3)).padStart(8);
+  for (const r of compareFilters()) {
+    console.log(`  ${String(r.day).padStart(3)}   ${fmtK(r.gainK)}  ${r.gainConfidence.toFixed(3)}  ` +
+                `${r.gainUncertaintyHours.toFixed(2).padStart(5)}   ${fmtK(r.vonMisesK).padStart(10)}  ` +
+                `${r.vonMisesConfidence.toFixed(3)}  ${r.vonMisesUncertaintyHours.toFixed(2).padStart(5)}`);
+  }
+  console.log('');
 }
 
 function labelFor(phi) {
@@ -423,14 +584,63 @@ function labelFor(phi) {
   return labelFromPhase(phi);
 }
 
+// ─── Filter comparison ────────────────────────────────────────────────────────
+
+/**
+ * Gain filter vs von Mises filter on the same input stream: seven nights of
+ * regular 7 h sleep (onset T0+17h each day) followed by 48 h without inputs.
+ * Under the gain filter every night applies the fixed K_sleep and confidence
+ * saturates; under the von Mises filter the gain falls as the posterior
+ * concentrates, and the reported uncertainty grows only by phase diffusion
+ * once inputs stop.
+ *
+ * @returns {Array<{ day, gainK, gainConfidence, gainUncertaintyHours,
+ *                   vonMisesK, vonMisesConfidence, vonMisesUncertaintyHours }>}
+ *   — one row per night, then a final row (day 9) with no input
+ */
+function compareFilters() {
+  const engines = {
+    gain:     freshEngine(0, 0.5, T0, { filter: 'gain' }),
+    vonMises: freshEngine(0, 0.5, T0, { filter: 'vonmises' }),
+  };
+  const rows = [];
+  for (let day = 0; day < 7; day++) {
+    const onset = T0 + (day * 24 + 17) * ONE_HOUR;
+    const wake  = onset + 7 * ONE_HOUR;
+    const row   = { day };
+    for (const [name, engine] of Object.entries(engines)) {
+      const upd = engine.update({ sleepOnset: onset, sleepOffset: wake, timestamp: wake });
+      const now = engine.getCurrentPhase(wake);
+      row[`${name}K`]                = Math.round(upd.correctionApplied[0].K * 1000) / 1000;
+      row[`${name}Confidence`]       = now.confidence;
+      row[`${name}UncertaintyHours`] = now.phaseUncertaintyHours;
+    }
+    rows.push(row);
+  }
+  const tEnd = T0 + (6 * 24 + 24 + 48) * ONE_HOUR;
+  const last = { day: 9 };
+  for (const [name, engine] of Object.entries(engines)) {
+    const now = engine.getCurrentPhase(tEnd);
+    last[`${name}K`]                = null;
+    last[`${name}Confidence`]       = now.confidence;
+    last[`${name}UncertaintyHours`] = now.phaseUncertaintyHours;
+  }
+  rows.push(last);
+  return rows;
+}
+
 // ─── Exports ──────────────────────────────────────────────────────────────────
 
 module.exports = {
   runAllScenarios,
+  compareDynamics,
+  comparePRCModels,
+  compareFilters,
   // Individual scenarios exported for selective testing.
   scenario_baseline_oscillation,
   scenario_sleep_delay_shift,
   scenario_light_pulse_advance,
   scenario_late_caffeine_delay,
+  scenario_evening_caffeine_prc_delay,
   scenario_confidence_decay_48h,
 };
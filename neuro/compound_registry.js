@@ -0,0 +1,453 @@
+/**
+ * compound_registry.js — Compound Library for the Pharmacology Signal
+ * Circadian Phase Engine
+ *
+ * Named compounds accepted by update({ compound, doseMg, timestampMs }).  Each
+ * definition declares:
+ *
+ *   pk            — one-compartment pharmacokinetics with first-order
+ *                   absorption; elimination first-order (half-life) or
+ *                   zero-order (constant mg/L per hour, as for ethanol)
+ *   ec50MgPerL    — plasma concentration of half-maximal effect:
+ *                     effect = C / (C + EC50)
+ *   alertness     — alertness change at full effect, −1 … 1 (+ alerting)
+ *   sleepPressure — change in effective sleep pressure (Process S units) at
+ *                   full effect, −1 … 1 (+ sleep-promoting)
+ *   phaseResponse — how a dose shifts the clock:
+ *                     null        — no phase effect
+ *                     'caffeine'  — the engine's caffeine response
+ *                                   (config.caffeineResponse)
+ *                     'melatonin' — the engine's melatonin PRC
+ *                     { amplitudeHours, halfDoseMg, nullPhaseRadians }
+ *                                 — Δ = A · dose / (dose + D₅₀) · sin(φ − φ_null) h
+ *
+ * Built-in compounds: caffeine, melatonin, alcohol, modafinil, propranolol
+ * (a beta-blocker) and zolpidem (a hypnotic).  PK parameters are population
+ * means from the references in circadian_model_math.md §3.20; EC50s and
+ * effect sizes are heuristic.  The built-ins are frozen and shared by every
+ * registry.  Further compounds are added with registerCompound() or loaded
+ * from JSON files with loadCompounds() on a registry from
+ * createCompoundRegistry(); each engine owns one, so they are visible only to
+ * that engine.
+ *
+ * For caffeine the engine takes half-life from config.caffeineHalfLifeHours
+ * and caffeineModifiers, and the prediction SD from caffeine_pk.js.
+ */
+
+'use strict';
+
+const fs         = require('fs');
+const path       = require('path');
+const caffeinePK = require('./caffeine_pk.js');
+
+const MS_PER_HOUR = 3600000;
+
+const ELIMINATION_KINDS = ['first-order', 'zero-order'];
+const PHASE_RESPONSES   = ['caffeine', 'melatonin'];
+
+// Between-person SD of the log elimination rate, unless a definition gives
+// pk.eliminationLogSD, and the relative SD of a logged dose.
+const DEFAULT_ELIMINATION_LOG_SD = 0.3;
+const DOSE_REL_SD                = 0.15;
+
+// Zero-order elimination is integrated numerically on this step (hours).
+// Doses more than ZERO_ORDER_LOOKBACK_HOURS before the evaluation time are
+// taken to be eliminated.
+const ZERO_ORDER_STEP_HOURS     = 1 / 60;
+const ZERO_ORDER_LOOKBACK_HOURS = 48;
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+/**
+ * Check a compound definition.  Throws on the first problem.
+ * @param {object} def
+ * @param {string} caller — name used in error messages
+ */
+function validateCompound(def, caller) {
+  if (def == null || typeof def !== 'object') throw new Error(`${caller}: compound must be an object`);
+  if (typeof def.name !== 'string' || !def.name) throw new Error(`${caller}: name must be a non-empty string`);
+  const where = `${caller}: compound "${def.name}"`;
+  if (!(def.molarMassGPerMol > 0)) throw new Error(`${where}: molarMassGPerMol must be positive`);
+  const pk = def.pk;
+  if (pk == null || typeof pk !== 'object') throw new Error(`${where}: pk must be an object`);
+  const elimination = pk.elimination ?? 'first-order';
+  if (!ELIMINATION_KINDS.includes(elimination)) {
+    throw new Error(`${where}: pk.elimination must be one of ${ELIMINATION_KINDS.join(', ')}`);
+  }
+  const rateKey = elimination === 'first-order' ? 'halfLifeHours' : 'eliminationMgPerLPerHour';
+  for (const key of [rateKey, 'absorptionRatePerHour', 'volumeLitresPerKg']) {
+    if (!(pk[key] > 0) || !Number.isFinite(pk[key])) throw new Error(`${where}: pk.${key} must be a positive number`);
+  }
+  if (!(pk.bioavailability > 0 && pk.bioavailability <= 1)) {
+    throw new Error(`${where}: pk.bioavailability must be in (0, 1]`);
+  }
+  if (pk.eliminationLogSD != null && !(pk.eliminationLogSD >= 0)) {
+    throw new Error(`${where}: pk.eliminationLogSD must be ≥ 0`);
+  }
+  if (!(def.ec50MgPerL > 0) || !Number.isFinite(def.ec50MgPerL)) {
+    throw new Error(`${where}: ec50MgPerL must be a positive number`);
+  }
+  for (const key of ['alertness', 'sleepPressure']) {
+    if (def[key] != null && !(Math.abs(def[key]) <= 1)) throw new Error(`${where}: ${key} must be in [−1, 1]`);
+  }
+  const pr = def.phaseResponse;
+  if (pr == null || PHASE_RESPONSES.includes(pr)) return;
+  if (typeof pr !== 'object' || !(pr.amplitudeHours >= 0) || !(pr.halfDoseMg > 0) ||
+      !Number.isFinite(pr.nullPhaseRadians)) {
+    throw new Error(`${where}: phaseResponse must be null, ${PHASE_RESPONSES.join(', ')} or ` +
+      '{ amplitudeHours ≥ 0, halfDoseMg > 0, nullPhaseRadians }');
+  }
+}
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+const BUILTIN_COMPOUNDS = new Map();
+
+/**
+ * Validate a compound definition and return its frozen, defaulted form.
+ *
+ * @param {{
+ *   name:             string,
+ *   molarMassGPerMol: number,
+ *   pk: {
+ *     elimination?:             'first-order'|'zero-order',   — default 'first-order'
+ *     halfLifeHours?:           number,   — first-order
+ *     eliminationMgPerLPerHour?: number,  — zero-order
+ *     absorptionRatePerHour:    number,
+ *     bioavailability:          number,   — (0, 1]
+ *     volumeLitresPerKg:        number,
+ *     eliminationLogSD?:        number    — between-person SD of the log elimination rate
+ *   },
+ *   ec50MgPerL:       number,
+ *   alertness?:       number,   — default 0
+ *   sleepPressure?:   number,   — default 0
+ *   phaseResponse?:   null|'caffeine'|'melatonin'|{ amplitudeHours, halfDoseMg, nullPhaseRadians },
+ *   category?:        string,
+ *   description?:     string
+ * }} def
+ * @param {string} caller — name used in error messages
+ * @returns {object}
+ */
+function resolveCompound(def, caller) {
+  validateCompound(def, caller);
+  const pr = def.phaseResponse;
+  return Object.freeze({
+    category:      '',
+    description:   '',
+    alertness:     0,
+    sleepPressure: 0,
+    phaseResponse: null,
+    ...def,
+    pk: Object.freeze({ elimination: 'first-order', ...def.pk }),
+    ...(pr != null && typeof pr === 'object' && { phaseResponse: Object.freeze({ ...pr }) }),
+  });
+}
+
+/** Add a built-in compound (module load only). */
+function defineBuiltin(def) {
+  BUILTIN_COMPOUNDS.set(def.name, resolveCompound(def, 'defineBuiltin'));
+}
+
+/**
+ * Create a compound registry holding the built-in compounds.  Compounds
+ * registered on it are visible to it alone; the built-ins cannot be replaced.
+ * @returns {{ registerCompound, getCompound, listCompounds, loadCompounds }}
+ */
+function createCompoundRegistry() {
+  const compounds = new Map(BUILTIN_COMPOUNDS);
+
+  function checkName(name, caller) {
+    if (BUILTIN_COMPOUNDS.has(name)) throw new Error(`${caller}: "${name}" is a built-in compound and cannot be replaced`);
+  }
+
+  /**
+   * Register a compound under def.name, replacing an earlier registration of
+   * the same name.
+   * @param {object} def — see resolveCompound()
+   */
+  function registerCompound(def) {
+    const resolved = resolveCompound(def, 'registerCompound');
+    checkName(def.name, 'registerCompound');
+    compounds.set(def.name, resolved);
+  }
+
+  /**
+   * Look up a registered compound. Throws if unknown.
+   * @param {string} name
+   */
+  function getCompound(name) {
+    const def = compounds.get(name);
+    if (!def) throw new Error(`getCompound: unknown compound "${name}" (registered: ${listCompounds().join(', ')})`);
+    return def;
+  }
+
+  /** Names of all registered compounds. */
+  function listCompounds() {
+    return [...compounds.keys()];
+  }
+
+  /**
+   * Register compounds from a JSON file, or from every .json file in a
+   * directory (in name order).  A file holds one definition or an array of
+   * them.  Nothing is registered if any definition is invalid.
+   * @param {string} source — file or directory path
+   * @returns {string[]} — names registered
+   */
+  function loadCompounds(source) {
+    const files = fs.statSync(source).isDirectory()
+      ? fs.readdirSync(source).filter(f => f.endsWith('.json')).sort().map(f => path.join(source, f))
+      : [source];
+    const defs = [];
+    for (const file of files) {
+      let parsed;
+      try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        throw new Error(`loadCompounds: ${file}: ${err.message}`);
+      }
+      for (const def of Array.isArray(parsed) ? parsed : [parsed]) {
+        const resolved = resolveCompound(def, `loadCompounds: ${file}`);
+        checkName(def.name, `loadCompounds: ${file}`);
+        defs.push(resolved);
+      }
+    }
+    defs.forEach(def => compounds.set(def.name, def));
+    return defs.map(d => d.name);
+  }
+
+  return { registerCompound, getCompound, listCompounds, loadCompounds };
+}
+
+// ─── Pharmacokinetics ────────────────────────────────────────────────────────
+
+/**
+ * Plasma concentration (mg/L) at atMs from doses taken at or before it.
+ * @param {object} pk — resolved pk of a definition
+ * @param {Array<{ timestampMs, doseMg }>} doses
+ * @param {number} atMs
+ * @param {number} bodyMassKg
+ * @param {number} [rateScale] — multiplies the elimination rate
+ * @param {number} [doseScale] — multiplies every dose
+ * @returns {number}
+ */
+function concentration(pk, doses, atMs, bodyMassKg, rateScale = 1, doseScale = 1) {
+  if (pk.elimination === 'first-order') {
+    const p = {
+      halfLifeHours:         pk.halfLifeHours / rateScale,
+      absorptionRatePerHour: pk.absorptionRatePerHour,
+      bioavailability:       pk.bioavailability,
+      volumeLitresPerKg:     pk.volumeLitresPerKg,
+      bodyMassKg,
+    };
+    return doses.reduce((c, d) => c + caffeinePK.doseConcentration(d.doseMg * doseScale, (atMs - d.timestampMs) / MS_PER_HOUR, p), 0);
+  }
+
+  // Zero-order: absorption from each dose is exact over a step; elimination
+  // removes a fixed amount per hour while any drug remains.
+  const V      = pk.volumeLitresPerKg * bodyMassKg;
+  const ka     = pk.absorptionRatePerHour;
+  const beta   = pk.eliminationMgPerLPerHour * rateScale;
+  const recent = doses.filter(d => (atMs - d.timestampMs) / MS_PER_HOUR <= ZERO_ORDER_LOOKBACK_HOURS);
+  if (recent.length === 0) return 0;
+  const absorbed = (h) => recent.reduce((a, d) => {
+    const dt = h - (d.timestampMs - atMs) / MS_PER_HOUR;   // hours since the dose
+    return dt > 0 ? a + (pk.bioavailability * d.doseMg * doseScale * (1 - Math.exp(-ka * dt))) / V : a;
+  }, 0);
+  // Hours relative to atMs: integrate from the first recent dose to 0.
+  let h = Math.min(...recent.map(d => (d.timestampMs - atMs) / MS_PER_HOUR));
+  let c = 0;
+  while (h < 0) {
+    const next = Math.min(0, h + ZERO_ORDER_STEP_HOURS);
+    c = Math.max(0, c + absorbed(next) - absorbed(h) - beta * (next - h));
+    h = next;
+  }
+  return c;
+}
+
+/**
+ * Level and effects of a compound at atMs.
+ *
+ * The SD combines the between-person spread of the elimination rate
+ * (pk.eliminationLogSD, log-normal) and a shared relative dose error
+ * (DOSE_REL_SD), each by central difference.
+ *
+ * @param {object|string} compound — definition, or the name of a built-in
+ * @param {Array<{ timestampMs: number, doseMg: number }>} doses
+ * @param {number} atMs
+ * @param {{ bodyMassKg?: number }} [options] — default 70 kg
+ * @returns {{ compound, concentrationMgPerL, concentrationMicroMolar, sdMgPerL,
+ *             effect, effectSD, alertness, sleepPressure, doses }}
+ *   — doses counts the doses taken at or before atMs
+ */
+function compoundLevel(compound, doses, atMs, options = {}) {
+  const def = typeof compound === 'string' ? builtins.getCompound(compound) : compound;
+  const bodyMassKg = options.bodyMassKg ?? caffeinePK.DEFAULT_PARAMETERS.bodyMassKg;
+  if (!Array.isArray(doses)) throw new Error('compoundLevel: doses must be an array');
+  for (const d of doses) {
+    if (!Number.isFinite(d.timestampMs) || !(d.doseMg > 0)) {
+      throw new Error('compoundLevel: doses need a finite timestampMs and a positive doseMg');
+    }
+  }
+  if (!(bodyMassKg > 0)) throw new Error('compoundLevel: bodyMassKg must be positive');
+
+  const pk    = { elimination: 'first-order', ...def.pk };
+  const taken = doses.filter(d => d.timestampMs <= atMs);
+  const at    = (rateScale, doseScale) => concentration(pk, taken, atMs, bodyMassKg, rateScale, doseScale);
+  const c     = at(1, 1);
+  const s     = pk.eliminationLogSD ?? DEFAULT_ELIMINATION_LOG_SD;
+  const sdMgPerL = Math.hypot(
+    (at(Math.exp(s), 1) - at(Math.exp(-s), 1)) / 2,
+    (at(1, 1 + DOSE_REL_SD) - at(1, 1 - DOSE_REL_SD)) / 2,
+  );
+  const effect = c / (c + def.ec50MgPerL);
+  return {
+    compound:                def.name,
+    concentrationMgPerL:     c,
+    concentrationMicroMolar: (c * 1000) / def.molarMassGPerMol,
+    sdMgPerL,
+    effect,
+    effectSD:                (def.ec50MgPerL / (c + def.ec50MgPerL) ** 2) * sdMgPerL,
+    alertness:               (def.alertness ?? 0) * effect,
+    sleepPressure:           (def.sleepPressure ?? 0) * effect,
+    doses:                   taken.length,
+  };
+}
+
+/**
+ * Phase shift (circadian hours, + = advance) of a dose taken at phase φ, for
+ * a definition whose phaseResponse is a curve object.  0 otherwise.
+ * @param {object} def
+ * @param {number} phi    — phase at intake (radians)
+ * @param {number} doseMg
+ * @returns {number}
+ */
+function phaseShiftHours(def, phi, doseMg) {
+  const pr = def.phaseResponse;
+  if (pr == null || typeof pr !== 'object') return 0;
+  return ((pr.amplitudeHours * doseMg) / (doseMg + pr.halfDoseMg)) * Math.sin(phi - pr.nullPhaseRadians);
+}
+
+// ─── Built-in compounds ──────────────────────────────────────────────────────
+
+defineBuiltin({
+  name:             'caffeine',
+  category:         'stimulant',
+  description:      'Adenosine A1/A2A antagonist; effect is A1 occupancy (caffeine_pk.js)',
+  molarMassGPerMol: caffeinePK.CAFFEINE_MOLAR_MASS,
+  pk: {
+    halfLifeHours:         caffeinePK.DEFAULT_PARAMETERS.halfLifeHours,
+    absorptionRatePerHour: caffeinePK.DEFAULT_PARAMETERS.absorptionRatePerHour,
+    bioavailability:       caffeinePK.DEFAULT_PARAMETERS.bioavailability,
+    volumeLitresPerKg:     caffeinePK.DEFAULT_PARAMETERS.volumeLitresPerKg,
+  },
+  // A1 K_i (µM) in mg/L.
+  ec50MgPerL:    (caffeinePK.DEFAULT_PARAMETERS.kiMicroMolar.A1 * caffeinePK.CAFFEINE_MOLAR_MASS) / 1000,
+  alertness:     0.5,
+  sleepPressure: -0.2,
+  phaseResponse: 'caffeine',
+});
+
+defineBuiltin({
+  name:             'melatonin',
+  category:         'chronobiotic',
+  description:      'Oral melatonin; low, variable bioavailability (Harpsøe et al., 2015)',
+  molarMassGPerMol: 232.28,
+  pk: {
+    halfLifeHours:         0.75,
+    absorptionRatePerHour: 2,
+    bioavailability:       0.15,
+    volumeLitresPerKg:     1,
+    eliminationLogSD:      0.4,
+  },
+  ec50MgPerL:    0.0002,   // ≈ 200 pg/mL, above the nocturnal peak
+  alertness:     -0.2,
+  sleepPressure: 0.1,
+  phaseResponse: 'melatonin',
+});
+
+defineBuiltin({
+  name:             'alcohol',
+  category:         'sedative',
+  description:      'Ethanol; zero-order elimination (Jones, 2010); dose in mg of ethanol (14 000 per standard drink)',
+  molarMassGPerMol: 46.07,
+  pk: {
+    elimination:              'zero-order',
+    eliminationMgPerLPerHour: 150,
+    absorptionRatePerHour:    4,
+    bioavailability:          0.9,
+    volumeLitresPerKg:        0.7,
+    eliminationLogSD:         0.2,
+  },
+  ec50MgPerL:    800,      // 0.08 % BAC
+  alertness:     -0.8,
+  sleepPressure: 0.3,
+  phaseResponse: null,
+});
+
+defineBuiltin({
+  name:             'modafinil',
+  category:         'stimulant',
+  description:      'Wake-promoting agent (Robertson & Hellriegel, 2003)',
+  molarMassGPerMol: 273.35,
+  pk: {
+    halfLifeHours:         15,
+    absorptionRatePerHour: 1,
+    bioavailability:       0.9,
+    volumeLitresPerKg:     0.8,
+  },
+  ec50MgPerL:    3,
+  alertness:     0.6,
+  sleepPressure: -0.2,
+  phaseResponse: null,
+});
+
+defineBuiltin({
+  name:             'propranolol',
+  category:         'beta-blocker',
+  description:      'Non-selective beta-blocker (Routledge & Shand, 1979); suppresses nocturnal melatonin ' +
+                    '(Stoschitzky et al., 1999), not modelled',
+  molarMassGPerMol: 259.34,
+  pk: {
+    halfLifeHours:         4,
+    absorptionRatePerHour: 1.5,
+    bioavailability:       0.25,
+    volumeLitresPerKg:     4,
+  },
+  ec50MgPerL:    0.02,
+  alertness:     -0.1,
+  sleepPressure: 0,
+  phaseResponse: null,
+});
+
+defineBuiltin({
+  name:             'zolpidem',
+  category:         'hypnotic',
+  description:      'Non-benzodiazepine hypnotic (Holm & Goa, 2000)',
+  molarMassGPerMol: 307.39,
+  pk: {
+    halfLifeHours:         2.5,
+    absorptionRatePerHour: 2,
+    bioavailability:       0.7,
+    volumeLitresPerKg:     0.54,
+  },
+  ec50MgPerL:    0.1,
+  alertness:     -0.8,
+  sleepPressure: 0.3,
+  phaseResponse: null,
+});
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+// Read-only view of the built-in compounds.
+const builtins = createCompoundRegistry();
+
+module.exports = {
+  ELIMINATION_KINDS,
+  PHASE_RESPONSES,
+  validateCompound,
+  createCompoundRegistry,
+  getCompound:   builtins.getCompound,
+  listCompounds: builtins.listCompounds,
+  compoundLevel,
+  phaseShiftHours,
+};
@@ -0,0 +1,397 @@
+/**
+ * cosinor.js — Cosinor and Nonparametric Rhythm Analysis
+ * Circadian Phase Engine
+ *
+ * Rhythm fits for phase markers derived from physiological series
+ * (temperature, heart rate, activity), sampled unevenly or with gaps.
+ *
+ * Cosinor (Nelson et al., 1979; Cornelissen, 2014): least squares fit of
+ *
+ *   y(t) = M + Σ_k [β_ck cos(ω_k t) + β_sk sin(ω_k t)] + Σ_j γ_j z_j(t)
+ *
+ * with one component per period (a single 24 h component by default, or
+ * harmonics such as 24/12/8 h for non-sinusoidal profiles) and optional
+ * covariates z_j (e.g. a sleep indicator to remove masking).  Each component
+ * reports MESOR, amplitude A_k and acrophase (time of its peak), with
+ * delta-method standard errors and Student-t confidence intervals; the
+ * zero-amplitude F test compares the fit against the model without rhythm.
+ *
+ * Nonparametric measures (Witting et al., 1990; Van Someren et al., 1999) work
+ * on hourly means: interdaily stability (IS), intradaily variability (IV),
+ * the least active 5 h (L5), the most active 10 h (M10) and relative
+ * amplitude RA = (M10 − L5) / (M10 + L5).
+ *
+ * Samples are { timestampMs, value }.  Clock hours are local, using
+ * utcOffsetHours.  All math is deterministic.
+ */
+
+'use strict';
+
+const MS_PER_HOUR = 3600000;
+
+// ─── Distributions ───────────────────────────────────────────────────────────
+
+/** ln Γ(x) for x > 0 (Lanczos, g = 7). */
+function logGamma(x) {
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/** Continued fraction for the incomplete beta function (Lentz). */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+/**
+ * Regularised incomplete beta I_x(a, b).
+ * @param {number} x — [0, 1]
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/** Upper tail P(F > f) of the F(d1, d2) distribution. */
+function fSurvival(f, d1, d2) {
+  if (!(f > 0)) return 1;
+  return regularizedBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+}
+
+/** Two-sided Student-t quantile: t such that P(|T| ≤ t) = level with df degrees of freedom. */
+function tQuantile(level, df) {
+  const tail = (t) => regularizedBeta(df / (df + t * t), df / 2, 0.5); // P(|T| > t)
+  let lo = 0;
+  let hi = 1;
+  while (tail(hi) > 1 - level) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tail(mid) > 1 - level) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─── Least squares ───────────────────────────────────────────────────────────
+
+/**
+ * Invert a small symmetric positive-definite matrix (Gauss–Jordan).
+ * @param {number[][]} A
+ * @returns {number[][]|null} — null if singular
+ */
+function invert(A) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (!(Math.abs(M[p][c]) > 1e-12)) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+    const pivot = M[c][c];
+    for (let j = 0; j < 2 * n; j++) M[c][j] /= pivot;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c];
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map(row => row.slice(n));
+}
+
+/**
+ * Ordinary least squares y ≈ X β.
+ * @param {number[][]} X — design rows
+ * @param {number[]} y
+ * @returns {{ beta: number[], cov: number[][], sse: number, sst: number }|null}
+ *   — cov = s² (XᵀX)⁻¹; null if XᵀX is singular or there are no residual
+ *   degrees of freedom
+ */
+function leastSquares(X, y) {
+  const n = X.length;
+  const p = X[0].length;
+  if (n <= p) return null;
+  const XtX = Array.from({ length: p }, (_, i) =>
+    Array.from({ length: p }, (_, j) => X.reduce((a, row) => a + row[i] * row[j], 0)));
+  const inv = invert(XtX);
+  if (inv == null) return null;
+  const Xty  = Array.from({ length: p }, (_, i) => X.reduce((a, row, k) => a + row[i] * y[k], 0));
+  const beta = inv.map(row => row.reduce((a, v, j) => a + v * Xty[j], 0));
+  let sse = 0;
+  for (let k = 0; k < n; k++) sse += (y[k] - X[k].reduce((a, v, j) => a + v * beta[j], 0)) ** 2;
+  const mean = y.reduce((a, b) => a + b, 0) / n;
+  const sst  = y.reduce((a, v) => a + (v - mean) ** 2, 0);
+  const s2   = sse / (n - p);
+  return { beta, cov: inv.map(row => row.map(v => v * s2)), sse, sst };
+}
+
+// ─── Cosinor ─────────────────────────────────────────────────────────────────
+
+/** Local clock hour [0, 24) of a timestamp. */
+function clockHourOf(timestampMs, utcOffsetHours) {
+  const local = timestampMs + utcOffsetHours * MS_PER_HOUR;
+  return (((local % 86400000) + 86400000) % 86400000) / MS_PER_HOUR;
+}
+
+/**
+ * Validate { timestampMs, value } samples.
+ * @param {Array} samples
+ * @param {string} caller — name used in error messages
+ */
+function validateSamples(samples, caller) {
+  if (!Array.isArray(samples)) {
+    throw new Error(`${caller}: samples must be an array of { timestampMs, value }`);
+  }
+  for (const s of samples) {
+    if (s == null || !Number.isFinite(s.timestampMs) || !Number.isFinite(s.value)) {
+      throw new Error(`${caller}: samples need a finite timestampMs and value`);
+    }
+  }
+}
+
+/**
+ * Fit a single- or multi-component cosinor.
+ *
+ * @param {Array<{ timestampMs: number, value: number }>} samples
+ * @param {{ periodsHours?: number[], covariates?: Array<{ name: string, at: (timestampMs: number) => number }>,
+ *           level?: number, utcOffsetHours?: number }} [options]
+ *   — periodsHours default [24]; level (confidence) default 0.95
+ * @returns {{
+ *   mesor, mesorCI, components, covariates, zeroAmplitude: { F, df1, df2, p },
+ *   rSquared, residualSD, n, peakMs, troughMs, peakClockHour, troughClockHour
+ * }|null}
+ *   components: per period { periodHours, amplitude, amplitudeSE, amplitudeCI,
+ *   acrophaseMs, acrophaseClockHour, acrophaseSEHours, acrophaseCIMs };
+ *   acrophaseMs is the latest peak of that component at or before the last
+ *   sample, and peakMs / troughMs the extremes of the whole fitted curve over
+ *   the longest period ending there.  covariates: { [name]: { coefficient, se } }.
+ *   null if the design is singular or has no residual degrees of freedom.
+ */
+function fitCosinor(samples, options = {}) {
+  const periodsHours   = options.periodsHours ?? [24];
+  const covariates     = options.covariates ?? [];
+  const level          = options.level ?? 0.95;
+  const utcOffsetHours = options.utcOffsetHours ?? 0;
+  if (!Array.isArray(periodsHours) || periodsHours.length === 0 || !periodsHours.every(p => p > 0)) {
+    throw new Error('fitCosinor: periodsHours must be a non-empty array of positive periods');
+  }
+  if (!(level > 0 && level < 1)) {
+    throw new Error('fitCosinor: level must be in (0, 1)');
+  }
+  validateSamples(samples, 'fitCosinor');
+  if (samples.length === 0) return null;
+
+  // Time origin at the first sample keeps the regressors well conditioned.
+  const t0     = Math.min(...samples.map(s => s.timestampMs));
+  const lastMs = Math.max(...samples.map(s => s.timestampMs));
+  const omegas = periodsHours.map(p => (2 * Math.PI) / (p * MS_PER_HOUR));
+  const K = periodsHours.length;
+  const X = samples.map(s => {
+    const row = [1];
+    for (const w of omegas) row.push(Math.cos(w * (s.timestampMs - t0)), Math.sin(w * (s.timestampMs - t0)));
+    for (const c of covariates) row.push(c.at(s.timestampMs));
+    return row;
+  });
+  const y   = samples.map(s => s.value);
+  const fit = leastSquares(X, y);
+  if (fit == null) return null;
+  const n  = samples.length;
+  const df = n - X[0].length;
+  const tq = tQuantile(level, df);
+  const se = (i) => Math.sqrt(Math.max(0, fit.cov[i][i]));
+
+  const components = periodsHours.map((periodHours, k) => {
+    const ic = 1 + 2 * k;
+    const is = ic + 1;
+    const bc = fit.beta[ic];
+    const bs = fit.beta[is];
+    const A  = Math.hypot(bc, bs);
+    const vcc = fit.cov[ic][ic], vss = fit.cov[is][is], vcs = fit.cov[ic][is];
+    const amplitudeSE = A > 0 ? Math.sqrt(Math.max(0, (bc ** 2 * vcc + bs ** 2 * vss + 2 * bc * bs * vcs) / A ** 2)) : Infinity;
+    const phaseSE     = A > 0 ? Math.sqrt(Math.max(0, (bs ** 2 * vcc + bc ** 2 * vss - 2 * bc * bs * vcs) / A ** 4)) : Infinity;
+    const periodMs  = periodHours * MS_PER_HOUR;
+    const peakMs    = t0 + Math.atan2(bs, bc) / omegas[k];
+    const acrophaseMs = peakMs + Math.floor((lastMs - peakMs) / periodMs) * periodMs;
+    const acrophaseSEHours = (phaseSE * periodHours) / (2 * Math.PI);
+    const halfWidthMs = Math.min(periodMs / 2, tq * acrophaseSEHours * MS_PER_HOUR);
+    return {
+      periodHours,
+      amplitude:          A,
+      amplitudeSE,
+      amplitudeCI:        [Math.max(0, A - tq * amplitudeSE), A + tq * amplitudeSE],
+      acrophaseMs,
+      acrophaseClockHour: clockHourOf(acrophaseMs, utcOffsetHours),
+      acrophaseSEHours,
+      acrophaseCIMs:      [acrophaseMs - halfWidthMs, acrophaseMs + halfWidthMs],
+    };
+  });
+
+  // Zero-amplitude test: the same model without the rhythmic terms.
+  const reducedX = X.map(row => [1, ...row.slice(1 + 2 * K)]);
+  const reduced  = leastSquares(reducedX, y);
+  const df1 = 2 * K;
+  const F   = reduced != null && fit.sse > 0 ? ((reduced.sse - fit.sse) / df1) / (fit.sse / df) : Infinity;
+
+  // Extremes of the full fitted curve over the longest period ending at the
+  // last sample (1-minute grid).
+  const span  = Math.max(...periodsHours) * MS_PER_HOUR;
+  const curve = (t) => fit.beta[0] + omegas.reduce((a, w, k) =>
+    a + fit.beta[1 + 2 * k] * Math.cos(w * (t - t0)) + fit.beta[2 + 2 * k] * Math.sin(w * (t - t0)), 0);
+  let peakMs = lastMs, troughMs = lastMs;
+  for (let t = lastMs - span; t <= lastMs; t += 60000) {
+    if (curve(t) > curve(peakMs)) peakMs = t;
+    if (curve(t) < curve(troughMs)) troughMs = t;
+  }
+
+  return {
+    mesor:         fit.beta[0],
+    mesorCI:       [fit.beta[0] - tq * se(0), fit.beta[0] + tq * se(0)],
+    components,
+    covariates:    Object.fromEntries(covariates.map((c, j) =>
+      [c.name, { coefficient: fit.beta[1 + 2 * K + j], se: se(1 + 2 * K + j) }])),
+    zeroAmplitude: { F, df1, df2: df, p: Number.isFinite(F) ? fSurvival(F, df1, df) : 0 },
+    rSquared:      fit.sst > 0 ? 1 - fit.sse / fit.sst : 0,
+    residualSD:    Math.sqrt(fit.sse / df),
+    n,
+    peakMs,
+    troughMs,
+    peakClockHour:   clockHourOf(peakMs, utcOffsetHours),
+    troughClockHour: clockHourOf(troughMs, utcOffsetHours),
+  };
+}
+
+/**
+ * Circadian phase of a component's acrophase on an anchored engine:
+ * engine.clockToPhase(acrophaseClockHour).  The fit's utcOffsetHours must
+ * match the clock used for anchor().
+ * @param {{ acrophaseClockHour: number }} component — from fitCosinor()
+ * @param {{ clockToPhase: (clockHour: number) => number }} engine
+ * @returns {number} — radians [0, 2π)
+ */
+function acrophaseToPhase(component, engine) {
+  return engine.clockToPhase(component.acrophaseClockHour);
+}
+
+// ─── Nonparametric measures ──────────────────────────────────────────────────
+
+/**
+ * IS, IV, L5, M10 and RA from hourly means.
+ *
+ *   IS = N Σ_h (x̄_h − x̄)² / (24 Σ_i (x_i − x̄)²)
+ *   IV = N Σ_i (x_i − x_{i−1})² / ((N − 1) Σ_i (x_i − x̄)²)
+ *
+ * with x_i the N hourly means and x̄_h the mean profile at clock hour h.
+ * Missing hours are skipped: IS weights each x̄_h by the hours observed at h
+ * (the same value for whole days), and IV uses consecutive hours only.  L5 and M10 are
+ * the least and most active windows of the mean 24 h profile, wrapping
+ * through midnight.
+ *
+ * @param {Array<{ timestampMs: number, value: number }>} samples
+ * @param {{ utcOffsetHours?: number }} [options]
+ * @returns {{ interdailyStability, intradailyVariability,
+ *             L5: { value, onsetClockHour }, M10: { value, onsetClockHour },
+ *             relativeAmplitude, days }}
+ */
+function nonparametric(samples, options = {}) {
+  const utcOffsetHours = options.utcOffsetHours ?? 0;
+  validateSamples(samples, 'nonparametric');
+  const bins = new Map();
+  for (const s of samples) {
+    const idx = Math.floor((s.timestampMs + utcOffsetHours * MS_PER_HOUR) / MS_PER_HOUR);
+    if (!bins.has(idx)) bins.set(idx, { sum: 0, n: 0 });
+    bins.get(idx).sum += s.value;
+    bins.get(idx).n++;
+  }
+  const hours = [...bins.keys()].sort((a, b) => a - b);
+  const x = new Map(hours.map(h => [h, bins.get(h).sum / bins.get(h).n]));
+  const profileSum = new Array(24).fill(0);
+  const profileN   = new Array(24).fill(0);
+  for (const h of hours) {
+    const hod = ((h % 24) + 24) % 24;
+    profileSum[hod] += x.get(h);
+    profileN[hod]++;
+  }
+  if (profileN.some(n => n === 0)) {
+    throw new Error('nonparametric: samples must cover every clock hour at least once');
+  }
+  const profile = profileSum.map((s, h) => s / profileN[h]);
+
+  const N    = hours.length;
+  const mean = hours.reduce((a, h) => a + x.get(h), 0) / N;
+  const ss   = hours.reduce((a, h) => a + (x.get(h) - mean) ** 2, 0);
+  let between = 0;
+  for (const h of hours) between += (profile[((h % 24) + 24) % 24] - mean) ** 2;
+  let diff = 0, pairs = 0;
+  for (const h of hours) {
+    if (!x.has(h - 1)) continue;
+    diff += (x.get(h) - x.get(h - 1)) ** 2;
+    pairs++;
+  }
+
+  const window = (len, pick) => {
+    let best = null;
+    for (let start = 0; start < 24; start++) {
+      let s = 0;
+      for (let k = 0; k < len; k++) s += profile[(start + k) % 24];
+      const value = s / len;
+      if (best == null || pick(value, best.value)) best = { value, onsetClockHour: start };
+    }
+    return best;
+  };
+  const L5  = window(5, (a, b) => a < b);
+  const M10 = window(10, (a, b) => a > b);
+
+  return {
+    interdailyStability:   ss > 0 ? between / ss : 0,
+    intradailyVariability: ss > 0 && pairs > 0 ? (N * diff) / (pairs * ss) : 0,
+    L5,
+    M10,
+    relativeAmplitude:     M10.value + L5.value > 0 ? (M10.value - L5.value) / (M10.value + L5.value) : 0,
+    days:                  N / 24,
+  };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  fitCosinor,
+  acrophaseToPhase,
+  nonparametric,
+  leastSquares,
+  logGamma,
+  regularizedBeta,
+  fSurvival,
+  tQuantile,
+};
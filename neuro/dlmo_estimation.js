@@ -0,0 +1,303 @@
+/**
+ * dlmo_estimation.js — DLMO Estimation from Salivary Melatonin Samples
+ * Circadian Phase Engine
+ *
+ * Estimates dim-light melatonin onset (DLMO) from a timed series of melatonin
+ * concentrations { timestampMs, pgPerMl }, usually half-hourly saliva samples
+ * taken in dim light through the evening.  Three methods are supported:
+ *
+ *   'threshold'   — time the profile crosses a fixed level (3 or 4 pg/mL),
+ *                   interpolated linearly between the bracketing samples
+ *                   (Benloucif et al., 2008)
+ *   'baselineSD'  — the same crossing with the level set to the mean + 2 SD
+ *                   of the first baselineSamples samples (Voultsios et al., 1997)
+ *   'hockeyStick' — hinge of a flat-then-rising piecewise-linear fit to the
+ *                   samples up to the peak (Danilenko et al., 2014)
+ *
+ * Crossings count only where the profile stays above the level up to its
+ * peak, so an isolated high sample in the baseline is not taken as the onset.
+ * A method that finds no onset inside the sampling window returns null.
+ *
+ * Confidence intervals come from a parametric bootstrap: the concentrations
+ * are redrawn with the assay's noise (SD = assayCV · c, plus assayFloorPgMl
+ * in quadrature) and the estimate is repeated.  The generator is seeded
+ * mulberry32 (see particle_filter.js), so results are deterministic.
+ *
+ * toMarkerInput() turns an estimate into update() inputs for the engine, and
+ * an estimate's dlmoMs can serve as the reference in validation scripts.
+ * MMASH saliva.csv holds only two untimed samples per subject (before sleep,
+ * on waking), which is too few for any of these methods.
+ */
+
+'use strict';
+
+const { createRng }   = require('./particle_filter.js');
+const { markerInput } = require('./marker_input.js');
+
+// Fixed thresholds in common use (pg/mL, saliva).
+const STANDARD_THRESHOLDS_PG_ML = [3, 4];
+
+const DEFAULT_OPTIONS = {
+  thresholdPgMl:   3,       // 'threshold' method
+  baselineSamples: 3,       // 'baselineSD' method: leading samples forming the baseline
+  assayCV:         0.1,     // intra-assay coefficient of variation
+  assayFloorPgMl:  0.5,     // additive assay noise SD near the detection limit
+  bootstrapCount:  200,
+  seed:            1,
+  hingeStepMs:     60000,   // 'hockeyStick' hinge search resolution (1 min)
+  level:           0.95,    // confidence interval level
+};
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate a melatonin series and return it sorted by time.
+ * @param {Array<{ timestampMs: number, pgPerMl: number }>} samples
+ * @param {string} caller — name used in error messages
+ * @returns {Array<{ timestampMs, pgPerMl }>}
+ */
+function validateSamples(samples, caller) {
+  if (!Array.isArray(samples) || samples.length < 3) {
+    throw new Error(`${caller}: samples must be an array of at least 3 { timestampMs, pgPerMl }`);
+  }
+  for (const s of samples) {
+    if (s == null || !Number.isFinite(s.timestampMs) || !Number.isFinite(s.pgPerMl) || s.pgPerMl < 0) {
+      throw new Error(`${caller}: samples need a finite timestampMs and a non-negative pgPerMl`);
+    }
+  }
+  const sorted = samples.map(s => ({ timestampMs: s.timestampMs, pgPerMl: s.pgPerMl }))
+    .sort((a, b) => a.timestampMs - b.timestampMs);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].timestampMs === sorted[i - 1].timestampMs) {
+      throw new Error(`${caller}: duplicate sample timestamp ${sorted[i].timestampMs}`);
+    }
+  }
+  return sorted;
+}
+
+// ─── Point estimates ─────────────────────────────────────────────────────────
+
+/** Index of the first maximum concentration. */
+function peakIndex(sorted) {
+  let k = 0;
+  for (let i = 1; i < sorted.length; i++) if (sorted[i].pgPerMl > sorted[k].pgPerMl) k = i;
+  return k;
+}
+
+/**
+ * Time the profile rises through level and stays above it up to the peak,
+ * interpolated linearly between the bracketing samples.
+ * @param {Array<{ timestampMs, pgPerMl }>} sorted
+ * @param {number} level — pg/mL
+ * @returns {number|null} — ms since epoch; null if the peak is below level or
+ *   the profile is already above it at the first sample
+ */
+function crossingTime(sorted, level) {
+  let j = peakIndex(sorted);
+  if (sorted[j].pgPerMl < level) return null;
+  while (j > 0 && sorted[j - 1].pgPerMl >= level) j--;
+  if (j === 0) return null;
+  const a = sorted[j - 1];
+  const b = sorted[j];
+  return a.timestampMs + (level - a.pgPerMl) / (b.pgPerMl - a.pgPerMl) * (b.timestampMs - a.timestampMs);
+}
+
+/**
+ * Mean + 2 SD (sample SD) of the leading baseline samples.
+ * @param {Array<{ pgPerMl }>} sorted
+ * @param {number} n — baseline sample count
+ * @returns {number} — pg/mL
+ */
+function baselineLevel(sorted, n) {
+  const base = sorted.slice(0, n).map(s => s.pgPerMl);
+  const mean = base.reduce((a, b) => a + b, 0) / n;
+  const sd   = Math.sqrt(base.reduce((a, c) => a + (c - mean) ** 2, 0) / (n - 1));
+  return mean + 2 * sd;
+}
+
+/**
+ * Least-squares hockey-stick fit c(t) = a + b · max(0, t − t₀) to the samples
+ * up to the peak, with the hinge t₀ searched on a grid.
+ * @param {Array<{ timestampMs, pgPerMl }>} sorted
+ * @param {number} stepMs — hinge grid resolution
+ * @returns {{ hingeMs: number, baselinePgMl: number, slopePgMlPerHour: number }|null}
+ *   — null if no rising fit exists or the hinge falls on the first sample
+ */
+function hockeyStickFit(sorted, stepMs) {
+  const pts = sorted.slice(0, peakIndex(sorted) + 1);
+  if (pts.length < 3) return null;
+  const t0 = pts[0].timestampMs;
+  const t1 = pts[pts.length - 1].timestampMs;
+  let best = null;
+  for (let hinge = t0; hinge < t1; hinge += stepMs) {
+    // Simple linear regression of c on x = max(0, t − hinge) (hours).
+    const xs = pts.map(p => Math.max(0, p.timestampMs - hinge) / 3600000);
+    const n  = pts.length;
+    const mx = xs.reduce((a, b) => a + b, 0) / n;
+    const my = pts.reduce((a, p) => a + p.pgPerMl, 0) / n;
+    let sxx = 0, sxy = 0;
+    for (let i = 0; i < n; i++) {
+      sxx += (xs[i] - mx) ** 2;
+      sxy += (xs[i] - mx) * (pts[i].pgPerMl - my);
+    }
+    if (!(sxx > 0)) continue;
+    const slope = sxy / sxx;
+    if (!(slope > 0)) continue;
+    const base = my - slope * mx;
+    let sse = 0;
+    for (let i = 0; i < n; i++) sse += (pts[i].pgPerMl - base - slope * xs[i]) ** 2;
+    if (best == null || sse < best.sse) best = { sse, hingeMs: hinge, baselinePgMl: base, slopePgMlPerHour: slope };
+  }
+  if (best == null || best.hingeMs === t0) return null;
+  return { hingeMs: best.hingeMs, baselinePgMl: best.baselinePgMl, slopePgMlPerHour: best.slopePgMlPerHour };
+}
+
+// Point estimate per method: (sorted, options) → { dlmoMs, ...details } | null.
+const METHODS = {
+  threshold(sorted, o) {
+    const dlmoMs = crossingTime(sorted, o.thresholdPgMl);
+    return dlmoMs == null ? null : { dlmoMs, thresholdPgMl: o.thresholdPgMl };
+  },
+  baselineSD(sorted, o) {
+    const level  = baselineLevel(sorted, o.baselineSamples);
+    const dlmoMs = crossingTime(sorted, level);
+    return dlmoMs == null ? null : { dlmoMs, thresholdPgMl: level };
+  },
+  hockeyStick(sorted, o) {
+    const fit = hockeyStickFit(sorted, o.hingeStepMs);
+    return fit == null ? null : {
+      dlmoMs:           fit.hingeMs,
+      baselinePgMl:     fit.baselinePgMl,
+      slopePgMlPerHour: fit.slopePgMlPerHour,
+    };
+  },
+};
+
+// ─── Bootstrap confidence interval ───────────────────────────────────────────
+
+/** Linear-interpolated quantile of a sorted array. */
+function quantile(sortedValues, q) {
+  const pos = q * (sortedValues.length - 1);
+  const lo  = Math.floor(pos);
+  const hi  = Math.min(lo + 1, sortedValues.length - 1);
+  return sortedValues[lo] + (pos - lo) * (sortedValues[hi] - sortedValues[lo]);
+}
+
+/**
+ * Redraw the concentrations with assay noise and repeat a method.
+ * @param {Array<{ timestampMs, pgPerMl }>} sorted
+ * @param {(sorted: Array, o: object) => object|null} method
+ * @param {object} o — resolved options
+ * @returns {{ level, lowerMs, upperMs, sdHours, replicates }|null} — null if
+ *   fewer than half the replicates found an onset
+ */
+function bootstrap(sorted, method, o) {
+  const rng = createRng(o.seed);
+  const estimates = [];
+  for (let r = 0; r < o.bootstrapCount; r++) {
+    const redrawn = sorted.map(s => ({
+      timestampMs: s.timestampMs,
+      pgPerMl:     Math.max(0, s.pgPerMl + Math.hypot(o.assayCV * s.pgPerMl, o.assayFloorPgMl) * rng.normal()),
+    }));
+    const est = method(redrawn, o);
+    if (est != null) estimates.push(est.dlmoMs);
+  }
+  if (estimates.length < o.bootstrapCount / 2) return null;
+  estimates.sort((a, b) => a - b);
+  const mean = estimates.reduce((a, b) => a + b, 0) / estimates.length;
+  const sd   = Math.sqrt(estimates.reduce((a, t) => a + (t - mean) ** 2, 0) / estimates.length);
+  const tail = (1 - o.level) / 2;
+  return {
+    level:      o.level,
+    lowerMs:    quantile(estimates, tail),
+    upperMs:    quantile(estimates, 1 - tail),
+    sdHours:    sd / 3600000,
+    replicates: estimates.length,
+  };
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Estimate DLMO from a melatonin series.
+ *
+ * @param {Array<{ timestampMs: number, pgPerMl: number }>} samples
+ * @param {{ method?: 'threshold'|'baselineSD'|'hockeyStick', thresholdPgMl?,
+ *           baselineSamples?, assayCV?, assayFloorPgMl?, bootstrapCount?,
+ *           seed?, hingeStepMs?, level? }} [options] — defaults in DEFAULT_OPTIONS;
+ *   method defaults to 'threshold'
+ * @returns {{ method, dlmoMs, confidenceInterval, thresholdPgMl?, baselinePgMl?,
+ *             slopePgMlPerHour? }|null}
+ *   — null if the method finds no onset inside the sampling window;
+ *   confidenceInterval is { level, lowerMs, upperMs, sdHours, replicates }, or
+ *   null when the onset is too uncertain to bootstrap
+ */
+function estimateDLMO(samples, options = {}) {
+  const method = options.method ?? 'threshold';
+  if (!Object.hasOwn(METHODS, method)) {
+    throw new Error(`estimateDLMO: method must be one of ${Object.keys(METHODS).join(', ')}`);
+  }
+  const o = { ...DEFAULT_OPTIONS, ...options };
+  if (!(o.thresholdPgMl > 0)) {
+    throw new Error('estimateDLMO: thresholdPgMl must be positive');
+  }
+  if (!Number.isInteger(o.baselineSamples) || o.baselineSamples < 2) {
+    throw new Error('estimateDLMO: baselineSamples must be an integer ≥ 2');
+  }
+  if (!(o.assayCV >= 0) || !(o.assayFloorPgMl >= 0) || !(o.hingeStepMs > 0) ||
+      !Number.isInteger(o.bootstrapCount) || o.bootstrapCount < 1 || !(o.level > 0 && o.level < 1)) {
+    throw new Error('estimateDLMO: invalid assay, bootstrap or level option');
+  }
+  const sorted = validateSamples(samples, 'estimateDLMO');
+  if (method === 'baselineSD' && o.baselineSamples >= sorted.length) {
+    throw new Error('estimateDLMO: baselineSamples must leave samples after the baseline');
+  }
+
+  const point = METHODS[method](sorted, o);
+  if (point == null) return null;
+  return { method, ...point, confidenceInterval: bootstrap(sorted, METHODS[method], o) };
+}
+
+/**
+ * All methods on one series: both standard fixed thresholds, 2 SD above
+ * baseline, and the hockey-stick.
+ * @param {Array<{ timestampMs, pgPerMl }>} samples
+ * @param {object} [options] — as estimateDLMO(), without method / thresholdPgMl
+ * @returns {{ threshold3, threshold4, baselineSD, hockeyStick }} — each an
+ *   estimateDLMO() result or null
+ */
+function estimateAll(samples, options = {}) {
+  const out = {};
+  for (const t of STANDARD_THRESHOLDS_PG_ML) {
+    out[`threshold${t}`] = estimateDLMO(samples, { ...options, method: 'threshold', thresholdPgMl: t });
+  }
+  out.baselineSD  = estimateDLMO(samples, { ...options, method: 'baselineSD' });
+  out.hockeyStick = estimateDLMO(samples, { ...options, method: 'hockeyStick' });
+  return out;
+}
+
+/**
+ * update() inputs for an estimate: the DLMO marker with the bootstrap SD as
+ * assay precision (see marker_input.js).
+ * @param {{ dlmoMs: number, confidenceInterval: object|null }} estimate
+ * @param {number} [fallbackPrecisionH] — used when the estimate has no interval;
+ *   omitted → the engine's config.markerPrecisionHours.dlmo
+ * @returns {{ dlmoMs: number, assayPrecisionH?: number }}
+ */
+function toMarkerInput(estimate, fallbackPrecisionH) {
+  if (estimate == null) throw new Error('toMarkerInput: estimate must carry a finite dlmoMs');
+  const sd = estimate.confidenceInterval ? estimate.confidenceInterval.sdHours : fallbackPrecisionH;
+  return markerInput('dlmoMs', estimate.dlmoMs, sd, 'toMarkerInput');
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  STANDARD_THRESHOLDS_PG_ML,
+  DEFAULT_OPTIONS,
+  estimateDLMO,
+  estimateAll,
+  toMarkerInput,
+  crossingTime,
+  hockeyStickFit,
+};
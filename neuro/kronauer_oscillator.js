@@ -0,0 +1,206 @@
+/**
+ * kronauer_oscillator.js — Jewett–Kronauer Limit-Cycle Oscillator with Process L
+ * Circadian Phase Engine
+ *
+ * Implements the simplified van der Pol circadian pacemaker of Forger, Jewett &
+ * Kronauer (1999, J Biol Rhythms 14:532) driven by the photoreceptor model
+ * "Process L" (Kronauer, Forger & Jewett, 1999, J Biol Rhythms 14:500).
+ *
+ * State: { x, xc, n }
+ *   x, xc — oscillator coordinates (x tracks core body temperature; x_min ≈ CBT_min)
+ *   n     — fraction of activated photoreceptor elements [0, 1]
+ *
+ * Process L (t in hours, I in lux):
+ *   α(I)  = α₀ · (I / I₀)^p
+ *   dn/dt = 60 · [ α(I)(1 − n) − β n ]
+ *   B̂     = G · α(I)(1 − n)
+ *   B     = B̂ · (1 − m·x)(1 − m·x_c)          — circadian sensitivity modulation
+ *
+ * Process P:
+ *   dx/dt  = (π/12) · [ x_c + μ(x/3 + 4x³/3 − 256x⁷/105) + B ]
+ *   dx_c/dt = (π/12) · [ q·B·x_c − x·((24 / (0.99729 τ))² + k·B) ]
+ *
+ * Integrated with fixed-step fourth-order Runge–Kutta; illuminance is held
+ * constant within each integrate() call.  All math is deterministic.
+ *
+ * Phase convention: the oscillator angle θ = atan2(−x_c, x) increases with
+ * time and x reaches its minimum at θ = π.  CBT_min follows the x minimum by
+ * φ_ref = 0.97 h (Forger et al., 1999) and is mapped onto the engine's CT21
+ * (7π/4), the same anchor used by sleepPhaseObservation().
+ */
+
+'use strict';
+
+const { wrapPhase } = require('./angles.js');
+
+// ─── Model parameters ────────────────────────────────────────────────────────
+//
+// Published values (Forger, Jewett & Kronauer, 1999, Table 1).  τ is not
+// listed here: it is taken from the engine config (tauHours) on each call.
+
+const KRONAUER_PARAMS = Object.freeze({
+  mu:      0.13,    // van der Pol stiffness
+  q:       1 / 3,   // light drive on x_c
+  k:       0.55,    // light drive on oscillator period
+  alpha0:  0.05,    // photoreceptor activation rate at I₀ (min⁻¹)
+  beta:    0.0075,  // photoreceptor recovery rate (min⁻¹)
+  G:       33.75,   // Process L → Process P drive scaling
+  I0:      9500,    // reference illuminance (lux)
+  p:       0.5,     // dose-response exponent
+  m:       0.4,     // circadian modulation of light sensitivity
+  phiRefHours: 0.97, // CBT_min lag behind the x minimum (hours)
+});
+
+// Engine phase of CBT_min (CT21).
+const CBT_MIN_PHASE = (7 * Math.PI) / 4;
+
+// Maximum RK4 step (hours). 0.1 h keeps the stiffest term (photoreceptor
+// activation under bright light, rate ≈ 3.5 h⁻¹) well inside RK4 stability.
+const MAX_STEP_HOURS = 0.1;
+
+// Offset between the oscillator angle θ and engine phase φ: φ = θ + THETA_OFFSET.
+const THETA_OFFSET = CBT_MIN_PHASE - Math.PI - (2 * Math.PI / 24) * KRONAUER_PARAMS.phiRefHours;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Photoreceptor activation rate α(I) (min⁻¹).
+ * @param {number} lux — illuminance (lux); ≤ 0 → 0
+ * @returns {number}
+ */
+function alpha(lux) {
+  if (!(lux > 0)) return 0;
+  return KRONAUER_PARAMS.alpha0 * Math.pow(lux / KRONAUER_PARAMS.I0, KRONAUER_PARAMS.p);
+}
+
+/**
+ * Time derivatives of the coupled Process L / Process P system (per hour).
+ * @param {{ x, xc, n }} s
+ * @param {number} lux      — illuminance (lux)
+ * @param {number} tauHours — intrinsic period τ (hours)
+ * @returns {{ x, xc, n }} — derivatives
+ */
+function derivatives(s, lux, tauHours) {
+  const { mu, q, k, beta, G, m } = KRONAUER_PARAMS;
+  const a    = alpha(lux);
+  const bHat = G * a * (1 - s.n);
+  const B    = bHat * (1 - m * s.x) * (1 - m * s.xc);
+  const w    = 24 / (0.99729 * tauHours);
+
+  return {
+    x:  (Math.PI / 12) * (s.xc + mu * (s.x / 3 + (4 * s.x ** 3) / 3 - (256 * s.x ** 7) / 105) + B),
+    xc: (Math.PI / 12) * (q * B * s.xc - s.x * (w * w + k * B)),
+    n:  60 * (a * (1 - s.n) - beta * s.n),
+  };
+}
+
+// ─── Integration ─────────────────────────────────────────────────────────────
+
+/**
+ * Integrate the oscillator over a span of constant illuminance.
+ * Negative spans integrate backwards (only meaningful in darkness).
+ *
+ * @param {{ x, xc, n }} s  — state at the start of the span (not mutated)
+ * @param {number} hours    — span length (hours)
+ * @param {number} lux      — illuminance held over the span (lux)
+ * @param {number} tauHours — intrinsic period τ (hours)
+ * @returns {{ x, xc, n }} — state at the end of the span
+ */
+function integrate(s, hours, lux, tauHours) {
+  if (hours === 0) return { ...s };
+  const steps = Math.ceil(Math.abs(hours) / MAX_STEP_HOURS);
+  const h     = hours / steps;
+  let { x, xc, n } = s;
+
+  for (let i = 0; i < steps; i++) {
+    const k1 = derivatives({ x, xc, n }, lux, tauHours);
+    const k2 = derivatives({ x: x + h / 2 * k1.x, xc: xc + h / 2 * k1.xc, n: n + h / 2 * k1.n }, lux, tauHours);
+    const k3 = derivatives({ x: x + h / 2 * k2.x, xc: xc + h / 2 * k2.xc, n: n + h / 2 * k2.n }, lux, tauHours);
+    const k4 = derivatives({ x: x + h * k3.x,     xc: xc + h * k3.xc,     n: n + h * k3.n     }, lux, tauHours);
+    x  += (h / 6) * (k1.x  + 2 * k2.x  + 2 * k3.x  + k4.x);
+    xc += (h / 6) * (k1.xc + 2 * k2.xc + 2 * k3.xc + k4.xc);
+    n  += (h / 6) * (k1.n  + 2 * k2.n  + 2 * k3.n  + k4.n);
+  }
+  return { x, xc, n };
+}
+
+// ─── Phase / amplitude mapping ───────────────────────────────────────────────
+
+/**
+ * Engine phase φ ∈ [0, 2π) of an oscillator state (CBT_min ↦ 7π/4).
+ * @param {{ x, xc }} s
+ * @returns {number}
+ */
+function phaseOf(s) {
+  return wrapPhase(Math.atan2(-s.xc, s.x) + THETA_OFFSET);
+}
+
+/**
+ * Oscillator amplitude √(x² + x_c²).  ≈ 1 on the limit cycle; values well
+ * below 1 indicate a suppressed rhythm (e.g. after a critically timed pulse).
+ * @param {{ x, xc }} s
+ * @returns {number}
+ */
+function amplitudeOf(s) {
+  return Math.hypot(s.x, s.xc);
+}
+
+/**
+ * Construct an oscillator state at a given engine phase and amplitude.
+ * @param {number} phi          — engine phase (radians)
+ * @param {number} amplitude    — √(x² + x_c²)
+ * @param {number} [n=0]        — photoreceptor activation (0 = dark-adapted)
+ * @returns {{ x, xc, n }}
+ */
+function stateFromPhase(phi, amplitude, n = 0) {
+  const theta = phi - THETA_OFFSET;
+  return { x: amplitude * Math.cos(theta), xc: -amplitude * Math.sin(theta), n };
+}
+
+/**
+ * Rotate an oscillator state by Δφ along the phase angle, preserving
+ * amplitude and photoreceptor state.  Used to apply phase corrections from
+ * non-photic observations.
+ * @param {{ x, xc, n }} s
+ * @param {number} deltaRad — phase change (radians; + = advance)
+ * @returns {{ x, xc, n }}
+ */
+function rotate(s, deltaRad) {
+  return stateFromPhase(phaseOf(s) + deltaRad, amplitudeOf(s), s.n);
+}
+
+const _limitCycleCache = new Map();
+
+/**
+ * Mean amplitude of the dark limit cycle for a given τ, found by integrating
+ * from (1, 0) for 60 days and averaging √(x² + x_c²) over the final cycle.
+ * Cached per τ.
+ * @param {number} tauHours
+ * @returns {number}
+ */
+function limitCycleAmplitude(tauHours) {
+  if (_limitCycleCache.has(tauHours)) return _limitCycleCache.get(tauHours);
+  let s = integrate({ x: 1, xc: 0, n: 0 }, 60 * 24, 0, tauHours);
+  let sum = 0;
+  const samples = 240;
+  for (let i = 0; i < samples; i++) {
+    s = integrate(s, tauHours / samples, 0, tauHours);
+    sum += amplitudeOf(s);
+  }
+  const amp = sum / samples;
+  _limitCycleCache.set(tauHours, amp);
+  return amp;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  KRONAUER_PARAMS,
+  derivatives,
+  integrate,
+  phaseOf,
+  amplitudeOf,
+  stateFromPhase,
+  rotate,
+  limitCycleAmplitude,
+};
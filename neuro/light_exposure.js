@@ -0,0 +1,145 @@
+/**
+ * light_exposure.js — Light Exposure Episodes and Time Series
+ * Circadian Phase Engine
+ *
+ * Normalises the light inputs accepted by update():
+ *
+ *   single sample: lightLux (+ lightCCT), melanopicEDI, or lightSpectrum
+ *   lightEpisodes: [{ startMs, endMs, lux }, …]   — constant light over [startMs, endMs)
+ *   lightSeries:   [{ timestampMs, lux }, …]      — logger samples; each sample is held
+ *                                                  until the next one, and the last
+ *                                                  sample for the median sampling interval
+ *
+ * Episodes and samples may describe their light as { lux }, { lux, cct },
+ * { melanopicEDI } or { spectrum } (see melanopic.js); everything is converted
+ * to melanopic EDI, the quantity that drives the circadian response.
+ *
+ * Episodes and series are merged into one list of non-overlapping episodes
+ * { startMs, endMs, edi } sorted by start time.  The phase integration itself
+ * lives in circadian_model.js, because it depends on the engine's PRC, gain
+ * and dynamics configuration.
+ */
+
+'use strict';
+
+const melanopic = require('./melanopic.js');
+
+// ─── Single light sample ─────────────────────────────────────────────────────
+
+/**
+ * Melanopic EDI of the single light sample in update() inputs, or null if
+ * the inputs carry none.
+ *
+ * @param {{ lightLux?, lightCCT?, melanopicEDI?, lightSpectrum? }} inputs
+ * @param {string} caller — name used in error messages
+ * @returns {number|null}
+ */
+function sampleEDI(inputs, caller) {
+  if (inputs.lightLux == null && inputs.melanopicEDI == null && inputs.lightSpectrum == null) {
+    return null;
+  }
+  return melanopic.toMelanopicEDI({
+    lux:          inputs.lightLux,
+    cct:          inputs.lightCCT,
+    melanopicEDI: inputs.melanopicEDI,
+    spectrum:     inputs.lightSpectrum,
+  }, caller);
+}
+
+// ─── Time series → episodes ──────────────────────────────────────────────────
+
+/**
+ * Convert light-logger samples to episodes (zero-order hold).
+ * Each sample covers the interval up to the next sample; the last sample
+ * covers the median sampling interval, cut short at untilMs.  A last sample
+ * at untilMs covers nothing and is dropped.  A single sample cannot be
+ * converted.
+ *
+ * @param {Array<{ timestampMs: number, lux?, cct?, melanopicEDI?, spectrum? }>} series
+ * @param {string} caller — name used in error messages
+ * @param {number} [untilMs=Infinity] — end of the observation (update timestamp)
+ * @returns {Array<{ startMs, endMs, edi }>}
+ */
+function seriesToEpisodes(series, caller, untilMs = Infinity) {
+  if (!Array.isArray(series) || series.length < 2) {
+    throw new Error(`${caller}: lightSeries must be an array of at least 2 { timestampMs, lux } samples`);
+  }
+  for (const s of series) {
+    if (s == null || !Number.isFinite(s.timestampMs)) {
+      throw new Error(`${caller}: lightSeries samples need a finite timestampMs`);
+    }
+  }
+  const sorted = [...series].sort((a, b) => a.timestampMs - b.timestampMs);
+  const gaps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = sorted[i].timestampMs - sorted[i - 1].timestampMs;
+    if (gap === 0) throw new Error(`${caller}: lightSeries has duplicate timestamp ${sorted[i].timestampMs}`);
+    gaps.push(gap);
+  }
+  const medianGap = [...gaps].sort((a, b) => a - b)[Math.floor(gaps.length / 2)];
+
+  // A last sample after untilMs keeps its full hold, so collectEpisodes()
+  // still rejects it.
+  const last = sorted[sorted.length - 1].timestampMs;
+  const lastEndMs = last <= untilMs ? Math.min(last + medianGap, untilMs) : last + medianGap;
+  return sorted.map((s, i) => ({
+    startMs: s.timestampMs,
+    endMs:   i + 1 < sorted.length ? sorted[i + 1].timestampMs : lastEndMs,
+    edi:     melanopic.toMelanopicEDI(s, caller),
+  })).filter(ep => ep.endMs > ep.startMs);
+}
+
+// ─── Validation / normalisation ──────────────────────────────────────────────
+
+/**
+ * Collect the episodes from update() inputs, validated and sorted.
+ * Returns an empty array when neither lightEpisodes nor lightSeries is given.
+ *
+ * @param {object} inputs — update() inputs
+ * @param {number} nowMs  — update timestamp; no episode may end after it
+ * @param {string} caller — name used in error messages
+ * @returns {Array<{ startMs, endMs, edi }>}
+ */
+function collectEpisodes(inputs, nowMs, caller) {
+  const episodes = [];
+  if (inputs.lightEpisodes != null) {
+    if (!Array.isArray(inputs.lightEpisodes)) {
+      throw new Error(`${caller}: lightEpisodes must be an array of { startMs, endMs, lux }`);
+    }
+    for (const ep of inputs.lightEpisodes) {
+      if (ep == null || !Number.isFinite(ep.startMs) || !Number.isFinite(ep.endMs)) {
+        throw new Error(`${caller}: light episodes need finite startMs and endMs`);
+      }
+      if (ep.endMs <= ep.startMs) {
+        throw new Error(`${caller}: light episode endMs must be after startMs`);
+      }
+      episodes.push({ startMs: ep.startMs, endMs: ep.endMs, edi: melanopic.toMelanopicEDI(ep, caller) });
+    }
+  }
+  if (inputs.lightSeries != null) {
+    episodes.push(...seriesToEpisodes(inputs.lightSeries, caller, nowMs));
+  }
+  if (episodes.length === 0) return episodes;
+
+  if (sampleEDI(inputs, caller) != null) {
+    throw new Error(`${caller}: pass either a light sample or lightEpisodes / lightSeries, not both`);
+  }
+  episodes.sort((a, b) => a.startMs - b.startMs);
+  for (let i = 1; i < episodes.length; i++) {
+    if (episodes[i].startMs < episodes[i - 1].endMs) {
+      throw new Error(`${caller}: light episodes overlap at ${episodes[i].startMs}`);
+    }
+  }
+  if (episodes[episodes.length - 1].endMs > nowMs) {
+    throw new Error(`${caller}: light exposure ends after the update timestamp (${nowMs})`);
+  }
+  return episodes;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  sampleEDI,
+  seriesToEpisodes,
+  collectEpisodes,
+};
@@ -0,0 +1,42 @@
+/**
+ * marker_input.js — Marker Estimates as update() Inputs
+ * Circadian Phase Engine
+ *
+ * The estimation modules (dlmo_estimation.js, temperature_phase.js) report a
+ * marker time with an SD in hours.  markerInput() turns one into the marker
+ * field and assayPrecisionH that update() accepts.
+ */
+
+'use strict';
+
+// Smallest assayPrecisionH reported: a noise-free profile or fit can give an
+// SD of 0, and the engine needs a positive precision.
+const MIN_MARKER_PRECISION_H = 0.1;
+
+/**
+ * update() inputs for an estimated marker time: the marker field and, when
+ * an SD is known, assayPrecisionH (at least MIN_MARKER_PRECISION_H).
+ *
+ * @param {'dlmoMs'|'cbtMinMs'|'melatoninOffsetMs'} field — update() marker input
+ * @param {number} timestampMs — estimated marker time (ms since epoch)
+ * @param {number} [sdHours]   — SD of the estimate; omitted → the engine's
+ *   config.markerPrecisionHours for the marker
+ * @param {string} caller      — name used in error messages
+ * @returns {object} — e.g. { dlmoMs, assayPrecisionH? }
+ */
+function markerInput(field, timestampMs, sdHours, caller) {
+  if (!Number.isFinite(timestampMs)) {
+    throw new Error(`${caller}: estimate must carry a finite ${field}`);
+  }
+  return {
+    [field]: timestampMs,
+    ...(sdHours != null && { assayPrecisionH: Math.max(MIN_MARKER_PRECISION_H, sdHours) }),
+  };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  MIN_MARKER_PRECISION_H,
+  markerInput,
+};
@@ -29,8 +29,7 @@ const assert      = require('assert');
 const path        = require('path');
 const { execSync } = require('child_process');
 
-const model       = require('./circadian_model.js');
-const { _internal } = model;
+const { createEngine } = require('./circadian_model.js');
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
@@ -121,25 +120,28 @@ function median(arr) {
 // ─── Model state helpers ──────────────────────────────────────────────────────
 
 /**
- * Reset model to a canonical initial state and apply τ override.
+ * Create a fresh engine at a canonical initial state with a τ override.
  * φ₀ = 0 (ACTIVATION), C₀ = 0.5, t₀ = T0.
- * Anchor fields are cleared so they cannot pollute cross-user comparisons.
+ * Each replay gets its own instance, so anchor fields and τ cannot leak
+ * across users or grid points.
  */
-function resetModel(tau) {
-  model.setConfig({ tauHours: tau });
-  _internal.setState({
-    phaseRadians:       0,
-    confidence:         0.5,
-    lastUpdateMs:       T0,
-    referenceClockHour: null,
-    referenceEpochMs:   null,
+function freshEngine(tau) {
+  return createEngine({
+    config: { tauHours: tau },
+    state:  {
+      phaseRadians:       0,
+      confidence:         0.5,
+      lastUpdateMs:       T0,
+      referenceClockHour: null,
+      referenceEpochMs:   null,
+    },
   });
 }
 
 // ─── Core replay + DLMO error ─────────────────────────────────────────────────
 
 /**
- * Reset model, replay all sleep rows sequentially, then:
+ * Create a fresh engine, replay all sleep rows sequentially, then:
  *   1. Capture phi_model at DLMO time (before anchor rewrites state).
  *   2. Anchor CT21 to the final sleep onset clock hour.
  *   3. Compute phi_bio = clockToPhase(DLMO_hour).
@@ -155,7 +157,7 @@ function resetModel(tau) {
  * @returns {{ phi_model, phi_bio, error_h, confidence }}
  */
 function replayForTau(sleepRows, tau, finalOnsetMs, onsetHours) {
-  resetModel(tau);
+  const model = freshEngine(tau);
 
   for (const row of sleepRows) {
     const onsetMs  = buildMs(parseInt(row['Onset Date'],   10), row['Onset Time']);
@@ -277,23 +279,13 @@ function runUnitTests() {
 
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
-// Save global model state so this script is side-effect free when require()'d.
-const _savedState  = _internal.getState();
-const _savedConfig = model.getConfig();
-
 const results = [];
 for (let i = 1; i <= USER_COUNT; i++) {
   const uid = `user_${i}`;
   const r   = processUser(uid);
   if (r) results.push(r);
-  // Restore tau between users; grid search leaves config at last-searched value.
-  model.setConfig({ tauHours: DEFAULT_TAU });
 }
 
-// Restore original model state and config.
-_internal.setState(_savedState);
-model.setConfig(_savedConfig);
-
 if (results.length === 0) {
   console.error('ERROR: no users processed — check DATA_ROOT path');
   process.exit(1);
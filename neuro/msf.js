@@ -4,14 +4,14 @@
  *
  * MSF(t) = S_endo(t) + S_pharma(t) + S_env(t) + S_elec(t) + S_field(t)
  *
- * S_endo  — Endogenous circadian signal (IMPLEMENTED via circadian_model.js)
- * S_pharma — Pharmacokinetic / substance signal          (PENDING)
+ * S_endo  — Endogenous circadian signal and sleep pressure (IMPLEMENTED via circadian_model.js)
+ * S_pharma — Pharmacokinetic / substance signal          (IMPLEMENTED via caffeine_pk.js, compound_registry.js)
  * S_env   — Environmental / contextual signal            (PENDING)
  * S_elec  — Electrophysiological signal (EEG/HRV)        (PENDING)
  * S_field — Electromagnetic / geophysical field signal   (PENDING)
  *
  * Supported computation modes:
- *   RECALL   — reconstruct historical state from logged inputs
+ *   RECALL   — reconstruct historical state by replaying the circadian input log
  *   PRESENT  — compute current state
  *   PROJECT  — forecast future trajectory
  *   SIMULATE — run counterfactual scenario
@@ -25,16 +25,6 @@ const circadian = require('./circadian_model.js');
 // Each returns a standardised envelope: { value, confidence, status }.
 // Confidence = 0 until the sub-module is implemented.
 
-/**
- * S_pharma(t) — Pharmacokinetic model (adenosine, melatonin, stimulants, etc.)
- * Pending: requires PK module with compound-specific half-life tables.
- * @param {number} t — evaluation time (ms since epoch)
- * @returns {{ value: {}, confidence: number, status: string }}
- */
-function S_pharma(t) { // eslint-disable-line no-unused-vars
-  return { value: {}, confidence: 0, status: 'PENDING_PK_MODULE' };
-}
-
 /**
  * S_env(t) — Environmental context (ambient light, temperature, noise, location)
  * Pending: requires sensor feed and environment DB.
@@ -69,15 +59,58 @@ function S_field(t) { // eslint-disable-line no-unused-vars
 
 /**
  * S_endo(t) — Endogenous circadian signal.
- * Wraps circadian_model.js getCurrentPhase().
+ * Wraps circadian_model.js getCurrentPhase(), or replayAt() when recalling
+ * a historical state from the input log.  sleepPressure is the two-process
+ * summary (Process S with the circadian thresholds), lifted out of the phase
+ * result so consumers need not know the circadian payload; peripheral, the
+ * meal-entrained peripheral clock, is lifted the same way (null before the
+ * first meal).
  * @param {number} t — evaluation time (ms since epoch)
- * @returns {{ value: object, confidence: number, status: string }}
+ * @param {{ recall?: boolean }} [opts]
+ * @returns {{ value: object, sleepPressure: object, peripheral: object|null,
+ *             confidence: number, status: string }}
  */
-function S_endo(t) {
-  const result = circadian.getCurrentPhase(t);
+function S_endo(t, opts = {}) {
+  const result = opts.recall ? circadian.replayAt(t) : circadian.getCurrentPhase(t);
   return {
-    value:      result,
-    confidence: result.confidence,
+    value:         result,
+    sleepPressure: result.twoProcess,
+    peripheral:    result.peripheral ?? null,
+    confidence:    result.confidence,
+    status:        'OK',
+  };
+}
+
+// ─── S_pharma: pharmacokinetics ──────────────────────────────────────────────
+
+/**
+ * S_pharma(t) — Pharmacokinetic signal.
+ * Plasma level and effects of each compound in the circadian input log
+ * (circadian_model.js pharmacokinetics(): caffeine_pk.js for caffeine,
+ * compound_registry.js for the others).  compounds lists every compound taken
+ * by t with its concentration and effect; alertness and sleepPressure sum the
+ * compounds' effects.  The caffeine payload (receptor occupancy) is kept when
+ * caffeine was taken.  Confidence is 1 − 2 × the largest effect SD, which
+ * grows with time since intake and for caffeine logged without a dose.  With
+ * no intake logged there is nothing to predict from: confidence 0, status
+ * 'NO_INTAKE'.
+ * @param {number} t — evaluation time (ms since epoch)
+ * @returns {{ value: { caffeine?, compounds?, alertness?, sleepPressure? },
+ *             confidence: number, status: string }}
+ */
+function S_pharma(t) {
+  const { caffeine, compounds } = circadian.pharmacokinetics(t);
+  const active = Object.values(compounds);
+  if (active.length === 0) return { value: {}, confidence: 0, status: 'NO_INTAKE' };
+  const sum = (key) => active.reduce((a, c) => a + c[key], 0);
+  return {
+    value: {
+      ...(caffeine.doses > 0 && { caffeine }),
+      compounds,
+      alertness:     sum('alertness'),
+      sleepPressure: sum('sleepPressure'),
+    },
+    confidence: Math.round(Math.max(0, 1 - 2 * Math.max(...active.map(c => c.effectSD))) * 1000) / 1000,
     status:     'OK',
   };
 }
@@ -90,11 +123,12 @@ function S_endo(t) {
  * (zero-confidence stubs are included in denominator to reflect incompleteness).
  *
  * @param {number} t — evaluation time (ms since epoch)
+ * @param {{ recall?: boolean }} [opts] — forwarded to sub-signals that keep history
  * @returns {{ signals, aggregateConfidence, msfValue }}
  */
-function _aggregate(t) {
+function _aggregate(t, opts = {}) {
   const signals = {
-    endo:   S_endo(t),
+    endo:   S_endo(t, opts),
     pharma: S_pharma(t),
     env:    S_env(t),
     elec:   S_elec(t),
@@ -123,7 +157,8 @@ function _aggregate(t) {
  * @param {object} [opts] — mode-specific options
  *   PROJECT:  { hoursAhead: number }
  *   SIMULATE: { params: object } — forwarded to circadian.simulateShift()
- *   RECALL:   { fromMs: number, toMs: number } — placeholder (pending log replay)
+ *   RECALL:   { fromMs?: number, toMs?: number } — history window; defaults to
+ *             the 24 h ending at timestamp
  * @returns {object}
  */
 function computeMSF(timestamp, mode = 'PRESENT', opts = {}) {
@@ -167,13 +202,18 @@ function computeMSF(timestamp, mode = 'PRESENT', opts = {}) {
     }
 
     case 'RECALL': {
-      // Full recall requires log replay across all sub-signals — pending implementation.
-      // Returns current state as the best available approximation.
-      const agg = _aggregate(timestamp);
+      // Historical state is rebuilt by replaying the circadian input log, so
+      // inputs logged after a sample's timestamp never leak into it.
+      const toMs   = opts.toMs   != null ? opts.toMs   : timestamp;
+      const fromMs = opts.fromMs != null ? opts.fromMs : toMs - 24 * 3600000;
+      const endoHistory = circadian.recall(fromMs, toMs);
+      const agg = _aggregate(timestamp, { recall: true });
       return {
         mode,
         timestamp,
-        status:  'PARTIAL_RECALL — log replay not yet implemented',
+        fromMs,
+        toMs,
+        endoHistory,
         ...agg,
       };
     }
@@ -193,6 +233,8 @@ module.exports = {
   S_env,
   S_elec,
   S_field,
-  // Re-export circadian update for the /update route.
-  updateCircadian: circadian.update,
+  // Re-export circadian input functions for the /update, /amend and /retract routes.
+  updateCircadian:  circadian.update,
+  amendCircadian:   circadian.amendInput,
+  retractCircadian: circadian.retractInput,
 };
@@ -10,7 +10,10 @@
  *   POST /api/neuro/state    — PRESENT mode (current MSF snapshot)
  *   POST /api/neuro/project  — PROJECT mode (forward trajectory)
  *   POST /api/neuro/simulate — SIMULATE mode (counterfactual scenario)
+ *   POST /api/neuro/recall   — RECALL mode (historical state from input log)
  *   POST /api/neuro/update   — Feed new entrainment inputs to circadian model
+ *   POST /api/neuro/amend    — Correct an earlier input (history is replayed)
+ *   POST /api/neuro/retract  — Withdraw an earlier input (history is replayed)
  */
 
 'use strict';
@@ -19,7 +22,7 @@ const express = require('express');
 const fs      = require('fs');
 const path    = require('path');
 
-const { computeMSF, updateCircadian } = require('./msf.js');
+const { computeMSF, updateCircadian, amendCircadian, retractCircadian } = require('./msf.js');
 
 // ─── Log file ────────────────────────────────────────────────────────────────
 
@@ -64,6 +67,80 @@ function envelope(result, confidence, mode) {
   };
 }
 
+/**
+ * HTTP status for an error thrown while handling a request.  The model and
+ * msf.js reject bad input with a plain Error ("caller: reason"), which is the
+ * client's fault (400); anything else — a TypeError, RangeError, or a system
+ * error carrying a code — is a server failure (500).
+ * @param {Error} err
+ * @returns {number}
+ */
+function errorStatus(err) {
+  return err instanceof Error && err.constructor === Error && err.code == null ? 400 : 500;
+}
+
+// ─── Input helper ────────────────────────────────────────────────────────────
+
+/**
+ * Entrainment inputs of a request body, with numeric fields coerced to
+ * numbers and absent fields left out.  Shared by /update and /amend.
+ * @param {object} body — /update body, or the inputs of an /amend body
+ * @returns {object} — inputs for updateCircadian() / amendCircadian()
+ */
+function entrainmentInputs(body) {
+  const {
+    sleepOnset,
+    sleepOffset,
+    sleepDayType,
+    lightLux,
+    lightCCT,
+    melanopicEDI,
+    lightSpectrum,
+    lightEpisodes,
+    lightSeries,
+    caffeineTimestamp,
+    caffeineMg,
+    melatoninTimestamp,
+    melatoninMg,
+    compound,
+    doseMg,
+    timestampMs,
+    meals,
+    exercise,
+    dlmoMs,
+    cbtMinMs,
+    melatoninOffsetMs,
+    assayPrecisionH,
+    timestamp,
+  } = body;
+
+  return {
+    ...(sleepOnset        != null && { sleepOnset:        Number(sleepOnset)        }),
+    ...(sleepOffset       != null && { sleepOffset:       Number(sleepOffset)       }),
+    ...(sleepDayType      != null && { sleepDayType }),
+    ...(lightLux          != null && { lightLux:          Number(lightLux)          }),
+    ...(lightCCT          != null && { lightCCT:          Number(lightCCT)          }),
+    ...(melanopicEDI      != null && { melanopicEDI:      Number(melanopicEDI)      }),
+    ...(lightSpectrum     != null && { lightSpectrum }),
+    ...(lightEpisodes     != null && { lightEpisodes }),
+    ...(lightSeries       != null && { lightSeries }),
+    ...(caffeineTimestamp != null && { caffeineTimestamp: Number(caffeineTimestamp) }),
+    ...(caffeineMg        != null && { caffeineMg:        Number(caffeineMg)        }),
+    ...(melatoninTimestamp != null && { melatoninTimestamp: Number(melatoninTimestamp) }),
+    ...(melatoninMg       != null && { melatoninMg:       Number(melatoninMg)       }),
+    ...(compound          != null && { compound:          String(compound)          }),
+    ...(doseMg            != null && { doseMg:            Number(doseMg)            }),
+    ...(timestampMs       != null && { timestampMs:       Number(timestampMs)       }),
+    ...(meals             != null && { meals }),
+    ...(exercise          != null && { exercise }),
+    ...(dlmoMs            != null && { dlmoMs:            Number(dlmoMs)            }),
+    ...(cbtMinMs          != null && { cbtMinMs:          Number(cbtMinMs)          }),
+    ...(melatoninOffsetMs != null && { melatoninOffsetMs: Number(melatoninOffsetMs) }),
+    ...(assayPrecisionH   != null && { assayPrecisionH:   Number(assayPrecisionH)   }),
+    ...(timestamp         != null && { timestamp:         Number(timestamp)         }),
+  };
+}
+
 // ─── Router factory ───────────────────────────────────────────────────────────
 
 /**
@@ -87,7 +164,7 @@ function mountNeuroRoutes(app) {
       res.json(envelope(msf, msf.aggregateConfidence, 'PRESENT'));
     } catch (err) {
       console.error('[NEURO /state]', err.message);
-      res.status(500).json({ error: err.message, advisory: ADVISORY });
+      res.status(errorStatus(err)).json({ error: err.message, advisory: ADVISORY });
     }
   });
 
@@ -110,13 +187,15 @@ function mountNeuroRoutes(app) {
       res.json(envelope(msf, msf.aggregateConfidence, 'PROJECT'));
     } catch (err) {
       console.error('[NEURO /project]', err.message);
-      res.status(500).json({ error: err.message, advisory: ADVISORY });
+      res.status(errorStatus(err)).json({ error: err.message, advisory: ADVISORY });
     }
   });
 
   // ── POST /api/neuro/simulate ──────────────────────────────────────────────
   // Runs a counterfactual shift simulation.
-  // Body: { params: { shiftHours, daysToAdapt }, timestamp?: number }
+  // Body: { params: { shiftHours, daysToAdapt, melatonin?, exercise? }, timestamp?: number }
+  //   melatonin: [{ timestampMs, doseMg? }] — melatonin doses to simulate
+  //   exercise:  [{ startMs, durationMin, intensity }] — training bouts to simulate
   router.post('/simulate', (req, res) => {
     try {
       const ts     = req.body.timestamp ? Number(req.body.timestamp) : Date.now();
@@ -125,6 +204,12 @@ function mountNeuroRoutes(app) {
       if (params.shiftHours != null && !Number.isFinite(Number(params.shiftHours))) {
         return res.status(400).json({ error: 'params.shiftHours must be a number', advisory: ADVISORY });
       }
+      if (params.melatonin != null && !Array.isArray(params.melatonin)) {
+        return res.status(400).json({ error: 'params.melatonin must be an array of { timestampMs, doseMg? }', advisory: ADVISORY });
+      }
+      if (params.exercise != null && !Array.isArray(params.exercise)) {
+        return res.status(400).json({ error: 'params.exercise must be an array of { startMs, durationMin, intensity }', advisory: ADVISORY });
+      }
 
       const msf = computeMSF(ts, 'SIMULATE', { params });
 
@@ -133,7 +218,35 @@ function mountNeuroRoutes(app) {
       res.json(envelope(msf, msf.aggregateConfidence, 'SIMULATE'));
     } catch (err) {
       console.error('[NEURO /simulate]', err.message);
-      res.status(500).json({ error: err.message, advisory: ADVISORY });
+      res.status(errorStatus(err)).json({ error: err.message, advisory: ADVISORY });
+    }
+  });
+
+  // ── POST /api/neuro/recall ────────────────────────────────────────────────
+  // Reconstructs historical state by replaying the circadian input log.
+  // Body: { fromMs?: number, toMs?: number, timestamp?: number }
+  //   Window defaults to the 24 h ending at toMs (or timestamp).
+  router.post('/recall', (req, res) => {
+    try {
+      const ts     = req.body.timestamp ? Number(req.body.timestamp) : Date.now();
+      const toMs   = req.body.toMs   != null ? Number(req.body.toMs)   : ts;
+      const fromMs = req.body.fromMs != null ? Number(req.body.fromMs) : toMs - 24 * 3600000;
+
+      if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs > toMs) {
+        return res.status(400).json({ error: 'fromMs and toMs must be numbers with fromMs ≤ toMs', advisory: ADVISORY });
+      }
+      if ((toMs - fromMs) / 3600000 > 720) {
+        return res.status(400).json({ error: 'recall window must be ≤ 720 h', advisory: ADVISORY });
+      }
+
+      const msf = computeMSF(ts, 'RECALL', { fromMs, toMs });
+
+      appendLog({ event: 'recall_query', timestamp: ts, fromMs, toMs, requestedAt: Date.now() });
+
+      res.json(envelope(msf, msf.aggregateConfidence, 'RECALL'));
+    } catch (err) {
+      console.error('[NEURO /recall]', err.message);
+      res.status(errorStatus(err)).json({ error: err.message, advisory: ADVISORY });
     }
   });
 
@@ -142,31 +255,35 @@ function mountNeuroRoutes(app) {
   // Body: {
   //   sleepOnset?:        number  — ms since epoch
   //   sleepOffset?:       number  — ms since epoch
-  //   lightLux?:          number  — lux
+  //   sleepDayType?:      'work' | 'free'  — clock sleep observation only
+  //   lightLux?:          number  — photopic lux
+  //   lightCCT?:          number  — colour temperature of the lightLux source (K)
+  //   melanopicEDI?:      number  — melanopic EDI (lux)
+  //   lightSpectrum?:     { wavelengthsNm, irradiance }  — spectral irradiance (W m⁻² nm⁻¹)
+  //   lightEpisodes?:     [{ startMs, endMs, lux }]  — light exposure episodes
+  //   lightSeries?:       [{ timestampMs, lux }]     — light-logger samples
   //   caffeineTimestamp?: number  — ms since epoch
+  //   caffeineMg?:        number  — caffeine dose (mg)
+  //   melatoninTimestamp?: number — melatonin intake, ms since epoch
+  //   melatoninMg?:       number  — melatonin dose (mg)
+  //   compound?:          string  — registered compound (compound_registry.js) …
+  //   doseMg?:            number  — … its dose (mg) …
+  //   timestampMs?:       number  — … and intake time, ms since epoch
+  //   meals?:             [{ timestampMs }]  — meals eaten since the last update
+  //   exercise?:          [{ startMs, durationMin, intensity }]  — exercise bouts (intensity 0–1)
+  //   dlmoMs?:            number  — dim-light melatonin onset, ms since epoch
+  //   cbtMinMs?:          number  — core body temperature minimum, ms since epoch
+  //   melatoninOffsetMs?: number  — melatonin offset, ms since epoch
+  //   assayPrecisionH?:   number  — SD of the marker timing (hours)
   //   timestamp?:         number  — override for 'now'
   // }
   router.post('/update', (req, res) => {
     try {
-      const {
-        sleepOnset,
-        sleepOffset,
-        lightLux,
-        caffeineTimestamp,
-        timestamp,
-      } = req.body;
-
-      const inputs = {
-        ...(sleepOnset        != null && { sleepOnset:        Number(sleepOnset)        }),
-        ...(sleepOffset       != null && { sleepOffset:       Number(sleepOffset)       }),
-        ...(lightLux          != null && { lightLux:          Number(lightLux)          }),
-        ...(caffeineTimestamp != null && { caffeineTimestamp: Number(caffeineTimestamp) }),
-        ...(timestamp         != null && { timestamp:         Number(timestamp)         }),
-      };
+      const inputs = entrainmentInputs(req.body);
 
       if (Object.keys(inputs).filter(k => k !== 'timestamp').length === 0) {
         return res.status(400).json({
-          error:    'At least one entrainment input is required (sleepOnset/sleepOffset, lightLux, caffeineTimestamp)',
+          error:    'At least one entrainment input is required (sleepOnset/sleepOffset, lightLux, melanopicEDI, lightSpectrum, lightEpisodes, lightSeries, caffeineTimestamp, melatoninTimestamp, compound, meals, exercise, dlmoMs, cbtMinMs, melatoninOffsetMs)',
           advisory: ADVISORY,
         });
       }
@@ -183,7 +300,64 @@ function mountNeuroRoutes(app) {
       res.json(envelope(updateResult, updateResult.confidence, 'UPDATE'));
     } catch (err) {
       console.error('[NEURO /update]', err.message);
-      res.status(500).json({ error: err.message, advisory: ADVISORY });
+      res.status(errorStatus(err)).json({ error: err.message, advisory: ADVISORY });
+    }
+  });
+
+  // ── POST /api/neuro/amend ─────────────────────────────────────────────────
+  // Replace the inputs of an earlier /update call. The model re-runs its history
+  // from the affected timestamp.
+  // Body: { inputId: number, inputs: { ...same fields as /update } }
+  router.post('/amend', (req, res) => {
+    try {
+      const { inputId } = req.body;
+      if (!Number.isInteger(inputId) || req.body.inputs == null || typeof req.body.inputs !== 'object') {
+        return res.status(400).json({
+          error:    'inputId (integer) and inputs (object) are required',
+          advisory: ADVISORY,
+        });
+      }
+      const inputs = entrainmentInputs(req.body.inputs);
+
+      const amendResult = amendCircadian(inputId, inputs);
+
+      appendLog({
+        event:      'entrainment_amend',
+        inputId,
+        inputs,
+        result:     amendResult,
+        recordedAt: Date.now(),
+      });
+
+      res.json(envelope(amendResult, amendResult ? amendResult.confidence : null, 'UPDATE'));
+    } catch (err) {
+      console.error('[NEURO /amend]', err.message);
+      res.status(errorStatus(err)).json({ error: err.message, advisory: ADVISORY });
+    }
+  });
+
+  // ── POST /api/neuro/retract ───────────────────────────────────────────────
+  // Withdraw an earlier /update call. The model re-runs its history without it.
+  // Body: { inputId: number }
+  router.post('/retract', (req, res) => {
+    try {
+      const { inputId } = req.body;
+      if (!Number.isInteger(inputId)) {
+        return res.status(400).json({ error: 'inputId (integer) is required', advisory: ADVISORY });
+      }
+
+      const retractResult = retractCircadian(inputId);
+
+      appendLog({
+        event:      'entrainment_retract',
+        inputId,
+        recordedAt: Date.now(),
+      });
+
+      res.json(envelope(retractResult, null, 'UPDATE'));
+    } catch (err) {
+      console.error('[NEURO /retract]', err.message);
+      res.status(errorStatus(err)).json({ error: err.message, advisory: ADVISORY });
     }
   });
 
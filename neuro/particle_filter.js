@@ -0,0 +1,270 @@
+/**
+ * particle_filter.js — Weighted Particle Posterior on S¹
+ * Circadian Phase Engine
+ *
+ * Support for the particle filter (config.filter = 'particle') in
+ * circadian_model.js.  The phase posterior is a set of weighted particles
+ *
+ *   { phases: number[], weights: number[], rngState: number }
+ *
+ * so it can hold several modes, e.g. when a phase-dependent light response
+ * pushes neighbouring phases in opposite directions.  Randomness comes from
+ * a seeded mulberry32 generator whose state is stored with the particles, so
+ * a given seed and input history always give the same posterior, and replay
+ * from any checkpoint is reproducible.
+ *
+ * Particle sets are treated as immutable: every function returns a new set.
+ */
+
+'use strict';
+
+const vonMises      = require('./von_mises.js');
+const { wrapPhase } = require('./angles.js');
+
+// Smallest KDE kernel SD (radians, ≈ 0.6 circadian hours) used to locate modes.
+const KDE_MIN_BANDWIDTH_RAD = 0.15;
+
+// Density grid for mode finding (2.5° steps).
+const KDE_GRID_POINTS = 144;
+
+// Modes holding less posterior mass than this are not reported.
+const MIN_MODE_WEIGHT = 0.05;
+
+// ─── Seeded RNG ──────────────────────────────────────────────────────────────
+
+/**
+ * mulberry32 generator continuing from a 32-bit state.
+ * @param {number} state — unsigned 32-bit integer
+ * @returns {{ next: () => number, normal: () => number, readonly state: number }}
+ *   next() — uniform [0, 1); normal() — standard normal (Box–Muller)
+ */
+function createRng(state) {
+  let s = state >>> 0;
+  const next = () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    normal() {
+      const u1 = 1 - next(); // (0, 1]
+      const u2 = next();
+      return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    },
+    get state() { return s; },
+  };
+}
+
+/**
+ * Draw from VM(μ, κ) (Best & Fisher, 1979).  Very concentrated distributions
+ * use the normal approximation N(μ, 1/κ).
+ * @param {number} mu
+ * @param {number} kappa
+ * @param {object} rng — from createRng()
+ * @returns {number} — radians (unwrapped)
+ */
+function sampleVonMises(mu, kappa, rng) {
+  if (kappa < 1e-6) return 2 * Math.PI * rng.next();
+  if (kappa > 1e3) return mu + rng.normal() / Math.sqrt(kappa);
+  const tau = 1 + Math.sqrt(1 + 4 * kappa * kappa);
+  const rho = (tau - Math.sqrt(2 * tau)) / (2 * kappa);
+  const r   = (1 + rho * rho) / (2 * rho);
+  for (;;) {
+    const z = Math.cos(Math.PI * rng.next());
+    const f = (1 + r * z) / (r + z);
+    const c = kappa * (r - f);
+    const u2 = rng.next();
+    const u3 = rng.next();
+    if (c * (2 - c) - u2 > 0 || Math.log(c / u2) + 1 - c >= 0) {
+      return mu + Math.sign(u3 - 0.5) * Math.acos(f);
+    }
+  }
+}
+
+// ─── Particle set operations ─────────────────────────────────────────────────
+
+/**
+ * Draw n equally weighted particles from VM(μ, κ).
+ * @param {number} mu
+ * @param {number} kappa
+ * @param {number} n
+ * @param {number} seed — RNG seed (integer)
+ * @returns {{ phases, weights, rngState }}
+ */
+function initialise(mu, kappa, n, seed) {
+  const rng = createRng(seed);
+  const phases = [];
+  for (let i = 0; i < n; i++) phases.push(wrapPhase(sampleVonMises(mu, kappa, rng)));
+  return { phases, weights: new Array(n).fill(1 / n), rngState: rng.state };
+}
+
+/**
+ * Move every particle: φᵢ ← move(φᵢ, rng), wrapped to [0, 2π).
+ * @param {{ phases, weights, rngState }} p
+ * @param {(phi: number, rng: object, i: number) => number} move
+ * @returns {{ phases, weights, rngState }}
+ */
+function mapPhases(p, move) {
+  const rng = createRng(p.rngState);
+  const phases = p.phases.map((phi, i) => wrapPhase(move(phi, rng, i)));
+  return { phases, weights: p.weights.slice(), rngState: rng.state };
+}
+
+/**
+ * Effective sample size 1 / Σ wᵢ² (weights normalised).
+ * @param {number[]} weights
+ * @returns {number}
+ */
+function effectiveSampleSize(weights) {
+  let s = 0;
+  for (const w of weights) s += w * w;
+  return 1 / s;
+}
+
+/**
+ * Reweight by a von Mises likelihood VM(φ_obs, κ_obs) and normalise.
+ * Computed in the log domain, so concentrated likelihoods cannot underflow.
+ * @param {{ phases, weights, rngState }} p
+ * @param {number} phiObs
+ * @param {number} kappaObs
+ * @returns {{ phases, weights, rngState }}
+ */
+function reweight(p, phiObs, kappaObs) {
+  const logW = p.phases.map((phi, i) => Math.log(p.weights[i]) + kappaObs * Math.cos(phi - phiObs));
+  const max  = Math.max(...logW.filter(Number.isFinite));
+  const raw  = logW.map(l => Math.exp(l - max));
+  const sum  = raw.reduce((a, b) => a + b, 0);
+  return { phases: p.phases.slice(), weights: raw.map(w => w / sum), rngState: p.rngState };
+}
+
+/**
+ * Systematic resampling to equal weights.
+ * @param {{ phases, weights, rngState }} p
+ * @returns {{ phases, weights, rngState }}
+ */
+function resample(p) {
+  const rng = createRng(p.rngState);
+  const n   = p.phases.length;
+  const u0  = rng.next() / n;
+  const phases = [];
+  let cum = p.weights[0];
+  let j   = 0;
+  for (let i = 0; i < n; i++) {
+    const u = u0 + i / n;
+    while (u > cum && j < n - 1) cum += p.weights[++j];
+    phases.push(p.phases[j]);
+  }
+  return { phases, weights: new Array(n).fill(1 / n), rngState: rng.state };
+}
+
+// ─── Posterior summary ───────────────────────────────────────────────────────
+
+/**
+ * Weighted circular mean and mean resultant length.
+ * @param {{ phases, weights }} p
+ * @returns {{ mean: number, R: number }}
+ */
+function circularMoments(p) {
+  let c = 0, s = 0;
+  for (let i = 0; i < p.phases.length; i++) {
+    c += p.weights[i] * Math.cos(p.phases[i]);
+    s += p.weights[i] * Math.sin(p.phases[i]);
+  }
+  return { mean: wrapPhase(Math.atan2(s, c)), R: Math.min(1, Math.hypot(c, s)) };
+}
+
+/**
+ * Posterior modes from a von Mises kernel density estimate.  The kernel SD
+ * follows Silverman's rule, 1.06 σ n^(−1/5) with σ the circular SD and n the
+ * effective sample size (at least KDE_MIN_BANDWIDTH_RAD), so a broad unimodal
+ * posterior does not break up into sampling-noise peaks.  The density is
+ * evaluated on a grid; each local maximum's basin (between the neighbouring
+ * minima) collects the particles falling in it, and the mode is reported at
+ * their weighted circular mean with the basin's total weight.
+ *
+ * @param {{ phases, weights }} p
+ * @param {number} [extraVariance=0] — diffusion variance (rad²) not yet
+ *   applied to the particles; widens the kernel
+ * @returns {Array<{ phaseRadians: number, weight: number }>} — by weight, descending
+ */
+function findModes(p, extraVariance = 0) {
+  const sigma     = vonMises.circularSD(circularMoments(p).R);
+  const bandwidth = Math.max(KDE_MIN_BANDWIDTH_RAD, 1.06 * sigma * effectiveSampleSize(p.weights) ** -0.2);
+  const kappa     = vonMises.kappaFromSD(Math.sqrt(bandwidth ** 2 + extraVariance));
+  const step  = (2 * Math.PI) / KDE_GRID_POINTS;
+  const density = new Array(KDE_GRID_POINTS).fill(0);
+  for (let g = 0; g < KDE_GRID_POINTS; g++) {
+    for (let i = 0; i < p.phases.length; i++) {
+      density[g] += p.weights[i] * Math.exp(kappa * (Math.cos(g * step - p.phases[i]) - 1));
+    }
+  }
+
+  // Hill-climb each grid point to its local maximum.
+  const peakOf = new Array(KDE_GRID_POINTS);
+  for (let g = 0; g < KDE_GRID_POINTS; g++) {
+    let k = g;
+    for (;;) {
+      const l = (k - 1 + KDE_GRID_POINTS) % KDE_GRID_POINTS;
+      const r = (k + 1) % KDE_GRID_POINTS;
+      const best = density[l] > density[k] && density[l] >= density[r] ? l
+                 : density[r] > density[k] ? r : k;
+      if (best === k) break;
+      k = best;
+    }
+    peakOf[g] = k;
+  }
+
+  const basins = new Map();
+  for (let i = 0; i < p.phases.length; i++) {
+    const peak = peakOf[Math.round(p.phases[i] / step) % KDE_GRID_POINTS];
+    if (!basins.has(peak)) basins.set(peak, { phases: [], weights: [] });
+    basins.get(peak).phases.push(p.phases[i]);
+    basins.get(peak).weights.push(p.weights[i]);
+  }
+
+  const modes = [];
+  for (const b of basins.values()) {
+    const weight = b.weights.reduce((a, w) => a + w, 0);
+    if (weight < MIN_MODE_WEIGHT) continue;
+    const { mean } = circularMoments({ phases: b.phases, weights: b.weights.map(w => w / weight) });
+    modes.push({ phaseRadians: mean, weight });
+  }
+  return modes.sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Validate a particle set from a snapshot. Throws on the first problem.
+ * @param {object} p
+ * @param {string} caller — name used in error messages
+ */
+function validateParticles(p, caller) {
+  if (p == null || typeof p !== 'object' || !Array.isArray(p.phases) || !Array.isArray(p.weights) ||
+      p.phases.length === 0 || p.phases.length !== p.weights.length) {
+    throw new Error(`${caller}: particles must have equal-length, non-empty phases and weights arrays`);
+  }
+  if (!p.phases.every(Number.isFinite) || !p.weights.every(w => Number.isFinite(w) && w >= 0) ||
+      !(p.weights.reduce((a, b) => a + b, 0) > 0)) {
+    throw new Error(`${caller}: particle phases must be finite and weights non-negative with positive sum`);
+  }
+  if (!Number.isInteger(p.rngState) || p.rngState < 0 || p.rngState > 0xFFFFFFFF) {
+    throw new Error(`${caller}: particles.rngState must be an unsigned 32-bit integer`);
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  createRng,
+  sampleVonMises,
+  initialise,
+  mapPhases,
+  effectiveSampleSize,
+  reweight,
+  resample,
+  circularMoments,
+  findModes,
+  validateParticles,
+};
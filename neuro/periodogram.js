@@ -0,0 +1,343 @@
+/**
+ * periodogram.js — Period Estimation from Long-Term Logs
+ * Circadian Phase Engine
+ *
+ * Estimates the dominant period of a person's rhythm, and its significance,
+ * over a band of candidate periods (20–28 h by default):
+ *
+ *   lombScargle(samples) — Lomb–Scargle periodogram of unevenly sampled values
+ *                          { timestampMs, value } (activity, temperature, a
+ *                          sleep/wake indicator); Lomb (1976), Scargle (1982)
+ *   chiSquare(samples)   — Sokolove & Bushell (1978) χ² periodogram of the
+ *                          same values averaged into regular bins
+ *   rayleigh(eventsMs)   — Rayleigh periodogram of event times such as sleep
+ *                          onsets: how tightly the events cluster in phase
+ *                          when folded at each period
+ *
+ * Significance is the probability that noise alone gives a peak this high
+ * anywhere in the band (false-alarm probability, corrected for the number of
+ * periods searched).
+ *
+ * Under entrainment the observed period is 24 h whatever the intrinsic τ; only
+ * free-running (non-24 h) behaviour reveals τ.  tauSeed() therefore suggests a
+ * per-person tauHours only when the rhythm is significant and clearly away
+ * from 24 h.  All math is deterministic.
+ */
+
+'use strict';
+
+const { logGamma } = require('./cosinor.js');
+
+const MS_PER_HOUR = 3600000;
+
+const DEFAULT_BAND = {
+  minPeriodHours: 20,
+  maxPeriodHours: 28,
+  stepHours:      0.01,
+};
+
+// Peaks with a false-alarm probability below this are significant.
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Periods within this many hours of 24 are read as entrained.
+const ENTRAINED_TOLERANCE_HOURS = 0.1;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve and check the period band.
+ * @param {object} options
+ * @param {string} caller — name used in error messages
+ * @returns {{ minPeriodHours, maxPeriodHours, stepHours }}
+ */
+function resolveBand(options, caller) {
+  const band = { ...DEFAULT_BAND, ...options };
+  if (!(band.minPeriodHours > 0) || !(band.maxPeriodHours > band.minPeriodHours) || !(band.stepHours > 0)) {
+    throw new Error(`${caller}: need 0 < minPeriodHours < maxPeriodHours and stepHours > 0`);
+  }
+  return band;
+}
+
+/** Candidate periods (hours) across the band. */
+function periodGrid(band) {
+  const periods = [];
+  const n = Math.round((band.maxPeriodHours - band.minPeriodHours) / band.stepHours);
+  for (let i = 0; i <= n; i++) periods.push(Math.round((band.minPeriodHours + i * band.stepHours) * 1e6) / 1e6);
+  return periods;
+}
+
+/**
+ * Approximate number of independent periods in the band for a record of
+ * spanHours: the frequency range times the record length (at least 1).
+ */
+function independentPeriods(band, spanHours) {
+  return Math.max(1, Math.round(spanHours * (1 / band.minPeriodHours - 1 / band.maxPeriodHours)));
+}
+
+/** Probability that at least one of m independent trials reaches single-trial p. */
+function familyWise(p, m) {
+  return 1 - (1 - Math.min(1, p)) ** m;
+}
+
+/** Upper regularised incomplete gamma Q(a, x) (series / continued fraction). */
+function gammaQ(a, x) {
+  if (!(x > 0)) return 1;
+  const lnFront = -x + a * Math.log(x) - logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a, term = 1 / a;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return 1 - sum * Math.exp(lnFront);
+  }
+  const tiny = 1e-300;
+  let b = x + 1 - a, c = 1 / tiny, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return Math.exp(lnFront) * h;
+}
+
+/** Validate { timestampMs, value } samples. */
+function validateSamples(samples, caller) {
+  if (!Array.isArray(samples) || samples.length < 3) {
+    throw new Error(`${caller}: samples must be an array of at least 3 { timestampMs, value }`);
+  }
+  for (const s of samples) {
+    if (s == null || !Number.isFinite(s.timestampMs) || !Number.isFinite(s.value)) {
+      throw new Error(`${caller}: samples need a finite timestampMs and value`);
+    }
+  }
+}
+
+/** Index of the largest value. */
+function argmax(values) {
+  let k = 0;
+  for (let i = 1; i < values.length; i++) if (values[i] > values[k]) k = i;
+  return k;
+}
+
+// ─── Lomb–Scargle ────────────────────────────────────────────────────────────
+
+/**
+ * Normalised Lomb–Scargle periodogram (Horne & Baliunas, 1986):
+ *
+ *   P(ω) = [ (Σ yᵢ cos ω(tᵢ−τ))² / Σ cos² ω(tᵢ−τ) + (Σ yᵢ sin ω(tᵢ−τ))² / Σ sin² ω(tᵢ−τ) ] / 2σ²
+ *   tan 2ωτ = Σ sin 2ωtᵢ / Σ cos 2ωtᵢ
+ *
+ * with yᵢ centred.  A single period's P exceeds z with probability e^(−z).
+ *
+ * @param {Array<{ timestampMs: number, value: number }>} samples
+ * @param {{ minPeriodHours?, maxPeriodHours?, stepHours? }} [options] — DEFAULT_BAND
+ * @returns {{ periods: Array<{ periodHours, power }>, peak: { periodHours, power, p } }}
+ */
+function lombScargle(samples, options = {}) {
+  validateSamples(samples, 'lombScargle');
+  const band = resolveBand(options, 'lombScargle');
+  const t0 = Math.min(...samples.map(s => s.timestampMs));
+  const t  = samples.map(s => (s.timestampMs - t0) / MS_PER_HOUR);
+  const mean = samples.reduce((a, s) => a + s.value, 0) / samples.length;
+  const y  = samples.map(s => s.value - mean);
+  const variance = y.reduce((a, v) => a + v * v, 0) / (y.length - 1);
+  if (!(variance > 0)) throw new Error('lombScargle: samples have no variance');
+
+  const periods = periodGrid(band).map(periodHours => {
+    const w = (2 * Math.PI) / periodHours;
+    let s2 = 0, c2 = 0;
+    for (const ti of t) { s2 += Math.sin(2 * w * ti); c2 += Math.cos(2 * w * ti); }
+    const tau = Math.atan2(s2, c2) / (2 * w);
+    let yc = 0, ys = 0, cc = 0, ss = 0;
+    for (let i = 0; i < t.length; i++) {
+      const c = Math.cos(w * (t[i] - tau));
+      const s = Math.sin(w * (t[i] - tau));
+      yc += y[i] * c; ys += y[i] * s; cc += c * c; ss += s * s;
+    }
+    return { periodHours, power: (yc * yc / cc + ys * ys / ss) / (2 * variance) };
+  });
+  const best = periods[argmax(periods.map(p => p.power))];
+  const m    = independentPeriods(band, t.reduce((a, v) => Math.max(a, v), 0));
+  return { periods, peak: { ...best, p: familyWise(Math.exp(-best.power), m) } };
+}
+
+// ─── χ² periodogram ──────────────────────────────────────────────────────────
+
+/**
+ * Sokolove–Bushell χ² periodogram.  Samples are averaged into binMinutes
+ * bins; for a period of P bins the K complete cycles are folded into P
+ * columns with means M_h, and
+ *
+ *   Q_P = K N Σ_h (M_h − M)² / Σ_i (X_i − M)²  ~  χ²(P − 1)
+ *
+ * Empty bins are left out of the sums.  Periods are whole numbers of bins, so
+ * binMinutes sets the resolution.
+ *
+ * @param {Array<{ timestampMs: number, value: number }>} samples
+ * @param {{ minPeriodHours?, maxPeriodHours?, binMinutes? }} [options]
+ *   — binMinutes default 6 (0.1 h)
+ * @returns {{ periods: Array<{ periodHours, Qp, p }>, peak: { periodHours, Qp, p } }}
+ *   — peak.p is corrected for the number of independent periods searched
+ */
+function chiSquare(samples, options = {}) {
+  validateSamples(samples, 'chiSquare');
+  const binMinutes = options.binMinutes ?? 6;
+  if (!(binMinutes > 0)) throw new Error('chiSquare: binMinutes must be positive');
+  const band  = resolveBand({ ...options, stepHours: binMinutes / 60 }, 'chiSquare');
+  const binMs = binMinutes * 60000;
+  const t0    = Math.min(...samples.map(s => s.timestampMs));
+  const sums = new Map();
+  for (const s of samples) {
+    const b = Math.floor((s.timestampMs - t0) / binMs);
+    if (!sums.has(b)) sums.set(b, { sum: 0, n: 0 });
+    sums.get(b).sum += s.value;
+    sums.get(b).n++;
+  }
+  const nBins = Math.max(...sums.keys()) + 1;
+  const x = new Array(nBins).fill(null);
+  for (const [b, v] of sums) x[b] = v.sum / v.n;
+
+  const minBins = Math.round((band.minPeriodHours * 60) / binMinutes);
+  const maxBins = Math.round((band.maxPeriodHours * 60) / binMinutes);
+  if (nBins < 2 * maxBins) {
+    throw new Error('chiSquare: the record must span at least two of the longest periods');
+  }
+  const periods = [];
+  for (let P = minBins; P <= maxBins; P++) {
+    const K = Math.floor(nBins / P);
+    const colSum = new Array(P).fill(0);
+    const colN   = new Array(P).fill(0);
+    let total = 0, N = 0;
+    for (let i = 0; i < K * P; i++) {
+      if (x[i] == null) continue;
+      colSum[i % P] += x[i];
+      colN[i % P]++;
+      total += x[i];
+      N++;
+    }
+    const M = total / N;
+    let between = 0, within = 0;
+    for (let h = 0; h < P; h++) if (colN[h] > 0) between += colN[h] * (colSum[h] / colN[h] - M) ** 2;
+    for (let i = 0; i < K * P; i++) if (x[i] != null) within += (x[i] - M) ** 2;
+    // K N Σ_h (M_h − M)² / Σ_i (X_i − M)², with each column weighted by its
+    // count (K per column without gaps).
+    const Qp = within > 0 ? (N * between) / within : 0;
+    periods.push({ periodHours: Math.round(((P * binMinutes) / 60) * 1e6) / 1e6, Qp, p: gammaQ((P - 1) / 2, Qp / 2) });
+  }
+  // Rank by the single-period p: Q_P grows with P under the null.
+  const best = periods.reduce((a, b) => (b.p < a.p ? b : a));
+  const m    = independentPeriods(band, (nBins * binMinutes) / 60);
+  return { periods, peak: { ...best, p: familyWise(best.p, m) } };
+}
+
+// ─── Rayleigh periodogram (event times) ──────────────────────────────────────
+
+/**
+ * Rayleigh periodogram of event times: each event at tᵢ is given phase
+ * θᵢ = 2π tᵢ / P, and Z = n R² with R the mean resultant length.  A single
+ * period's p uses Zar's (2010) approximation
+ * p = exp(√(1 + 4n + 4(n² − (nR)²)) − (1 + 2n)).
+ *
+ * @param {number[]} eventsMs — e.g. sleep onsets (ms since epoch)
+ * @param {{ minPeriodHours?, maxPeriodHours?, stepHours? }} [options] — DEFAULT_BAND
+ * @returns {{ periods: Array<{ periodHours, Z }>, peak: { periodHours, Z, R, p } }}
+ */
+function rayleigh(eventsMs, options = {}) {
+  if (!Array.isArray(eventsMs) || eventsMs.length < 3 || !eventsMs.every(Number.isFinite)) {
+    throw new Error('rayleigh: eventsMs must be an array of at least 3 finite timestamps');
+  }
+  const band = resolveBand(options, 'rayleigh');
+  const t0 = Math.min(...eventsMs);
+  const t  = eventsMs.map(e => (e - t0) / MS_PER_HOUR);
+  const n  = t.length;
+  const periods = periodGrid(band).map(periodHours => {
+    let c = 0, s = 0;
+    for (const ti of t) {
+      c += Math.cos((2 * Math.PI * ti) / periodHours);
+      s += Math.sin((2 * Math.PI * ti) / periodHours);
+    }
+    const R = Math.hypot(c, s) / n;
+    return { periodHours, Z: n * R * R, R };
+  });
+  const best = periods[argmax(periods.map(p => p.Z))];
+  const nR   = n * best.R;
+  const pSingle = Math.min(1, Math.exp(Math.sqrt(1 + 4 * n + 4 * (n * n - nR * nR)) - (1 + 2 * n)));
+  const m = independentPeriods(band, t.reduce((a, v) => Math.max(a, v), 0));
+  return {
+    periods: periods.map(({ periodHours, Z }) => ({ periodHours, Z })),
+    peak:    { periodHours: best.periodHours, Z: best.Z, R: best.R, p: familyWise(pSingle, m) },
+  };
+}
+
+// ─── Period summary ──────────────────────────────────────────────────────────
+
+/**
+ * Sleep episodes as an asleep indicator (1 asleep, 0 awake) sampled every
+ * stepMinutes over the span they cover, for lombScargle() / chiSquare().
+ * @param {Array<{ sleepOnset: number, sleepOffset: number }>} episodes
+ * @param {number} [stepMinutes=30]
+ * @returns {Array<{ timestampMs, value }>}
+ */
+function sleepIndicator(episodes, stepMinutes = 30) {
+  if (!Array.isArray(episodes) || episodes.length === 0 ||
+      !episodes.every(e => e && Number.isFinite(e.sleepOnset) && e.sleepOffset > e.sleepOnset)) {
+    throw new Error('sleepIndicator: episodes must be { sleepOnset, sleepOffset } with offset after onset');
+  }
+  const from = Math.min(...episodes.map(e => e.sleepOnset));
+  const to   = Math.max(...episodes.map(e => e.sleepOffset));
+  const out  = [];
+  for (let ts = from; ts <= to; ts += stepMinutes * 60000) {
+    out.push({ timestampMs: ts, value: episodes.some(e => ts >= e.sleepOnset && ts < e.sleepOffset) ? 1 : 0 });
+  }
+  return out;
+}
+
+/**
+ * Summarise a periodogram peak.
+ * @param {{ peak: { periodHours: number, p: number } }} result — from any periodogram
+ * @param {{ alpha?: number, toleranceHours?: number }} [options]
+ *   — defaults SIGNIFICANCE_LEVEL, ENTRAINED_TOLERANCE_HOURS
+ * @returns {{ periodHours, p, significant: boolean, nonEntrained: boolean }}
+ *   — nonEntrained: significant and more than toleranceHours from 24 h
+ */
+function summarisePeak(result, options = {}) {
+  const alpha     = options.alpha ?? SIGNIFICANCE_LEVEL;
+  const tolerance = options.toleranceHours ?? ENTRAINED_TOLERANCE_HOURS;
+  const { periodHours, p } = result.peak;
+  const significant = p < alpha;
+  return { periodHours, p, significant, nonEntrained: significant && Math.abs(periodHours - 24) > tolerance };
+}
+
+/**
+ * Per-person tauHours suggested by a periodogram: the peak period of a
+ * significant non-24 h rhythm, or null when the data look entrained (or show
+ * no rhythm) and say nothing about τ.
+ * @param {{ peak: { periodHours: number, p: number } }} result
+ * @param {{ alpha?: number, toleranceHours?: number }} [options]
+ * @returns {number|null}
+ */
+function tauSeed(result, options = {}) {
+  const s = summarisePeak(result, options);
+  return s.nonEntrained ? Math.round(s.periodHours * 100) / 100 : null;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  DEFAULT_BAND,
+  SIGNIFICANCE_LEVEL,
+  ENTRAINED_TOLERANCE_HOURS,
+  lombScargle,
+  chiSquare,
+  rayleigh,
+  sleepIndicator,
+  summarisePeak,
+  tauSeed,
+};
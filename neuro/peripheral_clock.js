@@ -0,0 +1,111 @@
+/**
+ * peripheral_clock.js — Meal-Entrained Peripheral (Metabolic) Clock
+ * Circadian Phase Engine
+ *
+ * A second phase oscillator θ for the peripheral clocks of metabolic tissues
+ * (liver, adipose tissue, muscle).  It runs at the central clock's rate, is
+ * pulled weakly toward the central phase φ, and is entrained by meals:
+ *
+ *   between meals:  dθ/dt = dφ/dt + k · sin(φ − θ)
+ *   at a meal:      θ ← θ + A · sin(θ_meal − θ) · ω
+ *
+ * A meal at the peripheral phase θ_meal, the middle of the usual eating
+ * window, leaves θ unchanged; earlier meals advance it and later meals delay
+ * it.  Feeding drives peripheral clocks much more than the central one
+ * (Damiola et al., 2000), so meals at night move θ away from φ.
+ *
+ * Between meals the internal phase angle ψ = θ − φ relaxes toward 0:
+ *
+ *   dψ/dt = −k · sin ψ   ⇒   tan(ψ/2) = tan(ψ₀/2) · e^(−k t)
+ *
+ * ψ is reported in hours (+ = peripheral ahead of central).  All math is
+ * deterministic.
+ */
+
+'use strict';
+
+const { wrapPhase, shortestArc } = require('./angles.js');
+
+// ─── Dynamics ────────────────────────────────────────────────────────────────
+
+/**
+ * Internal phase angle after hours of coupling without meals.
+ * @param {number} psi0  — ψ at the start (radians)
+ * @param {number} hours — duration (≥ 0)
+ * @param {number} couplingPerHour — k
+ * @returns {number} — ψ in (−π, π]
+ */
+function relax(psi0, hours, couplingPerHour) {
+  const psi = shortestArc(psi0);
+  // ψ = ±π is an (unstable) fixed point.
+  if (Math.abs(psi) === Math.PI) return psi;
+  return 2 * Math.atan(Math.tan(psi / 2) * Math.exp(-couplingPerHour * hours));
+}
+
+/**
+ * Peripheral phase shift from a meal eaten at peripheral phase θ.
+ * @param {number} theta — peripheral phase at the meal (radians)
+ * @param {{ mealTargetPhase: number, mealPrcAmplitudeHours: number }} params
+ * @param {number} omega — angular velocity (rad/h)
+ * @returns {number} — radians, + = advance
+ */
+function mealShift(theta, params, omega) {
+  return params.mealPrcAmplitudeHours * Math.sin(params.mealTargetPhase - theta) * omega;
+}
+
+/**
+ * Advance the peripheral phase from fromMs to toMs across meals.
+ *
+ * @param {number} theta0 — peripheral phase at fromMs
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @param {number[]} meals — meal times (ms) in [fromMs, toMs]
+ * @param {(ms: number) => number} centralAt — central phase at a time in [fromMs, toMs]
+ * @param {{ mealTargetPhase, mealPrcAmplitudeHours, peripheralCouplingPerHour }} params
+ * @param {number} omega — angular velocity (rad/h)
+ * @returns {{ theta: number, meals: Array<{ timestampMs, thetaMeal, deltaRad }> }}
+ *   — theta at toMs, and the shift from each meal applied
+ */
+function advance(theta0, fromMs, toMs, meals, centralAt, params, omega) {
+  const k = params.peripheralCouplingPerHour;
+  let psi = shortestArc(theta0 - centralAt(fromMs));
+  let t   = fromMs;
+  if (meals.some(m => !(m >= fromMs && m <= toMs))) {
+    throw new Error(`advance: meals must lie in [fromMs, toMs] (${fromMs}, ${toMs})`);
+  }
+  const applied = [];
+  for (const ms of [...meals].sort((a, b) => a - b)) {
+    psi = relax(psi, (ms - t) / 3600000, k);
+    t   = ms;
+    const thetaMeal = wrapPhase(centralAt(ms) + psi);
+    const deltaRad  = mealShift(thetaMeal, params, omega);
+    psi = shortestArc(psi + deltaRad);
+    applied.push({ timestampMs: ms, thetaMeal, deltaRad });
+  }
+  psi = relax(psi, (toMs - t) / 3600000, k);
+  return { theta: wrapPhase(centralAt(toMs) + psi), meals: applied };
+}
+
+/**
+ * Peripheral clock summary against the central phase.
+ * @param {number} theta — peripheral phase (radians)
+ * @param {number} phi   — central phase (radians)
+ * @param {number} omega — angular velocity (rad/h)
+ * @returns {{ phaseRadians: number, internalPhaseAngleHours: number }}
+ *   — internalPhaseAngleHours > 0: peripheral clock ahead of the central clock
+ */
+function summary(theta, phi, omega) {
+  return {
+    phaseRadians:            wrapPhase(theta),
+    internalPhaseAngleHours: Math.round((shortestArc(theta - phi) / omega) * 100) / 100,
+  };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  relax,
+  mealShift,
+  advance,
+  summary,
+};
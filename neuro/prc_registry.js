@@ -0,0 +1,256 @@
+/**
+ * prc_registry.js — Light Phase Response Curve (PRC) Registry
+ * Circadian Phase Engine
+ *
+ * Named PRC shapes selectable through config.prcModel.  Each entry maps a
+ * circadian phase φ to the phase shift (circadian hours, + = advance) produced
+ * by saturating light; circadian_model.js scales it by the lux saturation term
+ * and converts it to radians.
+ *
+ * Built-in models:
+ *   piecewise — the original three-zone rectangular PRC (delay / advance /
+ *               dead zone).  Discontinuous at the zone edges; paired with the
+ *               phase-dependent gain lightPhaseGain() in the engine.
+ *   fourier   — two-harmonic Fourier PRC fitted to the human bright-light PRC
+ *               of Khalsa et al. (2003).  Continuous and smooth in φ.
+ *   table     — user-supplied points { phaseRadians, shiftHours } with periodic
+ *               linear interpolation (config.prcTable).  Continuous in φ.
+ *
+ * The built-in models are frozen and shared by every registry.  Further
+ * shapes are registered on a registry from createPRCRegistry(); each engine
+ * owns one, so a registration is visible only to that engine.
+ */
+
+'use strict';
+
+const { wrapPhase } = require('./angles.js');
+
+// Circadian hours → radians on the 24 h circadian clock.
+const RAD_PER_CIRCADIAN_HOUR = (2 * Math.PI) / 24;
+
+// ─── Fourier PRC (Khalsa et al., 2003) ───────────────────────────────────────
+//
+// Points read from the published two-harmonic fit to the 6.7 h bright-light
+// PRC (Khalsa et al., 2003, J Physiol 549:945, Fig. 3): stimulus midpoint in
+// hours relative to CBT_min → phase shift (h).  Approximate digitisation: peak
+// delay ≈ −3.4 h about 3 h before CBT_min, crossover near CBT_min, peak advance
+// ≈ +2 h about 3 h after it, small shifts through the subjective day.
+//
+// The series is re-fitted to these points by least squares at load time and
+// normalised to unit peak magnitude; the engine rescales it to
+// config.prcMaxShiftHours so all PRC models share one amplitude parameter.
+
+const KHALSA_2003_POINTS = [
+  [-12, 0.3], [-10, 0.0], [-8, -0.6], [-6, -1.6], [-4, -3.0], [-3, -3.4],
+  [-2, -2.9], [-1, -1.6], [0, 0.0], [1, 1.2], [2, 1.9], [3, 2.0],
+  [4, 1.8], [6, 1.2], [8, 0.7], [10, 0.4],
+];
+
+const FOURIER_HARMONICS = 2;
+
+/**
+ * Least-squares Fourier fit  f(θ) = a₀ + Σₖ aₖ cos kθ + bₖ sin kθ.
+ * @param {Array<[number, number]>} points — [θ (radians), value]
+ * @param {number} harmonics
+ * @returns {number[]} — [a₀, a₁, b₁, a₂, b₂, …]
+ */
+function fitFourier(points, harmonics) {
+  const basis = (theta) => {
+    const row = [1];
+    for (let k = 1; k <= harmonics; k++) row.push(Math.cos(k * theta), Math.sin(k * theta));
+    return row;
+  };
+  const n = 1 + 2 * harmonics;
+  // Normal equations AᵀA c = Aᵀy, solved by Gaussian elimination with pivoting.
+  const M = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+  for (const [theta, y] of points) {
+    const r = basis(theta);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) M[i][j] += r[i] * r[j];
+      M[i][n] += r[i] * y;
+    }
+  }
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let j = c; j <= n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+/** Evaluate a Fourier series from fitFourier() at θ. */
+function evalFourier(coeffs, theta) {
+  let v = coeffs[0];
+  for (let k = 1; 2 * k < coeffs.length; k++) {
+    v += coeffs[2 * k - 1] * Math.cos(k * theta) + coeffs[2 * k] * Math.sin(k * theta);
+  }
+  return v;
+}
+
+const KHALSA_COEFFS = (() => {
+  const raw = fitFourier(
+    KHALSA_2003_POINTS.map(([h, y]) => [h * RAD_PER_CIRCADIAN_HOUR, y]),
+    FOURIER_HARMONICS);
+  // Normalise to unit peak magnitude (dense scan over one cycle).
+  let peak = 0;
+  for (let i = 0; i < 1440; i++) peak = Math.max(peak, Math.abs(evalFourier(raw, (2 * Math.PI * i) / 1440)));
+  return raw.map(c => c / peak);
+})();
+
+// ─── Table PRC ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate a user PRC table. Throws on the first problem.
+ * @param {Array<{ phaseRadians: number, shiftHours: number }>} table
+ * @param {string} caller — name used in the error message
+ */
+function validatePRCTable(table, caller) {
+  if (!Array.isArray(table) || table.length < 2) {
+    throw new Error(`${caller}: prcTable must be an array of at least 2 { phaseRadians, shiftHours } points`);
+  }
+  const seen = new Set();
+  for (const p of table) {
+    if (p == null || !Number.isFinite(p.phaseRadians) || !Number.isFinite(p.shiftHours)) {
+      throw new Error(`${caller}: prcTable points need finite phaseRadians and shiftHours`);
+    }
+    const w = wrapPhase(p.phaseRadians);
+    if (seen.has(w)) throw new Error(`${caller}: prcTable has duplicate phase ${p.phaseRadians}`);
+    seen.add(w);
+  }
+}
+
+/**
+ * Periodic linear interpolation of a PRC table at φ.  The segment between
+ * the last and first points wraps through 2π/0, so the curve is continuous
+ * around the whole circle.
+ * @param {Array<{ phaseRadians, shiftHours }>} table
+ * @param {number} phi
+ * @returns {number} — shift (hours)
+ */
+function interpolateTable(table, phi) {
+  const pts = table
+    .map(p => ({ phi: wrapPhase(p.phaseRadians), y: p.shiftHours }))
+    .sort((a, b) => a.phi - b.phi);
+  const w = wrapPhase(phi);
+  let i = pts.findIndex(p => p.phi > w);
+  if (i === -1) i = 0; // past the last point: wrap segment
+  const hi = pts[i];
+  const lo = pts[(i - 1 + pts.length) % pts.length];
+  const span = wrapPhase(hi.phi - lo.phi) || 2 * Math.PI;
+  const t = wrapPhase(w - lo.phi) / span;
+  return lo.y + t * (hi.y - lo.y);
+}
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+const BUILTIN_PRCS = new Map();
+
+/**
+ * Validate a PRC model and return its frozen, defaulted form.
+ *
+ * @param {string} name
+ * @param {{
+ *   shiftHours:  (phi: number, config: object) => number,  — shift at saturating light (h, + = advance)
+ *   phaseGain?:  boolean,   — true → engine also applies lightPhaseGain(φ) (piecewise only)
+ *   description?: string
+ * }} model
+ * @param {string} caller — name used in error messages
+ * @returns {object}
+ */
+function resolvePRC(name, model, caller) {
+  if (typeof name !== 'string' || !name) throw new Error(`${caller}: name must be a non-empty string`);
+  if (model == null || typeof model.shiftHours !== 'function') {
+    throw new Error(`${caller}: model.shiftHours must be a function (phi, config) → hours`);
+  }
+  return Object.freeze({ phaseGain: false, description: '', ...model });
+}
+
+/** Add a built-in model (module load only). */
+function defineBuiltin(name, model) {
+  BUILTIN_PRCS.set(name, resolvePRC(name, model, 'defineBuiltin'));
+}
+
+/**
+ * Create a PRC registry holding the built-in models.  Models registered on
+ * it are visible to it alone; the built-ins cannot be replaced.
+ * @returns {{ registerPRC, getPRC, listPRCs }}
+ */
+function createPRCRegistry() {
+  const models = new Map(BUILTIN_PRCS);
+
+  /**
+   * Register a PRC shape under a name usable as config.prcModel, replacing
+   * an earlier registration of the same name.
+   * @param {string} name
+   * @param {object} model — see resolvePRC()
+   */
+  function registerPRC(name, model) {
+    const resolved = resolvePRC(name, model, 'registerPRC');
+    if (BUILTIN_PRCS.has(name)) throw new Error(`registerPRC: "${name}" is a built-in model and cannot be replaced`);
+    models.set(name, resolved);
+  }
+
+  /**
+   * Look up a registered PRC. Throws if unknown.
+   * @param {string} name
+   */
+  function getPRC(name) {
+    const model = models.get(name);
+    if (!model) throw new Error(`getPRC: unknown PRC model "${name}" (registered: ${listPRCs().join(', ')})`);
+    return model;
+  }
+
+  /** Names of all registered PRC models. */
+  function listPRCs() {
+    return [...models.keys()];
+  }
+
+  return { registerPRC, getPRC, listPRCs };
+}
+
+defineBuiltin('piecewise', {
+  description: 'Three-zone rectangular PRC (delay / advance / dead zone)',
+  phaseGain:   true,
+  shiftHours(phi, cfg) {
+    const w = wrapPhase(phi);
+    // DELAY zone: [CT16, CT21).
+    if (w >= cfg.prcDelayZoneStart && w < cfg.prcCbtMinPhase) return -cfg.prcMaxShiftHours;
+    // ADVANCE zone: [CT21, 2π) ∪ [0, CT1) — wraps through 0.
+    if (w >= cfg.prcCbtMinPhase || w < cfg.prcAdvanceZoneEnd) return cfg.prcMaxShiftHours;
+    return 0;
+  },
+});
+
+defineBuiltin('fourier', {
+  description: 'Two-harmonic Fourier PRC fitted to Khalsa et al. (2003)',
+  shiftHours(phi, cfg) {
+    // Curve is defined in circadian hours relative to CBT_min.
+    return cfg.prcMaxShiftHours * evalFourier(KHALSA_COEFFS, phi - cfg.prcCbtMinPhase);
+  },
+});
+
+defineBuiltin('table', {
+  description: 'User-supplied PRC points (config.prcTable), periodic linear interpolation',
+  shiftHours(phi, cfg) {
+    return interpolateTable(cfg.prcTable, phi);
+  },
+});
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+// Read-only view of the built-in models.
+const builtins = createPRCRegistry();
+
+module.exports = {
+  createPRCRegistry,
+  getPRC:   builtins.getPRC,
+  listPRCs: builtins.listPRCs,
+  validatePRCTable,
+  interpolateTable,
+  KHALSA_2003_POINTS,
+};
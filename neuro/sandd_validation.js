@@ -36,8 +36,7 @@
 const fs   = require('fs');
 const path = require('path');
 
-const model         = require('./circadian_model.js');
-const { _internal } = model;
+const { createEngine } = require('./circadian_model.js');
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
@@ -136,21 +135,29 @@ function median(arr) {
 
 // ─── Model state helpers ──────────────────────────────────────────────────────
 
-function resetModel(tau) {
-  model.setConfig({ tauHours: tau });
-  _internal.setState({
-    phaseRadians:       0,
-    confidence:         0.5,
-    lastUpdateMs:       T0,
-    referenceClockHour: null,
-    referenceEpochMs:   null,
+/**
+ * Create a fresh engine at a canonical initial state with a τ override.
+ * φ₀ = 0 (ACTIVATION), C₀ = 0.5, t₀ = T0.
+ * Each replay gets its own instance, so anchor fields and τ cannot leak
+ * across users or grid points.
+ */
+function freshEngine(tau) {
+  return createEngine({
+    config: { tauHours: tau },
+    state:  {
+      phaseRadians:       0,
+      confidence:         0.5,
+      lastUpdateMs:       T0,
+      referenceClockHour: null,
+      referenceEpochMs:   null,
+    },
   });
 }
 
 // ─── Core replay + DLMO error ─────────────────────────────────────────────────
 
 /**
- * Reset model, replay all sleep rows sequentially, then:
+ * Create a fresh engine, replay all sleep rows sequentially, then:
  *   1. Capture phi_model at DLMO time (before anchor rewrites state).
  *   2. Anchor CT21 to the final sleep onset clock hour.
  *   3. Compute phi_bio = clockToPhase(dlmoHour).
@@ -164,7 +171,7 @@ function resetModel(tau) {
  * @returns {{ phi_model, phi_bio, error_h, confidence }}
  */
 function replayForTau(sleepRows, tau, finalOnsetMs, onsetHours, dlmoHour) {
-  resetModel(tau);
+  const model = freshEngine(tau);
 
   for (const row of sleepRows) {
     const daySeq   = parseInt(row.actigraphy_day_sequence, 10);
@@ -202,10 +209,6 @@ function replayForTau(sleepRows, tau, finalOnsetMs, onsetHours, dlmoHour) {
 
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
-// Save global model state so this script is side-effect free when require()'d.
-const _savedState  = _internal.getState();
-const _savedConfig = model.getConfig();
-
 // Load data.
 const datasetRows    = parseCSV(fs.readFileSync(DATASET_CSV, 'utf8'));
 const actigraphyRows = parseCSV(fs.readFileSync(ACTIGRAPHY_CSV, 'utf8'));
@@ -280,15 +283,8 @@ for (const dRow of datasetRows) {
     optimised_error_h: optimalErrorH,
     confidence,
   });
-
-  // Restore tau between sessions.
-  model.setConfig({ tauHours: DEFAULT_TAU });
 }
 
-// Restore original model state and config.
-_internal.setState(_savedState);
-model.setConfig(_savedConfig);
-
 if (results.length === 0) {
   console.error('ERROR: no subject-sessions processed — check data paths');
   process.exit(1);
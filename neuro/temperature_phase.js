@@ -0,0 +1,177 @@
+/**
+ * temperature_phase.js — CBT_min from Core or Wrist Temperature Series
+ * Circadian Phase Engine
+ *
+ * Fits a cosinor to a temperature time series { timestampMs, celsius } and
+ * estimates the time of the core body temperature minimum (CBT_min), which
+ * the engine takes as CT21 (markerPhaseRadians.cbtMin):
+ *
+ *   T(t) = M + β_c cos(ωt) + β_s sin(ωt) [+ γ · sleep(t)]      ω = 2π / 24 h
+ *
+ * Two kinds of series are accepted:
+ *
+ *   'core'  — rectal / ingestible-pill core temperature; CBT_min is the
+ *             trough of the fitted rhythm
+ *   'wrist' — distal skin temperature, which runs in antiphase to core
+ *             temperature (distal vasodilation at night; Kräuchi &
+ *             Wirz-Justice, 1994); CBT_min is taken at the fitted peak
+ *             (Sarabia et al., 2008), with an extra proxySDHours of
+ *             uncertainty for the wrist–core phase relationship
+ *
+ * Sleep masks the rhythm: it lowers core and raises distal temperature
+ * independently of the clock.  Given the sleep intervals, masking is removed
+ * either by regressing out a sleep indicator γ · sleep(t) ('regress') or by
+ * dropping samples taken asleep ('exclude').
+ *
+ * The fit is cosinor.js fitCosinor() with the sleep indicator as a
+ * covariate.  The uncertainty of the minimum is the delta-method SE of the
+ * acrophase.  Residuals of temperature series are autocorrelated, so this SE
+ * is optimistic for dense sampling.
+ * All math is deterministic.
+ */
+
+'use strict';
+
+const cosinor         = require('./cosinor.js');
+const { markerInput } = require('./marker_input.js');
+
+const TEMPERATURE_KINDS = ['core', 'wrist'];
+const DEMASK_MODES      = ['regress', 'exclude'];
+
+const DEFAULT_OPTIONS = {
+  kind:         'core',
+  periodHours:  24,
+  demask:       'regress',   // used when sleep intervals are given
+  // Plausible readings (°C); samples outside are dropped (probe dislodged,
+  // device off the wrist).
+  validRangeC:  { core: [34, 42], wrist: [25, 40] },
+  // Hours from the fitted extreme (core trough, wrist peak) to CBT_min.
+  extremeToMinimumHours: { core: 0, wrist: 0 },
+  // Extra SD (hours) of the extreme as a CBT_min proxy, added in quadrature.
+  proxySDHours: { core: 0, wrist: 1 },
+};
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate a temperature series and sleep intervals.
+ * @param {Array<{ timestampMs, celsius }>} samples
+ * @param {Array<{ startMs, endMs }>} sleep
+ * @param {string} caller — name used in error messages
+ */
+function validateInputs(samples, sleep, caller) {
+  if (!Array.isArray(samples)) {
+    throw new Error(`${caller}: samples must be an array of { timestampMs, celsius }`);
+  }
+  for (const s of samples) {
+    if (s == null || !Number.isFinite(s.timestampMs) || !Number.isFinite(s.celsius)) {
+      throw new Error(`${caller}: samples need a finite timestampMs and celsius`);
+    }
+  }
+  if (!Array.isArray(sleep)) {
+    throw new Error(`${caller}: sleep must be an array of { startMs, endMs }`);
+  }
+  for (const iv of sleep) {
+    if (iv == null || !Number.isFinite(iv.startMs) || !(iv.endMs > iv.startMs)) {
+      throw new Error(`${caller}: sleep intervals need finite startMs < endMs`);
+    }
+  }
+}
+
+// ─── Cosinor fit ─────────────────────────────────────────────────────────────
+
+/** Whether t falls inside any sleep interval. */
+function asleepAt(t, sleep) {
+  return sleep.some(iv => t >= iv.startMs && t < iv.endMs);
+}
+
+/**
+ * Fit the cosinor and locate CBT_min.
+ *
+ * @param {Array<{ timestampMs: number, celsius: number }>} samples
+ * @param {{ kind?: 'core'|'wrist', sleep?: Array<{ startMs, endMs }>,
+ *           demask?: 'regress'|'exclude', periodHours?, validRangeC?,
+ *           extremeToMinimumHours?, proxySDHours? }} [options]
+ *   — defaults in DEFAULT_OPTIONS; per-kind objects are merged per key
+ * @returns {{ kind, cbtMinMs, sdHours, confidenceInterval: { level, lowerMs, upperMs },
+ *             mesorC, amplitudeC, sleepEffectC, rSquared, samplesUsed }|null}
+ *   — cbtMinMs is the latest estimated minimum at or before the last sample;
+ *   sleepEffectC is γ under 'regress' (null otherwise); null if the fit is
+ *   degenerate (too few usable samples or no rhythm)
+ */
+function estimateCbtMin(samples, options = {}) {
+  const o = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    validRangeC:           { ...DEFAULT_OPTIONS.validRangeC, ...options.validRangeC },
+    extremeToMinimumHours: { ...DEFAULT_OPTIONS.extremeToMinimumHours, ...options.extremeToMinimumHours },
+    proxySDHours:          { ...DEFAULT_OPTIONS.proxySDHours, ...options.proxySDHours },
+  };
+  const sleep = options.sleep ?? [];
+  if (!TEMPERATURE_KINDS.includes(o.kind)) {
+    throw new Error(`estimateCbtMin: kind must be one of ${TEMPERATURE_KINDS.join(', ')}`);
+  }
+  if (!DEMASK_MODES.includes(o.demask)) {
+    throw new Error(`estimateCbtMin: demask must be one of ${DEMASK_MODES.join(', ')}`);
+  }
+  if (!(o.periodHours > 0)) {
+    throw new Error('estimateCbtMin: periodHours must be positive');
+  }
+  validateInputs(samples, sleep, 'estimateCbtMin');
+
+  const [lo, hi] = o.validRangeC[o.kind];
+  let used = samples.filter(s => s.celsius >= lo && s.celsius <= hi);
+  if (sleep.length > 0 && o.demask === 'exclude') used = used.filter(s => !asleepAt(s.timestampMs, sleep));
+  const regressSleep = sleep.length > 0 && o.demask === 'regress';
+  if (used.length < 5) return null;
+
+  const fit = cosinor.fitCosinor(used.map(s => ({ timestampMs: s.timestampMs, value: s.celsius })), {
+    periodsHours: [o.periodHours],
+    covariates:   regressSleep ? [{ name: 'sleep', at: t => (asleepAt(t, sleep) ? 1 : 0) }] : [],
+  });
+  if (fit == null) return null;
+  const [component] = fit.components;
+  if (!(component.amplitude > 0)) return null;
+  const sdHours = Math.hypot(component.acrophaseSEHours, o.proxySDHours[o.kind]);
+
+  // Core: trough = peak + half a period.  Wrist: peak.
+  const periodMs  = o.periodHours * 3600000;
+  const extremeMs = component.acrophaseMs + (o.kind === 'core' ? periodMs / 2 : 0)
+    + o.extremeToMinimumHours[o.kind] * 3600000;
+  const lastMs    = Math.max(...used.map(s => s.timestampMs));
+  const cbtMinMs  = extremeMs + Math.floor((lastMs - extremeMs) / periodMs) * periodMs;
+  const halfWidthMs = 1.96 * sdHours * 3600000;
+
+  return {
+    kind:               o.kind,
+    cbtMinMs,
+    sdHours,
+    confidenceInterval: { level: 0.95, lowerMs: cbtMinMs - halfWidthMs, upperMs: cbtMinMs + halfWidthMs },
+    mesorC:             fit.mesor,
+    amplitudeC:         component.amplitude,
+    sleepEffectC:       regressSleep ? fit.covariates.sleep.coefficient : null,
+    rSquared:           fit.rSquared,
+    samplesUsed:        used.length,
+  };
+}
+
+/**
+ * update() inputs for an estimate: the CBT_min marker with the estimate's SD
+ * as precision (see marker_input.js).
+ * @param {{ cbtMinMs: number, sdHours: number }} estimate
+ * @returns {{ cbtMinMs: number, assayPrecisionH: number }}
+ */
+function toMarkerInput(estimate) {
+  if (estimate == null) throw new Error('toMarkerInput: estimate must carry a finite cbtMinMs');
+  return markerInput('cbtMinMs', estimate.cbtMinMs, estimate.sdHours, 'toMarkerInput');
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  TEMPERATURE_KINDS,
+  DEMASK_MODES,
+  DEFAULT_OPTIONS,
+  estimateCbtMin,
+  toMarkerInput,
+};
@@ -0,0 +1,104 @@
+/**
+ * two_process.js — Two-Process Model of Sleep Regulation (Process S × Process C)
+ * Circadian Phase Engine
+ *
+ * Homeostatic sleep pressure S (Borbély, 1982; Daan, Beersma & Borbély, 1984)
+ * rises exponentially toward 1 during wake and decays toward 0 during sleep:
+ *
+ *   wake:  S(t) = 1 − (1 − S₀) · e^(−t / τ_r)
+ *   sleep: S(t) = S₀ · e^(−t / τ_d)
+ *
+ * The circadian Process C modulates two thresholds:
+ *
+ *   C(φ)  = cos(φ − φ_peak)            φ_peak = CBT_min + π (alerting peak)
+ *   H⁺(φ) = H₀⁺ + a · C(φ)             sleep is initiated when S reaches H⁺
+ *   H⁻(φ) = H₀⁻ + a · C(φ)             sleep is terminated when S falls to H⁻
+ *
+ * Sleep propensity is the position of S between the thresholds,
+ * (S − H⁻) / (H⁺ − H⁻): 0 at the wake threshold, 1 at the sleep threshold,
+ * above 1 when sleep pressure exceeds what the circadian system can oppose.
+ *
+ * Sleep is given as a list of { startMs, endMs } intervals; time outside them
+ * is wake.  All math is deterministic.
+ */
+
+'use strict';
+
+// ─── Process S ───────────────────────────────────────────────────────────────
+
+/**
+ * S after a constant stretch of wake or sleep.
+ * @param {number} S0        — sleep pressure at the start [0, 1]
+ * @param {number} hours     — duration (hours, ≥ 0)
+ * @param {boolean} asleep
+ * @param {{ riseTauHours: number, decayTauHours: number }} params
+ * @returns {number}
+ */
+function evolve(S0, hours, asleep, params) {
+  if (asleep) return S0 * Math.exp(-hours / params.decayTauHours);
+  return 1 - (1 - S0) * Math.exp(-hours / params.riseTauHours);
+}
+
+/**
+ * Integrate S from fromMs to toMs across sleep intervals.  Intervals may
+ * overlap or extend outside the window; only their union inside it counts.
+ *
+ * @param {number} S0
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @param {Array<{ startMs: number, endMs: number }>} sleep
+ * @param {{ riseTauHours: number, decayTauHours: number }} params
+ * @returns {number} — S at toMs
+ */
+function integrate(S0, fromMs, toMs, sleep, params) {
+  const clipped = sleep
+    .map(iv => ({ startMs: Math.max(iv.startMs, fromMs), endMs: Math.min(iv.endMs, toMs) }))
+    .filter(iv => iv.endMs > iv.startMs)
+    .sort((a, b) => a.startMs - b.startMs);
+  let S = S0;
+  let t = fromMs;
+  for (const iv of clipped) {
+    if (iv.endMs <= t) continue;
+    const start = Math.max(iv.startMs, t);
+    S = evolve(S, (start - t) / 3600000, false, params);
+    S = evolve(S, (iv.endMs - start) / 3600000, true, params);
+    t = iv.endMs;
+  }
+  if (toMs > t) S = evolve(S, (toMs - t) / 3600000, false, params);
+  return S;
+}
+
+// ─── Process C and sleep propensity ──────────────────────────────────────────
+
+/**
+ * Combine S with the circadian phase.
+ *
+ * @param {number} S        — sleep pressure
+ * @param {number} phi      — circadian phase (radians)
+ * @param {boolean} awake
+ * @param {{ upperThreshold: number, lowerThreshold: number, circadianAmplitude: number,
+ *           cbtMinPhase: number }} params
+ * @returns {{ S, C, upperThreshold, lowerThreshold, sleepPropensity, awake }} — 3 decimals
+ */
+function summary(S, phi, awake, params) {
+  const C     = Math.cos(phi - (params.cbtMinPhase + Math.PI));
+  const upper = params.upperThreshold + params.circadianAmplitude * C;
+  const lower = params.lowerThreshold + params.circadianAmplitude * C;
+  const r3 = (v) => Math.round(v * 1000) / 1000;
+  return {
+    S:               r3(S),
+    C:               r3(C),
+    upperThreshold:  r3(upper),
+    lowerThreshold:  r3(lower),
+    sleepPropensity: r3((S - lower) / (upper - lower)),
+    awake,
+  };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  evolve,
+  integrate,
+  summary,
+};
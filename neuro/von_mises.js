@@ -0,0 +1,118 @@
+/**
+ * von_mises.js — von Mises Phase Distribution Helpers
+ * Circadian Phase Engine
+ *
+ * Support for the circular Kalman filter (config.filter = 'vonmises') in
+ * circadian_model.js.  The phase posterior is a von Mises distribution
+ * VM(μ, κ); the engine stores its mean resultant length
+ *
+ *   R = A(κ) = I₁(κ) / I₀(κ)  ∈ [0, 1)
+ *
+ * as `confidence`, so R = 0 is a uniform (uninformative) phase and R → 1 a
+ * sharply known one.  Moment matching to a wrapped normal with variance σ²
+ * gives R = e^(−σ²/2), so phase diffusion over Δt multiplies R by
+ * e^(−q Δt / 2) and independent variances add in −2 ln R.
+ *
+ * The product of two von Mises densities is von Mises, which gives the exact
+ * observation update (Kurz, Gilitschenski & Hanebeck, 2016):
+ *
+ *   κ' e^(iμ') = κ e^(iμ) + κ_obs e^(iφ_obs)
+ *
+ * All math is deterministic.
+ */
+
+'use strict';
+
+// Largest concentration represented (circular SD ≈ 0.01 rad ≈ 2.3 min);
+// keeps κ finite when R is rounded to 1.
+const KAPPA_MAX = 1e4;
+
+// Above this κ, A(κ) uses its asymptotic series (error < 1e-8).
+const ASYMPTOTIC_KAPPA = 50;
+
+// ─── Mean resultant length A(κ) ──────────────────────────────────────────────
+
+/**
+ * A(κ) = I₁(κ) / I₀(κ).
+ * Continued fraction I_ν / I_{ν−1} = 1 / (2ν/κ + I_{ν+1} / I_ν), evaluated
+ * backwards, for moderate κ; asymptotic series 1 − 1/(2κ) − 1/(8κ²) − … above.
+ * @param {number} kappa — concentration ≥ 0
+ * @returns {number} — [0, 1)
+ */
+function meanResultantLength(kappa) {
+  if (!(kappa > 0)) return 0;
+  if (kappa > ASYMPTOTIC_KAPPA) {
+    const k = kappa;
+    return 1 - 1 / (2 * k) - 1 / (8 * k ** 2) - 1 / (8 * k ** 3) - 25 / (128 * k ** 4);
+  }
+  let r = 0;
+  for (let nu = 150; nu >= 1; nu--) r = 1 / ((2 * nu) / kappa + r);
+  return r;
+}
+
+/**
+ * Inverse of A(κ): the concentration with mean resultant length R.
+ * A is monotonic, so bisection on [0, KAPPA_MAX] is exact to double precision.
+ * @param {number} R — mean resultant length [0, 1]
+ * @returns {number} — κ ∈ [0, KAPPA_MAX]
+ */
+function kappaFromR(R) {
+  if (!(R > 0)) return 0;
+  if (R >= meanResultantLength(KAPPA_MAX)) return KAPPA_MAX;
+  let lo = 0;
+  let hi = KAPPA_MAX;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (meanResultantLength(mid) < R) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Concentration of a von Mises matched to a wrapped normal with SD σ.
+ * @param {number} sigmaRad — standard deviation (radians)
+ * @returns {number}
+ */
+function kappaFromSD(sigmaRad) {
+  return kappaFromR(Math.exp(-(sigmaRad ** 2) / 2));
+}
+
+/**
+ * Circular standard deviation √(−2 ln R) (radians), capped at π: beyond half
+ * a cycle the phase is effectively unknown.
+ * @param {number} R — mean resultant length [0, 1]
+ * @returns {number}
+ */
+function circularSD(R) {
+  if (!(R > 0)) return Math.PI;
+  return Math.min(Math.PI, Math.sqrt(-2 * Math.log(Math.min(1, R))));
+}
+
+// ─── Bayesian update ─────────────────────────────────────────────────────────
+
+/**
+ * Posterior of a von Mises prior VM(μ, κ) and a von Mises observation
+ * likelihood VM(φ_obs, κ_obs).
+ * @param {number} mu        — prior mean (radians)
+ * @param {number} kappa     — prior concentration
+ * @param {number} phiObs    — observed phase (radians)
+ * @param {number} kappaObs  — observation concentration
+ * @returns {{ mu: number, kappa: number }} — mu in (−π, π]; unchanged if κ' = 0
+ */
+function fuse(mu, kappa, phiObs, kappaObs) {
+  const c = kappa * Math.cos(mu) + kappaObs * Math.cos(phiObs);
+  const s = kappa * Math.sin(mu) + kappaObs * Math.sin(phiObs);
+  const k = Math.hypot(c, s);
+  return k > 0 ? { mu: Math.atan2(s, c), kappa: Math.min(k, KAPPA_MAX) } : { mu, kappa: 0 };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  KAPPA_MAX,
+  meanResultantLength,
+  kappaFromR,
+  kappaFromSD,
+  circularSD,
+  fuse,
+};